@@ -0,0 +1,451 @@
+// Voice Clone Web App - client for the /api endpoints, independent of the page so scripts and
+// other front-ends can reuse it. Every endpoint answers { success, data, error }; methods resolve
+// with `data` or throw an ApiError.
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] cancels the request; the rejection is the usual AbortError
+ * @property {number} [timeout] milliseconds before ApiTimeoutError, 0 for none; defaults to the client's
+ * @property {Object<string, string>} [headers] merged over the client's headers
+ * @property {boolean} [anonymous] a 401 is an answer (e.g. wrong password), not a lost session
+ */
+
+/**
+ * @typedef {Object} SynthesisParams
+ * @property {string} text
+ * @property {string} profileId
+ * @property {string} [language] language code or 'auto'
+ * @property {number} [speed]
+ * @property {number} [pitch]
+ * @property {string} [emotion]
+ * @property {string} [format] wav, mp3, opus or flac
+ * @property {number} [sampleRate]
+ * @property {number} [bitrate]
+ */
+
+/**
+ * @typedef {Object} SynthesisResult
+ * @property {string} audioUrl
+ * @property {number} duration
+ * @property {string} language
+ * @property {number} characterCount
+ * @property {string} format
+ * @property {number} sampleRate
+ * @property {string} requestId traces the file back to this request through its watermark
+ */
+
+/**
+ * @typedef {Object} SynthesisEvent
+ * @property {string} [status] 'started' (with total, requestId and tags) or 'completed'
+ * @property {number} [chunk] 1-based index of the chunk in audioUrl
+ * @property {number} [total]
+ * @property {string} [requestId]
+ * @property {Object<string, string>} [tags] comment, artist and date written into every chunk
+ * @property {string} [audioUrl]
+ */
+
+class ApiError extends Error {
+    constructor(message, status = 0, data = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+    
+    // Only transient failures are worth another try; UploadError and BatchError inherit this rule
+    get retryable() {
+        return this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 500;
+    }
+}
+
+// The server answered with a non-2xx status; data carries the body's `data` (e.g. an import conflict)
+class ApiHttpError extends ApiError {
+    constructor(message, status, data = null) {
+        super(message, status, data);
+        this.name = 'ApiHttpError';
+    }
+}
+
+// The request went through but the server reported success: false, or the body was not a result
+class ApiFailureError extends ApiError {
+    constructor(message, status, data = null) {
+        super(message, status, data);
+        this.name = 'ApiFailureError';
+    }
+}
+
+class ApiTimeoutError extends ApiError {
+    constructor(timeout) {
+        super(`Request timed out after ${timeout} ms`);
+        this.name = 'ApiTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+// The server could not be reached at all (offline, server down); nothing was sent
+class ApiNetworkError extends ApiError {
+    constructor(message) {
+        super(message);
+        this.name = 'ApiNetworkError';
+    }
+}
+
+// Set by the web app's service worker (sw.js) on a saved response it answers with while offline
+const OFFLINE_CACHE_HEADER = 'X-Offline-Cache';
+
+class VoiceCloneApiClient {
+    // headers may be a function so credentials that change are read on every request;
+    // onUnauthorized(error) runs whenever the server answers 401;
+    // onConnectionChange(online) runs when requests start or stop reaching the server
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '/api').replace(/\/$/, '');
+        this.headers = options.headers || {};
+        this.timeout = options.timeout !== undefined ? options.timeout : 30000;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.onUnauthorized = options.onUnauthorized || null;
+        this.onConnectionChange = options.onConnectionChange || null;
+        this.online = true;
+    }
+    
+    url(path) {
+        return this.baseUrl + path;
+    }
+    
+    setOnline(online) {
+        if (online === this.online) return;
+        
+        this.online = online;
+        if (this.onConnectionChange) {
+            this.onConnectionChange(online);
+        }
+    }
+    
+    resolveHeaders() {
+        return { ...(typeof this.headers === 'function' ? this.headers() : this.headers) };
+    }
+    
+    /**
+     * Send one request; body is FormData or a value sent as JSON. read consumes the 2xx
+     * response and runs inside the timeout.
+     * @param {string} path relative to baseUrl
+     * @param {RequestOptions & {method?: string, body?: *}} [options]
+     * @param {function(Response): Promise<*>} [read] defaults to unwrapping { success, data, error }
+     * @returns {Promise<*>}
+     */
+    async request(path, options = {}, read = VoiceCloneApiClient.readResult) {
+        const headers = { ...this.resolveHeaders(), ...(options.headers || {}) };
+        let body = options.body;
+        if (body !== undefined && !(typeof FormData !== 'undefined' && body instanceof FormData)) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(body);
+        }
+        
+        // One controller for both the caller's signal and the timeout
+        const controller = new AbortController();
+        const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+        const forwardAbort = () => controller.abort();
+        let timedOut = false;
+        let timer = null;
+        
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', forwardAbort);
+        }
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        }
+        
+        try {
+            let response;
+            try {
+                response = await this.fetch(this.url(path), {
+                    method: options.method || 'GET',
+                    headers,
+                    body,
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                
+                this.setOnline(false);
+                throw new ApiNetworkError(error.message);
+            }
+            
+            // A cached answer means the server is still out of reach, but it is an answer
+            this.setOnline(!response.headers.get(OFFLINE_CACHE_HEADER));
+            
+            if (!response.ok) {
+                const result = await response.json().catch(() => null);
+                const error = new ApiHttpError(
+                    (result && result.error) || response.statusText || `HTTP ${response.status}`,
+                    response.status,
+                    result && result.data !== undefined ? result.data : null
+                );
+                
+                if (response.status === 401 && this.onUnauthorized && !options.anonymous) {
+                    this.onUnauthorized(error);
+                }
+                throw error;
+            }
+            
+            return await read(response);
+        } catch (error) {
+            if (timedOut) throw new ApiTimeoutError(timeout);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', forwardAbort);
+            }
+        }
+    }
+    
+    static async readResult(response) {
+        const result = await response.json().catch(() => null);
+        
+        if (!result || !result.success) {
+            throw new ApiFailureError(
+                (result && result.error) || 'Invalid response from server',
+                response.status,
+                result && result.data !== undefined ? result.data : null
+            );
+        }
+        
+        return result.data;
+    }
+    
+    // Parse the `data:` events of a server-sent event stream, awaiting onEvent for each
+    static async readEvents(stream, onEvent) {
+        const reader = stream.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                
+                const data = rawEvent
+                    .split('\n')
+                    .filter(line => line.startsWith('data:'))
+                    .map(line => line.slice(5).trim())
+                    .join('\n');
+                
+                if (data) {
+                    await onEvent(JSON.parse(data));
+                }
+            }
+        }
+    }
+    
+    // Accounts
+    
+    /**
+     * @param {{username: string, password: string}} credentials
+     * @returns {Promise<{token: string, expiresAt: number, account: Object}>} a session for the new account
+     */
+    register(credentials, options = {}) {
+        return this.request('/auth/register', { ...options, method: 'POST', body: credentials, anonymous: true });
+    }
+    
+    /**
+     * Wrong credentials reject with a 401 ApiHttpError
+     * @param {{username: string, password: string}} credentials
+     * @returns {Promise<{token: string, expiresAt: number, account: Object}>}
+     */
+    login(credentials, options = {}) {
+        return this.request('/auth/login', { ...options, method: 'POST', body: credentials, anonymous: true });
+    }
+    
+    logout(options = {}) {
+        return this.request('/auth/logout', { ...options, method: 'POST', anonymous: true });
+    }
+    
+    /** @returns {Promise<{id: string, username: string, role: string}>} the signed-in account */
+    getAccount(options = {}) {
+        return this.request('/auth/me', options);
+    }
+    
+    // Info
+    
+    /** @returns {Promise<Object>} version, supportedLanguages and the server's limits */
+    getInfo(options = {}) {
+        return this.request('/info', options);
+    }
+    
+    // Consent
+    
+    /**
+     * A phrase to read aloud before enrolling a new voice
+     * @returns {Promise<{challengeId: string, phrase: string, language: string, expiresAt: number}>}
+     */
+    createConsentChallenge(language, options = {}) {
+        return this.request('/consent/challenge', { ...options, method: 'POST', body: { language } });
+    }
+    
+    /**
+     * When the recording does not match the phrase, the 400 ApiHttpError carries what was heard in `data`
+     * @param {string} challengeId
+     * @param {Blob} recording
+     * @returns {Promise<Object>} the consent record; its id goes with the new profile as consentId
+     */
+    verifyConsent(challengeId, recording, options = {}) {
+        const formData = new FormData();
+        formData.append('challengeId', challengeId);
+        formData.append('audio', recording, 'consent.webm');
+        return this.request('/consent/verify', { ...options, method: 'POST', body: formData });
+    }
+    
+    // Profiles
+    
+    /** @returns {Promise<Object[]>} every voice profile */
+    listProfiles(options = {}) {
+        return this.request('/profiles', options);
+    }
+    
+    /**
+     * Create a profile, or add clips to targetProfileId, from `audio` parts plus profileName and language;
+     * a new profile also needs consentId
+     * @param {FormData} formData
+     */
+    uploadProfile(formData, options = {}) {
+        return this.request('/profiles/upload', { ...options, method: 'POST', body: formData });
+    }
+    
+    /** @param {{profileName: string, durationMinutes: number, language?: string, consentId: string}} recording */
+    recordProfile(recording, options = {}) {
+        return this.request('/profiles/record', { ...options, method: 'POST', body: recording });
+    }
+    
+    /** @param {Object} update name, description, tags and voice defaults */
+    updateProfile(profileId, update, options = {}) {
+        return this.request(`/profiles/${encodeURIComponent(profileId)}`, { ...options, method: 'PATCH', body: update });
+    }
+    
+    deleteProfile(profileId, options = {}) {
+        return this.request(`/profiles/${encodeURIComponent(profileId)}`, { ...options, method: 'DELETE' });
+    }
+    
+    /** @returns {Promise<Blob>} the profile as a ZIP archive */
+    exportProfile(profileId, options = {}) {
+        return this.request(`/profiles/${encodeURIComponent(profileId)}/export`, options, response => response.blob());
+    }
+    
+    /**
+     * A 409 ApiHttpError carries the conflict in `data`; resend with onConflict (and name) to settle it
+     * @param {FormData} formData archive and consentId, optionally onConflict and name
+     */
+    importProfile(formData, options = {}) {
+        return this.request('/profiles/import', { ...options, method: 'POST', body: formData });
+    }
+    
+    listProfileClips(profileId, options = {}) {
+        return this.request(`/profiles/${encodeURIComponent(profileId)}/clips`, options);
+    }
+    
+    /** @returns {Promise<Object>} the updated profile */
+    addProfileClips(profileId, formData, options = {}) {
+        return this.request(`/profiles/${encodeURIComponent(profileId)}/clips`, { ...options, method: 'POST', body: formData });
+    }
+    
+    /** @returns {Promise<Object>} the updated profile */
+    removeProfileClip(profileId, clipId, options = {}) {
+        const path = `/profiles/${encodeURIComponent(profileId)}/clips/${encodeURIComponent(clipId)}`;
+        return this.request(path, { ...options, method: 'DELETE' });
+    }
+    
+    /** @returns {Promise<Object>} the training job that was started */
+    retrainProfile(profileId, options = {}) {
+        return this.request(`/profiles/${encodeURIComponent(profileId)}/retrain`, { ...options, method: 'POST' });
+    }
+    
+    getTrainingJob(profileId, options = {}) {
+        return this.request(`/profiles/${encodeURIComponent(profileId)}/training`, options);
+    }
+    
+    // Synthesis
+    
+    /**
+     * @param {SynthesisParams} params
+     * @returns {Promise<SynthesisResult>}
+     */
+    synthesize(params, options = {}) {
+        return this.request('/synthesize', { ...options, method: 'POST', body: params });
+    }
+    
+    /**
+     * Long texts stream for minutes, so there is no timeout unless options.timeout is set.
+     * An error event, or a stream that ends without the completed event, rejects with ApiFailureError.
+     * @param {SynthesisParams} params
+     * @param {function(SynthesisEvent): (void|Promise<void>)} onEvent
+     * @returns {Promise<void>} resolves once synthesis has completed
+     */
+    synthesizeStream(params, onEvent, options = {}) {
+        return this.request('/synthesize/stream', { timeout: 0, ...options, method: 'POST', body: params }, async (response) => {
+            if (!response.body) {
+                throw new ApiFailureError('Streaming responses are not supported', response.status);
+            }
+            
+            let completed = false;
+            let received = 0;
+            let total = 0;
+            
+            await VoiceCloneApiClient.readEvents(response.body, async (event) => {
+                if (event.status === 'error') {
+                    throw new ApiFailureError(event.error || 'Synthesis failed', response.status);
+                }
+                if (event.status === 'completed') completed = true;
+                if (event.total) total = event.total;
+                if (event.audioUrl) received++;
+                await onEvent(event);
+            });
+            
+            // The server or a proxy dropped the connection part way through
+            if (!completed) {
+                throw new ApiFailureError(`Synthesis stream ended early after ${received} of ${total} chunks`, response.status);
+            }
+        });
+    }
+    
+    /** @returns {Promise<{language: string, spans: Object[]}>} */
+    detectLanguage(text, options = {}) {
+        return this.request('/detect-language', { ...options, method: 'POST', body: { text } });
+    }
+    
+    /**
+     * Check an audio file for the watermark and tags synthesized audio carries
+     * @param {Blob} audio
+     * @returns {Promise<Object>} generated, watermarkFound, metadataFound, metadataMatches, profileId,
+     *     profileName (only for the caller's own profiles), requestId and createdAt
+     */
+    verifyAudio(audio, options = {}) {
+        const formData = new FormData();
+        formData.append('audio', audio, audio.name || 'audio.wav');
+        return this.request('/watermark/verify', { ...options, method: 'POST', body: formData });
+    }
+    
+    // Updates
+    
+    /** @returns {Promise<{current: string, latest: string, available: boolean, updateInfo: Object}>} */
+    checkForUpdates(options = {}) {
+        return this.request('/updates', options);
+    }
+    
+    installUpdate(options = {}) {
+        return this.request('/updates/install', { ...options, method: 'POST' });
+    }
+}
+
+// Scripts and tests running under Node pick the client up with require()
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VoiceCloneApiClient, ApiError, ApiHttpError, ApiFailureError, ApiTimeoutError, ApiNetworkError };
+}
@@ -1,23 +1,384 @@
 // Voice Clone Web App JavaScript
 class VoiceCloneApp {
     constructor() {
-        this.apiBase = '/api';
+        // Signed-in session ({ token, expiresAt, account }); every API call carries its token
+        this.auth = this.loadAuth();
+        this.api = new VoiceCloneApiClient({
+            baseUrl: '/api',
+            headers: () => this.authHeaders(),
+            onUnauthorized: () => this.handleUnauthorized(),
+            onConnectionChange: (online) => this.handleConnectionChange(online)
+        });
         this.isRecording = false;
         this.mediaRecorder = null;
         this.audioChunks = [];
         this.recordingStartTime = null;
+        this.recordingTimer = null;
+        this.recordingSession = null;
+        this.isPaused = false;
+        this.pausedAt = null;
+        this.pausedDuration = 0;
+        this.enrollment = null;
+        this.consent = null;
+        this.qualityAnalyzer = null;
+        this.serverInfo = null;
+        this.audioEditor = null;
+        this.pendingUpload = null;
+        
+        // Streaming synthesis playback
+        this.streamController = null;
+        this.playbackContext = null;
+        this.playbackSources = [];
+        this.nextPlaybackTime = 0;
+        this.lastSynthesis = null;
+        
+        this.markupPreviewTimer = null;
+        this.languageSpans = null;
+        this.selectedSpan = null;
+        
+        // Script mode: per-speaker voice settings, kept across sessions
+        this.speakerSettings = this.loadSpeakerSettings();
+        this.scriptSpeakers = [];
+        this.speakerMappingTimer = null;
+        
+        this.batchQueue = null;
+        
+        // A/B comparison: variants under test and the run that synthesized them
+        this.compareVariants = [];
+        this.compareQueue = null;
+        this.compareActive = null;
+        this.compareWinner = null;
+        
+        this.pendingImport = null;
+        this.verifyReport = null;
+        this.editingProfileId = null;
+        this.trainingTimer = null;
+        
+        // Update checks: the background timer while autoUpdate is on and the release in the dialog
+        this.updateTimer = null;
+        this.availableUpdate = null;
+        this.dismissedUpdate = null;
+        
+        // Server reachability and the synthesis requests waiting for it
+        this.offline = false;
+        this.reconnectTimer = null;
+        this.queuedSyntheses = 0;
+        this.sendingQueue = false;
+        this.queueRetryTimer = null;
+        
+        this.profiles = [];
+        this.storage = new VoiceCloneStorage();
         
         this.init();
     }
     
     async init() {
+        // Translate the static page before anything is rendered into it
+        this.loadSettings();
+        I18n.setLanguage(document.getElementById('interfaceLanguage').value);
+        this.showStatus('recordStatus', I18n.t('record.ready'), 'info');
+        this.updateCharacterCount();
+        this.applyAudioQuality();
+        this.registerServiceWorker();
+        
         await this.loadSupportedLanguages();
-        await this.loadProfiles();
         this.setupEventListeners();
         
+        if (this.auth) {
+            await this.startSession();
+        } else {
+            this.showLoginView();
+        }
+        
         console.log('Voice Clone App initialized');
     }
     
+    // Everything that needs a signed-in account
+    async startSession() {
+        this.renderAccount();
+        await this.loadProfiles();
+        await this.loadHistory();
+        await this.checkUnfinishedRecordings();
+        this.scheduleUpdateChecks();
+        
+        // Requests queued before the page was last closed
+        await this.refreshQueuedCount();
+        if (!this.offline) {
+            this.sendQueuedSyntheses();
+        }
+    }
+        
+    // Accounts
+    loadAuth() {
+        try {
+            const auth = JSON.parse(localStorage.getItem('voiceCloneAuth'));
+            return auth && auth.expiresAt > Date.now() ? auth : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    authHeaders() {
+        return this.auth ? { Authorization: `Bearer ${this.auth.token}` } : {};
+    }
+    
+    showLoginView(message = null) {
+        document.getElementById('accountBar').classList.add('hidden');
+        document.getElementById('loginDialog').classList.remove('hidden');
+        document.getElementById('loginStatus').innerHTML = '';
+        if (message) {
+            this.showStatus('loginStatus', message, 'warning');
+        }
+        document.getElementById('loginUsername').focus();
+    }
+    
+    // register creates the account first; either way the user ends up signed in
+    async submitLogin(register = false) {
+        const credentials = {
+            username: document.getElementById('loginUsername').value.trim(),
+            password: document.getElementById('loginPassword').value
+        };
+        
+        if (!credentials.username || !credentials.password) {
+            this.showStatus('loginStatus', I18n.t('auth.credentialsRequired'), 'error');
+            return;
+        }
+        
+        this.showStatus('loginStatus', I18n.t(register ? 'auth.registering' : 'auth.signingIn'), 'info');
+        
+        try {
+            this.auth = register ? await this.api.register(credentials) : await this.api.login(credentials);
+            localStorage.setItem('voiceCloneAuth', JSON.stringify(this.auth));
+            
+            document.getElementById('loginPassword').value = '';
+            document.getElementById('loginDialog').classList.add('hidden');
+            await this.startSession();
+        } catch (error) {
+            console.error('Sign-in error:', error);
+            this.showStatus('loginStatus', I18n.t('auth.error', { error: error.message }), 'error');
+        }
+    }
+    
+    async logout() {
+        try {
+            await this.api.logout();
+        } catch (error) {
+            // The session is dropped locally either way
+            console.error('Sign-out error:', error);
+        }
+        
+        this.endSession();
+        this.showLoginView();
+    }
+    
+    // Another request found the session expired or revoked
+    handleUnauthorized() {
+        if (!this.auth) return;
+        
+        this.endSession();
+        this.showLoginView(I18n.t('auth.expired'));
+    }
+    
+    // Forget the account and everything loaded for it
+    endSession() {
+        this.auth = null;
+        localStorage.removeItem('voiceCloneAuth');
+        
+        clearInterval(this.updateTimer);
+        this.updateTimer = null;
+        this.stopTrainingPoll();
+        this.closeProfileEditor();
+        this.resetConsent();
+        
+        // The saved profile list belongs to this account; its queued requests wait for its next sign-in
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'clearApiCache' });
+        }
+        clearTimeout(this.queueRetryTimer);
+        this.queueRetryTimer = null;
+        this.queuedSyntheses = 0;
+        this.renderConnectionStatus();
+        
+        this.profiles = [];
+        this.renderProfilesList();
+        this.renderVoiceProfileOptions();
+        this.renderTargetProfileOptions();
+        this.renderSpeakerMapping();
+        this.renderCompareVariants();
+    }
+    
+    renderAccount() {
+        if (!this.auth) return;
+        
+        const account = this.auth.account;
+        document.getElementById('accountName').textContent = account.role === 'admin' 
+            ? I18n.t('auth.adminName', { name: account.username }) 
+            : account.username;
+        document.getElementById('accountBar').classList.remove('hidden');
+    }
+    
+    // Offline Support
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.error('Service worker registration error:', error));
+    }
+    
+    // The API client saw requests stop or start reaching the server
+    handleConnectionChange(online) {
+        this.offline = !online;
+        this.renderConnectionStatus();
+        
+        clearInterval(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
+        if (online) {
+            this.reconnect();
+        } else {
+            // Keep asking so queued requests go out as soon as the server is back
+            this.reconnectTimer = setInterval(() => this.checkConnection(), 15000);
+        }
+    }
+    
+    // Any request settles the connection state
+    checkConnection() {
+        return this.api.getInfo().catch(() => {});
+    }
+    
+    // Replace what was shown from the offline cache and send the queue
+    async reconnect() {
+        await this.loadSupportedLanguages();
+        
+        if (this.auth) {
+            await this.loadProfiles();
+            await this.sendQueuedSyntheses();
+        }
+    }
+    
+    renderConnectionStatus() {
+        const indicator = document.getElementById('offlineIndicator');
+        const parts = [];
+        
+        if (this.offline) {
+            parts.push(I18n.t('offline.unreachable'));
+        }
+        if (this.queuedSyntheses > 0) {
+            parts.push(I18n.t(this.sendingQueue ? 'offline.sending' : 'offline.queued', { count: this.queuedSyntheses }));
+        }
+        
+        document.getElementById('offlineText').textContent = parts.join(' · ');
+        indicator.classList.toggle('hidden', parts.length === 0);
+    }
+    
+    async refreshQueuedCount() {
+        if (!this.auth) return;
+        
+        try {
+            const accountId = this.auth.account.id;
+            const requests = await this.storage.getQueuedSyntheses();
+            this.queuedSyntheses = requests.filter(request => request.accountId === accountId).length;
+        } catch (error) {
+            console.error('Synthesis queue error:', error);
+        }
+        this.renderConnectionStatus();
+    }
+    
+    // Output settings are taken now, so the result matches what was asked for
+    async queueSynthesis(params) {
+        try {
+            await this.storage.addQueuedSynthesis({
+                accountId: this.auth.account.id,
+                params: { ...params, ...this.getSynthesisOutput() },
+                profileName: this.getProfileName(params.profileId),
+                timestamp: Date.now()
+            });
+            await this.refreshQueuedCount();
+            this.showStatus('ttsStatus', I18n.t('offline.synthesisQueued'), 'warning');
+        } catch (error) {
+            console.error('Synthesis queue error:', error);
+            this.showStatus('ttsStatus', I18n.t('tts.error', { error: error.message }), 'error');
+        }
+    }
+    
+    // Send the account's queued requests oldest first; results go to the history
+    async sendQueuedSyntheses() {
+        if (this.sendingQueue || !this.auth) return;
+        
+        clearTimeout(this.queueRetryTimer);
+        this.queueRetryTimer = null;
+        this.sendingQueue = true;
+        this.renderConnectionStatus();
+        let sent = 0;
+        
+        try {
+            const accountId = this.auth.account.id;
+            const requests = (await this.storage.getQueuedSyntheses()).filter(request => request.accountId === accountId);
+            
+            for (const request of requests) {
+                if (this.offline || !this.auth) break;
+                
+                const params = request.params;
+                try {
+                    const result = await this.api.synthesize(params);
+                    const audioResponse = await fetch(result.audioUrl);
+                    if (!audioResponse.ok) {
+                        throw new ApiHttpError('Audio download failed: ' + audioResponse.statusText, audioResponse.status);
+                    }
+                    
+                    await this.saveHistoryEntry({
+                        accountId: request.accountId,
+                        text: params.text,
+                        profileId: params.profileId,
+                        profileName: request.profileName,
+                        language: params.language,
+                        speed: params.speed,
+                        pitch: params.pitch,
+                        emotion: params.emotion,
+                        characterCount: params.text.length,
+                        timestamp: Date.now(),
+                        audio: await audioResponse.blob()
+                    });
+                    sent++;
+                } catch (error) {
+                    console.error('Queued synthesis error:', error);
+                    
+                    // Only a request the server turned down for good is dropped. Anything else (unreachable,
+                    // timed out, throttled, a server error, an expired session) keeps it and the rest queued.
+                    const rejected = error instanceof ApiFailureError || 
+                        (error instanceof ApiHttpError && !error.retryable && error.status !== 401);
+                    if (!rejected) {
+                        // Reconnecting or signing in sends the queue anyway; a busy server is asked again later
+                        // (the audio download is a plain fetch, which rejects with TypeError)
+                        const transient = error instanceof TypeError || (error instanceof ApiError && error.retryable);
+                        if (!this.offline && this.auth && transient) {
+                            this.queueRetryTimer = setTimeout(() => this.sendQueuedSyntheses(), 30000);
+                        }
+                        break;
+                    }
+                    
+                    this.showNotification(I18n.t('offline.queuedFailed', {
+                        text: this.escapeHtml(this.truncateText(params.text, 40)),
+                        error: this.escapeHtml(error.message)
+                    }), 'error');
+                }
+                
+                await this.storage.deleteQueuedSynthesis(request.id);
+                this.queuedSyntheses = Math.max(0, this.queuedSyntheses - 1);
+                this.renderConnectionStatus();
+            }
+        } catch (error) {
+            console.error('Synthesis queue error:', error);
+        } finally {
+            this.sendingQueue = false;
+            await this.refreshQueuedCount();
+        }
+        
+        if (sent > 0) {
+            this.showNotification(I18n.t('offline.queueSent', { count: sent }), 'success');
+        }
+    }
+    
     setupEventListeners() {
         // Character count for text area
         const inputText = document.getElementById('inputText');
@@ -25,10 +386,23 @@ class VoiceCloneApp {
             inputText.addEventListener('input', this.updateCharacterCount.bind(this));
         }
         
+        // Apply a profile's default voice settings when it is chosen
+        const voiceProfile = document.getElementById('voiceProfile');
+        if (voiceProfile) {
+            voiceProfile.addEventListener('change', this.applyProfileDefaults.bind(this));
+        }
+        
         // Auto-save settings
         const autoUpdate = document.getElementById('autoUpdate');
         if (autoUpdate) {
             autoUpdate.addEventListener('change', this.saveSettings.bind(this));
+            autoUpdate.addEventListener('change', this.scheduleUpdateChecks.bind(this));
+        }
+        
+        const audioQuality = document.getElementById('audioQuality');
+        if (audioQuality) {
+            audioQuality.addEventListener('change', this.saveSettings.bind(this));
+            audioQuality.addEventListener('change', this.applyAudioQuality.bind(this));
         }
         
         // Interface language change
@@ -36,6 +410,10 @@ class VoiceCloneApp {
         if (interfaceLanguage) {
             interfaceLanguage.addEventListener('change', this.changeLanguage.bind(this));
         }
+        
+        // The browser knows about a lost connection before any request fails
+        window.addEventListener('offline', () => this.api.setOnline(false));
+        window.addEventListener('online', () => this.checkConnection());
     }
     
     // Tab Management
@@ -54,8 +432,8 @@ class VoiceCloneApp {
             selectedContent.classList.add('active');
         }
         
-        // Add active class to selected tab
-        const selectedTab = event.target.closest('.tab');
+        // Add active class to selected tab (also when switched to from elsewhere in the page)
+        const selectedTab = document.querySelector(`.tab[onclick="showTab('${tabName}')"]`);
         if (selectedTab) {
             selectedTab.classList.add('active');
         }
@@ -67,39 +445,242 @@ class VoiceCloneApp {
     }
     
     // Recording Functions
-    async startRecording() {
-        const profileName = document.getElementById('profileName').value.trim();
-        const language = document.getElementById('recordLanguage').value;
-        const duration = parseInt(document.getElementById('duration').value);
+    
+    // Voice Consent
+    
+    // A new profile needs a verified recording of its speaker reading a random consent phrase;
+    // each verified consent is spent on one profile
+    async requestConsentPhrase() {
+        this.resetConsent();
         
-        if (!profileName) {
-            this.showStatus('recordStatus', 'لطفاً نام پروفایل را وارد کنید', 'error');
+        const button = document.getElementById('consentPhraseBtn');
+        button.disabled = true;
+        
+        try {
+            const challenge = await this.api.createConsentChallenge(document.getElementById('recordLanguage').value);
+            this.consent = { challenge, record: null, recorder: null, stream: null, verifying: false, error: null };
+            this.renderConsent();
+        } catch (error) {
+            console.error('Consent phrase error:', error);
+            this.showStatus('consentStatus', I18n.t('consent.phraseError', { error: error.message }), 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    async toggleConsentRecording() {
+        const consent = this.consent;
+        if (!consent || consent.record || consent.verifying) return;
+        
+        if (consent.recorder) {
+            consent.recorder.stop();
             return;
         }
         
         try {
-            // Request microphone access
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    sampleRate: 22050,
-                    channelCount: 1,
-                    echoCancellation: true,
-                    noiseSuppression: true
-                }
+            consent.stream = await this.requestMicrophone();
+            
+            const chunks = [];
+            const recorder = new MediaRecorder(consent.stream, {
+                mimeType: 'audio/webm;codecs=opus',
+                audioBitsPerSecond: this.getAudioQuality().recordBitrate
             });
             
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+            
+            recorder.onstop = () => {
+                consent.stream.getTracks().forEach(track => track.stop());
+                consent.stream = null;
+                consent.recorder = null;
+                this.verifyConsent(consent, new Blob(chunks, { type: 'audio/webm' }));
+            };
+            
+            consent.recorder = recorder;
+            recorder.start();
+            this.renderConsent();
+        
+        } catch (error) {
+            console.error('Recording error:', error);
+            this.showStatus('consentStatus', I18n.t('record.microphoneError', { error: error.message }), 'error');
+        }
+    }
+    
+    async verifyConsent(consent, recording) {
+        consent.verifying = true;
+        consent.error = null;
+        this.renderConsent();
+        
+        try {
+            consent.record = await this.api.verifyConsent(consent.challenge.challengeId, recording);
+        } catch (error) {
+            console.error('Consent verification error:', error);
+            consent.error = error;
+        } finally {
+            consent.verifying = false;
+        }
+        
+        // A new phrase may have been requested in the meantime
+        if (this.consent === consent) {
+            this.renderConsent();
+        }
+    }
+    
+    resetConsent() {
+        if (this.consent && this.consent.recorder) {
+            this.consent.recorder.onstop = null;
+            this.consent.recorder.stop();
+            this.consent.stream.getTracks().forEach(track => track.stop());
+        }
+        
+        this.consent = null;
+        this.renderConsent();
+    }
+    
+    renderConsent() {
+        const consent = this.consent;
+        const phrase = document.getElementById('consentPhrase');
+        const recordBtn = document.getElementById('consentRecordBtn');
+        const status = document.getElementById('consentStatus');
+        
+        phrase.classList.toggle('hidden', !consent);
+        phrase.textContent = consent ? consent.challenge.phrase : '';
+        phrase.dir = consent && consent.challenge.language === 'fa' ? 'rtl' : 'ltr';
+        
+        recordBtn.disabled = !consent || Boolean(consent.record) || consent.verifying;
+        recordBtn.innerHTML = consent && consent.recorder 
+            ? `<i class="fas fa-stop"></i> ${I18n.t('common.stop')}` 
+            : `<i class="fas fa-microphone"></i> ${I18n.t('consent.record')}`;
+        
+        // The step's state stays visible, so it is not shown through the auto-hiding showStatus
+        let message = I18n.t('consent.pending');
+        let type = 'info';
+        
+        if (consent && consent.record) {
+            // The server's placeholder recognizer accepts any speech, which the user should know
+            message = I18n.t(consent.record.simulated ? 'consent.verifiedSimulated' : 'consent.verified');
+            type = consent.record.simulated ? 'warning' : 'success';
+        } else if (consent && consent.verifying) {
+            message = I18n.t('consent.verifying');
+        } else if (consent && consent.recorder) {
+            message = I18n.t('consent.recording');
+        } else if (consent && consent.error) {
+            // A mismatch answers with what the recognizer heard
+            const heard = consent.error instanceof ApiHttpError && typeof consent.error.data === 'string' ? consent.error.data : null;
+            message = heard !== null 
+                ? I18n.t('consent.mismatch', { heard: heard || '…' }) 
+                : I18n.t('consent.error', { error: consent.error.message });
+            type = 'error';
+        } else if (consent) {
+            message = I18n.t('consent.readPhrase');
+        }
+        
+        status.textContent = message;
+        status.className = `status status-${type}`;
+    }
+    
+    // ID of the verified consent that goes with the next new profile
+    getConsentId() {
+        return this.consent && this.consent.record ? this.consent.record.id : null;
+    }
+    
+    // Name and language for a new profile, or the existing profile picked in #targetProfile;
+    // null (with an error shown) when neither is usable
+    getUploadTarget() {
+        const targetSelect = document.getElementById('targetProfile');
+        const targetProfileId = targetSelect ? targetSelect.value : '';
+        
+        if (targetProfileId) {
+            const profile = this.profiles.find(p => p.id === targetProfileId);
+            if (!profile) {
+                this.showStatus('recordStatus', I18n.t('record.targetMissing'), 'error');
+                return null;
+            }
+            return { profileName: profile.name, language: profile.language, targetProfileId };
+        }
+        
+        const profileName = document.getElementById('profileName').value.trim();
+        if (!profileName) {
+            this.showStatus('recordStatus', I18n.t('record.nameRequired'), 'error');
+            return null;
+        }
+        if (!this.getConsentId()) {
+            this.showStatus('recordStatus', I18n.t('consent.required'), 'error');
+            return null;
+        }
+        return { profileName, language: document.getElementById('recordLanguage').value, targetProfileId: null };
+    }
+    
+    renderTargetProfileOptions() {
+        const targetSelect = document.getElementById('targetProfile');
+        if (!targetSelect) return;
+        
+        const selected = targetSelect.value;
+        targetSelect.innerHTML = `<option value="">${I18n.t('record.newProfile')}</option>` + this.profiles.map(profile => 
+            `<option value="${profile.id}">${I18n.t('record.addTo', { name: this.escapeHtml(profile.name), language: profile.language })}</option>`
+        ).join('');
+        targetSelect.value = this.profiles.some(p => p.id === selected) ? selected : '';
+        this.updateUploadTarget();
+    }
+    
+    // Name and language come from the existing profile when adding to it
+    updateUploadTarget() {
+        const targetSelect = document.getElementById('targetProfile');
+        const existing = Boolean(targetSelect && targetSelect.value);
+        document.getElementById('newProfileFields').classList.toggle('hidden', existing);
+    }
+    
+    async startRecording() {
+        const target = this.getUploadTarget();
+        const duration = parseInt(document.getElementById('duration').value);
+        
+        if (!target) return;
+        const { profileName, language, targetProfileId } = target;
+        
+        // An unsent take waiting in the editor goes back to the recovery list
+        if (this.pendingUpload) {
+            await this.cancelAudioEditor();
+        }
+        
+        try {
+            const stream = await this.requestMicrophone();
+            
             this.mediaRecorder = new MediaRecorder(stream, {
-                mimeType: 'audio/webm;codecs=opus'
+                mimeType: 'audio/webm;codecs=opus',
+                audioBitsPerSecond: this.getAudioQuality().recordBitrate
             });
             
             this.audioChunks = [];
             this.recordingStartTime = Date.now();
+            this.pausedAt = null;
+            this.pausedDuration = 0;
+            this.isPaused = false;
             this.isRecording = true;
             
+            // Every chunk is mirrored to IndexedDB so the take survives a crash or reload
+            this.recordingSession = {
+                id: `rec_${Date.now()}`,
+                accountId: this.auth.account.id,
+                profileName,
+                language,
+                targetProfileId,
+                durationMinutes: duration,
+                mimeType: 'audio/webm',
+                startedAt: Date.now(),
+                elapsedMs: 0,
+                chunkCount: 0
+            };
+            this.storage.saveRecordingSession(this.recordingSession)
+                .catch(error => console.error('Recording session save error:', error));
+            
             // UI updates
             document.getElementById('startRecord').classList.add('hidden');
             document.getElementById('stopRecord').classList.remove('hidden');
-            this.showStatus('recordStatus', 'در حال ضبط...', 'info');
+            document.getElementById('pauseRecord').classList.remove('hidden');
+            this.showStatus('recordStatus', I18n.t('record.recording'), 'info');
             
             // Start recording
             this.mediaRecorder.start(1000); // Collect data every second
@@ -108,6 +689,7 @@ class VoiceCloneApp {
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
                     this.audioChunks.push(event.data);
+                    this.persistRecordingChunk(event.data);
                 }
                 this.updateRecordingProgress();
             };
@@ -115,142 +697,794 @@ class VoiceCloneApp {
             // Handle recording stop
             this.mediaRecorder.onstop = async () => {
                 const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
-                await this.uploadRecording(audioBlob, profileName, language);
+                const quality = this.qualityAnalyzer ? this.qualityAnalyzer.getReport() : null;
+                const session = this.recordingSession;
                 
-                // Clean up
+                // Clean up (also ends the volume/quality monitoring loop)
+                clearInterval(this.recordingTimer);
                 stream.getTracks().forEach(track => track.stop());
                 this.isRecording = false;
+                this.isPaused = false;
+                this.recordingSession = null;
                 
                 // UI updates
                 document.getElementById('startRecord').classList.remove('hidden');
                 document.getElementById('stopRecord').classList.add('hidden');
+                document.getElementById('pauseRecord').classList.add('hidden');
+                document.getElementById('resumeRecord').classList.add('hidden');
+                
+                // Reject unusable takes before spending time on editing and upload
+                if (quality && quality.score < this.getMinQualityScore()) {
+                    this.showStatus('recordStatus', 
+                        I18n.t('record.qualityTooLow', { score: quality.score, problems: this.describeQualityProblems(quality) }), 
+                        'error'
+                    );
+                    await this.discardRecordingSession(session.id);
+                } else {
+                    await this.openAudioEditor(audioBlob, {
+                        source: 'recording',
+                        profileName,
+                        language,
+                        targetProfileId,
+                        quality,
+                        fingerprint: session.id,
+                        sessionId: session.id
+                    });
+                }
             };
             
-            // Auto-stop after duration
-            setTimeout(() => {
-                if (this.isRecording) {
+            // Auto-stop once the recorded (unpaused) time reaches the duration
+            this.recordingTimer = setInterval(() => {
+                this.updateRecordingProgress();
+                if (this.getRecordingElapsed() >= duration * 60 * 1000) {
                     this.stopRecording();
                 }
-            }, duration * 60 * 1000);
+            }, 1000);
             
             // Start volume monitoring
             this.startVolumeMonitoring(stream);
-            
+        
         } catch (error) {
             console.error('Recording error:', error);
-            this.showStatus('recordStatus', 'خطا در دسترسی به میکروفون: ' + error.message, 'error');
+            this.showStatus('recordStatus', I18n.t('record.microphoneError', { error: error.message }), 'error');
         }
     }
     
+    async requestMicrophone() {
+        return await navigator.mediaDevices.getUserMedia({ 
+            audio: {
+                sampleRate: this.getAudioQuality().sampleRate,
+                channelCount: 1,
+                echoCancellation: true,
+                noiseSuppression: true
+            }
+        });
+    }
+    
     stopRecording() {
         if (this.mediaRecorder && this.isRecording) {
+            clearInterval(this.recordingTimer);
+            if (this.isPaused) {
+                this.pausedDuration += Date.now() - this.pausedAt;
+                this.isPaused = false;
+            }
             this.mediaRecorder.stop();
-            this.showStatus('recordStatus', 'در حال پردازش...', 'info');
+            this.showStatus('recordStatus', I18n.t('record.processing'), 'info');
         }
     }
     
-    startVolumeMonitoring(stream) {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const analyser = audioContext.createAnalyser();
-        const microphone = audioContext.createMediaStreamSource(stream);
-        const dataArray = new Uint8Array(analyser.frequencyBinCount);
-        
-        microphone.connect(analyser);
-        analyser.fftSize = 256;
+    pauseRecording(reason = null) {
+        if (!this.mediaRecorder || !this.isRecording || this.isPaused) return;
         
-        const updateVolume = () => {
-            if (!this.isRecording) return;
-            
-            analyser.getByteFrequencyData(dataArray);
-            const average = dataArray.reduce((a, b) => a + b) / dataArray.length;
-            const volume = (average / 255) * 100;
-            
-            document.getElementById('volumeLevel').style.width = volume + '%';
-            
-            requestAnimationFrame(updateVolume);
-        };
+        this.mediaRecorder.pause();
+        this.isPaused = true;
+        this.pausedAt = Date.now();
         
-        updateVolume();
+        document.getElementById('pauseRecord').classList.add('hidden');
+        document.getElementById('resumeRecord').classList.remove('hidden');
+        this.showStatus('recordStatus', reason || I18n.t('record.paused'), 'warning');
     }
     
-    updateRecordingProgress() {
-        if (!this.recordingStartTime) return;
+    resumeRecording() {
+        if (!this.mediaRecorder || !this.isPaused) return;
         
-        const elapsed = Date.now() - this.recordingStartTime;
-        const duration = parseInt(document.getElementById('duration').value) * 60 * 1000;
-        const progress = Math.min((elapsed / duration) * 100, 100);
+        this.pausedDuration += Date.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.isPaused = false;
+        this.mediaRecorder.resume();
         
-        document.getElementById('recordProgress').style.width = progress + '%';
+        if (this.qualityAnalyzer) {
+            this.qualityAnalyzer.markDiscontinuity();
+        }
+        
+        document.getElementById('pauseRecord').classList.remove('hidden');
+        document.getElementById('resumeRecord').classList.add('hidden');
+        this.showStatus('recordStatus', I18n.t('record.recording'), 'info');
     }
     
-    async uploadRecording(audioBlob, profileName, language) {
-        const formData = new FormData();
-        formData.append('audio', audioBlob, 'recording.webm');
-        formData.append('profileName', profileName);
-        formData.append('language', language);
+    // Recorded time, excluding pauses
+    getRecordingElapsed() {
+        if (!this.recordingStartTime) return 0;
+        
+        const currentPause = this.isPaused ? Date.now() - this.pausedAt : 0;
+        return Date.now() - this.recordingStartTime - this.pausedDuration - currentPause;
+    }
+    
+    persistRecordingChunk(data) {
+        const session = this.recordingSession;
+        if (!session) return;
+        
+        const index = session.chunkCount++;
+        session.elapsedMs = this.getRecordingElapsed();
         
+        this.storage.addRecordingChunk(session.id, index, data)
+            .then(() => this.storage.saveRecordingSession(session))
+            .catch(error => console.error('Recording chunk save error:', error));
+    }
+    
+    async discardRecordingSession(sessionId) {
         try {
-            const response = await fetch(`${this.apiBase}/profiles/upload`, {
-                method: 'POST',
-                body: formData
-            });
-            
-            const result = await response.json();
-            
-            if (result.success) {
-                this.showStatus('recordStatus', 'پروفایل صوتی با موفقیت ایجاد شد!', 'success');
-                await this.loadProfiles();
-                document.getElementById('recordProgress').style.width = '100%';
-            } else {
-                this.showStatus('recordStatus', 'خطا در ایجاد پروفایل: ' + result.error, 'error');
-            }
+            await this.storage.deleteRecordingSession(sessionId);
         } catch (error) {
-            console.error('Upload error:', error);
-            this.showStatus('recordStatus', 'خطا در آپلود: ' + error.message, 'error');
+            console.error('Recording session delete error:', error);
         }
     }
     
-    async uploadAudioFile() {
-        const fileInput = document.getElementById('audioFile');
-        const profileName = document.getElementById('profileName').value.trim();
-        const language = document.getElementById('recordLanguage').value;
+    // Offer recordings that were interrupted by a crash, reload or failed upload
+    async checkUnfinishedRecordings() {
+        const panel = document.getElementById('recoveryPanel');
+        if (!panel) return;
         
-        if (!fileInput.files[0]) {
-            this.showStatus('recordStatus', 'لطفاً فایل صوتی را انتخاب کنید', 'error');
-            return;
+        let sessions = [];
+        try {
+            sessions = await this.storage.getRecordingSessions();
+        } catch (error) {
+            console.error('Recording recovery error:', error);
         }
         
-        if (!profileName) {
-            this.showStatus('recordStatus', 'لطفاً نام پروفایل را وارد کنید', 'error');
+        // Takes of other accounts that used this browser stay hidden
+        const accountId = this.auth ? this.auth.account.id : null;
+        sessions = sessions.filter(session => session.chunkCount > 0 && session.accountId === accountId);
+        
+        if (sessions.length === 0) {
+            panel.classList.add('hidden');
             return;
         }
         
-        const formData = new FormData();
-        formData.append('audio', fileInput.files[0]);
-        formData.append('profileName', profileName);
-        formData.append('language', language);
-        
-        try {
-            this.showStatus('recordStatus', 'در حال آپلود...', 'info');
-            
-            const response = await fetch(`${this.apiBase}/profiles/upload`, {
-                method: 'POST',
-                body: formData
-            });
+        document.getElementById('recoveryList').innerHTML = sessions.map(session => `
+            <div class="profile-item">
+                <div class="profile-info">
+                    <h4>${this.escapeHtml(session.profileName)}</h4>
+                    <small>
+                        ${I18n.t('common.languageInfo', { language: session.language })} | 
+                        ${I18n.t('common.durationSeconds', { seconds: Math.round(session.elapsedMs / 1000) })} | 
+                        ${I18n.t('common.dateInfo', { date: I18n.formatDateTime(session.startedAt) })}
+                    </small>
+                </div>
+                <div class="profile-actions">
+                    <button class="btn btn-success" onclick="app.recoverRecording('${session.id}')">
+                        <i class="fas fa-cloud-upload-alt"></i> ${I18n.t('recovery.upload')}
+                    </button>
+                    <button class="btn btn-secondary" onclick="app.downloadRecoveredRecording('${session.id}')">
+                        <i class="fas fa-download"></i>
+                    </button>
+                    <button class="btn btn-danger" onclick="app.deleteRecoveredRecording('${session.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+        
+        panel.classList.remove('hidden');
+    }
+    
+    async loadRecoveredRecording(sessionId) {
+        const sessions = await this.storage.getRecordingSessions();
+        const session = sessions.find(s => s.id === sessionId && this.auth && s.accountId === this.auth.account.id);
+        if (!session) return null;
+        
+        const chunks = await this.storage.getRecordingChunks(sessionId);
+        return { session, blob: new Blob(chunks, { type: session.mimeType }) };
+    }
+    
+    async recoverRecording(sessionId) {
+        const recovered = await this.loadRecoveredRecording(sessionId);
+        if (!recovered) return;
+        
+        const { session, blob } = recovered;
+        if (await this.uploadRecording(blob, session.profileName, session.language, null, sessionId, session.targetProfileId)) {
+            await this.discardRecordingSession(sessionId);
+            await this.checkUnfinishedRecordings();
+        }
+    }
+    
+    async downloadRecoveredRecording(sessionId) {
+        const recovered = await this.loadRecoveredRecording(sessionId);
+        if (!recovered) return;
+        
+        AudioUtils.downloadBlob(recovered.blob, AudioUtils.buildFileName(recovered.session.profileName, 'webm', new Date(recovered.session.startedAt)));
+    }
+    
+    async deleteRecoveredRecording(sessionId) {
+        if (!confirm(I18n.t('recovery.confirmDelete'))) {
+            return;
+        }
+        
+        await this.discardRecordingSession(sessionId);
+        await this.checkUnfinishedRecordings();
+    }
+    
+    startVolumeMonitoring(stream) {
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const analyser = audioContext.createAnalyser();
+        const microphone = audioContext.createMediaStreamSource(stream);
+        
+        analyser.fftSize = 2048;
+        microphone.connect(analyser);
+        
+        const dataArray = new Uint8Array(analyser.frequencyBinCount);
+        const qualityAnalyzer = new RecordingQualityAnalyzer(analyser);
+        let shownWarnings = null;
+        
+        this.qualityAnalyzer = qualityAnalyzer;
+        
+        const updateVolume = () => {
+            if (!this.isRecording) {
+                audioContext.close();
+                return;
+            }
+            
+            analyser.getByteFrequencyData(dataArray);
+            const average = dataArray.reduce((a, b) => a + b) / dataArray.length;
+            const volume = (average / 255) * 100;
             
-            const result = await response.json();
+            document.getElementById('volumeLevel').style.width = volume + '%';
             
-            if (result.success) {
-                this.showStatus('recordStatus', 'فایل با موفقیت آپلود شد!', 'success');
-                await this.loadProfiles();
-                fileInput.value = '';
-            } else {
-                this.showStatus('recordStatus', 'خطا در آپلود: ' + result.error, 'error');
+            // Paused audio is not part of the take; pauseRecording() owns the status then
+            if (this.isPaused) {
+                requestAnimationFrame(updateVolume);
+                return;
+            }
+            
+            // Only touch recordStatus when the set of warnings changes
+            qualityAnalyzer.analyze();
+            const warnings = qualityAnalyzer.getWarnings();
+            if (warnings.join() !== shownWarnings) {
+                shownWarnings = warnings.join();
+                this.showRecordingWarnings(warnings);
+            }
+            
+            requestAnimationFrame(updateVolume);
+        };
+        
+        updateVolume();
+    }
+    
+    showRecordingWarnings(warnings) {
+        if (warnings.length === 0) {
+            this.showStatus('recordStatus', I18n.t('record.recording'), 'info');
+        } else {
+            this.showStatus('recordStatus', warnings.map(w => I18n.t('quality.warning.' + w)).join(' | '), 'warning');
+        }
+    }
+    
+    describeQualityProblems(report) {
+        const problems = [];
+        
+        if (report.clippedFrameRatio > 0.01) problems.push(I18n.t('quality.problem.clipping'));
+        if (report.snrDb === null || report.snrDb < 15) problems.push(I18n.t('quality.problem.noise'));
+        if (report.peakDb < -20) problems.push(I18n.t('quality.problem.quiet'));
+        if (report.speechRatio < 0.4) problems.push(I18n.t('quality.problem.silence'));
+        
+        return I18n.list(problems) || I18n.t('quality.problem.unknown');
+    }
+    
+    getMinQualityScore() {
+        return this.serverInfo && this.serverInfo.minQualityScore !== undefined
+            ? this.serverInfo.minQualityScore
+            : RecordingQualityAnalyzer.MIN_SCORE;
+    }
+    
+    updateRecordingProgress() {
+        if (!this.recordingStartTime) return;
+        
+        const elapsed = this.getRecordingElapsed();
+        const duration = parseInt(document.getElementById('duration').value) * 60 * 1000;
+        const progress = Math.min((elapsed / duration) * 100, 100);
+        
+        document.getElementById('recordProgress').style.width = progress + '%';
+    }
+    
+    async uploadRecording(audioBlob, profileName, language, quality = null, fingerprint = null, targetProfileId = null) {
+        const metadata = { profileName, language };
+        if (targetProfileId) {
+            metadata.targetProfileId = targetProfileId;
+        } else if (this.getConsentId()) {
+            metadata.consentId = this.getConsentId();
+        }
+        
+        if (quality) {
+            metadata.qualityScore = quality.score;
+            metadata.qualityReport = JSON.stringify(quality);
+        }
+        
+        try {
+            const extension = audioBlob.type === 'audio/wav' ? 'wav' : 'webm';
+            const file = audioBlob instanceof File ? audioBlob : new File([audioBlob], `recording.${extension}`, { type: audioBlob.type });
+            await this.uploadWithProgress(file, metadata, fingerprint);
+            
+            const scoreText = quality ? ' ' + I18n.t('record.qualityScore', { score: quality.score }) : '';
+            const message = targetProfileId 
+                ? I18n.t('record.addedToProfile', { name: profileName }) 
+                : I18n.t('record.profileCreated');
+            this.showStatus('recordStatus', message + scoreText, 'success');
+            if (!targetProfileId) {
+                this.resetConsent();
+            }
+            await this.loadProfiles();
+            return true;
+        } catch (error) {
+            console.error('Upload error:', error);
+            const key = targetProfileId ? 'record.addError' : 'record.createError';
+            this.showStatus('recordStatus', I18n.t(key, { error: error.message }), 'error');
+        }
+        
+        return false;
+    }
+    
+    async uploadAudioFile() {
+        const fileInput = document.getElementById('audioFile');
+        
+        if (!fileInput.files[0]) {
+            this.showStatus('recordStatus', I18n.t('upload.fileRequired'), 'error');
+            return;
+        }
+        
+        const target = this.getUploadTarget();
+        if (!target) return;
+        const { profileName, language, targetProfileId } = target;
+        
+        const file = fileInput.files[0];
+        let prepared;
+        
+        try {
+            this.showFileReport(I18n.t('upload.checking'));
+            prepared = await this.prepareAudioFile(file);
+        } catch (error) {
+            this.showFileReport(I18n.t('upload.rejected', { name: file.name, error: error.message }), [], 'error');
+            return;
+        }
+        
+        const summary = I18n.t('upload.valid', { name: file.name, seconds: Math.round(prepared.duration) });
+        if (prepared.changes.length > 0) {
+            this.showFileReport(summary + ' ' + I18n.t('upload.changes'), prepared.changes, 'success');
+        } else {
+            this.showFileReport(summary + ' ' + I18n.t('upload.noChanges'), [], 'success');
+        }
+        
+        await this.openAudioEditor(prepared.blob, {
+            source: 'file',
+            profileName,
+            language,
+            targetProfileId,
+            quality: null,
+            fingerprint: null,
+            sessionId: null
+        }, prepared.buffer);
+    }
+    
+    // Decode a selected file, reject what the server cannot train on and convert the rest
+    // to the mono 22050 Hz WAV the recorder produces
+    async prepareAudioFile(file) {
+        const arrayBuffer = await file.arrayBuffer();
+        const format = AudioUtils.sniffFormat(arrayBuffer);
+        const changes = [];
+        
+        let decoded;
+        try {
+            // decodeAudioData detaches its input, so hand it a copy
+            decoded = await AudioUtils.decode(arrayBuffer.slice(0));
+        } catch (error) {
+            console.error('Audio decode error:', error);
+            throw new Error(I18n.t('upload.unsupported'));
+        }
+        
+        const minDuration = this.getMinAudioDuration();
+        if (decoded.duration < minDuration) {
+            throw new Error(I18n.t('upload.tooShort', { seconds: Number(decoded.duration.toFixed(1)), minimum: minDuration }));
+        }
+        
+        if (!AudioUtils.findSoundBounds(decoded)) {
+            throw new Error(I18n.t('upload.silent'));
+        }
+        
+        if (decoded.numberOfChannels > 1) {
+            changes.push(I18n.t('upload.mono', { channels: decoded.numberOfChannels }));
+        }
+        
+        if (!format.sampleRate) {
+            changes.push(I18n.t('upload.sampleRate', { rate: AudioUtils.DEFAULT_SAMPLE_RATE }));
+        } else if (format.sampleRate !== AudioUtils.DEFAULT_SAMPLE_RATE) {
+            changes.push(I18n.t('upload.sampleRateFrom', { from: format.sampleRate, rate: AudioUtils.DEFAULT_SAMPLE_RATE }));
+        }
+        
+        if (format.container !== 'wav' || format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+            const source = format.container === 'unknown' ? (file.type || I18n.t('upload.unknownFormat')) : format.container.toUpperCase();
+            changes.push(I18n.t('upload.toWav', { format: source }));
+        }
+        
+        const buffer = AudioUtils.downmixToMono(decoded);
+        
+        return {
+            buffer,
+            blob: AudioUtils.encodeWav(buffer),
+            duration: decoded.duration,
+            changes
+        };
+    }
+    
+    showFileReport(message, items = [], type = 'info') {
+        const report = document.getElementById('fileReport');
+        
+        report.className = `status status-${type}`;
+        report.innerHTML = `
+            <div>${this.escapeHtml(message)}</div>
+            ${items.length > 0 ? `<ul>${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+        `;
+    }
+    
+    getMinAudioDuration() {
+        return this.serverInfo && this.serverInfo.minAudioDuration !== undefined
+            ? this.serverInfo.minAudioDuration
+            : 10;
+    }
+    
+    // Chunked, resumable upload with byte-level progress in recordProgress
+    async uploadWithProgress(file, metadata, fingerprint = null) {
+        const progressFill = document.getElementById('recordProgress');
+        const toMb = (bytes) => Number((bytes / (1024 * 1024)).toFixed(1));
+        
+        const upload = new ResumableUpload(file, {
+            endpoint: this.api.url('/profiles/uploads'),
+            headers: this.api.resolveHeaders(),
+            metadata,
+            fingerprint,
+            onProgress: (sent, total) => {
+                const percent = total ? Math.round((sent / total) * 100) : 100;
+                progressFill.style.width = percent + '%';
+                this.showStatus('recordStatus', I18n.t('upload.progress', { percent, sent: toMb(sent), total: toMb(total) }), 'info');
+            },
+            onRetry: (attempt, delay) => {
+                this.showStatus('recordStatus', 
+                    I18n.t('upload.retrying', { attempt, seconds: Math.round(delay / 1000) }), 
+                    'warning'
+                );
+            }
+        });
+        
+        return await upload.start();
+    }
+    
+    // Pre-upload Audio Editor
+    async openAudioEditor(blob, pending, buffer = null) {
+        try {
+            if (!buffer) {
+                buffer = await AudioUtils.decode(await blob.arrayBuffer());
+            }
+        } catch (error) {
+            // Nothing to edit, but the audio may still be usable by the server
+            console.error('Audio decode error:', error);
+            this.showStatus('recordStatus', I18n.t('editor.notEditable'), 'warning');
+            this.pendingUpload = { ...pending, blob, editable: false };
+            await this.uploadEditedAudio();
+            return;
+        }
+        
+        if (!this.audioEditor) {
+            this.audioEditor = new WaveformEditor(
+                document.getElementById('waveformCanvas'), 
+                this.updateAudioEditorControls.bind(this)
+            );
+        }
+        
+        this.pendingUpload = { ...pending, blob, editable: true };
+        document.getElementById('audioEditor').classList.remove('hidden');
+        this.audioEditor.load(buffer);
+        this.showStatus('recordStatus', I18n.t('editor.hint'), 'info');
+    }
+    
+    updateAudioEditorControls() {
+        const editor = this.audioEditor;
+        const formatTime = (seconds) => Number(seconds.toFixed(1));
+        
+        let info = I18n.t('common.durationSeconds', { seconds: formatTime(editor.duration) });
+        if (editor.hasSelection()) {
+            info += ' | ' + I18n.t('editor.selection', { start: formatTime(editor.selection.start), end: formatTime(editor.selection.end) });
+        }
+        document.getElementById('editorInfo').textContent = info;
+        
+        document.getElementById('editorCutBtn').disabled = !editor.hasSelection();
+        document.getElementById('editorCropBtn').disabled = !editor.hasSelection();
+        document.getElementById('editorUndoBtn').disabled = !editor.isEdited();
+        document.getElementById('editorPlayBtn').classList.toggle('hidden', editor.isPlaying());
+        document.getElementById('editorStopBtn').classList.toggle('hidden', !editor.isPlaying());
+    }
+    
+    editorPlay() {
+        this.audioEditor.play();
+    }
+    
+    editorStop() {
+        this.audioEditor.stop();
+    }
+    
+    editorCut() {
+        this.audioEditor.cutSelection();
+    }
+    
+    editorCrop() {
+        this.audioEditor.cropToSelection();
+    }
+    
+    editorTrimSilence() {
+        if (!this.audioEditor.trimSilence()) {
+            this.showStatus('recordStatus', I18n.t('editor.allSilent'), 'warning');
+        }
+    }
+    
+    editorNormalize() {
+        this.audioEditor.normalize();
+    }
+    
+    editorUndo() {
+        this.audioEditor.undo();
+    }
+    
+    async uploadEditedAudio() {
+        const pending = this.pendingUpload;
+        if (!pending) return;
+        
+        const edited = pending.editable && this.audioEditor.isEdited();
+        const blob = edited ? AudioUtils.encodeWav(this.audioEditor.buffer) : pending.blob;
+        // Resuming by recording session is only safe while the bytes are the original take
+        const fingerprint = edited ? null : pending.fingerprint;
+        
+        if (this.audioEditor) {
+            this.audioEditor.stop();
+        }
+        
+        if (await this.uploadRecording(blob, pending.profileName, pending.language, pending.quality, fingerprint, pending.targetProfileId)) {
+            if (pending.sessionId) {
+                await this.discardRecordingSession(pending.sessionId);
+            }
+            if (pending.source === 'file') {
+                document.getElementById('audioFile').value = '';
+                document.getElementById('fileReport').classList.add('hidden');
+            }
+            this.closeAudioEditor();
+        }
+        // A failed upload keeps the persisted chunks so the take can be recovered later
+    }
+    
+    async cancelAudioEditor() {
+        const pending = this.pendingUpload;
+        this.closeAudioEditor();
+        
+        // The take stays in IndexedDB and is offered again in the recovery list
+        if (pending && pending.sessionId) {
+            await this.checkUnfinishedRecordings();
+        }
+    }
+    
+    closeAudioEditor() {
+        if (this.audioEditor) {
+            this.audioEditor.stop();
+        }
+        this.pendingUpload = null;
+        document.getElementById('audioEditor').classList.add('hidden');
+    }
+    
+    // Guided Enrollment
+    startGuidedEnrollment() {
+        const target = this.getUploadTarget();
+        if (!target) return;
+        const { profileName, language, targetProfileId } = target;
+        
+        const prompts = ENROLLMENT_PROMPTS[language];
+        if (!prompts) {
+            this.showStatus('recordStatus', I18n.t('enrollment.noPrompts'), 'error');
+            return;
+        }
+        
+        this.enrollment = {
+            profileName,
+            language,
+            targetProfileId,
+            prompts,
+            segments: prompts.map(() => null),
+            quality: prompts.map(() => null),
+            activeIndex: null,
+            recorder: null,
+            stream: null
+        };
+        
+        document.getElementById('freeRecordControls').classList.add('hidden');
+        document.getElementById('guidedEnrollment').classList.remove('hidden');
+        this.renderEnrollmentPrompts();
+        this.showStatus('recordStatus', I18n.t('enrollment.hint'), 'info');
+    }
+    
+    renderEnrollmentPrompts() {
+        const container = document.getElementById('enrollmentPrompts');
+        const { prompts, segments, quality, activeIndex } = this.enrollment;
+        const busy = activeIndex !== null;
+        const minScore = this.getMinQualityScore();
+        const segmentStatus = (index) => {
+            if (!segments[index]) return I18n.t('enrollment.notRecorded');
+            if (!quality[index]) return '✔ ' + I18n.t('enrollment.recorded');
+            return quality[index].score < minScore
+                ? '⚠ ' + I18n.t('enrollment.lowQuality', { score: quality[index].score, problems: this.describeQualityProblems(quality[index]) })
+                : '✔ ' + I18n.t('enrollment.recordedWithScore', { score: quality[index].score });
+        };
+        
+        container.innerHTML = prompts.map((prompt, index) => `
+            <div class="profile-item enrollment-prompt ${index === activeIndex ? 'active' : ''}">
+                <div class="profile-info">
+                    <h4>${I18n.formatNumber(index + 1)}. ${this.escapeHtml(prompt)}</h4>
+                    <small>${segmentStatus(index)}</small>
+                </div>
+                <div class="profile-actions">
+                    ${index === activeIndex ? `
+                        <button class="btn btn-danger" onclick="app.stopEnrollmentSegment()">
+                            <i class="fas fa-stop"></i> ${I18n.t('common.stop')}
+                        </button>
+                    ` : `
+                        <button class="btn btn-primary" onclick="app.recordEnrollmentSegment(${index})" ${busy ? 'disabled' : ''}>
+                            <i class="fas fa-microphone"></i> ${I18n.t(segments[index] ? 'enrollment.rerecord' : 'enrollment.record')}
+                        </button>
+                        <button class="btn btn-secondary" onclick="app.playEnrollmentSegment(${index})" ${!segments[index] || busy ? 'disabled' : ''}>
+                            <i class="fas fa-play"></i>
+                        </button>
+                    `}
+                </div>
+            </div>
+        `).join('');
+        
+        const recorded = segments.filter(Boolean).length;
+        const lowQuality = quality.filter(q => q && q.score < minScore).length;
+        document.getElementById('enrollmentSummary').textContent = I18n.t('enrollment.summary', { recorded, total: segments.length }) +
+            (lowQuality ? ' — ' + I18n.t('enrollment.summaryLowQuality', { count: lowQuality }) : '');
+        document.getElementById('uploadEnrollmentBtn').disabled = busy || recorded < segments.length || lowQuality > 0;
+    }
+    
+    async recordEnrollmentSegment(index) {
+        const enrollment = this.enrollment;
+        if (!enrollment || enrollment.activeIndex !== null) return;
+        
+        try {
+            // Keep one microphone stream open for the whole session
+            if (!enrollment.stream) {
+                enrollment.stream = await this.requestMicrophone();
+            }
+            
+            const chunks = [];
+            const recorder = new MediaRecorder(enrollment.stream, {
+                mimeType: 'audio/webm;codecs=opus',
+                audioBitsPerSecond: this.getAudioQuality().recordBitrate
+            });
+            
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+            
+            recorder.onstop = () => {
+                enrollment.segments[index] = new Blob(chunks, { type: 'audio/webm' });
+                enrollment.quality[index] = this.qualityAnalyzer ? this.qualityAnalyzer.getReport() : null;
+                enrollment.activeIndex = null;
+                enrollment.recorder = null;
+                this.isRecording = false;
+                this.renderEnrollmentPrompts();
+            };
+            
+            enrollment.recorder = recorder;
+            enrollment.activeIndex = index;
+            this.isRecording = true;
+            
+            recorder.start();
+            this.startVolumeMonitoring(enrollment.stream);
+            this.renderEnrollmentPrompts();
+        
+        } catch (error) {
+            console.error('Recording error:', error);
+            this.showStatus('recordStatus', I18n.t('record.microphoneError', { error: error.message }), 'error');
+        }
+    }
+    
+    stopEnrollmentSegment() {
+        if (this.enrollment && this.enrollment.recorder) {
+            this.enrollment.recorder.stop();
+        }
+    }
+    
+    playEnrollmentSegment(index) {
+        const segment = this.enrollment && this.enrollment.segments[index];
+        if (!segment) return;
+        
+        const url = URL.createObjectURL(segment);
+        const audio = new Audio(url);
+        audio.onended = () => URL.revokeObjectURL(url);
+        audio.play();
+    }
+    
+    async uploadEnrollment() {
+        const enrollment = this.enrollment;
+        if (!enrollment || enrollment.segments.some(segment => !segment)) {
+            this.showStatus('recordStatus', I18n.t('enrollment.incomplete'), 'error');
+            return;
+        }
+        
+        const formData = new FormData();
+        enrollment.segments.forEach((segment, index) => {
+            formData.append('audio', segment, `segment_${String(index + 1).padStart(2, '0')}.webm`);
+        });
+        formData.append('profileName', enrollment.profileName);
+        formData.append('language', enrollment.language);
+        if (enrollment.targetProfileId) {
+            formData.append('targetProfileId', enrollment.targetProfileId);
+        } else if (this.getConsentId()) {
+            formData.append('consentId', this.getConsentId());
+        }
+        
+        const reports = enrollment.quality.filter(Boolean);
+        if (reports.length > 0) {
+            const averageScore = reports.reduce((sum, report) => sum + report.score, 0) / reports.length;
+            formData.append('qualityScore', Math.round(averageScore));
+            formData.append('qualityReport', JSON.stringify(enrollment.quality));
+        }
+        
+        const uploadBtn = document.getElementById('uploadEnrollmentBtn');
+        uploadBtn.disabled = true;
+        
+        try {
+            this.showStatus('recordStatus', I18n.t('common.uploading'), 'info');
+            
+            await this.api.uploadProfile(formData);
+            
+            const message = enrollment.targetProfileId 
+                ? I18n.t('record.addedToProfile', { name: enrollment.profileName }) 
+                : I18n.t('record.profileCreated');
+            this.showStatus('recordStatus', message, 'success');
+            if (!enrollment.targetProfileId) {
+                this.resetConsent();
             }
+            this.cancelGuidedEnrollment();
+            await this.loadProfiles();
         } catch (error) {
             console.error('Upload error:', error);
-            this.showStatus('recordStatus', 'خطا در آپلود: ' + error.message, 'error');
+            // The server refusing the profile reads differently from the upload itself failing
+            const key = error instanceof ApiError && error.status !== 0 ? 'record.createError' : 'upload.error';
+            this.showStatus('recordStatus', I18n.t(key, { error: error.message }), 'error');
+            uploadBtn.disabled = false;
+        }
+    }
+    
+    cancelGuidedEnrollment() {
+        if (this.enrollment) {
+            if (this.enrollment.recorder) {
+                this.enrollment.recorder.onstop = null;
+                this.enrollment.recorder.stop();
+            }
+            if (this.enrollment.stream) {
+                this.enrollment.stream.getTracks().forEach(track => track.stop());
+            }
+            this.enrollment = null;
         }
+        
+        this.isRecording = false;
+        document.getElementById('guidedEnrollment').classList.add('hidden');
+        document.getElementById('freeRecordControls').classList.remove('hidden');
     }
     
     // Text-to-Speech Functions
@@ -261,7 +1495,7 @@ class VoiceCloneApp {
         if (!inputText || !charCount) return;
         
         const count = inputText.value.length;
-        charCount.textContent = `${count.toLocaleString('fa')} / 50,000 کاراکتر`;
+        charCount.textContent = I18n.t('tts.characterCount', { count, max: 50000 });
         
         // Update styling based on count
         charCount.className = 'character-count';
@@ -270,266 +1504,2419 @@ class VoiceCloneApp {
         } else if (count > 40000) {
             charCount.classList.add('warning');
         }
+        
+        // Spans only describe the text they were detected on
+        if (this.languageSpans && inputText.value !== this.languageSpans.text) {
+            this.clearLanguageSpans();
+        }
+        
+        this.scheduleMarkupPreview();
+        
+        if (this.isScriptMode()) {
+            this.scheduleSpeakerMapping();
+        }
     }
     
-    async detectLanguage() {
-        const text = document.getElementById('inputText').value.trim();
+    // SSML Markup
+    scheduleMarkupPreview() {
+        clearTimeout(this.markupPreviewTimer);
+        this.markupPreviewTimer = setTimeout(() => this.updateMarkupPreview(), 300);
+    }
+    
+    // Highlighted copy of the text with markup problems listed underneath; returns the errors
+    updateMarkupPreview() {
+        const text = document.getElementById('inputText').value;
+        const preview = document.getElementById('markupPreview');
+        
+        if (!SsmlMarkup.containsMarkup(text)) {
+            preview.classList.add('hidden');
+            return [];
+        }
+        
+        const supportedLanguages = this.serverInfo ? this.serverInfo.supportedLanguages : null;
+        const errors = SsmlMarkup.validate(text, supportedLanguages);
+        
+        document.getElementById('markupHighlight').innerHTML = SsmlMarkup.highlight(text, errors);
+        document.getElementById('markupErrors').innerHTML = errors.length === 0
+            ? `<li>${I18n.t('markup.valid')}</li>`
+            : errors.map(error => `<li>${this.escapeHtml(error.message)}</li>`).join('');
+        document.getElementById('markupErrors').className = errors.length === 0 ? 'status status-success' : 'status status-error';
+        
+        preview.classList.remove('hidden');
+        return errors;
+    }
+    
+    // Wrap the selected text (or insert at the cursor) with a markup snippet
+    insertMarkup(kind) {
+        const snippets = {
+            break: ['<break time="500ms"/>', ''],
+            emphasis: ['<emphasis level="strong">', '</emphasis>'],
+            slow: ['<prosody rate="slow">', '</prosody>'],
+            fast: ['<prosody rate="fast">', '</prosody>'],
+            emotion: [`<emotion name="${document.getElementById('emotion').value}">`, '</emotion>']
+        };
+        
+        const inputText = document.getElementById('inputText');
+        const [open, close] = snippets[kind];
+        const start = inputText.selectionStart;
+        const end = inputText.selectionEnd;
+        const selected = inputText.value.slice(start, end);
+        
+        inputText.setRangeText(open + selected + close, start, end, 'end');
+        inputText.focus();
+        this.updateCharacterCount();
+    }
+    
+    // Mixed-language Spans
+    setLanguageSpans(text, spans, language) {
+        // A single span is just the whole text in one language
+        this.languageSpans = spans.length > 1 ? { text, spans, language } : null;
+        this.selectedSpan = null;
+        this.renderLanguageSpans();
+    }
+    
+    clearLanguageSpans() {
+        this.setLanguageSpans('', [], null);
+    }
+    
+    renderLanguageSpans() {
+        const panel = document.getElementById('languageSpans');
+        
+        if (!this.languageSpans) {
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        const { text, spans } = this.languageSpans;
+        
+        document.getElementById('languageSpanText').innerHTML = spans.map((span, index) => `
+            <span class="language-span${index === this.selectedSpan ? ' selected' : ''}" 
+                  style="background: ${this.getLanguageColor(span.language)};" 
+                  title="${this.escapeHtml(this.getLanguageName(span.language))}" 
+                  onclick="app.selectLanguageSpan(${index})">${this.escapeHtml(text.slice(span.start, span.end))}</span>`
+        ).join('');
+        
+        const languages = [...new Set(spans.map(span => span.language))];
+        document.getElementById('languageLegend').innerHTML = languages.map(language => `
+            <span class="language-chip" style="background: ${this.getLanguageColor(language)};">
+                ${this.escapeHtml(this.getLanguageName(language))}
+            </span>
+        `).join('');
+        
+        const spanLanguage = document.getElementById('spanLanguage');
+        if (this.selectedSpan !== null) {
+            spanLanguage.innerHTML = Array.from(document.getElementById('textLanguage').options)
+                .filter(option => option.value !== 'auto')
+                .map(option => `<option value="${option.value}">${this.escapeHtml(option.textContent)}</option>`)
+                .join('');
+            spanLanguage.value = spans[this.selectedSpan].language;
+        }
+        document.getElementById('spanEditor').classList.toggle('hidden', this.selectedSpan === null);
+        
+        panel.classList.remove('hidden');
+    }
+    
+    selectLanguageSpan(index) {
+        this.selectedSpan = this.selectedSpan === index ? null : index;
+        this.renderLanguageSpans();
+    }
+    
+    changeSpanLanguage(language) {
+        if (!this.languageSpans || this.selectedSpan === null) return;
+        
+        const spans = this.languageSpans.spans;
+        spans[this.selectedSpan].language = language;
+        
+        // Neighbours that now share a language become one span
+        this.languageSpans.spans = spans.reduce((merged, span) => {
+            const last = merged[merged.length - 1];
+            if (last && last.language === span.language) {
+                last.end = span.end;
+            } else {
+                merged.push({ ...span });
+            }
+            return merged;
+        }, []);
+        
+        this.selectedSpan = null;
+        this.renderLanguageSpans();
+    }
+    
+    // Stable pastel color per language code
+    getLanguageColor(code) {
+        let hash = 0;
+        for (const char of code) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return `hsl(${hash}, 70%, 85%)`;
+    }
+    
+    // Wrap spans in another language than baseLanguage in <lang> markup. Only the text between
+    // existing tags is wrapped, so the added tags never cross user markup.
+    applyLanguageSpans(text, baseLanguage) {
+        const supported = this.serverInfo ? this.serverInfo.supportedLanguages : null;
+        
+        return this.languageSpans.spans.map(span => {
+            const part = text.slice(span.start, span.end);
+            if (span.language === baseLanguage || (supported && !supported.includes(span.language))) {
+                return part;
+            }
+            
+            return part.split(/(<[^>]*>)/).map(piece => {
+                if (piece.startsWith('<')) return piece;
+                return piece.replace(/^(\s*)([\s\S]*?)(\s*)$/, (match, before, content, after) => 
+                    content ? `${before}<lang xml:lang="${span.language}">${content}</lang>${after}` : match
+                );
+            }).join('');
+        }).join('');
+    }
+    
+    async detectLanguage() {
+        // Untrimmed, so span offsets match the text box
+        const text = document.getElementById('inputText').value;
+        
+        if (!text.trim()) {
+            this.showStatus('ttsStatus', I18n.t('tts.textRequired'), 'error');
+            return;
+        }
+        
+        try {
+            const detection = await this.api.detectLanguage(text);
+            const languageSelect = document.getElementById('textLanguage');
+            const detectedLang = detection.language;
+                
+            // Set detected language
+            languageSelect.value = detectedLang;
+            this.setLanguageSpans(text, detection.spans || [], detectedLang);
+                
+            const otherSpans = this.languageSpans 
+                ? this.languageSpans.spans.filter(span => span.language !== detectedLang).length 
+                : 0;
+            this.showStatus('ttsStatus',
+                I18n.t('tts.detected', { language: this.getLanguageName(detectedLang) }) + 
+                (otherSpans > 0 ? ' ' + I18n.t('tts.detectedOtherSpans', { count: otherSpans }) : ''),
+                'success'
+            );
+        } catch (error) {
+            console.error('Language detection error:', error);
+            this.showStatus('ttsStatus', I18n.t('tts.detectError', { error: error.message }), 'error');
+        }
+    }
+    
+    async generateSpeech() {
+        if (document.getElementById('scriptMode').checked) {
+            return this.generateScript();
+        }
+        
+        const rawText = document.getElementById('inputText').value;
+        const profileId = document.getElementById('voiceProfile').value;
+        const language = document.getElementById('textLanguage').value;
+        
+        // Detected language spans become <lang> markup; the base language is read as usual
+        const baseLanguage = language === 'auto' && this.languageSpans ? this.languageSpans.language : language;
+        const text = (this.languageSpans ? this.applyLanguageSpans(rawText, baseLanguage) : rawText).trim();
+        const speed = parseFloat(document.getElementById('speed').value);
+        const pitch = parseFloat(document.getElementById('pitch').value);
+        const emotion = document.getElementById('emotion').value;
+        
+        // Validation
+        if (!text) {
+            this.showStatus('ttsStatus', I18n.t('tts.textRequired'), 'error');
+            return;
+        }
+        
+        if (!profileId) {
+            this.showStatus('ttsStatus', I18n.t('tts.profileRequired'), 'error');
+            return;
+        }
+        
+        if (text.length > 50000) {
+            this.showStatus('ttsStatus', I18n.t('tts.textTooLong', { max: 50000 }), 'error');
+            return;
+        }
+        
+        const markupErrors = this.updateMarkupPreview();
+        if (markupErrors.length > 0) {
+            this.showStatus('ttsStatus', I18n.t('markup.invalid', { error: markupErrors[0].message }), 'error');
+            return;
+        }
+        
+        const params = { text, profileId, language, speed, pitch, emotion };
+        
+        // Without the server the request waits in the queue instead of failing
+        if (this.offline) {
+            await this.queueSynthesis(params);
+            return;
+        }
+        
+        await this.runSynthesis(async () => {
+            const { chunkUrls, buffers, tags } = await this.streamSynthesis(
+                params,
+                (chunk, total) => this.updateStreamProgress(chunk, total)
+            );
+            
+            this.lastSynthesis = { chunkUrls, buffers, tags, profileId };
+            await this.showStitchedResult();
+            
+            if (this.lastSynthesis.blob) {
+                await this.saveHistoryEntry({
+                    text,
+                    profileId,
+                    profileName: this.getProfileName(profileId),
+                    language,
+                    speed,
+                    pitch,
+                    emotion,
+                    characterCount: text.length,
+                    timestamp: Date.now(),
+                    audio: this.lastSynthesis.blob
+                }).catch(error => console.error('History save error:', error));
+            }
+            
+            this.showStatus('ttsStatus', 
+                I18n.t('tts.done', { characters: text.length, chunks: chunkUrls.length }), 
+                'success'
+            );
+        }, params);
+    }
+    
+    // Script Mode
+    isScriptMode() {
+        const scriptMode = document.getElementById('scriptMode');
+        return scriptMode ? scriptMode.checked : false;
+    }
+    
+    toggleScriptMode() {
+        const enabled = this.isScriptMode();
+        
+        document.getElementById('voiceProfileGroup').classList.toggle('hidden', enabled);
+        document.getElementById('scriptSpeakers').classList.toggle('hidden', !enabled);
+        
+        // Lines of a conversation need a pause between them
+        const chunkGap = document.getElementById('chunkGap');
+        if (enabled && !parseInt(chunkGap.value)) {
+            chunkGap.value = 400;
+        }
+        
+        this.renderSpeakerMapping();
+    }
+    
+    // "[Speaker]: text" lines; untagged lines continue the previous line
+    parseScript(text) {
+        const lines = [];
+        const untagged = [];
+        
+        text.split('\n').forEach((raw, index) => {
+            if (!raw.trim()) return;
+            
+            const match = /^\s*\[([^\]]+)\]\s*:\s*(.*)$/.exec(raw);
+            if (match) {
+                lines.push({ speaker: match[1].trim(), text: match[2].trim(), lineNumber: index + 1 });
+            } else if (lines.length > 0) {
+                const last = lines[lines.length - 1];
+                last.text = (last.text + ' ' + raw.trim()).trim();
+            } else {
+                untagged.push(index + 1);
+            }
+        });
+        
+        return { lines: lines.filter(line => line.text), untagged };
+    }
+    
+    loadSpeakerSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('voiceCloneSpeakers')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    saveSpeakerSettings() {
+        localStorage.setItem('voiceCloneSpeakers', JSON.stringify(this.speakerSettings));
+    }
+    
+    // New speakers start from the form's current voice settings
+    getSpeakerSettings(speaker) {
+        if (!this.speakerSettings[speaker]) {
+            this.speakerSettings[speaker] = {
+                profileId: '',
+                speed: parseFloat(document.getElementById('speed').value),
+                pitch: parseFloat(document.getElementById('pitch').value),
+                emotion: document.getElementById('emotion').value
+            };
+        }
+        return this.speakerSettings[speaker];
+    }
+    
+    scheduleSpeakerMapping() {
+        clearTimeout(this.speakerMappingTimer);
+        this.speakerMappingTimer = setTimeout(() => this.renderSpeakerMapping(), 300);
+    }
+    
+    renderSpeakerMapping() {
+        const speakerList = document.getElementById('speakerList');
+        if (!speakerList || !this.isScriptMode()) return;
+        
+        const { lines } = this.parseScript(document.getElementById('inputText').value);
+        const counts = new Map();
+        lines.forEach(line => counts.set(line.speaker, (counts.get(line.speaker) || 0) + 1));
+        this.scriptSpeakers = Array.from(counts.keys());
+        
+        if (this.scriptSpeakers.length === 0) {
+            speakerList.innerHTML = `<p style="text-align: center; color: #6c757d;">${I18n.t('script.noLines')}</p>`;
+            return;
+        }
+        
+        const emotions = Array.from(document.getElementById('emotion').options);
+        
+        speakerList.innerHTML = this.scriptSpeakers.map((speaker, index) => {
+            const settings = this.getSpeakerSettings(speaker);
+            const profileOptions = this.profiles.map(profile => `
+                <option value="${profile.id}" ${profile.id === settings.profileId ? 'selected' : ''}>
+                    ${this.escapeHtml(profile.name)} (${profile.language})
+                </option>
+            `).join('');
+            const emotionOptions = emotions.map(option => `
+                <option value="${option.value}" ${option.value === settings.emotion ? 'selected' : ''}>${option.textContent}</option>
+            `).join('');
+            
+            return `
+                <div class="profile-item">
+                    <div class="profile-info">
+                        <h4>${this.escapeHtml(speaker)}</h4>
+                        <small>${I18n.t('script.lineCount', { count: counts.get(speaker) })}</small>
+                    </div>
+                    <div class="profile-actions speaker-settings">
+                        <select class="form-control" title="${I18n.t('common.profile')}" onchange="app.updateSpeaker(${index}, 'profileId', this.value)">
+                            <option value="">${I18n.t('common.chooseProfile')}</option>
+                            ${profileOptions}
+                        </select>
+                        <input type="number" class="form-control" title="${I18n.t('common.speedTitle')}" min="0.5" max="2" step="0.1" value="${settings.speed}" 
+                               onchange="app.updateSpeaker(${index}, 'speed', this.value)">
+                        <input type="number" class="form-control" title="${I18n.t('common.pitchTitle')}" min="0.5" max="2" step="0.1" value="${settings.pitch}" 
+                               onchange="app.updateSpeaker(${index}, 'pitch', this.value)">
+                        <select class="form-control" title="${I18n.t('common.emotionTitle')}" onchange="app.updateSpeaker(${index}, 'emotion', this.value)">
+                            ${emotionOptions}
+                        </select>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    updateSpeaker(index, field, value) {
+        const speaker = this.scriptSpeakers[index];
+        if (speaker === undefined) return;
+        
+        const settings = this.getSpeakerSettings(speaker);
+        if (field === 'speed' || field === 'pitch') {
+            const number = parseFloat(value);
+            settings[field] = isNaN(number) ? 1 : Math.min(Math.max(number, 0.5), 2);
+        } else {
+            settings[field] = value;
+        }
+        this.saveSpeakerSettings();
+    }
+    
+    // Synthesize each line with its speaker's voice, in order, into one conversation track
+    async generateScript() {
+        const text = document.getElementById('inputText').value;
+        const language = document.getElementById('textLanguage').value;
+        const { lines, untagged } = this.parseScript(text);
+        
+        if (lines.length === 0) {
+            this.showStatus('ttsStatus', I18n.t('script.noTaggedLines'), 'error');
+            return;
+        }
+        
+        if (untagged.length > 0) {
+            this.showStatus('ttsStatus', I18n.t('script.untaggedLine', { line: untagged[0] }), 'error');
+            return;
+        }
+        
+        if (text.length > 50000) {
+            this.showStatus('ttsStatus', I18n.t('tts.textTooLong', { max: 50000 }), 'error');
+            return;
+        }
+        
+        const speakers = Array.from(new Set(lines.map(line => line.speaker)));
+        const unmapped = speakers.filter(speaker => !this.profiles.some(p => p.id === this.getSpeakerSettings(speaker).profileId));
+        if (unmapped.length > 0) {
+            this.renderSpeakerMapping();
+            this.showStatus('ttsStatus', I18n.t('script.unmapped', { speakers: I18n.list(unmapped) }), 'error');
+            return;
+        }
+        
+        // Markup must be complete within each line, since lines are synthesized separately
+        const supported = this.serverInfo ? this.serverInfo.supportedLanguages : null;
+        for (const line of lines) {
+            const errors = SsmlMarkup.validate(line.text, supported);
+            if (errors.length > 0) {
+                this.showStatus('ttsStatus', I18n.t('script.invalidMarkup', { line: line.lineNumber, error: errors[0].message }), 'error');
+                return;
+            }
+        }
+        
+        const speakerSettings = {};
+        speakers.forEach(speaker => {
+            speakerSettings[speaker] = { ...this.getSpeakerSettings(speaker) };
+        });
+        
+        await this.runSynthesis(async () => {
+            const chunkUrls = [];
+            const buffers = [];
+            // The file is tagged like its first line, whose watermark verification finds first
+            let tags = null;
+            
+            for (const [index, line] of lines.entries()) {
+                const settings = speakerSettings[line.speaker];
+                this.updateScriptProgress(index, lines.length, line.speaker);
+                
+                const result = await this.streamSynthesis({
+                    text: line.text,
+                    profileId: settings.profileId,
+                    language,
+                    speed: settings.speed,
+                    pitch: settings.pitch,
+                    emotion: settings.emotion
+                }, () => {});
+                chunkUrls.push(...result.chunkUrls);
+                buffers.push(...result.buffers);
+                tags = tags || result.tags;
+            }
+            this.updateScriptProgress(lines.length, lines.length);
+            
+            const firstProfileId = speakerSettings[lines[0].speaker].profileId;
+            this.lastSynthesis = { chunkUrls, buffers, tags, profileId: firstProfileId, baseName: speakers.join('_'), script: true };
+            await this.showStitchedResult();
+            
+            if (this.lastSynthesis.blob) {
+                await this.saveHistoryEntry({
+                    text,
+                    profileId: firstProfileId,
+                    profileName: I18n.list(speakers.map(speaker => 
+                        `${speaker}: ${this.getProfileName(speakerSettings[speaker].profileId)}`
+                    )),
+                    language,
+                    speed: parseFloat(document.getElementById('speed').value),
+                    pitch: parseFloat(document.getElementById('pitch').value),
+                    emotion: document.getElementById('emotion').value,
+                    speakers: speakerSettings,
+                    characterCount: text.length,
+                    timestamp: Date.now(),
+                    audio: this.lastSynthesis.blob
+                }).catch(error => console.error('History save error:', error));
+            }
+            
+            this.showStatus('ttsStatus', 
+                I18n.t('script.done', { lines: lines.length, speakers: speakers.length }), 
+                'success'
+            );
+        });
+    }
+    
+    updateScriptProgress(line, total, speaker = null) {
+        const progressText = document.getElementById('ttsProgressText');
+        const progressFill = document.getElementById('ttsProgress');
+        
+        if (progressText) {
+            progressText.textContent = speaker
+                ? I18n.t('script.progress', { line: line + 1, total, speaker })
+                : I18n.t('script.preparing');
+        }
+        
+        if (progressFill) {
+            progressFill.style.width = (line / total) * 100 + '%';
+        }
+    }
+    
+    // Shared UI, playback and cancel handling around one synthesis run
+    // queueable: request to queue instead when the server turns out to be unreachable
+    async runSynthesis(task, queueable = null) {
+        const generateBtn = document.getElementById('generateBtn');
+        const cancelBtn = document.getElementById('cancelBtn');
+        const loading = document.getElementById('ttsLoading');
+        const audioPlayer = document.getElementById('audioPlayer');
+        
+        generateBtn.disabled = true;
+        cancelBtn.classList.remove('hidden');
+        loading.classList.add('show');
+        audioPlayer.classList.add('hidden');
+        document.getElementById('ttsDownload').classList.add('hidden');
+        this.lastSynthesis = null;
+        this.updateStreamProgress(0, 0);
+        
+        // Create the playback context inside the click handler so autoplay is allowed; it runs
+        // at the synthesis rate, so the chunks it decodes can be stitched without decoding again
+        this.stopPlayback();
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.playbackContext = new AudioContextClass({ sampleRate: this.getAudioQuality().sampleRate });
+        this.streamController = new AbortController();
+        
+        try {
+            await task();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showStatus('ttsStatus', I18n.t('tts.cancelled'), 'info');
+            } else if (queueable && error instanceof ApiNetworkError) {
+                await this.queueSynthesis(queueable);
+            } else {
+                console.error('Speech synthesis error:', error);
+                this.showStatus('ttsStatus', I18n.t('tts.error', { error: error.message }), 'error');
+            }
+        } finally {
+            this.streamController = null;
+            generateBtn.disabled = false;
+            cancelBtn.classList.add('hidden');
+            loading.classList.remove('show');
+        }
+    }
+    
+    // Stream synthesis and play chunks as they arrive; resolves with the chunk URLs, their
+    // decoded audio and the tags the server wrote into them, which stitched files have to carry over
+    async streamSynthesis(params, onProgress) {
+        const chunkUrls = [];
+        const buffers = [];
+        const request = { ...params, ...this.getSynthesisOutput() };
+        let tags = null;
+        
+        await this.api.synthesizeStream(request, async (event) => {
+            if (event.status === 'started') {
+                tags = event.tags || null;
+                onProgress(0, event.total);
+            }
+            
+            if (event.audioUrl) {
+                chunkUrls.push(event.audioUrl);
+                onProgress(event.chunk, event.total);
+                buffers.push(await this.enqueueAudioChunk(event.audioUrl));
+            }
+        }, { signal: this.streamController.signal });
+        
+        return { chunkUrls, buffers, tags };
+    }
+    
+    cancelSpeech() {
+        if (this.streamController) {
+            this.streamController.abort();
+        }
+        this.stopPlayback();
+    }
+    
+    // Schedule each chunk right after the previous one for gapless playback; resolves with the
+    // decoded chunk for stitching
+    async enqueueAudioChunk(audioUrl) {
+        const context = this.playbackContext;
+        const response = await fetch(audioUrl, { signal: this.streamController.signal });
+        const arrayBuffer = await response.arrayBuffer();
+        const audioBuffer = await context.decodeAudioData(arrayBuffer);
+        
+        // Cancelled while decoding
+        if (context !== this.playbackContext) return audioBuffer;
+        
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(context.destination);
+        
+        const startTime = Math.max(this.nextPlaybackTime, context.currentTime + 0.05);
+        source.start(startTime);
+        this.nextPlaybackTime = startTime + audioBuffer.duration;
+        
+        this.playbackSources.push(source);
+        source.onended = () => {
+            this.playbackSources = this.playbackSources.filter(s => s !== source);
+        };
+        
+        return audioBuffer;
+    }
+    
+    stopPlayback() {
+        this.playbackSources.forEach(source => {
+            try {
+                source.stop();
+            } catch (e) {
+                // Source was never started
+            }
+        });
+        this.playbackSources = [];
+        
+        if (this.playbackContext) {
+            this.playbackContext.close();
+            this.playbackContext = null;
+        }
+        this.nextPlaybackTime = 0;
+    }
+    
+    // Stitch the streamed chunks into one file for the audio player
+    async showStitchedResult() {
+        const audioPlayer = document.getElementById('audioPlayer');
+        const downloadPanel = document.getElementById('ttsDownload');
+        
+        try {
+            // A conversation keeps the pause between lines; plain text plays seamlessly
+            const gapSeconds = this.lastSynthesis.script 
+                ? (parseInt(document.getElementById('chunkGap').value) || 0) / 1000 
+                : 0;
+            const stitched = AudioUtils.concatBuffers(this.lastSynthesis.buffers, gapSeconds);
+            this.lastSynthesis.blob = AudioUtils.encodeWav(stitched, this.lastSynthesis.tags);
+            
+            this.setPlayerSource(this.lastSynthesis.blob);
+            downloadPanel.classList.remove('hidden');
+        } catch (error) {
+            console.error('Stitching error:', error);
+        }
+    }
+    
+    setPlayerSource(blob) {
+        const audioPlayer = document.getElementById('audioPlayer');
+        
+        if (audioPlayer.src.startsWith('blob:')) {
+            URL.revokeObjectURL(audioPlayer.src);
+        }
+        audioPlayer.src = URL.createObjectURL(blob);
+        audioPlayer.classList.remove('hidden');
+    }
+    
+    async downloadSynthesis() {
+        if (!this.lastSynthesis) {
+            this.showStatus('ttsStatus', I18n.t('tts.nothingToDownload'), 'error');
+            return;
+        }
+        
+        const format = document.getElementById('downloadFormat').value;
+        const gapSeconds = (parseInt(document.getElementById('chunkGap').value) || 0) / 1000;
+        const downloadBtn = document.getElementById('downloadBtn');
+        const baseName = this.lastSynthesis.baseName || this.getProfileName(this.lastSynthesis.profileId);
+        
+        downloadBtn.disabled = true;
+        
+        try {
+            this.showStatus('ttsStatus', I18n.t('tts.preparingFile'), 'info');
+            
+            const stitched = AudioUtils.concatBuffers(this.lastSynthesis.buffers, gapSeconds);
+            
+            let blob;
+            let extension;
+            if (format === 'webm') {
+                blob = await AudioUtils.encodeCompressed(stitched, 'audio/webm;codecs=opus', (progress) => {
+                    this.showStatus('ttsStatus', I18n.t('tts.encoding', { percent: Math.round(progress * 100) }), 'info');
+                }, this.getAudioQuality().downloadBitrate);
+                blob = await AudioUtils.tagWebm(blob, this.lastSynthesis.tags);
+                extension = 'webm';
+            } else {
+                blob = AudioUtils.encodeWav(stitched, this.lastSynthesis.tags);
+                extension = 'wav';
+            }
+            
+            AudioUtils.downloadBlob(blob, AudioUtils.buildFileName(baseName, extension));
+            this.showStatus('ttsStatus', I18n.t('tts.fileReady'), 'success');
+        
+        } catch (error) {
+            console.error('Download error:', error);
+            this.showStatus('ttsStatus', I18n.t('tts.fileError', { error: error.message }), 'error');
+        } finally {
+            downloadBtn.disabled = false;
+        }
+    }
+    
+    updateStreamProgress(chunk, total) {
+        const progressText = document.getElementById('ttsProgressText');
+        const progressFill = document.getElementById('ttsProgress');
+        
+        if (progressText) {
+            progressText.textContent = total
+                ? I18n.t('tts.progress', { chunk, total })
+                : I18n.t('tts.generating');
+        }
+        
+        if (progressFill) {
+            progressFill.style.width = (total ? (chunk / total) * 100 : 0) + '%';
+        }
+    }
+    
+    // Watermark Verification
+    async verifyAudio() {
+        const file = document.getElementById('verifyFile').files[0];
+        if (!file) {
+            this.showStatus('verifyResult', I18n.t('verify.fileRequired'), 'error');
+            return;
+        }
+        
+        const button = document.getElementById('verifyBtn');
+        button.disabled = true;
+        this.verifyReport = null;
+        this.showStatus('verifyResult', I18n.t('verify.checking'), 'info');
+        
+        try {
+            // Decoding and searching a long file takes a while
+            const report = await this.api.verifyAudio(file, { timeout: 120000 });
+            this.verifyReport = { fileName: file.name, report };
+            this.renderVerifyReport();
+        } catch (error) {
+            console.error('Verification error:', error);
+            this.showStatus('verifyResult', I18n.t('verify.error', { error: error.message }), 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    renderVerifyReport() {
+        if (!this.verifyReport) return;
+        
+        const { fileName, report } = this.verifyReport;
+        const items = [
+            report.watermarkFound ? '✔ ' + I18n.t('verify.watermark') : '✘ ' + I18n.t('verify.noWatermark'),
+            report.metadataFound ? '✔ ' + I18n.t('verify.metadata') : '✘ ' + I18n.t('verify.noMetadata')
+        ];
+        
+        if (report.metadataMatches === false) {
+            items.push('⚠ ' + I18n.t('verify.metadataMismatch'));
+        }
+        if (report.profileId) {
+            items.push(I18n.t('verify.profile', { name: report.profileName || report.profileId }));
+        }
+        if (report.requestId) {
+            items.push(I18n.t('verify.request', { id: report.requestId }));
+        }
+        if (report.createdAt) {
+            items.push(I18n.t('verify.created', { date: I18n.formatDate(report.createdAt) }));
+        }
+        
+        // Tags alone are only a claim; the watermark is what proves it
+        let headline = 'verify.notGenerated';
+        let type = 'info';
+        if (report.watermarkFound) {
+            headline = 'verify.generated';
+            type = 'success';
+        } else if (report.metadataFound) {
+            headline = 'verify.claimed';
+            type = 'warning';
+        }
+        
+        // Not through showStatus, which would hide the result after a few seconds
+        const result = document.getElementById('verifyResult');
+        result.className = `status status-${type}`;
+        result.innerHTML = `
+            <div>${this.escapeHtml(I18n.t(headline, { name: fileName }))}</div>
+            <ul>${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
+        `;
+    }
+    
+    // Synthesis History
+    // Entries belong to the signed-in account unless the caller says whose they are
+    async saveHistoryEntry(entry) {
+        entry = { accountId: this.auth ? this.auth.account.id : null, ...entry };
+        let pruned = false;
+        
+        // Drop the oldest entries until the new one fits in the storage quota
+        while (true) {
+            try {
+                await this.storage.addHistoryEntry(entry);
+                break;
+            } catch (error) {
+                if (error && error.name === 'QuotaExceededError' && await this.storage.deleteOldestHistoryEntry()) {
+                    pruned = true;
+                    continue;
+                }
+                throw error;
+            }
+        }
+        
+        if (pruned) {
+            this.showNotification(I18n.t('history.evicted'), 'info');
+        }
+        
+        await this.loadHistory();
+    }
+    
+    async loadHistory() {
+        const historyList = document.getElementById('historyList');
+        if (!historyList) return;
+        
+        try {
+            const accountId = this.auth ? this.auth.account.id : null;
+            const entries = (await this.storage.getHistoryEntries()).filter(entry => entry.accountId === accountId);
+            this.renderHistory(entries);
+            await this.updateHistoryUsage();
+        } catch (error) {
+            console.error('History loading error:', error);
+            historyList.innerHTML = `<p style="text-align: center; color: #6c757d;">${I18n.t('history.unavailable')}</p>`;
+        }
+    }
+    
+    renderHistory(entries) {
+        const historyList = document.getElementById('historyList');
+        
+        if (entries.length === 0) {
+            historyList.innerHTML = `<p style="text-align: center; color: #6c757d;">${I18n.t('history.empty')}</p>`;
+            return;
+        }
+        
+        historyList.innerHTML = entries.map(entry => `
+            <div class="profile-item">
+                <div class="profile-info">
+                    <h4>${this.escapeHtml(this.truncateText(entry.text, 80))}</h4>
+                    <small>
+                        ${I18n.t('common.profileInfo', { name: this.escapeHtml(entry.profileName) })} | 
+                        ${I18n.t('common.languageInfo', { language: entry.language })} | 
+                        ${I18n.t('history.characters', { count: entry.characterCount })} | 
+                        ${I18n.t('common.dateInfo', { date: I18n.formatDateTime(entry.timestamp) })}
+                    </small>
+                </div>
+                <div class="profile-actions">
+                    <button class="btn btn-primary" onclick="app.replayHistory(${entry.id})" title="${I18n.t('common.play')}">
+                        <i class="fas fa-play"></i>
+                    </button>
+                    <button class="btn btn-secondary" onclick="app.downloadHistory(${entry.id})" title="${I18n.t('common.download')}">
+                        <i class="fas fa-download"></i>
+                    </button>
+                    <button class="btn btn-secondary" onclick="app.loadHistorySettings(${entry.id})" title="${I18n.t('history.loadSettings')}">
+                        <i class="fas fa-sliders-h"></i>
+                    </button>
+                    <button class="btn btn-success" onclick="app.regenerateHistory(${entry.id})" title="${I18n.t('history.regenerate')}">
+                        <i class="fas fa-redo"></i>
+                    </button>
+                    <button class="btn btn-danger" onclick="app.deleteHistory(${entry.id})" title="${I18n.t('common.delete')}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    async updateHistoryUsage() {
+        const historyUsage = document.getElementById('historyUsage');
+        const estimate = await this.storage.getStorageEstimate();
+        
+        if (!historyUsage || !estimate || !estimate.quota) return;
+        
+        const usedMb = Number((estimate.usage / (1024 * 1024)).toFixed(1));
+        const quotaMb = Math.round(estimate.quota / (1024 * 1024));
+        historyUsage.textContent = I18n.t('history.usage', { used: usedMb, quota: quotaMb });
+    }
+    
+    // The entry, if it belongs to the signed-in account; others that used this browser keep theirs
+    async getHistoryEntry(id) {
+        const entry = await this.storage.getHistoryEntry(id);
+        return entry && this.auth && entry.accountId === this.auth.account.id ? entry : null;
+    }
+    
+    async replayHistory(id) {
+        const entry = await this.getHistoryEntry(id);
+        if (!entry) return;
+        
+        const audioPlayer = document.getElementById('audioPlayer');
+        this.setPlayerSource(entry.audio);
+        
+        try {
+            await audioPlayer.play();
+        } catch (playError) {
+            console.log('Auto-play prevented by browser');
+        }
+    }
+    
+    async downloadHistory(id) {
+        const entry = await this.getHistoryEntry(id);
+        if (!entry) return;
+        
+        AudioUtils.downloadBlob(entry.audio, AudioUtils.buildFileName(entry.profileName, 'wav', new Date(entry.timestamp)));
+    }
+    
+    // Put a history entry's parameters back into the TTS form
+    async loadHistorySettings(id) {
+        const entry = await this.getHistoryEntry(id);
+        if (!entry) return false;
+        
+        document.getElementById('inputText').value = entry.text;
+        this.updateCharacterCount();
+        
+        document.getElementById('textLanguage').value = entry.language;
+        document.getElementById('speed').value = entry.speed;
+        document.getElementById('speedValue').textContent = entry.speed;
+        document.getElementById('pitch').value = entry.pitch;
+        document.getElementById('pitchValue').textContent = entry.pitch;
+        document.getElementById('emotion').value = entry.emotion;
+        
+        if (entry.speakers) {
+            return this.loadScriptHistorySettings(entry);
+        }
+        
+        document.getElementById('scriptMode').checked = false;
+        this.toggleScriptMode();
+        
+        // The profile may be hidden by a search in the select
+        document.getElementById('voiceProfileSearch').value = '';
+        this.renderVoiceProfileOptions();
+        
+        const voiceProfileSelect = document.getElementById('voiceProfile');
+        voiceProfileSelect.value = entry.profileId;
+        
+        if (voiceProfileSelect.value !== entry.profileId) {
+            this.showStatus('ttsStatus', I18n.t('history.profileMissing', { name: entry.profileName }), 'error');
+            return false;
+        }
+        
+        this.showStatus('ttsStatus', I18n.t('history.settingsLoaded'), 'info');
+        return true;
+    }
+    
+    loadScriptHistorySettings(entry) {
+        Object.assign(this.speakerSettings, entry.speakers);
+        this.saveSpeakerSettings();
+        
+        document.getElementById('scriptMode').checked = true;
+        this.toggleScriptMode();
+        
+        const missing = Object.keys(entry.speakers).filter(speaker => 
+            !this.profiles.some(p => p.id === entry.speakers[speaker].profileId)
+        );
+        if (missing.length > 0) {
+            this.showStatus('ttsStatus', I18n.t('history.speakersMissing', { speakers: I18n.list(missing) }), 'error');
+            return false;
+        }
+        
+        this.showStatus('ttsStatus', I18n.t('history.settingsLoaded'), 'info');
+        return true;
+    }
+    
+    async regenerateHistory(id) {
+        if (await this.loadHistorySettings(id)) {
+            await this.generateSpeech();
+        }
+    }
+    
+    async deleteHistory(id) {
+        try {
+            if (!await this.getHistoryEntry(id)) return;
+            await this.storage.deleteHistoryEntry(id);
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Delete history error:', error);
+            this.showNotification(I18n.t('history.deleteError', { error: error.message }), 'error');
+        }
+    }
+    
+    async clearHistory() {
+        if (!confirm(I18n.t('history.confirmClear'))) {
+            return;
+        }
+        
+        try {
+            await this.storage.clearHistory(this.auth.account.id);
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Clear history error:', error);
+            this.showNotification(I18n.t('history.clearError', { error: error.message }), 'error');
+        }
+    }
+    
+    // Batch Synthesis
+    loadBatchFile() {
+        const file = document.getElementById('batchFile').files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('batchInput').value = reader.result;
+            this.showStatus('batchStatus', I18n.t('batch.fileLoaded', { name: file.name }), 'info');
+        };
+        reader.onerror = () => this.showStatus('batchStatus', I18n.t('batch.readError'), 'error');
+        reader.readAsText(file);
+    }
+    
+    // Fill a row's missing fields from the TTS form and resolve its profile by id or name
+    resolveBatchRow(row, index) {
+        const emotions = Array.from(document.getElementById('emotion').options).map(option => option.value);
+        const profileRef = row.profileId || document.getElementById('voiceProfile').value;
+        const profile = this.profiles.find(p => p.id === profileRef) || this.profiles.find(p => p.name === profileRef);
+        
+        if (!profile) {
+            throw new BatchError(profileRef 
+                ? I18n.t('batch.profileNotFound', { row: index + 1, profile: profileRef }) 
+                : I18n.t('batch.profileMissing', { row: index + 1 }));
+        }
+        
+        const emotion = row.emotion || document.getElementById('emotion').value;
+        if (!emotions.includes(emotion)) {
+            throw new BatchError(I18n.t('batch.invalidEmotion', { row: index + 1, emotion }));
+        }
+        
+        return {
+            id: row.id,
+            text: row.text,
+            profileId: profile.id,
+            language: row.language || document.getElementById('textLanguage').value,
+            speed: row.speed !== undefined ? row.speed : parseFloat(document.getElementById('speed').value),
+            pitch: row.pitch !== undefined ? row.pitch : parseFloat(document.getElementById('pitch').value),
+            emotion
+        };
+    }
+    
+    async startBatch() {
+        if (this.batchQueue && this.batchQueue.running) return;
+        
+        let rows;
+        try {
+            rows = BatchQueue.parse(document.getElementById('batchInput').value)
+                .map((row, index) => this.resolveBatchRow(row, index));
+        } catch (error) {
+            this.showStatus('batchStatus', error.message, 'error');
+            return;
+        }
+        
+        const concurrency = Math.min(Math.max(parseInt(document.getElementById('batchConcurrency').value) || 3, 1), 8);
+        const maxRetries = Math.min(Math.max(parseInt(document.getElementById('batchRetries').value) || 0, 0), 5);
+        
+        this.batchQueue = new BatchQueue(rows, {
+            concurrency,
+            maxRetries,
+            worker: (row, signal) => this.synthesizeBatchRow(row, signal),
+            onUpdate: (item) => this.updateBatchItem(item)
+        });
+        
+        this.renderBatchList();
+        await this.runBatch(() => this.batchQueue.run());
+    }
+    
+    async retryFailedBatch() {
+        if (!this.batchQueue || this.batchQueue.running) return;
+        
+        await this.runBatch(() => this.batchQueue.retryFailed());
+    }
+    
+    async runBatch(task) {
+        const startBtn = document.getElementById('batchStartBtn');
+        const cancelBtn = document.getElementById('batchCancelBtn');
+        
+        startBtn.disabled = true;
+        cancelBtn.classList.remove('hidden');
+        document.getElementById('batchRetryBtn').classList.add('hidden');
+        this.updateBatchProgress();
+        
+        try {
+            await task();
+        } catch (error) {
+            console.error('Batch synthesis error:', error);
+            this.showStatus('batchStatus', I18n.t('batch.error', { error: error.message }), 'error');
+        } finally {
+            startBtn.disabled = false;
+            cancelBtn.classList.add('hidden');
+        }
+        
+        const counts = this.batchQueue.counts;
+        const unfinished = counts.failed + counts.cancelled;
+        
+        document.getElementById('batchRetryBtn').classList.toggle('hidden', unfinished === 0);
+        document.getElementById('batchDownloadBtn').classList.toggle('hidden', counts.done === 0);
+        
+        this.showStatus('batchStatus', 
+            I18n.list([
+                I18n.t('batch.summary', { done: counts.done, total: counts.total }),
+                counts.failed > 0 ? I18n.t('batch.summaryFailed', { count: counts.failed }) : null,
+                counts.cancelled > 0 ? I18n.t('batch.summaryCancelled', { count: counts.cancelled }) : null
+            ].filter(Boolean)), 
+            unfinished > 0 ? 'warning' : 'success'
+        );
+    }
+    
+    cancelBatch() {
+        if (this.batchQueue) {
+            this.batchQueue.cancel();
+        }
+    }
+    
+    // One row through /api/synthesize; resolves with the downloaded audio.
+    // BatchError is an ApiError, so the queue retries API failures by the same rule
+    async synthesizeBatchRow(row, signal) {
+        const result = await this.api.synthesize({
+            text: row.text,
+            profileId: row.profileId,
+            language: row.language,
+            speed: row.speed,
+            pitch: row.pitch,
+            emotion: row.emotion,
+            ...this.getSynthesisOutput()
+        }, { signal });
+        
+        const audioResponse = await fetch(result.audioUrl, { signal });
+        if (!audioResponse.ok) {
+            throw new BatchError('Audio download failed: ' + audioResponse.statusText, audioResponse.status);
+        }
+        
+        return {
+            audioUrl: result.audioUrl,
+            duration: result.duration,
+            blob: await audioResponse.blob()
+        };
+    }
+    
+    renderBatchList() {
+        const batchList = document.getElementById('batchList');
+        
+        batchList.innerHTML = this.batchQueue.items.map(item => `
+            <div class="profile-item" id="batchItem${item.index}">
+                <div class="profile-info">
+                    <h4>${this.escapeHtml(item.row.id)}: ${this.escapeHtml(this.truncateText(item.row.text, 80))}</h4>
+                    <small class="batch-item-status"></small>
+                </div>
+                <div class="profile-actions">
+                    <button class="btn btn-primary hidden" onclick="app.playBatchItem(${item.index})" title="${I18n.t('common.play')}">
+                        <i class="fas fa-play"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+        batchList.classList.remove('hidden');
+        document.getElementById('batchDownloadBtn').classList.add('hidden');
+        
+        this.batchQueue.items.forEach(item => this.updateBatchItem(item));
+    }
+    
+    updateBatchItem(item) {
+        const element = document.getElementById(`batchItem${item.index}`);
+        if (element) {
+            const colors = { done: '#28a745', failed: '#dc3545', retrying: '#fd7e14' };
+            const row = item.row;
+            const status = element.querySelector('.batch-item-status');
+            
+            const label = I18n.t('batch.status.' + item.status, { attempt: item.attempts });
+            
+            status.textContent = `${label}${item.error && item.status !== 'done' ? ': ' + item.error : ''} | ` + 
+                I18n.t('batch.rowSettings', {
+                    profile: this.getProfileName(row.profileId),
+                    language: row.language,
+                    speed: row.speed,
+                    pitch: row.pitch,
+                    emotion: I18n.t('emotion.' + row.emotion)
+                });
+            status.style.color = colors[item.status] || '';
+            element.querySelector('button').classList.toggle('hidden', item.status !== 'done');
+        }
+        
+        this.updateBatchProgress();
+    }
+    
+    updateBatchProgress() {
+        const progressFill = document.getElementById('batchProgress');
+        if (!progressFill || !this.batchQueue) return;
+        
+        const counts = this.batchQueue.counts;
+        progressFill.style.width = ((counts.done + counts.failed + counts.cancelled) / counts.total) * 100 + '%';
+    }
+    
+    playBatchItem(index) {
+        const item = this.batchQueue ? this.batchQueue.items[index] : null;
+        if (!item || !item.result) return;
+        
+        const batchPlayer = document.getElementById('batchPlayer');
+        if (batchPlayer.src.startsWith('blob:')) {
+            URL.revokeObjectURL(batchPlayer.src);
+        }
+        batchPlayer.src = URL.createObjectURL(item.result.blob);
+        batchPlayer.classList.remove('hidden');
+        batchPlayer.play().catch(() => console.log('Auto-play prevented by browser'));
+    }
+    
+    // Every finished file plus manifest.json describing all rows, including failed ones
+    async downloadBatch() {
+        if (!this.batchQueue) return;
+        
+        const downloadBtn = document.getElementById('batchDownloadBtn');
+        downloadBtn.disabled = true;
+        
+        try {
+            this.showStatus('batchStatus', I18n.t('batch.zipping'), 'info');
+            
+            const usedNames = new Set();
+            const entries = [];
+            const manifestRows = this.batchQueue.items.map(item => {
+                const row = item.row;
+                let file = null;
+                
+                if (item.status === 'done') {
+                    const extension = (item.result.audioUrl.split('?')[0].match(/\.(\w+)$/) || [null, 'wav'])[1];
+                    const baseName = row.id.replace(/[\\/:*?"<>|\s]+/g, '_') || String(item.index + 1);
+                    let name = `${baseName}.${extension}`;
+                    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+                        name = `${baseName}_${n}.${extension}`;
+                    }
+                    usedNames.add(name.toLowerCase());
+                    
+                    file = `audio/${name}`;
+                    entries.push({ name: file, data: item.result.blob });
+                }
+                
+                return {
+                    id: row.id,
+                    file,
+                    status: item.status,
+                    error: item.status === 'done' ? null : item.error,
+                    attempts: item.attempts,
+                    text: row.text,
+                    language: row.language,
+                    profileId: row.profileId,
+                    profileName: this.getProfileName(row.profileId),
+                    speed: row.speed,
+                    pitch: row.pitch,
+                    emotion: row.emotion,
+                    duration: item.result ? item.result.duration : null
+                };
+            });
+            
+            const counts = this.batchQueue.counts;
+            entries.push({
+                name: 'manifest.json',
+                data: JSON.stringify({
+                    createdAt: new Date().toISOString(),
+                    total: counts.total,
+                    succeeded: counts.done,
+                    failed: counts.total - counts.done,
+                    rows: manifestRows
+                }, null, 2)
+            });
+            
+            const zip = await ZipWriter.create(entries);
+            AudioUtils.downloadBlob(zip, AudioUtils.buildFileName('batch', 'zip'));
+            this.showStatus('batchStatus', I18n.t('batch.zipReady'), 'success');
+        
+        } catch (error) {
+            console.error('Batch download error:', error);
+            this.showStatus('batchStatus', I18n.t('batch.zipError', { error: error.message }), 'error');
+        } finally {
+            downloadBtn.disabled = false;
+        }
+    }
+    
+    // A/B Comparison
+    
+    // Start from the TTS form's text and voice settings
+    useFormForComparison() {
+        document.getElementById('compareText').value = document.getElementById('inputText').value;
+        document.getElementById('compareLanguage').value = document.getElementById('textLanguage').value;
+        
+        if (this.compareVariants.length === 0) {
+            this.addCompareVariant();
+        }
+    }
+    
+    // A new variant copies the last one (or the TTS form), so only the setting under test needs changing
+    addCompareVariant() {
+        if (this.compareVariants.length >= 6) {
+            this.showStatus('compareStatus', I18n.t('compare.tooMany', { max: 6 }), 'warning');
+            return;
+        }
+        
+        const last = this.compareVariants[this.compareVariants.length - 1];
+        this.compareVariants.push(last ? { ...last } : {
+            profileId: document.getElementById('voiceProfile').value,
+            speed: parseFloat(document.getElementById('speed').value),
+            pitch: parseFloat(document.getElementById('pitch').value),
+            emotion: document.getElementById('emotion').value
+        });
+        this.renderCompareVariants();
+    }
+    
+    removeCompareVariant(index) {
+        this.compareVariants.splice(index, 1);
+        this.renderCompareVariants();
+    }
+    
+    updateCompareVariant(index, field, value) {
+        const variant = this.compareVariants[index];
+        if (!variant) return;
+        
+        if (field === 'speed' || field === 'pitch') {
+            const number = parseFloat(value);
+            variant[field] = isNaN(number) ? 1 : Math.min(Math.max(number, 0.5), 2);
+        } else {
+            variant[field] = value;
+        }
+    }
+    
+    renderCompareVariants() {
+        const variantList = document.getElementById('compareVariants');
+        if (!variantList) return;
+        
+        if (this.compareVariants.length === 0) {
+            variantList.innerHTML = `<p style="text-align: center; color: #6c757d;">${I18n.t('compare.noVariants')}</p>`;
+            return;
+        }
+        
+        const emotions = Array.from(document.getElementById('emotion').options);
+        
+        variantList.innerHTML = this.compareVariants.map((variant, index) => {
+            const profileOptions = this.profiles.map(profile => `
+                <option value="${profile.id}" ${profile.id === variant.profileId ? 'selected' : ''}>
+                    ${this.escapeHtml(profile.name)} (${profile.language})
+                </option>
+            `).join('');
+            const emotionOptions = emotions.map(option => `
+                <option value="${option.value}" ${option.value === variant.emotion ? 'selected' : ''}>${option.textContent}</option>
+            `).join('');
+            
+            return `
+                <div class="profile-item">
+                    <div class="profile-info">
+                        <h4>${I18n.t('compare.variant', { label: this.compareLabel(index) })}</h4>
+                    </div>
+                    <div class="profile-actions speaker-settings">
+                        <select class="form-control" title="${I18n.t('common.profile')}" onchange="app.updateCompareVariant(${index}, 'profileId', this.value)">
+                            <option value="">${I18n.t('common.chooseProfile')}</option>
+                            ${profileOptions}
+                        </select>
+                        <input type="number" class="form-control" title="${I18n.t('common.speedTitle')}" min="0.5" max="2" step="0.1" value="${variant.speed}" 
+                               onchange="app.updateCompareVariant(${index}, 'speed', this.value)">
+                        <input type="number" class="form-control" title="${I18n.t('common.pitchTitle')}" min="0.5" max="2" step="0.1" value="${variant.pitch}" 
+                               onchange="app.updateCompareVariant(${index}, 'pitch', this.value)">
+                        <select class="form-control" title="${I18n.t('common.emotionTitle')}" onchange="app.updateCompareVariant(${index}, 'emotion', this.value)">
+                            ${emotionOptions}
+                        </select>
+                        <button class="btn btn-danger" onclick="app.removeCompareVariant(${index})" title="${I18n.t('common.delete')}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // A, B, C... as in an A/B test
+    compareLabel(index) {
+        return String.fromCharCode(65 + index);
+    }
+    
+    describeCompareVariant(variant) {
+        return I18n.t('compare.description', {
+            profile: this.getProfileName(variant.profileId),
+            speed: variant.speed,
+            pitch: variant.pitch,
+            emotion: I18n.t('emotion.' + variant.emotion)
+        });
+    }
+    
+    async startComparison() {
+        const text = document.getElementById('compareText').value.trim();
+        const language = document.getElementById('compareLanguage').value;
+        
+        if (!text) {
+            this.showStatus('compareStatus', I18n.t('tts.textRequired'), 'error');
+            return;
+        }
+        
+        if (text.length > 5000) {
+            this.showStatus('compareStatus', I18n.t('tts.textTooLong', { max: 5000 }), 'error');
+            return;
+        }
+        
+        if (this.compareVariants.length < 2) {
+            this.showStatus('compareStatus', I18n.t('compare.tooFew'), 'error');
+            return;
+        }
+        
+        const missing = this.compareVariants.findIndex(variant => !this.profiles.some(p => p.id === variant.profileId));
+        if (missing >= 0) {
+            this.showStatus('compareStatus', I18n.t('compare.profileMissing', { label: this.compareLabel(missing) }), 'error');
+            return;
+        }
+        
+        this.resetComparison();
+        
+        const rows = this.compareVariants.map((variant, index) => ({
+            id: this.compareLabel(index),
+            text,
+            language,
+            ...variant
+        }));
+        
+        this.compareQueue = new BatchQueue(rows, {
+            concurrency: 2,
+            maxRetries: 1,
+            worker: (row, signal) => this.synthesizeBatchRow(row, signal),
+            onUpdate: (item) => this.updateCompareCard(item)
+        });
+        
+        this.renderCompareGrid();
+        
+        const startBtn = document.getElementById('compareStartBtn');
+        const cancelBtn = document.getElementById('compareCancelBtn');
+        startBtn.disabled = true;
+        cancelBtn.classList.remove('hidden');
+        this.showStatus('compareStatus', I18n.t('compare.generating'), 'info');
+        
+        try {
+            await this.compareQueue.run();
+        } catch (error) {
+            console.error('Comparison error:', error);
+        } finally {
+            startBtn.disabled = false;
+            cancelBtn.classList.add('hidden');
+        }
+        
+        const counts = this.compareQueue.counts;
+        if (counts.done === 0) {
+            this.showStatus('compareStatus', I18n.t('compare.noneGenerated'), 'error');
+            return;
+        }
+        
+        document.getElementById('compareTransport').classList.remove('hidden');
+        this.selectCompareVariant(this.compareQueue.items.find(item => item.status === 'done').index);
+        this.showStatus('compareStatus', 
+            counts.done === counts.total
+                ? I18n.t('compare.ready') 
+                : I18n.t('compare.partial', { done: counts.done, total: counts.total }),
+            counts.done === counts.total ? 'success' : 'warning'
+        );
+    }
+    
+    cancelComparison() {
+        if (this.compareQueue) {
+            this.compareQueue.cancel();
+        }
+    }
+    
+    // Stop playback and release the previous run's audio
+    resetComparison() {
+        this.stopComparison();
+        document.querySelectorAll('#compareGrid audio').forEach(audio => {
+            if (audio.src) URL.revokeObjectURL(audio.src);
+        });
+        
+        this.compareQueue = null;
+        this.compareActive = null;
+        this.compareWinner = null;
+        document.getElementById('compareTransport').classList.add('hidden');
+        document.getElementById('compareApplyBtn').classList.add('hidden');
+    }
+    
+    renderCompareGrid() {
+        const grid = document.getElementById('compareGrid');
+        
+        grid.innerHTML = this.compareQueue.items.map(item => `
+            <div class="compare-card" id="compareCard${item.index}" onclick="app.selectCompareVariant(${item.index})">
+                <h4>${I18n.t('compare.variant', { label: this.escapeHtml(item.row.id) })}</h4>
+                <small>${this.escapeHtml(this.describeCompareVariant(item.row))}</small>
+                <p class="compare-card-status"></p>
+                <audio preload="auto"></audio>
+                <button class="btn btn-success hidden" onclick="event.stopPropagation(); app.markCompareWinner(${item.index})">
+                    <i class="fas fa-trophy"></i> ${I18n.t('compare.markWinner')}
+                </button>
+            </div>
+        `).join('');
+        
+        this.compareQueue.items.forEach(item => this.updateCompareCard(item));
+    }
+    
+    updateCompareCard(item) {
+        const card = document.getElementById(`compareCard${item.index}`);
+        if (!card) return;
+        
+        const label = item.status === 'done' ? I18n.t('compare.sampleReady') : I18n.t('batch.status.' + item.status, { attempt: item.attempts });
+        card.querySelector('.compare-card-status').textContent = item.status === 'failed' ? `${label}: ${item.error}` : label;
+        
+        const done = item.status === 'done';
+        card.querySelector('button').classList.toggle('hidden', !done);
+        
+        const audio = card.querySelector('audio');
+        if (done && !audio.src) {
+            audio.src = URL.createObjectURL(item.result.blob);
+            audio.muted = true;
+            audio.addEventListener('timeupdate', () => this.updateCompareSeek(item.index));
+            audio.addEventListener('ended', () => {
+                if (item.index === this.compareActive) this.stopComparison();
+            });
+        }
+    }
+    
+    getCompareAudios() {
+        return Array.from(document.querySelectorAll('#compareGrid audio')).filter(audio => audio.src);
+    }
+    
+    // Make one variant audible at the same relative position in the text, so a switch
+    // compares the same words even when the speeds differ
+    selectCompareVariant(index) {
+        const card = document.getElementById(`compareCard${index}`);
+        const audio = card && card.querySelector('audio');
+        if (!audio || !audio.src) return;
+        
+        const previous = this.compareActive !== null
+            ? document.querySelector(`#compareCard${this.compareActive} audio`)
+            : null;
+        const position = previous && previous.duration ? previous.currentTime / previous.duration : null;
+        
+        this.compareActive = index;
+        this.getCompareAudios().forEach(other => {
+            other.muted = other !== audio;
+        });
+        document.querySelectorAll('.compare-card').forEach(other => other.classList.remove('active'));
+        card.classList.add('active');
+        
+        if (position !== null) {
+            this.seekComparison(position);
+        }
+    }
+    
+    toggleComparisonPlayback() {
+        const audios = this.getCompareAudios();
+        if (audios.length === 0) return;
+        
+        const playing = audios.some(audio => !audio.paused);
+        audios.forEach(audio => {
+            if (playing) {
+                audio.pause();
+            } else {
+                audio.play().catch(error => console.error('Comparison playback error:', error));
+            }
+        });
+        this.updateCompareTransport(!playing);
+    }
+    
+    stopComparison() {
+        this.getCompareAudios().forEach(audio => {
+            audio.pause();
+            audio.currentTime = 0;
+        });
+        document.getElementById('compareSeek').value = 0;
+        this.updateCompareTransport(false);
+    }
+    
+    // position: 0-1 of each variant's own duration
+    seekComparison(position) {
+        this.getCompareAudios().forEach(audio => {
+            if (audio.duration) {
+                audio.currentTime = Math.min(position, 1) * audio.duration;
+            }
+        });
+    }
+    
+    updateCompareSeek(index) {
+        if (index !== this.compareActive) return;
+        
+        const audio = document.querySelector(`#compareCard${index} audio`);
+        if (audio.duration) {
+            document.getElementById('compareSeek').value = audio.currentTime / audio.duration;
+        }
+    }
+    
+    updateCompareTransport(playing) {
+        document.getElementById('comparePlayBtn').innerHTML = playing
+            ? `<i class="fas fa-pause"></i> ${I18n.t('compare.pause')}` 
+            : `<i class="fas fa-play"></i> ${I18n.t('compare.playAll')}`;
+    }
+    
+    markCompareWinner(index) {
+        this.compareWinner = index;
+        document.querySelectorAll('.compare-card').forEach(card => card.classList.remove('winner'));
+        document.getElementById(`compareCard${index}`).classList.add('winner');
+        
+        const applyBtn = document.getElementById('compareApplyBtn');
+        applyBtn.classList.remove('hidden');
+        applyBtn.innerHTML = `<i class="fas fa-check"></i> ${I18n.t('compare.applyVariant', { label: this.compareLabel(index) })}`;
+    }
+    
+    // Carry the winner's text and voice settings back to the TTS form
+    applyCompareWinner() {
+        const item = this.compareQueue && this.compareQueue.items[this.compareWinner];
+        if (!item) return;
+        
+        const { row } = item;
+        this.stopComparison();
+        
+        document.getElementById('scriptMode').checked = false;
+        this.toggleScriptMode();
+        
+        document.getElementById('inputText').value = row.text;
+        this.updateCharacterCount();
+        document.getElementById('textLanguage').value = row.language;
+        document.getElementById('voiceProfileSearch').value = '';
+        this.renderVoiceProfileOptions();
+        document.getElementById('voiceProfile').value = row.profileId;
+        document.getElementById('speed').value = row.speed;
+        document.getElementById('speedValue').textContent = row.speed;
+        document.getElementById('pitch').value = row.pitch;
+        document.getElementById('pitchValue').textContent = row.pitch;
+        document.getElementById('emotion').value = row.emotion;
+        
+        this.showTab('tts');
+        this.showStatus('ttsStatus', I18n.t('compare.applied', { label: row.id, description: this.describeCompareVariant(row) }), 'success');
+    }
+    
+    // Profile Management
+    async loadProfiles() {
+        const profilesLoading = document.getElementById('profilesLoading');
+        const profilesList = document.getElementById('profilesList');
+        
+        if (profilesLoading) profilesLoading.classList.add('show');
+        
+        try {
+            const profiles = await this.api.listProfiles();
+            this.profiles = profiles;
+                
+            // Update profiles list
+            if (profilesList) {
+                this.updateProfileFilters();
+                this.renderProfilesList(profiles);
+            }
+                
+            // Update voice profile select
+            this.renderVoiceProfileOptions();
+            this.renderTargetProfileOptions();
+                
+            this.renderSpeakerMapping();
+            this.renderCompareVariants();
+        } catch (error) {
+            console.error('Profile loading error:', error);
+        } finally {
+            if (profilesLoading) profilesLoading.classList.remove('show');
+        }
+    }
+    
+    getProfileName(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        return profile ? profile.name : profileId;
+    }
+    
+    // Case-insensitive match on name, description and tags
+    profileMatches(profile, query) {
+        if (!query) return true;
+        
+        const needle = query.trim().toLowerCase();
+        return [profile.name, profile.description || '', ...(profile.tags || [])]
+            .some(value => value.toLowerCase().includes(needle));
+    }
+    
+    renderVoiceProfileOptions() {
+        const voiceProfileSelect = document.getElementById('voiceProfile');
+        if (!voiceProfileSelect) return;
+        
+        const searchInput = document.getElementById('voiceProfileSearch');
+        const query = searchInput ? searchInput.value : '';
+        const selected = voiceProfileSelect.value;
+        
+        // The current choice stays listed even when the search hides it
+        const matches = this.profiles.filter(profile => profile.id === selected || this.profileMatches(profile, query));
+        
+        voiceProfileSelect.innerHTML = `<option value="">${I18n.t(matches.length > 0 || !query ? 'tts.chooseProfile' : 'profiles.noMatchOption')}</option>`;
+        matches.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = `${profile.name} (${profile.language})`;
+            voiceProfileSelect.appendChild(option);
+        });
+        voiceProfileSelect.value = selected;
+    }
+    
+    // A profile's default speed, pitch and emotion are applied when it is chosen for synthesis
+    applyProfileDefaults() {
+        const profile = this.profiles.find(p => p.id === document.getElementById('voiceProfile').value);
+        if (!profile) return;
+        
+        const speed = profile.defaultSpeed || 1;
+        const pitch = profile.defaultPitch || 1;
+        document.getElementById('speed').value = speed;
+        document.getElementById('speedValue').textContent = speed;
+        document.getElementById('pitch').value = pitch;
+        document.getElementById('pitchValue').textContent = pitch;
+        document.getElementById('emotion').value = profile.defaultEmotion || 'neutral';
+    }
+    
+    updateProfileFilters() {
+        const fill = (id, values, allLabel) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            const selected = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` + values.map(value => 
+                `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`
+            ).join('');
+            select.value = values.includes(selected) ? selected : '';
+        };
+        
+        const languages = Array.from(new Set(this.profiles.map(p => p.language))).sort();
+        const tags = Array.from(new Set(this.profiles.flatMap(p => p.tags || []))).sort((a, b) => a.localeCompare(b, I18n.locale()));
+        
+        fill('profileLanguageFilter', languages, I18n.t('profiles.allLanguages'));
+        fill('profileTagFilter', tags, I18n.t('profiles.allTags'));
+    }
+    
+    renderProfilesList(profiles = this.profiles) {
+        const profilesList = document.getElementById('profilesList');
+        if (!profilesList) return;
+        
+        if (profiles.length === 0) {
+            profilesList.innerHTML = `<p style="text-align: center; color: #6c757d;">${I18n.t('profiles.empty')}</p>`;
+            return;
+        }
+        
+        const query = document.getElementById('profileSearch').value;
+        const language = document.getElementById('profileLanguageFilter').value;
+        const tag = document.getElementById('profileTagFilter').value;
+        const sort = document.getElementById('profileSort').value;
+        
+        const comparators = {
+            newest: (a, b) => b.createdAt - a.createdAt,
+            oldest: (a, b) => a.createdAt - b.createdAt,
+            name: (a, b) => a.name.localeCompare(b.name, I18n.locale()),
+            duration: (a, b) => b.duration - a.duration
+        };
+        
+        const visible = profiles
+            .filter(profile => this.profileMatches(profile, query))
+            .filter(profile => !language || profile.language === language)
+            .filter(profile => !tag || (profile.tags || []).includes(tag))
+            .sort(comparators[sort] || comparators.newest);
+        
+        if (visible.length === 0) {
+            profilesList.innerHTML = `<p style="text-align: center; color: #6c757d;">${I18n.t('profiles.noMatch')}</p>`;
+            return;
+        }
+        
+        profilesList.innerHTML = visible.map(profile => `
+            <div class="profile-item">
+                <div class="profile-info">
+                    <h4>${this.escapeHtml(profile.name)}</h4>
+                    ${profile.description ? `<p>${this.escapeHtml(this.truncateText(profile.description, 120))}</p>` : ''}
+                    ${(profile.tags || []).length > 0 ? `
+                        <div class="language-legend">
+                            ${profile.tags.map(t => `<span class="language-chip profile-tag">${this.escapeHtml(t)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                    <small>
+                        ${I18n.t('common.languageInfo', { language: profile.language })} | 
+                        ${I18n.t('common.durationMinutes', { minutes: profile.duration })} | 
+                        ${(profile.clips || []).length > 1 ? I18n.t('profiles.clipCount', { count: profile.clips.length }) + ' | ' : ''}
+                        ${I18n.t('common.dateInfo', { date: I18n.formatDate(profile.createdAt) })}
+                    </small>
+                    ${!profile.consent ? `
+                        <span class="language-chip profile-unconsented" title="${I18n.t('profiles.noConsentHint')}">
+                            <i class="fas fa-user-shield"></i> ${I18n.t('profiles.noConsent')}
+                        </span>
+                    ` : ''}
+                    ${profile.modelOutdated ? `
+                        <span class="language-chip profile-outdated" title="${I18n.t('profiles.outdatedHint')}">
+                            <i class="fas fa-exclamation-triangle"></i> ${I18n.t('profiles.outdated')}
+                        </span>
+                    ` : ''}
+                </div>
+                <div class="profile-actions">
+                    <button class="btn btn-primary" onclick="app.previewProfile('${profile.id}')" title="${I18n.t('profiles.preview')}">
+                        <i class="fas fa-play"></i>
+                    </button>
+                    <button class="btn btn-secondary" onclick="app.editProfile('${profile.id}')">
+                        <i class="fas fa-edit"></i> ${I18n.t('profiles.edit')}
+                    </button>
+                    <button class="btn btn-secondary" onclick="app.exportProfile('${profile.id}')">
+                        <i class="fas fa-download"></i> ${I18n.t('profiles.export')}
+                    </button>
+                    <button class="btn btn-danger" onclick="app.deleteProfile('${profile.id}')">
+                        <i class="fas fa-trash"></i> ${I18n.t('common.delete')}
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    // Profile Editing
+    editProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile) return;
+        
+        this.editingProfileId = profileId;
+        
+        document.getElementById('profileEditorTitle').textContent = profile.name;
+        document.getElementById('profileEditName').value = profile.name;
+        document.getElementById('profileEditDescription').value = profile.description || '';
+        document.getElementById('profileEditTags').value = I18n.list(profile.tags || []);
+        document.getElementById('profileEditSpeed').value = profile.defaultSpeed || 1;
+        document.getElementById('profileEditPitch').value = profile.defaultPitch || 1;
+        document.getElementById('profileEditEmotion').value = profile.defaultEmotion || 'neutral';
+        document.getElementById('profileEditInfo').textContent = 
+            I18n.t('common.languageInfo', { language: profile.language }) + ' | ' + 
+            I18n.t('common.durationMinutes', { minutes: profile.duration }) + ' | ' + 
+            I18n.t('profiles.created', { date: I18n.formatDate(profile.createdAt) }) + 
+            (profile.updatedAt ? ' | ' + I18n.t('profiles.updated', { date: I18n.formatDate(profile.updatedAt) }) : '');
+        
+        this.renderProfileClips(profile);
+        this.loadProfileClips(profileId);
+        this.loadTrainingJob(profileId);
+        
+        const editor = document.getElementById('profileEditor');
+        editor.classList.remove('hidden');
+        editor.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    readProfileEditor() {
+        return {
+            name: document.getElementById('profileEditName').value.trim(),
+            description: document.getElementById('profileEditDescription').value.trim(),
+            tags: document.getElementById('profileEditTags').value.split(/[,،]/).map(t => t.trim()).filter(Boolean),
+            defaultSpeed: parseFloat(document.getElementById('profileEditSpeed').value),
+            defaultPitch: parseFloat(document.getElementById('profileEditPitch').value),
+            defaultEmotion: document.getElementById('profileEditEmotion').value
+        };
+    }
+    
+    async saveProfileEdits() {
+        if (!this.editingProfileId) return;
+        
+        const update = this.readProfileEditor();
+        
+        if (!update.name) {
+            this.showStatus('profilesStatus', I18n.t('profiles.nameRequired'), 'error');
+            return;
+        }
+        
+        if ([update.defaultSpeed, update.defaultPitch].some(value => isNaN(value) || value < 0.5 || value > 2)) {
+            this.showStatus('profilesStatus', I18n.t('profiles.rangeError', { min: 0.5, max: 2 }), 'error');
+            return;
+        }
+        
+        try {
+            await this.api.updateProfile(this.editingProfileId, update);
+            
+            this.showStatus('profilesStatus', I18n.t('profiles.saved'), 'success');
+            this.closeProfileEditor();
+            await this.loadProfiles();
+        } catch (error) {
+            console.error('Update profile error:', error);
+            this.showStatus('profilesStatus', I18n.t('profiles.saveError', { error: error.message }), 'error');
+        }
+    }
+    
+    closeProfileEditor() {
+        this.editingProfileId = null;
+        this.stopTrainingPoll();
+        document.getElementById('profileEditor').classList.add('hidden');
+    }
+    
+    // Source Clips and Retraining
+    async loadProfileClips(profileId) {
+        try {
+            const clips = await this.api.listProfileClips(profileId);
+            
+            const profile = this.profiles.find(p => p.id === profileId);
+            if (profile && this.editingProfileId === profileId) {
+                profile.clips = clips;
+                this.renderProfileClips(profile);
+            }
+        } catch (error) {
+            console.error('Clip loading error:', error);
+        }
+    }
+    
+    renderProfileClips(profile) {
+        const container = document.getElementById('profileClips');
+        const clips = profile.clips || [];
+        const totalSeconds = clips.reduce((sum, clip) => sum + clip.durationSeconds, 0);
+        
+        document.getElementById('profileClipsSummary').textContent = 
+            I18n.t('clips.summary', { count: clips.length, duration: this.formatDuration(totalSeconds) }) + 
+            (profile.modelOutdated ? ' | ' + I18n.t('clips.outdated') : '');
+        
+        if (clips.length === 0) {
+            container.innerHTML = `<p style="text-align: center; color: #6c757d;">${I18n.t('clips.empty')}</p>`;
+            return;
+        }
+        
+        container.innerHTML = clips.map(clip => `
+            <div class="profile-item">
+                <div class="profile-info">
+                    <h4>${this.escapeHtml(clip.fileName)}</h4>
+                    <small>
+                        ${I18n.t('clips.duration', { duration: this.formatDuration(clip.durationSeconds) })} | 
+                        ${I18n.t('clips.added', { date: I18n.formatDate(clip.addedAt) })}
+                    </small>
+                </div>
+                <div class="profile-actions">
+                    <button class="btn btn-danger" onclick="app.removeProfileClip('${profile.id}', '${clip.id}')" 
+                            ${clips.length < 2 ? 'disabled' : ''}>
+                        <i class="fas fa-trash"></i> ${I18n.t('common.delete')}
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const minutes = Math.floor(total / 60);
+        const rest = String(total % 60).padStart(2, '0');
+        return `${I18n.formatNumber(minutes)}:${I18n.formatNumber(rest)}`;
+    }
+    
+    // Applies a profile returned by the clip endpoints and re-renders the open editor
+    updateProfileFromServer(profile) {
+        const index = this.profiles.findIndex(p => p.id === profile.id);
+        if (index >= 0) {
+            this.profiles[index] = profile;
+        }
+        if (this.editingProfileId === profile.id) {
+            this.renderProfileClips(profile);
+        }
+        this.renderProfilesList();
+    }
+    
+    async addProfileClipFiles() {
+        const profileId = this.editingProfileId;
+        const fileInput = document.getElementById('profileClipFiles');
+        if (!profileId) return;
+        
+        if (fileInput.files.length === 0) {
+            this.showStatus('profilesStatus', I18n.t('upload.fileRequired'), 'error');
+            return;
+        }
+        
+        // Same checks and conversion as a new profile's upload
+        const formData = new FormData();
+        for (const file of Array.from(fileInput.files)) {
+            try {
+                this.showStatus('profilesStatus', I18n.t('clips.checking', { name: file.name }), 'info');
+                const prepared = await this.prepareAudioFile(file);
+                formData.append('audio', prepared.blob, file.name.replace(/\.[^.]*$/, '') + '.wav');
+            } catch (error) {
+                this.showStatus('profilesStatus', I18n.t('upload.rejected', { name: file.name, error: error.message }), 'error');
+                return;
+            }
+        }
+        
+        try {
+            this.showStatus('profilesStatus', I18n.t('common.uploading'), 'info');
+            
+            const profile = await this.api.addProfileClips(profileId, formData);
+            
+            fileInput.value = '';
+            this.updateProfileFromServer(profile);
+            this.showStatus('profilesStatus', I18n.t('clips.addedAll'), 'success');
+        } catch (error) {
+            console.error('Add clips error:', error);
+            this.showStatus('profilesStatus', I18n.t('clips.addError', { error: error.message }), 'error');
+        }
+    }
+    
+    async removeProfileClip(profileId, clipId) {
+        if (!confirm(I18n.t('clips.confirmRemove'))) {
+            return;
+        }
+        
+        try {
+            const profile = await this.api.removeProfileClip(profileId, clipId);
+            
+            this.updateProfileFromServer(profile);
+            this.showStatus('profilesStatus', I18n.t('clips.removed'), 'success');
+        } catch (error) {
+            console.error('Remove clip error:', error);
+            this.showStatus('profilesStatus', I18n.t('clips.removeError', { error: error.message }), 'error');
+        }
+    }
+    
+    // Switch to the record tab with the profile preset as the upload target
+    recordMoreForProfile(profileId) {
+        if (!profileId) return;
+        
+        this.closeProfileEditor();
+        this.showTab('record');
+        document.getElementById('targetProfile').value = profileId;
+        this.updateUploadTarget();
+        this.showStatus('recordStatus', I18n.t('clips.recordingFor', { name: this.getProfileName(profileId) }), 'info');
+    }
+    
+    async retrainProfile() {
+        const profileId = this.editingProfileId;
+        if (!profileId) return;
+        
+        try {
+            const job = await this.api.retrainProfile(profileId);
+            
+            this.renderTrainingJob(job);
+            this.pollTraining(profileId);
+        } catch (error) {
+            console.error('Retrain error:', error);
+            this.showStatus('profilesStatus', I18n.t('clips.retrainError', { error: error.message }), 'error');
+        }
+    }
+    
+    // Shows a job still running from an earlier visit, and keeps polling it
+    async loadTrainingJob(profileId) {
+        this.stopTrainingPoll();
+        document.getElementById('trainingProgressBox').classList.add('hidden');
+        document.getElementById('retrainBtn').disabled = false;
+        
+        try {
+            const job = await this.api.getTrainingJob(profileId);
+            if (this.editingProfileId === profileId && job.status === 'running') {
+                this.renderTrainingJob(job);
+                this.pollTraining(profileId);
+            }
+        } catch (error) {
+            // 404 just means the profile has never been retrained
+            if (!(error instanceof ApiHttpError && error.status === 404)) {
+                console.error('Training status error:', error);
+            }
+        }
+    }
+    
+    pollTraining(profileId) {
+        this.stopTrainingPoll();
+        
+        this.trainingTimer = setInterval(async () => {
+            try {
+                const job = await this.api.getTrainingJob(profileId);
+                if (this.editingProfileId !== profileId) return;
+                
+                this.renderTrainingJob(job);
+                
+                if (job.status !== 'running') {
+                    this.stopTrainingPoll();
+                    if (job.status === 'completed') {
+                        this.showStatus('profilesStatus', I18n.t('clips.retrained'), 'success');
+                        await this.loadProfiles();
+                        const profile = this.profiles.find(p => p.id === profileId);
+                        if (profile) this.renderProfileClips(profile);
+                    } else {
+                        this.showStatus('profilesStatus', I18n.t('clips.trainingFailedError', { error: job.error }), 'error');
+                    }
+                }
+            } catch (error) {
+                console.error('Training status error:', error);
+            }
+        }, 1000);
+    }
+    
+    stopTrainingPoll() {
+        if (this.trainingTimer) {
+            clearInterval(this.trainingTimer);
+            this.trainingTimer = null;
+        }
+    }
+    
+    renderTrainingJob(job) {
+        const running = job.status === 'running';
+        const percent = Math.round(job.progress * 100);
+        
+        document.getElementById('trainingProgressBox').classList.remove('hidden');
+        document.getElementById('trainingProgress').style.width = percent + '%';
+        document.getElementById('trainingProgressText').textContent = running
+            ? I18n.t('clips.training', { percent }) 
+            : I18n.t(job.status === 'completed' ? 'clips.trainingDone' : 'clips.trainingFailed');
+        document.getElementById('retrainBtn').disabled = running;
+    }
+    
+    // Short sample in the profile's language; the editor's unsaved defaults are used while it is open
+    async previewProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile) return;
+        
+        const samples = {
+            fa: 'سلام، این نمونه‌ای از صدای من است. امیدوارم از شنیدن آن لذت ببرید.',
+            en: 'Hello, this is a sample of my voice. I hope you enjoy listening to it.',
+            ar: 'مرحبا، هذه عينة من صوتي. أتمنى أن تستمتع بالاستماع إليها.'
+        };
+        const language = samples[profile.language] ? profile.language : 'en';
+        const settings = this.editingProfileId === profileId ? this.readProfileEditor() : profile;
+        
+        this.showStatus('profilesStatus', I18n.t('profiles.previewing', { name: profile.name }), 'info');
+        
+        try {
+            const result = await this.api.synthesize({
+                text: samples[language],
+                profileId,
+                language,
+                speed: settings.defaultSpeed || 1,
+                pitch: settings.defaultPitch || 1,
+                emotion: settings.defaultEmotion || 'neutral',
+                ...this.getSynthesisOutput()
+            });
+            
+            const previewPlayer = document.getElementById('profilePreviewPlayer');
+            previewPlayer.src = result.audioUrl;
+            previewPlayer.classList.remove('hidden');
+            document.getElementById('profilesStatus').innerHTML = '';
+            
+            try {
+                await previewPlayer.play();
+            } catch (playError) {
+                console.log('Auto-play prevented by browser');
+            }
+        } catch (error) {
+            console.error('Profile preview error:', error);
+            this.showStatus('profilesStatus', I18n.t('profiles.previewError', { error: error.message }), 'error');
+        }
+    }
+    
+    async deleteProfile(profileId) {
+        if (!confirm(I18n.t('profiles.confirmDelete'))) {
+            return;
+        }
+        
+        try {
+            await this.api.deleteProfile(profileId);
+            
+            await this.loadProfiles();
+            this.showNotification(I18n.t('profiles.deleted'), 'success');
+        } catch (error) {
+            console.error('Delete profile error:', error);
+            this.showNotification(I18n.t('profiles.deleteError', { error: error.message }), 'error');
+        }
+    }
+    
+    async exportProfile(profileId) {
+        try {
+            const blob = await this.api.exportProfile(profileId);
+            AudioUtils.downloadBlob(blob, `voice_profile_${profileId}.zip`);
+                
+            this.showNotification(I18n.t('profiles.exported'), 'success');
+        } catch (error) {
+            console.error('Export profile error:', error);
+            if (error instanceof ApiHttpError) {
+                this.showNotification(I18n.t('profiles.exportFailed'), 'error');
+            } else {
+                this.showNotification(I18n.t('profiles.exportError', { error: error.message }), 'error');
+            }
+        }
+    }
+    
+    // Profile Import
+    async importProfile() {
+        const fileInput = document.getElementById('profileImportFile');
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        
+        // Catch obviously wrong files before uploading them
+        const signature = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+        const isZip = signature[0] === 0x50 && signature[1] === 0x4B && signature[2] === 0x03 && signature[3] === 0x04;
+        if (!isZip) {
+            this.showStatus('profilesStatus', I18n.t('import.notZip', { name: file.name }), 'error');
+            return;
+        }
+        
+        // An imported profile is a new profile, so it needs a consent like an upload does
+        if (!this.getConsentId()) {
+            this.showStatus('profilesStatus', I18n.t('import.consentRequired'), 'error');
+            return;
+        }
+        
+        this.pendingImport = file;
+        await this.submitProfileImport();
+    }
+    
+    // onConflict is 'rename' or 'overwrite' once the user has chosen how to settle a clash
+    async submitProfileImport(onConflict = null, name = null) {
+        if (!this.pendingImport) return;
         
-        if (!text) {
-            this.showStatus('ttsStatus', 'لطفاً متن را وارد کنید', 'error');
-            return;
-        }
+        const formData = new FormData();
+        formData.append('archive', this.pendingImport, this.pendingImport.name);
+        formData.append('consentId', this.getConsentId() || '');
+        if (onConflict) formData.append('onConflict', onConflict);
+        if (name) formData.append('name', name);
+        
+        document.getElementById('importConflict').classList.add('hidden');
+        this.showStatus('profilesStatus', I18n.t('import.importing'), 'info');
         
         try {
-            const response = await fetch(`${this.apiBase}/detect-language`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ text })
-            });
+            const profile = await this.api.importProfile(formData);
             
-            const result = await response.json();
+            this.pendingImport = null;
+            this.resetConsent();
+            this.showStatus('profilesStatus', I18n.t('import.done', { name: profile.name }), 'success');
+            this.loadProfiles();
+        } catch (error) {
+            if (error instanceof ApiHttpError && error.status === 409 && error.data) {
+                this.showImportConflict(error.data);
+                return;
+            }
             
-            if (result.success) {
-                const languageSelect = document.getElementById('textLanguage');
-                const detectedLang = result.data.language;
-                const langInfo = result.data.languageInfo;
-                
-                // Set detected language
-                languageSelect.value = detectedLang;
-                
-                this.showStatus('ttsStatus', 
-                    `زبان تشخیص داده شده: ${langInfo ? langInfo.name : detectedLang}`, 
-                    'success'
-                );
-            } else {
-                this.showStatus('ttsStatus', 'خطا در تشخیص زبان: ' + result.error, 'error');
+            console.error('Import profile error:', error);
+            // A rejected archive will not import on a retry; a network failure might
+            if (error instanceof ApiError && error.status !== 0) {
+                this.pendingImport = null;
             }
-        } catch (error) {
-            console.error('Language detection error:', error);
-            this.showStatus('ttsStatus', 'خطا در تشخیص زبان: ' + error.message, 'error');
+            this.showStatus('profilesStatus', I18n.t('import.error', { error: error.message }), 'error');
         }
     }
     
-    async generateSpeech() {
-        const text = document.getElementById('inputText').value.trim();
-        const profileId = document.getElementById('voiceProfile').value;
-        const language = document.getElementById('textLanguage').value;
-        const speed = parseFloat(document.getElementById('speed').value);
-        const pitch = parseFloat(document.getElementById('pitch').value);
-        const emotion = document.getElementById('emotion').value;
+    showImportConflict(conflict) {
+        const existing = conflict.existingById || conflict.existingByName;
+        const reason = conflict.existingById 
+            ? I18n.t('import.sameId', { name: this.escapeHtml(existing.name) }) 
+            : I18n.t('import.sameName', { name: this.escapeHtml(existing.name) });
         
-        // Validation
-        if (!text) {
-            this.showStatus('ttsStatus', 'لطفاً متن را وارد کنید', 'error');
+        document.getElementById('importConflictMessage').innerHTML = 
+            `${reason}. ` + I18n.t('import.conflictHint', { name: this.escapeHtml(conflict.profile.name) });
+        document.getElementById('importName').value = conflict.suggestedName;
+        document.getElementById('importConflict').classList.remove('hidden');
+        this.showStatus('profilesStatus', I18n.t('import.duplicate'), 'warning');
+    }
+    
+    resolveImportConflict(onConflict) {
+        if (onConflict === 'overwrite' && !confirm(I18n.t('import.confirmOverwrite'))) {
             return;
         }
         
-        if (!profileId) {
-            this.showStatus('ttsStatus', 'لطفاً پروفایل صوتی را انتخاب کنید', 'error');
+        const name = document.getElementById('importName').value.trim();
+        if (onConflict === 'rename' && !name) {
+            this.showStatus('profilesStatus', I18n.t('import.nameRequired'), 'error');
             return;
         }
         
-        if (text.length > 50000) {
-            this.showStatus('ttsStatus', 'متن نباید بیش از 50,000 کاراکتر باشد', 'error');
-            return;
+        this.submitProfileImport(onConflict, onConflict === 'rename' ? name : null);
+    }
+    
+    cancelProfileImport() {
+        this.pendingImport = null;
+        document.getElementById('importConflict').classList.add('hidden');
+        document.getElementById('profilesStatus').innerHTML = '';
+    }
+    
+    // Settings and Updates
+    // Manual checks report every outcome; background checks only surface a new release
+    async checkForUpdates(background = false) {
+        if (!background) {
+            this.showStatus('settingsStatus', I18n.t('settings.checking'), 'info');
         }
         
-        // UI updates
-        const generateBtn = document.getElementById('generateBtn');
-        const loading = document.getElementById('ttsLoading');
-        const audioPlayer = document.getElementById('audioPlayer');
-        
-        generateBtn.disabled = true;
-        loading.classList.add('show');
-        audioPlayer.classList.add('hidden');
-        
         try {
-            const response = await fetch(`${this.apiBase}/synthesize`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    text,
-                    profileId,
-                    language,
-                    speed,
-                    pitch,
-                    emotion
-                })
-            });
+            const update = await this.api.checkForUpdates();
             
-            const result = await response.json();
+            localStorage.setItem('voiceCloneLastUpdateCheck', String(Date.now()));
+            document.getElementById('appVersion').textContent = update.current;
             
-            if (result.success) {
-                const audioUrl = result.data.audioUrl;
-                
-                // Set up audio player
-                audioPlayer.src = audioUrl;
-                audioPlayer.classList.remove('hidden');
-                
-                this.showStatus('ttsStatus', 
-                    `گفتار با موفقیت تولید شد! (${result.data.characterCount} کاراکتر)`, 
-                    'success'
-                );
-                
-                // Auto-play if supported
-                try {
-                    await audioPlayer.play();
-                } catch (playError) {
-                    console.log('Auto-play prevented by browser');
+            if (!update.available) {
+                if (!background) {
+                    this.showStatus('settingsStatus', I18n.t('settings.upToDate'), 'success');
                 }
-                
-            } else {
-                this.showStatus('ttsStatus', 'خطا در تولید گفتار: ' + result.error, 'error');
+                return;
             }
             
+            if (!background) {
+                this.showStatus('settingsStatus', I18n.t('update.available', { version: update.latest }), 'info');
+            }
+            if (!background || this.dismissedUpdate !== update.latest) {
+                this.showUpdateDialog(update);
+            }
         } catch (error) {
-            console.error('Speech synthesis error:', error);
-            this.showStatus('ttsStatus', 'خطا در تولید گفتار: ' + error.message, 'error');
-        } finally {
-            generateBtn.disabled = false;
-            loading.classList.remove('show');
+            console.error('Update check error:', error);
+            if (!background) {
+                this.showStatus('settingsStatus', I18n.t('settings.updateError', { error: error.message }), 'error');
+            }
         }
     }
     
-    // Profile Management
-    async loadProfiles() {
-        const profilesLoading = document.getElementById('profilesLoading');
-        const profilesList = document.getElementById('profilesList');
-        const voiceProfileSelect = document.getElementById('voiceProfile');
+    // While autoUpdate is on, check once a day; the timer ticks hourly so a tab that
+    // slept through the due time catches up soon after it wakes
+    scheduleUpdateChecks() {
+        clearInterval(this.updateTimer);
+        this.updateTimer = null;
         
-        if (profilesLoading) profilesLoading.classList.add('show');
+        if (!document.getElementById('autoUpdate').checked) return;
         
-        try {
-            const response = await fetch(`${this.apiBase}/profiles`);
-            const result = await response.json();
-            
-            if (result.success) {
-                const profiles = result.data;
-                
-                // Update profiles list
-                if (profilesList) {
-                    this.renderProfilesList(profiles);
-                }
-                
-                // Update voice profile select
-                if (voiceProfileSelect) {
-                    voiceProfileSelect.innerHTML = '<option value="">لطفاً پروفایل را انتخاب کنید</option>';
-                    profiles.forEach(profile => {
-                        const option = document.createElement('option');
-                        option.value = profile.id;
-                        option.textContent = `${profile.name} (${profile.language})`;
-                        voiceProfileSelect.appendChild(option);
-                    });
-                }
-            } else {
-                console.error('Failed to load profiles:', result.error);
+        const checkIfDue = () => {
+            const lastCheck = parseInt(localStorage.getItem('voiceCloneLastUpdateCheck'), 10) || 0;
+            if (Date.now() - lastCheck >= VoiceCloneApp.UPDATE_CHECK_INTERVAL) {
+                this.checkForUpdates(true);
             }
-        } catch (error) {
-            console.error('Profile loading error:', error);
-        } finally {
-            if (profilesLoading) profilesLoading.classList.remove('show');
-        }
+        };
+        
+        checkIfDue();
+        this.updateTimer = setInterval(checkIfDue, VoiceCloneApp.UPDATE_CHECK_TICK);
     }
     
-    renderProfilesList(profiles) {
-        const profilesList = document.getElementById('profilesList');
-        
-        if (profiles.length === 0) {
-            profilesList.innerHTML = '<p style="text-align: center; color: #6c757d;">هیچ پروفایل صوتی یافت نشد</p>';
-            return;
-        }
+    showUpdateDialog(update) {
+        const info = update.updateInfo;
+        this.availableUpdate = update;
         
-        profilesList.innerHTML = profiles.map(profile => `
-            <div class="profile-item">
-                <div class="profile-info">
-                    <h4>${profile.name}</h4>
-                    <small>
-                        زبان: ${profile.language} | 
-                        مدت: ${profile.duration} دقیقه | 
-                        تاریخ: ${new Date(profile.createdAt).toLocaleDateString('fa-IR')}
-                    </small>
-                </div>
-                <div class="profile-actions">
-                    <button class="btn btn-secondary" onclick="app.exportProfile('${profile.id}')">
-                        <i class="fas fa-download"></i> صادرات
-                    </button>
-                    <button class="btn btn-danger" onclick="app.deleteProfile('${profile.id}')">
-                        <i class="fas fa-trash"></i> حذف
-                    </button>
-                </div>
-            </div>
-        `).join('');
+        document.getElementById('updateVersions').textContent = 
+            I18n.t('update.versions', { current: update.current, latest: update.latest }) + 
+            (info.releaseDate ? ' | ' + I18n.t('update.released', { date: I18n.formatDate(info.releaseDate) }) : '') + 
+            (info.mandatory ? ' | ' + I18n.t('update.mandatory') : '');
+        document.getElementById('updateNotes').textContent = info.releaseNotes || I18n.t('update.noNotes');
+        document.getElementById('updateInstallBtn').disabled = false;
+        document.getElementById('updateLaterBtn').disabled = false;
+        document.getElementById('updateStatus').innerHTML = '';
+        document.getElementById('updateDialog').classList.remove('hidden');
     }
     
-    async deleteProfile(profileId) {
-        if (!confirm('آیا مطمئن هستید که می‌خواهید این پروفایل را حذف کنید؟')) {
+    // "Later" silences background checks for this release until the page is reloaded
+    dismissUpdate() {
+        this.dismissedUpdate = this.availableUpdate ? this.availableUpdate.latest : null;
+        document.getElementById('updateDialog').classList.add('hidden');
+    }
+    
+    async installUpdate() {
+        if (this.isRecording && !confirm(I18n.t('update.confirmWhileRecording'))) {
             return;
         }
         
+        document.getElementById('updateInstallBtn').disabled = true;
+        document.getElementById('updateLaterBtn').disabled = true;
+        this.showStatus('updateStatus', I18n.t('update.installing'), 'info');
+        
         try {
-            const response = await fetch(`${this.apiBase}/profiles/${profileId}`, {
-                method: 'DELETE'
-            });
+            // Downloading the release can take well over the default timeout
+            const installed = await this.api.installUpdate({ timeout: 0 });
             
-            const result = await response.json();
-            
-            if (result.success) {
-                await this.loadProfiles();
-                this.showNotification('پروفایل با موفقیت حذف شد', 'success');
-            } else {
-                this.showNotification('خطا در حذف پروفایل: ' + result.error, 'error');
-            }
+            this.showStatus('updateStatus', I18n.t('update.restarting', { version: installed.version }), 'info');
+            await this.waitForRestart();
+        
         } catch (error) {
-            console.error('Delete profile error:', error);
-            this.showNotification('خطا در حذف پروفایل: ' + error.message, 'error');
+            console.error('Update install error:', error);
+            this.showStatus('updateStatus', I18n.t('update.installError', { error: error.message }), 'error');
+            document.getElementById('updateInstallBtn').disabled = false;
+            document.getElementById('updateLaterBtn').disabled = false;
         }
     }
     
-    async exportProfile(profileId) {
-        try {
-            const response = await fetch(`${this.apiBase}/profiles/${profileId}/export`);
-            
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.style.display = 'none';
-                a.href = url;
-                a.download = `voice_profile_${profileId}.zip`;
-                document.body.appendChild(a);
-                a.click();
-                window.URL.revokeObjectURL(url);
-                document.body.removeChild(a);
-                
-                this.showNotification('پروفایل با موفقیت صادر شد', 'success');
-            } else {
-                this.showNotification('خطا در صادرات پروفایل', 'error');
+    // The server exits shortly after installing; reload once it has gone down and answers again
+    async waitForRestart() {
+        let wentDown = false;
+        
+        for (let attempt = 0; attempt < 60; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            
+            try {
+                const response = await fetch('/health', { cache: 'no-store' });
+                if (response.ok && wentDown) {
+                    location.reload();
+                    return;
+                }
+            } catch (error) {
+                wentDown = true;
             }
-        } catch (error) {
-            console.error('Export profile error:', error);
-            this.showNotification('خطا در صادرات پروفایل: ' + error.message, 'error');
         }
+        
+        this.showStatus('updateStatus', I18n.t('update.restartTimeout'), 'warning');
     }
     
-    // Settings and Updates
-    async checkForUpdates() {
-        try {
-            this.showStatus('settingsStatus', 'در حال بررسی بروزرسانی...', 'info');
-            
-            // This would connect to your update server
-            // For now, we'll simulate the check
-            setTimeout(() => {
-                this.showStatus('settingsStatus', 'برنامه به‌روز است', 'success');
-            }, 2000);
-            
-        } catch (error) {
-            console.error('Update check error:', error);
-            this.showStatus('settingsStatus', 'خطا در بررسی بروزرسانی: ' + error.message, 'error');
+    getAudioQuality() {
+        return AudioUtils.QUALITY_PRESETS[document.getElementById('audioQuality').value] || AudioUtils.QUALITY_PRESETS.high;
+    }
+    
+    // Output fields added to every synthesis request
+    getSynthesisOutput() {
+        const quality = this.getAudioQuality();
+        const output = { format: quality.synthesisFormat, sampleRate: quality.sampleRate };
+        if (quality.synthesisBitrate) {
+            output.bitrate = quality.synthesisBitrate;
         }
+        return output;
+    }
+    
+    // A new preset also picks the matching download format
+    applyAudioQuality() {
+        document.getElementById('downloadFormat').value = this.getAudioQuality().downloadFormat;
+        this.updateQualityEstimate();
+    }
+    
+    updateQualityEstimate() {
+        const quality = this.getAudioQuality();
+        const toMb = (bytes) => Number((bytes / (1024 * 1024)).toFixed(2));
+        
+        document.getElementById('audioQualityEstimate').textContent = I18n.t('settings.qualityEstimate', {
+            record: toMb(quality.recordBitrate / 8 * 60),
+            synthesis: toMb(AudioUtils.estimateBytesPerMinute(quality.synthesisFormat, quality.sampleRate, quality.synthesisBitrate)),
+            synthesisFormat: quality.synthesisFormat.toUpperCase(),
+            download: toMb(AudioUtils.estimateBytesPerMinute(quality.downloadFormat, quality.sampleRate, quality.downloadBitrate)),
+            downloadFormat: quality.downloadFormat.toUpperCase()
+        });
     }
     
     saveSettings() {
@@ -544,7 +3931,7 @@ class VoiceCloneApp {
             audioQuality
         }));
         
-        this.showStatus('settingsStatus', 'تنظیمات ذخیره شد', 'success');
+        this.showStatus('settingsStatus', I18n.t('settings.saved'), 'success');
     }
     
     loadSettings() {
@@ -565,22 +3952,70 @@ class VoiceCloneApp {
     changeLanguage() {
         const language = document.getElementById('interfaceLanguage').value;
         
-        // This would implement actual language switching
-        // For now, just save the preference
+        I18n.setLanguage(language);
         this.saveSettings();
-        this.showStatus('settingsStatus', 'زبان رابط کاربری تغییر یافت', 'info');
+        this.refreshLocalizedContent();
+        this.showStatus('settingsStatus', I18n.t('settings.languageChanged'), 'info');
+    }
+    
+    // Static markup is re-translated by I18n.setLanguage; everything built here is rebuilt
+    refreshLocalizedContent() {
+        document.querySelectorAll('#textLanguage option, #compareLanguage option').forEach(option => {
+            if (option.value !== 'auto') {
+                option.textContent = this.getLanguageName(option.value);
+            }
+        });
+        
+        this.updateProfileFilters();
+        this.renderProfilesList();
+        this.renderVoiceProfileOptions();
+        this.renderTargetProfileOptions();
+        this.renderSpeakerMapping();
+        this.renderCompareVariants();
+        this.updateCharacterCount();
+        this.updateQualityEstimate();
+        this.renderAccount();
+        this.renderConsent();
+        this.renderVerifyReport();
+        this.renderConnectionStatus();
+        this.loadHistory();
+        
+        if (this.enrollment) {
+            this.renderEnrollmentPrompts();
+        }
+        if (this.batchQueue) {
+            this.batchQueue.items.forEach(item => this.updateBatchItem(item));
+        }
+        if (this.compareQueue) {
+            // Cards keep their audio elements so playback is not interrupted
+            this.compareQueue.items.forEach(item => {
+                const card = document.getElementById(`compareCard${item.index}`);
+                if (!card) return;
+                
+                card.querySelector('h4').textContent = I18n.t('compare.variant', { label: item.row.id });
+                card.querySelector('small').textContent = this.describeCompareVariant(item.row);
+                card.querySelector('button').innerHTML = `<i class="fas fa-trophy"></i> ${I18n.t('compare.markWinner')}`;
+                this.updateCompareCard(item);
+            });
+            this.updateCompareTransport(this.getCompareAudios().some(audio => !audio.paused));
+            if (this.compareWinner !== null) {
+                this.markCompareWinner(this.compareWinner);
+            }
+        }
     }
     
     // Language Support
     async loadSupportedLanguages() {
         try {
-            const response = await fetch(`${this.apiBase}/info`);
-            const result = await response.json();
+            this.serverInfo = await this.api.getInfo();
             
-            if (result.success && result.data.supportedLanguages) {
+            if (this.serverInfo.supportedLanguages) {
                 const textLanguageSelect = document.getElementById('textLanguage');
                 
                 if (textLanguageSelect) {
+                    // Reloaded on reconnect, so the current choice is kept
+                    const selected = textLanguageSelect.value;
+                    
                     // Keep auto-detect option
                     const autoOption = textLanguageSelect.querySelector('option[value="auto"]');
                     textLanguageSelect.innerHTML = '';
@@ -589,12 +4024,20 @@ class VoiceCloneApp {
                     }
                     
                     // Add supported languages
-                    result.data.supportedLanguages.forEach(lang => {
+                    this.serverInfo.supportedLanguages.forEach(lang => {
                         const option = document.createElement('option');
                         option.value = lang;
                         option.textContent = this.getLanguageName(lang);
                         textLanguageSelect.appendChild(option);
                     });
+                    
+                    const compareLanguageSelect = document.getElementById('compareLanguage');
+                    if (compareLanguageSelect) {
+                        const compareSelected = compareLanguageSelect.value;
+                        compareLanguageSelect.innerHTML = textLanguageSelect.innerHTML;
+                        if (compareSelected) compareLanguageSelect.value = compareSelected;
+                    }
+                    if (selected) textLanguageSelect.value = selected;
                 }
             }
         } catch (error) {
@@ -603,24 +4046,7 @@ class VoiceCloneApp {
     }
     
     getLanguageName(code) {
-        const languages = {
-            'fa': 'فارسی (Persian)',
-            'en': 'انگلیسی (English)',
-            'ar': 'عربی (Arabic)',
-            'zh': 'چینی (Chinese)',
-            'hi': 'هندی (Hindi)',
-            'es': 'اسپانیایی (Spanish)',
-            'fr': 'فرانسوی (French)',
-            'de': 'آلمانی (German)',
-            'ja': 'ژاپنی (Japanese)',
-            'ko': 'کره‌ای (Korean)',
-            'ru': 'روسی (Russian)',
-            'pt': 'پرتغالی (Portuguese)',
-            'it': 'ایتالیایی (Italian)',
-            'tr': 'ترکی (Turkish)'
-        };
-        
-        return languages[code] || code;
+        return I18n.has('language.' + code) ? I18n.t('language.' + code) : code;
     }
     
     // Utility Functions
@@ -640,6 +4066,16 @@ class VoiceCloneApp {
         }
     }
     
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+    
+    truncateText(text, maxLength) {
+        return text.length > maxLength ? text.slice(0, maxLength) + '…' : text;
+    }
+    
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
@@ -686,6 +4122,10 @@ class VoiceCloneApp {
     }
 }
 
+// Same period as AutoUpdater.UPDATE_CHECK_INTERVAL on the server
+VoiceCloneApp.UPDATE_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+VoiceCloneApp.UPDATE_CHECK_TICK = 60 * 60 * 1000;
+
 // Global functions for HTML onclick handlers
 function showTab(tabName) {
     app.showTab(tabName);
@@ -699,14 +4139,86 @@ function stopRecording() {
     app.stopRecording();
 }
 
+function pauseRecording() {
+    app.pauseRecording();
+}
+
+function resumeRecording() {
+    app.resumeRecording();
+}
+
 function uploadAudioFile() {
     app.uploadAudioFile();
 }
 
+function editorPlay() {
+    app.editorPlay();
+}
+
+function editorStop() {
+    app.editorStop();
+}
+
+function editorCut() {
+    app.editorCut();
+}
+
+function editorCrop() {
+    app.editorCrop();
+}
+
+function editorTrimSilence() {
+    app.editorTrimSilence();
+}
+
+function editorNormalize() {
+    app.editorNormalize();
+}
+
+function editorUndo() {
+    app.editorUndo();
+}
+
+function uploadEditedAudio() {
+    app.uploadEditedAudio();
+}
+
+function cancelAudioEditor() {
+    app.cancelAudioEditor();
+}
+
+function startGuidedEnrollment() {
+    app.startGuidedEnrollment();
+}
+
+function uploadEnrollment() {
+    app.uploadEnrollment();
+}
+
+function cancelGuidedEnrollment() {
+    app.cancelGuidedEnrollment();
+}
+
 function updateCharacterCount() {
     app.updateCharacterCount();
 }
 
+function toggleScriptMode() {
+    app.toggleScriptMode();
+}
+
+function insertMarkup(kind) {
+    app.insertMarkup(kind);
+}
+
+function changeSpanLanguage(language) {
+    app.changeSpanLanguage(language);
+}
+
+function clearLanguageSpans() {
+    app.clearLanguageSpans();
+}
+
 function detectLanguage() {
     app.detectLanguage();
 }
@@ -715,24 +4227,152 @@ function generateSpeech() {
     app.generateSpeech();
 }
 
+function cancelSpeech() {
+    app.cancelSpeech();
+}
+
+function downloadSynthesis() {
+    app.downloadSynthesis();
+}
+
+function loadBatchFile() {
+    app.loadBatchFile();
+}
+
+function startBatch() {
+    app.startBatch();
+}
+
+function cancelBatch() {
+    app.cancelBatch();
+}
+
+function retryFailedBatch() {
+    app.retryFailedBatch();
+}
+
+function downloadBatch() {
+    app.downloadBatch();
+}
+
+function useFormForComparison() {
+    app.useFormForComparison();
+}
+
+function addCompareVariant() {
+    app.addCompareVariant();
+}
+
+function startComparison() {
+    app.startComparison();
+}
+
+function cancelComparison() {
+    app.cancelComparison();
+}
+
+function toggleComparisonPlayback() {
+    app.toggleComparisonPlayback();
+}
+
+function stopComparison() {
+    app.stopComparison();
+}
+
+function seekComparison(position) {
+    app.seekComparison(position);
+}
+
+function applyCompareWinner() {
+    app.applyCompareWinner();
+}
+
+function clearHistory() {
+    app.clearHistory();
+}
+
 function loadProfiles() {
     app.loadProfiles();
 }
 
+function importProfile() {
+    app.importProfile();
+}
+
+function renderProfilesList() {
+    app.renderProfilesList();
+}
+
+function filterVoiceProfiles() {
+    app.renderVoiceProfileOptions();
+}
+
+function saveProfileEdits() {
+    app.saveProfileEdits();
+}
+
+function closeProfileEditor() {
+    app.closeProfileEditor();
+}
+
+function updateUploadTarget() {
+    app.updateUploadTarget();
+}
+
+function verifyAudio() {
+    app.verifyAudio();
+}
+
+function requestConsentPhrase() {
+    app.requestConsentPhrase();
+}
+
+function toggleConsentRecording() {
+    app.toggleConsentRecording();
+}
+
+function addProfileClipFiles() {
+    app.addProfileClipFiles();
+}
+
+function retrainProfile() {
+    app.retrainProfile();
+}
+
 function checkForUpdates() {
     app.checkForUpdates();
 }
 
+function installUpdate() {
+    app.installUpdate();
+}
+
+function dismissUpdate() {
+    app.dismissUpdate();
+}
+
+function login() {
+    app.submitLogin(false);
+}
+
+function register() {
+    app.submitLogin(true);
+}
+
+function logout() {
+    app.logout();
+}
+
 // Initialize app when DOM is loaded
 let app;
 document.addEventListener('DOMContentLoaded', () => {
     app = new VoiceCloneApp();
 });
 
-// Handle page visibility changes to pause/resume recording
+// Pause recording when the page is hidden; the user resumes explicitly
 document.addEventListener('visibilitychange', () => {
-    if (document.hidden && app && app.isRecording) {
-        console.log('Page hidden during recording - consider pausing');
+    if (document.hidden && app && app.isRecording && app.mediaRecorder && app.mediaRecorder.state === 'recording') {
+        app.pauseRecording(I18n.t('record.pausedHidden'));
     }
 });
 
@@ -740,6 +4380,6 @@ document.addEventListener('visibilitychange', () => {
 window.addEventListener('beforeunload', (event) => {
     if (app && app.isRecording) {
         event.preventDefault();
-        event.returnValue = 'ضبط صدا در حال انجام است. آیا مطمئن هستید که می‌خواهید صفحه را ترک کنید؟';
+        event.returnValue = I18n.t('record.leaveWarning');
     }
 });
\ No newline at end of file
@@ -0,0 +1,685 @@
+// Voice Clone Web App - audio helpers (decoding, stitching, encoding)
+const AudioUtils = {
+    // Server output and recordings both use this rate
+    DEFAULT_SAMPLE_RATE: 22050,
+    
+    // Settings > audio quality: recorder constraints, the encoding requested from
+    // /api/synthesize and the default download format
+    QUALITY_PRESETS: {
+        high: {
+            sampleRate: 22050,
+            recordBitrate: 128000,
+            synthesisFormat: 'flac',
+            synthesisBitrate: null,
+            downloadFormat: 'wav',
+            downloadBitrate: 128000
+        },
+        medium: {
+            sampleRate: 16000,
+            recordBitrate: 64000,
+            synthesisFormat: 'mp3',
+            synthesisBitrate: 64000,
+            downloadFormat: 'webm',
+            downloadBitrate: 48000
+        },
+        low: {
+            sampleRate: 8000,
+            recordBitrate: 24000,
+            synthesisFormat: 'opus',
+            synthesisBitrate: 16000,
+            downloadFormat: 'webm',
+            downloadBitrate: 16000
+        }
+    },
+    
+    // Rough size of one minute of mono audio; FLAC speech typically lands near 60% of WAV
+    estimateBytesPerMinute(format, sampleRate, bitrate) {
+        const pcmBytes = sampleRate * 2 * 60;
+        
+        switch (format) {
+            case 'wav':
+                return pcmBytes;
+            case 'flac':
+                return Math.round(pcmBytes * 0.6);
+            default:
+                return Math.round(bitrate / 8 * 60);
+        }
+    },
+    
+    async decode(arrayBuffer, sampleRate = AudioUtils.DEFAULT_SAMPLE_RATE) {
+        // decodeAudioData resamples to the context rate, so use a tiny offline context
+        const context = new OfflineAudioContext(1, 1, sampleRate);
+        return await context.decodeAudioData(arrayBuffer);
+    },
+    
+    // Rendered offline, so it takes far less than the buffer's duration
+    async resample(buffer, sampleRate) {
+        if (buffer.sampleRate === sampleRate) {
+            return buffer;
+        }
+        
+        const length = Math.max(1, Math.round(buffer.duration * sampleRate));
+        const context = new OfflineAudioContext(buffer.numberOfChannels, length, sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start();
+        return await context.startRendering();
+    },
+    
+    // Join buffers end to end, inserting gapSeconds of silence between them
+    concatBuffers(buffers, gapSeconds = 0) {
+        if (buffers.length === 0) {
+            throw new Error('No audio to concatenate');
+        }
+        
+        const sampleRate = buffers[0].sampleRate;
+        const numberOfChannels = Math.max(...buffers.map(b => b.numberOfChannels));
+        const gapLength = Math.round(Math.max(0, gapSeconds) * sampleRate);
+        const length = buffers.reduce((sum, b) => sum + b.length, 0) + gapLength * (buffers.length - 1);
+        
+        const output = new AudioBuffer({ length, numberOfChannels, sampleRate });
+        
+        let offset = 0;
+        buffers.forEach((buffer, index) => {
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                // Mono sources are copied into every output channel
+                const source = buffer.getChannelData(Math.min(channel, buffer.numberOfChannels - 1));
+                output.copyToChannel(source, channel, offset);
+            }
+            offset += buffer.length;
+            if (index < buffers.length - 1) {
+                offset += gapLength;
+            }
+        });
+        
+        return output;
+    },
+    
+    // Copy of samples [start, end) as a new buffer
+    sliceBuffer(buffer, start, end) {
+        const length = Math.max(1, end - start);
+        const output = new AudioBuffer({ length, numberOfChannels: buffer.numberOfChannels, sampleRate: buffer.sampleRate });
+        
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            output.copyToChannel(buffer.getChannelData(channel).subarray(start, end), channel);
+        }
+        
+        return output;
+    },
+    
+    // Buffer with samples [start, end) cut out
+    removeRange(buffer, start, end) {
+        const parts = [];
+        if (start > 0) parts.push(AudioUtils.sliceBuffer(buffer, 0, start));
+        if (end < buffer.length) parts.push(AudioUtils.sliceBuffer(buffer, end, buffer.length));
+        
+        return parts.length > 0 ? AudioUtils.concatBuffers(parts) : AudioUtils.sliceBuffer(buffer, 0, 1);
+    },
+    
+    // Sample range between the first and last 10 ms window louder than thresholdDb, padded a little
+    findSoundBounds(buffer, thresholdDb = -45, paddingSeconds = 0.15) {
+        const windowSize = Math.max(1, Math.round(buffer.sampleRate * 0.01));
+        const threshold = Math.pow(10, thresholdDb / 20);
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+        
+        const windowRms = (start) => {
+            const end = Math.min(start + windowSize, buffer.length);
+            let sum = 0;
+            for (const data of channels) {
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                }
+            }
+            return Math.sqrt(sum / ((end - start) * channels.length));
+        };
+        
+        let first = -1;
+        let last = -1;
+        for (let start = 0; start < buffer.length; start += windowSize) {
+            if (windowRms(start) >= threshold) {
+                if (first < 0) first = start;
+                last = Math.min(start + windowSize, buffer.length);
+            }
+        }
+        
+        if (first < 0) {
+            return null;
+        }
+        
+        const padding = Math.round(paddingSeconds * buffer.sampleRate);
+        return { start: Math.max(0, first - padding), end: Math.min(buffer.length, last + padding) };
+    },
+    
+    // Scale to targetDb RMS, measured over the non-silent windows, without pushing peaks past peakLimitDb
+    normalizeLoudness(buffer, targetDb = -20, peakLimitDb = -1) {
+        const windowSize = Math.max(1, Math.round(buffer.sampleRate * 0.05));
+        const gate = Math.pow(10, -50 / 20);
+        let speechSum = 0;
+        let speechSamples = 0;
+        let peak = 0;
+        
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let start = 0; start < data.length; start += windowSize) {
+                const end = Math.min(start + windowSize, data.length);
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                    peak = Math.max(peak, Math.abs(data[i]));
+                }
+                if (Math.sqrt(sum / (end - start)) >= gate) {
+                    speechSum += sum;
+                    speechSamples += end - start;
+                }
+            }
+        }
+        
+        if (speechSamples === 0 || peak === 0) {
+            return buffer;
+        }
+        
+        const rms = Math.sqrt(speechSum / speechSamples);
+        const gain = Math.min(Math.pow(10, targetDb / 20) / rms, Math.pow(10, peakLimitDb / 20) / peak);
+        
+        const output = new AudioBuffer({ length: buffer.length, numberOfChannels: buffer.numberOfChannels, sampleRate: buffer.sampleRate });
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const source = buffer.getChannelData(channel);
+            const target = output.getChannelData(channel);
+            for (let i = 0; i < source.length; i++) {
+                target[i] = source[i] * gain;
+            }
+        }
+        
+        return output;
+    },
+    
+    // Average all channels into one
+    downmixToMono(buffer) {
+        if (buffer.numberOfChannels === 1) {
+            return buffer;
+        }
+        
+        const output = new AudioBuffer({ length: buffer.length, numberOfChannels: 1, sampleRate: buffer.sampleRate });
+        const mono = output.getChannelData(0);
+        
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / buffer.numberOfChannels;
+            }
+        }
+        
+        return output;
+    },
+    
+    // Container guessed from magic bytes; WAV headers also give the original sample format
+    sniffFormat(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer, 0, Math.min(12, arrayBuffer.byteLength));
+        const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+        
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE' && arrayBuffer.byteLength >= 36) {
+            const view = new DataView(arrayBuffer);
+            return {
+                container: 'wav',
+                audioFormat: view.getUint16(20, true),
+                channels: view.getUint16(22, true),
+                sampleRate: view.getUint32(24, true),
+                bitsPerSample: view.getUint16(34, true)
+            };
+        }
+        
+        if (ascii(0, 4) === 'OggS') return { container: 'ogg' };
+        if (ascii(0, 4) === 'fLaC') return { container: 'flac' };
+        if (ascii(4, 8) === 'ftyp') return { container: 'mp4' };
+        if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) return { container: 'webm' };
+        if (ascii(0, 3) === 'ID3' || (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0)) return { container: 'mp3' };
+        
+        return { container: 'unknown' };
+    },
+    
+    // Tag names (as the server writes them) and their RIFF INFO and Matroska equivalents
+    TAG_IDS: {
+        comment: { info: 'ICMT', matroska: 'COMMENT' },
+        artist: { info: 'IART', matroska: 'ARTIST' },
+        date: { info: 'ICRD', matroska: 'DATE' },
+        title: { info: 'INAM', matroska: 'TITLE' }
+    },
+    
+    // LIST/INFO chunk for the known tags, empty without any
+    encodeInfoChunk(tags) {
+        const encoder = new TextEncoder();
+        const fields = Object.entries(tags || {})
+            .filter(([name, value]) => AudioUtils.TAG_IDS[name] && value)
+            .map(([name, value]) => ({ id: AudioUtils.TAG_IDS[name].info, text: encoder.encode(value + '\0') }));
+        if (fields.length === 0) return new Uint8Array(0);
+        
+        // Every subchunk is padded to an even length
+        const size = 4 + fields.reduce((total, field) => total + 8 + field.text.length + (field.text.length % 2), 0);
+        const chunk = new Uint8Array(8 + size);
+        const view = new DataView(chunk.buffer);
+        const writeString = (offset, value) => chunk.set(encoder.encode(value), offset);
+        
+        writeString(0, 'LIST');
+        view.setUint32(4, size, true);
+        writeString(8, 'INFO');
+        
+        let offset = 12;
+        fields.forEach(field => {
+            writeString(offset, field.id);
+            view.setUint32(offset + 4, field.text.length, true);
+            chunk.set(field.text, offset + 8);
+            offset += 8 + field.text.length + (field.text.length % 2);
+        });
+        
+        return chunk;
+    },
+    
+    // 16-bit PCM WAV; tags ({ comment, artist, date, title }) go into a LIST/INFO chunk
+    encodeWav(audioBuffer, tags = null) {
+        const numberOfChannels = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const bytesPerSample = 2;
+        const blockAlign = numberOfChannels * bytesPerSample;
+        const dataSize = audioBuffer.length * blockAlign;
+        const info = AudioUtils.encodeInfoChunk(tags);
+        const dataStart = 44 + info.length;
+        
+        const buffer = new ArrayBuffer(dataStart + dataSize);
+        const view = new DataView(buffer);
+        const writeString = (offset, value) => {
+            for (let i = 0; i < value.length; i++) {
+                view.setUint8(offset + i, value.charCodeAt(i));
+            }
+        };
+        
+        writeString(0, 'RIFF');
+        view.setUint32(4, dataStart - 8 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, numberOfChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+        new Uint8Array(buffer).set(info, 36);
+        writeString(dataStart - 8, 'data');
+        view.setUint32(dataStart - 4, dataSize, true);
+        
+        const channels = [];
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        
+        let offset = dataStart;
+        for (let i = 0; i < audioBuffer.length; i++) {
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += bytesPerSample;
+            }
+        }
+        
+        return new Blob([buffer], { type: 'audio/wav' });
+    },
+    
+    // Opus in WebM is encoded offline with WebCodecs where the browser has it; otherwise, and for
+    // other formats, MediaRecorder plays the buffer through in real time
+    async encodeCompressed(audioBuffer, mimeType = 'audio/webm;codecs=opus', onProgress = null, bitsPerSecond = undefined) {
+        if (mimeType === 'audio/webm;codecs=opus' && await AudioUtils.canEncodeOpus(audioBuffer.numberOfChannels, bitsPerSecond)) {
+            return await AudioUtils.encodeOpusWebm(audioBuffer, onProgress, bitsPerSecond);
+        }
+        return await AudioUtils.recordCompressed(audioBuffer, mimeType, onProgress, bitsPerSecond);
+    },
+    
+    // WebCodecs encodes Opus at 48 kHz; the WebM written here declares one or two channels
+    OPUS_SAMPLE_RATE: 48000,
+    
+    opusConfig(numberOfChannels, bitsPerSecond) {
+        const config = { codec: 'opus', sampleRate: AudioUtils.OPUS_SAMPLE_RATE, numberOfChannels };
+        if (bitsPerSecond) {
+            config.bitrate = bitsPerSecond;
+        }
+        return config;
+    },
+    
+    async canEncodeOpus(numberOfChannels, bitsPerSecond) {
+        if (!window.AudioEncoder || !window.AudioData || numberOfChannels > 2) {
+            return false;
+        }
+        
+        try {
+            const support = await AudioEncoder.isConfigSupported(AudioUtils.opusConfig(numberOfChannels, bitsPerSecond));
+            return support.supported;
+        } catch (error) {
+            return false;
+        }
+    },
+    
+    async encodeOpusWebm(audioBuffer, onProgress = null, bitsPerSecond = undefined) {
+        const sampleRate = AudioUtils.OPUS_SAMPLE_RATE;
+        const numberOfChannels = audioBuffer.numberOfChannels;
+        const buffer = await AudioUtils.resample(audioBuffer, sampleRate);
+        
+        const packets = [];
+        let codecPrivate = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                packets.push({ timestamp: chunk.timestamp, data });
+                
+                const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+                if (description && !codecPrivate) {
+                    codecPrivate = ArrayBuffer.isView(description)
+                        ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+                        : new Uint8Array(description).slice();
+                }
+                if (onProgress) {
+                    onProgress(Math.min((chunk.timestamp + (chunk.duration || 0)) / 1e6 / buffer.duration, 1));
+                }
+            },
+            // flush() rejects with the same error
+            error: (error) => console.error('Opus encoder error:', error)
+        });
+        encoder.configure(AudioUtils.opusConfig(numberOfChannels, bitsPerSecond));
+        
+        // One second per AudioData, with the channels one after another
+        try {
+            for (let start = 0; start < buffer.length; start += sampleRate) {
+                const frames = Math.min(sampleRate, buffer.length - start);
+                const planes = new Float32Array(frames * numberOfChannels);
+                for (let channel = 0; channel < numberOfChannels; channel++) {
+                    planes.set(buffer.getChannelData(channel).subarray(start, start + frames), channel * frames);
+                }
+                
+                const data = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate,
+                    numberOfFrames: frames,
+                    numberOfChannels,
+                    timestamp: Math.round(start / sampleRate * 1e6),
+                    data: planes
+                });
+                encoder.encode(data);
+                data.close();
+            }
+            await encoder.flush();
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+        }
+        
+        return AudioUtils.muxOpusWebm(packets, {
+            sampleRate,
+            numberOfChannels,
+            duration: buffer.duration,
+            codecPrivate: codecPrivate || AudioUtils.opusHead(numberOfChannels, audioBuffer.sampleRate)
+        });
+    },
+    
+    // Identification header (RFC 7845) for encoders that do not hand one out; the pre-skip is unknown
+    opusHead(numberOfChannels, inputSampleRate) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(new TextEncoder().encode('OpusHead'));
+        head[8] = 1; // version
+        head[9] = numberOfChannels;
+        view.setUint16(10, 0, true); // pre-skip
+        view.setUint32(12, inputSampleRate, true);
+        view.setInt16(16, 0, true); // output gain
+        head[18] = 0; // mapping family: mono or stereo
+        return head;
+    },
+    
+    // Single-track WebM with the Opus packets as SimpleBlocks, a new Cluster every five seconds
+    muxOpusWebm(packets, { sampleRate, numberOfChannels, duration, codecPrivate }) {
+        const element = AudioUtils.ebmlElement;
+        const encoder = new TextEncoder();
+        const uint = (value) => {
+            const bytes = [];
+            do {
+                bytes.unshift(value % 256);
+                value = Math.floor(value / 256);
+            } while (value > 0);
+            return new Uint8Array(bytes);
+        };
+        const float = (value) => {
+            const bytes = new Uint8Array(8);
+            new DataView(bytes.buffer).setFloat64(0, value);
+            return bytes;
+        };
+        
+        const header = element([0x1A, 0x45, 0xDF, 0xA3],
+            element([0x42, 0x86], uint(1)), // EBMLVersion
+            element([0x42, 0xF7], uint(1)), // EBMLReadVersion
+            element([0x42, 0xF2], uint(4)), // EBMLMaxIDLength
+            element([0x42, 0xF3], uint(8)), // EBMLMaxSizeLength
+            element([0x42, 0x82], encoder.encode('webm')),
+            element([0x42, 0x87], uint(4)), // DocTypeVersion
+            element([0x42, 0x85], uint(2)) // DocTypeReadVersion
+        );
+        
+        const info = element([0x15, 0x49, 0xA9, 0x66],
+            element([0x2A, 0xD7, 0xB1], uint(1000000)), // TimecodeScale: milliseconds
+            element([0x4D, 0x80], encoder.encode('Voice Clone')), // MuxingApp
+            element([0x57, 0x41], encoder.encode('Voice Clone')), // WritingApp
+            element([0x44, 0x89], float(duration * 1000))
+        );
+        
+        const tracks = element([0x16, 0x54, 0xAE, 0x6B], element([0xAE],
+            element([0xD7], uint(1)), // TrackNumber
+            element([0x73, 0xC5], uint(1)), // TrackUID
+            element([0x83], uint(2)), // TrackType: audio
+            element([0x86], encoder.encode('A_OPUS')),
+            element([0x63, 0xA2], codecPrivate),
+            element([0x56, 0xBB], uint(80000000)), // SeekPreRoll: 80 ms
+            element([0xE1],
+                element([0xB5], float(sampleRate)),
+                element([0x9F], uint(numberOfChannels))
+            )
+        ));
+        
+        const clusters = [];
+        let clusterTime = -Infinity;
+        let blocks = [];
+        const closeCluster = () => {
+            if (blocks.length > 0) {
+                clusters.push(element([0x1F, 0x43, 0xB6, 0x75], element([0xE7], uint(clusterTime)), ...blocks));
+            }
+            blocks = [];
+        };
+        
+        packets.forEach(packet => {
+            const time = Math.round(packet.timestamp / 1000);
+            if (time - clusterTime >= 5000) {
+                closeCluster();
+                clusterTime = time;
+            }
+            
+            // Track 1, 16-bit time relative to the cluster, keyframe flag
+            const relative = time - clusterTime;
+            const block = new Uint8Array(4 + packet.data.length);
+            block.set([0x81, relative >> 8, relative & 0xFF, 0x80]);
+            block.set(packet.data, 4);
+            blocks.push(element([0xA3], block));
+        });
+        closeCluster();
+        
+        const segment = element([0x18, 0x53, 0x80, 0x67], info, tracks, ...clusters);
+        return new Blob([header, segment], { type: 'audio/webm' });
+    },
+    
+    // MediaRecorder records in real time, so this takes as long as the audio lasts
+    async recordCompressed(audioBuffer, mimeType, onProgress = null, bitsPerSecond = undefined) {
+        if (!window.MediaRecorder || !MediaRecorder.isTypeSupported(mimeType)) {
+            throw new Error(`Unsupported format: ${mimeType}`);
+        }
+        
+        const context = new AudioContext({ sampleRate: audioBuffer.sampleRate });
+        const destination = context.createMediaStreamDestination();
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(destination);
+        
+        const recorder = new MediaRecorder(destination.stream, { mimeType, audioBitsPerSecond: bitsPerSecond });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+        
+        let progressTimer = null;
+        if (onProgress) {
+            progressTimer = setInterval(() => {
+                onProgress(Math.min(context.currentTime / audioBuffer.duration, 1));
+            }, 500);
+        }
+        
+        source.onended = () => recorder.stop();
+        recorder.start();
+        source.start();
+        
+        try {
+            await stopped;
+        } finally {
+            clearInterval(progressTimer);
+            await context.close();
+        }
+        
+        return new Blob(chunks, { type: mimeType.split(';')[0] });
+    },
+    
+    // MediaRecorder cannot write tags, so they are added to its WebM afterwards as a Tags
+    // element in front of the first cluster; blobs that do not parse come back unchanged
+    async tagWebm(blob, tags) {
+        const entries = Object.entries(tags || {}).filter(([name, value]) => AudioUtils.TAG_IDS[name] && value);
+        if (entries.length === 0) return blob;
+        
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const encoder = new TextEncoder();
+        const element = AudioUtils.ebmlElement;
+        const encodeSize = AudioUtils.ebmlSize;
+        
+        // EBML variable-length integers: IDs keep their length marker, sizes do not
+        const readVint = (offset, keepMarker) => {
+            const first = bytes[offset];
+            let length = 1;
+            while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+            if (length > 8 || offset + length > bytes.length) return null;
+            
+            let value = keepMarker ? first : first & (0xFF >> length);
+            let unknown = value === (0xFF >> length);
+            for (let i = 1; i < length; i++) {
+                value = value * 256 + bytes[offset + i];
+                unknown = unknown && bytes[offset + i] === 0xFF;
+            }
+            return { value, length, unknown: !keepMarker && unknown };
+        };
+        
+        // EBML header, then the Segment whose children are scanned for the first Cluster
+        const header = readVint(0, true);
+        const headerSize = header && header.value === 0x1A45DFA3 ? readVint(header.length, false) : null;
+        if (!headerSize) return blob;
+        
+        const segmentStart = header.length + headerSize.length + headerSize.value;
+        const segment = readVint(segmentStart, true);
+        const segmentSize = segment && segment.value === 0x18538067 ? readVint(segmentStart + segment.length, false) : null;
+        if (!segmentSize) return blob;
+        
+        let offset = segmentStart + segment.length + segmentSize.length;
+        while (offset < bytes.length) {
+            const id = readVint(offset, true);
+            const size = id ? readVint(offset + id.length, false) : null;
+            if (!size || id.value === 0x1F43B675 || size.unknown) break;
+            offset += id.length + size.length + size.value;
+        }
+        if (offset >= bytes.length) return blob;
+        
+        const tagElements = element([0x12, 0x54, 0xC3, 0x67], element([0x73, 0x73],
+            element([0x63, 0xC0]),
+            ...entries.map(([name, value]) => element([0x67, 0xC8],
+                element([0x45, 0xA3], encoder.encode(AudioUtils.TAG_IDS[name].matroska)),
+                element([0x44, 0x87], encoder.encode(value))
+            ))
+        ));
+        
+        // A live recording has a Segment of unknown size; a known one grows by the inserted tags
+        const sizeStart = segmentStart + segment.length;
+        const sizeBytes = segmentSize.unknown 
+            ? bytes.subarray(sizeStart, sizeStart + segmentSize.length) 
+            : encodeSize(segmentSize.value + tagElements.length, 8);
+        
+        return new Blob([
+            bytes.subarray(0, sizeStart),
+            sizeBytes,
+            bytes.subarray(sizeStart + segmentSize.length, offset),
+            tagElements,
+            bytes.subarray(offset)
+        ], { type: blob.type });
+    },
+    
+    // EBML size as a variable-length integer, in the shortest form unless length is given
+    ebmlSize(size, length = 0) {
+        if (!length) {
+            length = 1;
+            while (size >= Math.pow(2, 7 * length) - 1) length++;
+        }
+        const out = new Uint8Array(length);
+        let rest = size;
+        for (let i = length - 1; i >= 0; i--) {
+            out[i] = rest % 256;
+            rest = Math.floor(rest / 256);
+        }
+        out[0] |= 0x80 >> (length - 1);
+        return out;
+    },
+    
+    // EBML element with the given ID bytes whose body is its children joined
+    ebmlElement(id, ...children) {
+        const body = AudioUtils.joinBytes(children);
+        return AudioUtils.joinBytes([new Uint8Array(id), AudioUtils.ebmlSize(body.length), body]);
+    },
+    
+    joinBytes(parts) {
+        const joined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            joined.set(part, offset);
+            offset += part.length;
+        });
+        return joined;
+    },
+    
+    downloadBlob(blob, fileName) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    },
+    
+    // "<name>_<yyyymmdd-hhmmss>.<ext>" with characters that are unsafe in file names removed
+    buildFileName(baseName, extension, date = new Date()) {
+        const safeName = (baseName || 'voice_clone').replace(/[\\/:*?"<>|\s]+/g, '_');
+        const pad = (n) => String(n).padStart(2, '0');
+        const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        return `${safeName}_${stamp}.${extension}`;
+    }
+};
@@ -0,0 +1,271 @@
+// Voice Clone Web App - batch synthesis: parsing CSV/TSV/JSON job lists and running them with bounded concurrency
+// Rows are retried by ApiError's rule, so API failures and BatchErrors are treated alike
+class BatchError extends ApiError {
+    constructor(message, status = 0) {
+        super(message, status);
+        this.name = 'BatchError';
+    }
+}
+
+class BatchQueue {
+    // worker(row, signal) resolves with the row's result or throws; onUpdate(item) fires on every status change
+    constructor(rows, options = {}) {
+        this.items = rows.map((row, index) => ({
+            index,
+            row,
+            status: 'pending', // pending, running, retrying, done, failed, cancelled
+            attempts: 0,
+            error: null,
+            result: null
+        }));
+        this.worker = options.worker;
+        this.concurrency = Math.max(1, options.concurrency || 3);
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+        this.retryDelay = options.retryDelay || 1000;
+        this.onUpdate = options.onUpdate || null;
+        
+        this.controller = null;
+        this.running = false;
+    }
+    
+    // Rows from a JSON array or a CSV/TSV table with a header line; missing fields stay undefined
+    static parse(text) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        if (!trimmed) {
+            throw new BatchError(I18n.t('batch.parse.empty'));
+        }
+        
+        let records;
+        if (trimmed[0] === '[' || trimmed[0] === '{') {
+            let parsed;
+            try {
+                parsed = JSON.parse(trimmed);
+            } catch (error) {
+                throw new BatchError(I18n.t('batch.parse.invalidJson', { error: error.message }));
+            }
+            records = Array.isArray(parsed) ? parsed : parsed.rows;
+            if (!Array.isArray(records)) {
+                throw new BatchError(I18n.t('batch.parse.notArray'));
+            }
+        } else {
+            records = BatchQueue.parseDelimited(trimmed);
+        }
+        
+        if (records.length === 0) {
+            throw new BatchError(I18n.t('batch.parse.noRows'));
+        }
+        if (records.length > BatchQueue.MAX_ROWS) {
+            throw new BatchError(I18n.t('batch.parse.tooManyRows', { max: BatchQueue.MAX_ROWS }));
+        }
+        
+        const ids = new Set();
+        return records.map((record, index) => {
+            if (!record || typeof record !== 'object') {
+                throw new BatchError(I18n.t('batch.parse.invalidRow', { row: index + 1 }));
+            }
+            
+            const row = BatchQueue.normalizeRow(record, index);
+            if (ids.has(row.id)) {
+                throw new BatchError(I18n.t('batch.parse.duplicateId', { row: index + 1, id: row.id }));
+            }
+            ids.add(row.id);
+            return row;
+        });
+    }
+    
+    static normalizeRow(record, index) {
+        const value = (name) => {
+            const raw = record[name];
+            return raw === undefined || raw === null || String(raw).trim() === '' ? undefined : String(raw).trim();
+        };
+        const number = (name) => {
+            const raw = value(name);
+            if (raw === undefined) return undefined;
+            
+            const parsed = parseFloat(raw);
+            if (isNaN(parsed) || parsed < 0.5 || parsed > 2) {
+                throw new BatchError(I18n.t('batch.parse.outOfRange', { row: index + 1, field: name, min: 0.5, max: 2 }));
+            }
+            return parsed;
+        };
+        
+        const text = value('text');
+        if (!text) {
+            throw new BatchError(I18n.t('batch.parse.emptyText', { row: index + 1 }));
+        }
+        if (text.length > 50000) {
+            throw new BatchError(I18n.t('batch.parse.textTooLong', { row: index + 1, max: 50000 }));
+        }
+        
+        return {
+            id: value('id') || String(index + 1),
+            text,
+            language: value('language'),
+            profileId: value('profileId'),
+            speed: number('speed'),
+            pitch: number('pitch'),
+            emotion: value('emotion')
+        };
+    }
+    
+    // RFC 4180 style: quoted fields may hold delimiters, doubled quotes and line breaks
+    static parseDelimited(text) {
+        const firstLine = text.split('\n', 1)[0];
+        const delimiter = firstLine.includes('\t') ? '\t' : (!firstLine.includes(',') && firstLine.includes(';') ? ';' : ',');
+        
+        const table = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                table.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (quoted) {
+            throw new BatchError(I18n.t('batch.parse.unclosedQuote'));
+        }
+        row.push(field);
+        table.push(row);
+        
+        // Column names are matched case-insensitively, e.g. "ProfileID" or "profileid"
+        const header = table.shift().map(name => {
+            const normalized = name.trim().toLowerCase();
+            return BatchQueue.FIELDS.find(field => field.toLowerCase() === normalized) || normalized;
+        });
+        if (!header.includes('text')) {
+            throw new BatchError(I18n.t('batch.parse.missingHeader'));
+        }
+        
+        return table
+            .filter(cells => cells.some(cell => cell.trim() !== ''))
+            .map(cells => {
+                const record = {};
+                header.forEach((name, column) => {
+                    record[name] = cells[column];
+                });
+                return record;
+            });
+    }
+    
+    get counts() {
+        const counts = { total: this.items.length, pending: 0, running: 0, retrying: 0, done: 0, failed: 0, cancelled: 0 };
+        this.items.forEach(item => counts[item.status]++);
+        return counts;
+    }
+    
+    // Process every pending item; resolves once nothing is left to do
+    async run() {
+        if (this.running) return;
+        
+        this.running = true;
+        this.controller = new AbortController();
+        const queue = this.items.filter(item => item.status === 'pending');
+        
+        const next = async () => {
+            while (queue.length > 0 && !this.controller.signal.aborted) {
+                await this.process(queue.shift());
+            }
+        };
+        
+        try {
+            await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, next));
+        } finally {
+            this.items.forEach(item => {
+                if (item.status === 'pending' && this.controller.signal.aborted) {
+                    this.setStatus(item, 'cancelled');
+                }
+            });
+            this.running = false;
+            this.controller = null;
+        }
+    }
+    
+    async process(item) {
+        const signal = this.controller.signal;
+        
+        while (true) {
+            item.attempts++;
+            this.setStatus(item, 'running');
+            
+            try {
+                item.result = await this.worker(item.row, signal);
+                item.error = null;
+                this.setStatus(item, 'done');
+                return;
+            } catch (error) {
+                if (signal.aborted) {
+                    this.setStatus(item, 'cancelled');
+                    return;
+                }
+                
+                item.error = error.message;
+                if (error.retryable === false || item.attempts > this.maxRetries) {
+                    this.setStatus(item, 'failed');
+                    return;
+                }
+                
+                this.setStatus(item, 'retrying');
+                const delay = this.retryDelay * Math.pow(2, item.attempts - 1);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                
+                if (signal.aborted) {
+                    this.setStatus(item, 'cancelled');
+                    return;
+                }
+            }
+        }
+    }
+    
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+    
+    // Queue failed and cancelled items again with a fresh retry budget
+    retryFailed() {
+        this.items
+            .filter(item => item.status === 'failed' || item.status === 'cancelled')
+            .forEach(item => {
+                item.attempts = 0;
+                item.error = null;
+                this.setStatus(item, 'pending');
+            });
+        return this.run();
+    }
+    
+    setStatus(item, status) {
+        item.status = status;
+        if (this.onUpdate) {
+            this.onUpdate(item);
+        }
+    }
+}
+
+BatchQueue.MAX_ROWS = 1000;
+BatchQueue.FIELDS = ['id', 'text', 'language', 'profileId', 'speed', 'pitch', 'emotion'];
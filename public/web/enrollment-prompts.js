@@ -0,0 +1,41 @@
+// Voice Clone Web App - guided enrollment prompts
+// Short sentences chosen to cover each language's consonants, vowels and intonation
+// (statements, questions, exclamations and numbers).
+const ENROLLMENT_PROMPTS = {
+    fa: [
+        'امروز هوا آفتابی است و کودکان در پارک بازی می‌کنند.',
+        'ژاله با دقت چای داغ را در فنجان‌های چینی ریخت.',
+        'قطار ساعت هشت و ربع صبح از ایستگاه شمالی حرکت می‌کند.',
+        'خواهش می‌کنم پنجره را ببندید؛ باد سرد زمستانی می‌وزد.',
+        'آیا می‌دانید کتابخانهٔ مرکزی شهر کجاست؟',
+        'گنجشک‌ها روی شاخه‌های درخت گردو آواز می‌خواندند.',
+        'پدربزرگم هر جمعه داستان‌های دوران کودکی‌اش را تعریف می‌کند.',
+        'ظرف‌های مسی را با آب و صابون بشویید و خشک کنید.',
+        'چه روز فوق‌العاده‌ای! بالاخره نتیجهٔ آزمون اعلام شد.',
+        'سیصد و شصت و پنج روز، یک سال کامل است.'
+    ],
+    en: [
+        'The birch canoe slid on the smooth planks.',
+        'Glue the sheet to the dark blue background.',
+        'It is easy to tell the depth of a well.',
+        'These days a chicken leg is a rare dish.',
+        'Would you like to join us for dinner on Thursday?',
+        'The juice of lemons makes fine punch.',
+        'The box was thrown beside the parked truck.',
+        'Four hours of steady work faced us.',
+        'What a wonderful surprise this morning has been!',
+        'Three hundred and sixty-five days make a year.'
+    ],
+    ar: [
+        'الطقس جميل اليوم والشمس مشرقة فوق المدينة.',
+        'ذهب الطالب إلى المكتبة ليقرأ كتابًا عن التاريخ.',
+        'هل يمكنك أن تغلق النافذة من فضلك؟',
+        'شربت فنجانًا من القهوة الساخنة في الصباح الباكر.',
+        'ظهرت النجوم في السماء بعد غروب الشمس.',
+        'يحب الأطفال اللعب في الحديقة مع أصدقائهم.',
+        'ضع الصحون النظيفة في الخزانة بجانب الثلاجة.',
+        'غادر القطار المحطة في الساعة الثامنة والنصف.',
+        'يا له من خبر رائع! لقد نجحنا في الامتحان.',
+        'خمسة عشر طائرًا صغيرًا وقفت على غصن الشجرة.'
+    ]
+};
@@ -0,0 +1,955 @@
+// Voice Clone Web App - interface messages for each language, looked up through I18n.t
+// Arabic is partial for now; missing keys fall back to Persian.
+const I18N_MESSAGES = {
+    fa: {
+        'common.listSeparator': '، ',
+        'app.title': 'Voice Clone - نرم افزار کلون صدا',
+        'app.tagline': 'نرم افزار کلون صدا با هوش مصنوعی - پشتیبانی از 99% زبان‌های دنیا',
+        'tabs.record': 'ضبط صدا',
+        'tabs.tts': 'تبدیل متن به گفتار',
+        'tabs.batch': 'تولید دسته‌ای',
+        'tabs.compare': 'مقایسه صداها',
+        'tabs.profiles': 'پروفایل‌های صوتی',
+        'tabs.settings': 'تنظیمات',
+        'record.title': 'ضبط صدای شما',
+        'record.intro': 'برای ایجاد پروفایل صوتی، لطفاً صدای خود را به مدت 10-20 دقیقه ضبط کنید.',
+        'record.target': 'مقصد صدا:',
+        'record.newProfile': 'پروفایل جدید',
+        'record.profileName': 'نام پروفایل:',
+        'record.profileNamePlaceholder': 'نام پروفایل صوتی خود را وارد کنید',
+        'common.language': 'زبان:',
+        'language.fa': 'فارسی (Persian)',
+        'language.en': 'انگلیسی (English)',
+        'language.ar': 'عربی (Arabic)',
+        'record.start': 'شروع ضبط',
+        'record.stop': 'توقف ضبط',
+        'record.pause': 'مکث',
+        'record.resume': 'ادامه ضبط',
+        'enrollment.start': 'ضبط هدایت‌شده',
+        'enrollment.intro': 'هر جمله را جداگانه ضبط کنید. در صورت نیاز می‌توانید هر جمله را دوباره ضبط کنید.',
+        'enrollment.upload': 'ایجاد پروفایل',
+        'common.cancel': 'انصراف',
+        'record.level': 'سطح صدا:',
+        'editor.title': 'ویرایش پیش از آپلود',
+        'editor.intro': 'برای انتخاب یک بخش، روی شکل موج بکشید. سرفه، سکوت طولانی و صداهای مزاحم را حذف کنید.',
+        'editor.preview': 'پیش‌نمایش',
+        'common.stop': 'توقف',
+        'editor.deleteSelection': 'حذف انتخاب',
+        'editor.keepSelection': 'فقط انتخاب',
+        'editor.undo': 'بازگردانی',
+        'editor.trimSilence': 'حذف سکوت ابتدا و انتها',
+        'editor.normalize': 'یکسان‌سازی بلندی صدا',
+        'editor.upload': 'آپلود',
+        'recovery.title': 'ضبط‌های ناتمام',
+        'recovery.intro': 'این ضبط‌ها به دلیل بسته شدن صفحه یا خطای آپلود کامل نشده‌اند.',
+        'upload.title': 'آپلود فایل صوتی',
+        'upload.intro': 'یا می‌توانید فایل صوتی آماده خود را آپلود کنید.',
+        'upload.submit': 'آپلود فایل',
+        'tts.title': 'تبدیل متن به گفتار',
+        'tts.intro': 'متن خود را وارد کنید و با صدای کلون شده خود بشنوید.',
+        'script.mode': 'حالت نمایشنامه (چند گوینده)',
+        'script.hint': 'هر خط را با نام گوینده شروع کنید، مثلاً: [علی]: سلام، حالت چطور است؟',
+        'tts.profile': 'انتخاب پروفایل صوتی:',
+        'profiles.searchPlaceholder': 'جستجو در نام، توضیحات و برچسب‌ها...',
+        'tts.chooseProfile': 'لطفاً پروفایل را انتخاب کنید',
+        'tts.textLabel': 'متن (حداکثر 50,000 کاراکتر):',
+        'tts.textPlaceholder': 'متن خود را اینجا وارد کنید...',
+        'markup.label': 'نشانه‌گذاری (SSML):',
+        'markup.break': 'مکث',
+        'markup.emphasis': 'تأکید',
+        'markup.slow': 'آهسته',
+        'markup.fast': 'سریع',
+        'markup.emotion': 'احساس',
+        'markup.supported': 'تگ‌های پشتیبانی‌شده: <break>، <prosody rate pitch>، <emphasis>، <lang xml:lang>، <emotion name>',
+        'spans.label': 'بخش‌های چندزبانه (برای تغییر زبان، روی هر بخش کلیک کنید):',
+        'spans.selectedLanguage': 'زبان بخش انتخاب‌شده:',
+        'spans.clear': 'خواندن کل متن با یک زبان',
+        'script.speakers': 'گوینده‌ها (پروفایل، سرعت، زیر و بمی و احساس هر گوینده):',
+        'language.auto': 'تشخیص خودکار',
+        'tts.detectLanguage': 'تشخیص زبان',
+        'common.emotion': 'احساس:',
+        'emotion.neutral': 'خنثی',
+        'emotion.happy': 'شاد',
+        'emotion.sad': 'غمگین',
+        'emotion.angry': 'عصبانی',
+        'emotion.calm': 'آرام',
+        'tts.generate': 'تولید گفتار',
+        'common.cancelRun': 'لغو',
+        'tts.generating': 'در حال تولید گفتار...',
+        'tts.chunkGap': 'فاصله سکوت بین بخش‌ها (میلی‌ثانیه):',
+        'tts.format': 'قالب فایل:',
+        'tts.formatWav': 'WAV (بدون فشرده‌سازی)',
+        'tts.formatWebm': 'Opus / WebM (فشرده)',
+        'tts.download': 'دانلود فایل کامل',
+        'history.title': 'تاریخچه تولید گفتار',
+        'history.clear': 'پاک کردن تاریخچه',
+        'batch.title': 'تولید دسته‌ای گفتار',
+        'batch.intro': 'فهرستی از متن‌ها را به صورت CSV، TSV یا JSON وارد کنید تا همه با هم تولید و در یک فایل ZIP دانلود شوند.',
+        'batch.file': 'فایل فهرست:',
+        'batch.paste': 'یا فهرست را اینجا بچسبانید:',
+        'batch.concurrency': 'تعداد درخواست‌های هم‌زمان:',
+        'batch.retries': 'تلاش مجدد برای هر ردیف:',
+        'batch.start': 'شروع تولید',
+        'batch.retryFailed': 'تلاش مجدد ردیف‌های ناموفق',
+        'batch.downloadZip': 'دانلود ZIP',
+        'compare.title': 'مقایسه صداها',
+        'compare.intro': 'یک متن را با چند پروفایل یا چند تنظیم مختلف بسازید، کنار هم بشنوید و بهترین را انتخاب کنید.',
+        'compare.textLabel': 'متن (حداکثر 5,000 کاراکتر):',
+        'compare.textPlaceholder': 'متن کوتاهی برای مقایسه وارد کنید...',
+        'compare.useForm': 'استفاده از متن و تنظیمات تبدیل متن',
+        'compare.variants': 'حالت‌ها (پروفایل، سرعت، زیر و بمی و احساس؛ 2 تا 6 حالت):',
+        'compare.addVariant': 'افزودن حالت',
+        'compare.start': 'تولید و مقایسه',
+        'compare.playAll': 'پخش هم‌زمان',
+        'compare.hint': 'همه حالت‌ها با هم پخش می‌شوند و فقط حالت انتخاب‌شده شنیده می‌شود؛ با کلیک روی هر کارت از همان نقطه متن به آن حالت بروید.',
+        'compare.applyWinner': 'اعمال تنظیمات برنده',
+        'profiles.title': 'مدیریت پروفایل‌های صوتی',
+        'profiles.intro': 'مدیریت و کنترل پروفایل‌های صوتی ایجاد شده.',
+        'profiles.refresh': 'بروزرسانی لیست',
+        'import.button': 'وارد کردن پروفایل',
+        'import.newName': 'نام جدید:',
+        'import.rename': 'وارد کردن با نام جدید',
+        'import.overwrite': 'جایگزینی پروفایل موجود',
+        'profiles.name': 'نام:',
+        'profiles.description': 'توضیحات:',
+        'profiles.tags': 'برچسب‌ها (با ویرگول جدا کنید):',
+        'profiles.tagsPlaceholder': 'مثلاً: گوینده خبر، رسمی',
+        'profiles.defaultSpeed': 'سرعت پیش‌فرض:',
+        'profiles.defaultPitch': 'زیر و بمی پیش‌فرض:',
+        'profiles.defaultEmotion': 'احساس پیش‌فرض:',
+        'clips.title': 'فایل‌های صوتی پروفایل',
+        'clips.add': 'افزودن فایل',
+        'clips.recordMore': 'ضبط صدای بیشتر',
+        'clips.retrain': 'آموزش دوباره مدل',
+        'common.save': 'ذخیره',
+        'profiles.preview': 'پخش نمونه',
+        'profiles.allLanguages': 'همه زبان‌ها',
+        'profiles.allTags': 'همه برچسب‌ها',
+        'profiles.sortNewest': 'جدیدترین',
+        'profiles.sortOldest': 'قدیمی‌ترین',
+        'profiles.sortName': 'نام',
+        'profiles.sortDuration': 'مدت ضبط',
+        'profiles.loading': 'در حال بارگیری پروفایل‌ها...',
+        'settings.title': 'تنظیمات',
+        'settings.autoUpdate': 'بروزرسانی خودکار',
+        'settings.checkUpdates': 'بررسی بروزرسانی',
+        'settings.interfaceLanguage': 'زبان رابط کاربری:',
+        'settings.audioQuality': 'کیفیت صوتی:',
+        'settings.qualityHigh': 'بالا (22050 Hz، FLAC)',
+        'settings.qualityMedium': 'متوسط (16000 Hz، MP3)',
+        'settings.qualityLow': 'پایین (8000 Hz، Opus)',
+        'settings.about': 'درباره',
+        'app.copyright': '© 2024 Voice Clone Application - نرم افزار کلون صدا',
+        'app.footer': 'ساخته شده با ❤️ برای پشتیبانی از تمام زبان‌های دنیا',
+        'record.duration': 'مدت زمان ضبط:',
+        'common.minutes': 'دقیقه',
+        'common.speed': 'سرعت:',
+        'common.pitch': 'زیر و بمی:',
+        'batch.columns': 'ستون‌ها: id، text، language، profileId (شناسه یا نام پروفایل)، speed، pitch، emotion. فقط text الزامی است؛ بقیه از تنظیمات تب تبدیل متن به گفتار پر می‌شوند.',
+        'profiles.editTitle': 'ویرایش پروفایل:',
+        'settings.version': 'نسخه:',
+        'settings.developer': 'توسعه‌دهنده:',
+        'settings.license': 'مجوز:',
+        'settings.licenseValue': 'رایگان و متن‌باز',
+        'record.targetMissing': 'پروفایل انتخاب‌شده دیگر وجود ندارد',
+        'record.nameRequired': 'لطفاً نام پروفایل را وارد کنید',
+        'record.addTo': 'افزودن به «{name}» ({language})',
+        'record.recording': 'در حال ضبط...',
+        'record.qualityTooLow': 'کیفیت ضبط برای ساخت پروفایل کافی نیست (امتیاز {score} از 100): {problems}',
+        'record.microphoneError': 'خطا در دسترسی به میکروفون: {error}',
+        'record.processing': 'در حال پردازش...',
+        'record.paused': 'ضبط متوقف شده است',
+        'common.languageInfo': 'زبان: {language}',
+        'common.durationSeconds': 'مدت: {seconds} ثانیه',
+        'common.dateInfo': 'تاریخ: {date}',
+        'recovery.upload': 'بازیابی و آپلود',
+        'recovery.confirmDelete': 'آیا مطمئن هستید که می‌خواهید این ضبط را حذف کنید؟',
+        'quality.warning.clipping': 'صدا بیش از حد بلند است؛ کمی از میکروفون فاصله بگیرید',
+        'quality.warning.lowSnr': 'نویز پس‌زمینه زیاد است',
+        'quality.warning.tooQuiet': 'صدا خیلی آرام است؛ به میکروفون نزدیک‌تر شوید',
+        'quality.warning.longSilence': 'سکوت طولانی؛ لطفاً صحبت کنید',
+        'quality.problem.clipping': 'برش سیگنال (صدای خیلی بلند)',
+        'quality.problem.noise': 'نویز پس‌زمینه زیاد',
+        'quality.problem.quiet': 'صدای خیلی آرام',
+        'quality.problem.silence': 'سکوت بیش از حد',
+        'quality.problem.unknown': 'نامشخص',
+        'record.qualityScore': '(امتیاز کیفیت: {score} از 100)',
+        'record.addedToProfile': 'صدا به پروفایل «{name}» اضافه شد. برای اعمال آن، مدل را دوباره آموزش دهید.',
+        'record.profileCreated': 'پروفایل صوتی با موفقیت ایجاد شد!',
+        'record.addError': 'خطا در افزودن صدا به پروفایل: {error}',
+        'record.createError': 'خطا در ایجاد پروفایل: {error}',
+        'upload.fileRequired': 'لطفاً فایل صوتی را انتخاب کنید',
+        'upload.checking': 'در حال بررسی فایل...',
+        'upload.rejected': 'فایل «{name}» پذیرفته نشد: {error}',
+        'upload.valid': 'فایل «{name}» معتبر است ({seconds} ثانیه).',
+        'upload.changes': 'تغییرات پیش از آپلود:',
+        'upload.noChanges': 'نیازی به تبدیل نبود.',
+        'upload.unsupported': 'فرمت یا کدک این فایل توسط مرورگر پشتیبانی نمی‌شود. لطفاً فایل WAV، MP3، OGG یا WebM انتخاب کنید.',
+        'upload.tooShort': 'فایل خیلی کوتاه است ({seconds} ثانیه). حداقل {minimum} ثانیه صدا لازم است.',
+        'upload.silent': 'در این فایل صدایی شنیده نمی‌شود.',
+        'upload.mono': '{channels} کانال به یک کانال (mono) تبدیل شد',
+        'upload.sampleRate': 'نرخ نمونه‌برداری به {rate} هرتز تبدیل شد',
+        'upload.sampleRateFrom': 'نرخ نمونه‌برداری از {from} به {rate} هرتز تغییر کرد',
+        'upload.unknownFormat': 'ناشناخته',
+        'upload.toWav': 'فرمت {format} به WAV (PCM 16 بیتی) تبدیل شد',
+        'upload.progress': 'در حال آپلود... {percent}% ({sent} از {total} مگابایت)',
+        'upload.retrying': 'اتصال قطع شد؛ تلاش مجدد {attempt} تا {seconds} ثانیه دیگر...',
+        'editor.notEditable': 'امکان نمایش شکل موج این فایل نیست؛ بدون ویرایش آپلود می‌شود',
+        'editor.hint': 'قبل از آپلود می‌توانید بخش‌های نامناسب را حذف کنید',
+        'editor.selection': 'انتخاب: {start} تا {end} ثانیه',
+        'editor.allSilent': 'در این فایل صدایی بالاتر از حد سکوت پیدا نشد',
+        'enrollment.noPrompts': 'برای این زبان متن راهنما وجود ندارد',
+        'enrollment.hint': 'هر جمله را با صدای طبیعی بخوانید',
+        'enrollment.notRecorded': 'ضبط نشده',
+        'enrollment.recorded': 'ضبط شده',
+        'enrollment.lowQuality': 'کیفیت پایین ({score} از 100): {problems} — دوباره ضبط کنید',
+        'enrollment.recordedWithScore': 'ضبط شده — کیفیت: {score} از 100',
+        'enrollment.rerecord': 'ضبط مجدد',
+        'enrollment.record': 'ضبط',
+        'enrollment.summary': '{recorded} از {total} جمله ضبط شده',
+        'enrollment.summaryLowQuality': '{count} جمله کیفیت کافی ندارد',
+        'enrollment.incomplete': 'لطفاً همه جملات را ضبط کنید',
+        'common.uploading': 'در حال آپلود...',
+        'upload.error': 'خطا در آپلود: {error}',
+        'tts.characterCount': '{count} / {max} کاراکتر',
+        'markup.valid': 'نشانه‌گذاری معتبر است',
+        'tts.textRequired': 'لطفاً متن را وارد کنید',
+        'tts.detected': 'زبان تشخیص داده شده: {language}',
+        'tts.detectedOtherSpans': '({count} بخش به زبان‌های دیگر)',
+        'tts.detectError': 'خطا در تشخیص زبان: {error}',
+        'tts.profileRequired': 'لطفاً پروفایل صوتی را انتخاب کنید',
+        'tts.textTooLong': 'متن نباید بیش از {max} کاراکتر باشد',
+        'markup.invalid': 'نشانه‌گذاری متن نادرست است: {error}',
+        'tts.done': 'گفتار با موفقیت تولید شد! ({characters} کاراکتر، {chunks} بخش)',
+        'script.noLines': 'هنوز خطی با برچسب گوینده مانند [علی]: نوشته نشده است',
+        'script.lineCount': '{count} خط',
+        'common.profile': 'پروفایل',
+        'common.chooseProfile': 'پروفایل را انتخاب کنید',
+        'common.speedTitle': 'سرعت',
+        'common.pitchTitle': 'زیر و بمی',
+        'common.emotionTitle': 'احساس',
+        'script.noTaggedLines': 'هیچ خطی با برچسب گوینده مانند [علی]: پیدا نشد',
+        'script.untaggedLine': 'خط {line} پیش از اولین برچسب گوینده آمده است',
+        'script.unmapped': 'برای گوینده‌های {speakers} پروفایل صوتی انتخاب نشده است',
+        'script.invalidMarkup': 'نشانه‌گذاری خط {line} نادرست است: {error}',
+        'script.done': 'گفت‌وگو با موفقیت تولید شد! ({lines} خط، {speakers} گوینده)',
+        'script.progress': 'در حال تولید خط {line} از {total} ({speaker})...',
+        'script.preparing': 'در حال آماده‌سازی گفت‌وگو...',
+        'tts.cancelled': 'تولید گفتار لغو شد',
+        'tts.error': 'خطا در تولید گفتار: {error}',
+        'tts.nothingToDownload': 'ابتدا گفتار را تولید کنید',
+        'tts.preparingFile': 'در حال آماده‌سازی فایل...',
+        'tts.encoding': 'در حال فشرده‌سازی... {percent}%',
+        'tts.fileReady': 'فایل صوتی آماده دانلود شد',
+        'tts.fileError': 'خطا در آماده‌سازی فایل: {error}',
+        'tts.progress': 'در حال تولید گفتار... بخش {chunk} از {total}',
+        'history.evicted': 'فضای ذخیره‌سازی پر بود؛ قدیمی‌ترین موارد تاریخچه حذف شدند',
+        'history.unavailable': 'تاریخچه در این مرورگر در دسترس نیست',
+        'history.empty': 'هنوز گفتاری تولید نشده است',
+        'common.profileInfo': 'پروفایل: {name}',
+        'history.characters': '{count} کاراکتر',
+        'common.play': 'پخش',
+        'common.download': 'دانلود',
+        'history.loadSettings': 'بارگذاری تنظیمات',
+        'history.regenerate': 'تولید مجدد',
+        'common.delete': 'حذف',
+        'history.usage': 'فضای استفاده شده: {used} از {quota} مگابایت',
+        'history.profileMissing': 'پروفایل «{name}» دیگر وجود ندارد',
+        'history.settingsLoaded': 'تنظیمات از تاریخچه بارگذاری شد',
+        'history.speakersMissing': 'پروفایل گوینده‌های {speakers} دیگر وجود ندارد',
+        'history.deleteError': 'خطا در حذف از تاریخچه: {error}',
+        'history.confirmClear': 'آیا مطمئن هستید که می‌خواهید کل تاریخچه را پاک کنید؟',
+        'history.clearError': 'خطا در پاک کردن تاریخچه: {error}',
+        'batch.fileLoaded': 'فایل {name} بارگذاری شد',
+        'batch.readError': 'خطا در خواندن فایل',
+        'batch.profileNotFound': 'ردیف {row}: پروفایل «{profile}» پیدا نشد',
+        'batch.profileMissing': 'ردیف {row}: پروفایل مشخص نشده و در تب تبدیل متن به گفتار هم پروفایلی انتخاب نشده است',
+        'batch.invalidEmotion': 'ردیف {row}: احساس «{emotion}» نامعتبر است',
+        'batch.error': 'خطا در تولید دسته‌ای: {error}',
+        'batch.summary': '{done} از {total} ردیف تولید شد',
+        'batch.summaryFailed': '{count} ناموفق',
+        'batch.summaryCancelled': '{count} لغو شده',
+        'batch.status.pending': 'در صف',
+        'batch.status.running': 'در حال تولید...',
+        'batch.status.retrying': 'تلاش مجدد ({attempt})',
+        'batch.status.done': 'انجام شد',
+        'batch.status.failed': 'ناموفق',
+        'batch.status.cancelled': 'لغو شد',
+        'batch.rowSettings': 'پروفایل: {profile} | زبان: {language} | سرعت: {speed} | زیر و بمی: {pitch} | احساس: {emotion}',
+        'batch.zipping': 'در حال ساخت فایل ZIP...',
+        'batch.zipReady': 'فایل ZIP آماده دانلود شد',
+        'batch.zipError': 'خطا در ساخت فایل ZIP: {error}',
+        'compare.tooMany': 'حداکثر {max} حالت را می‌توان با هم مقایسه کرد',
+        'compare.noVariants': 'هنوز حالتی برای مقایسه اضافه نشده است',
+        'compare.variant': 'حالت {label}',
+        'compare.description': '{profile} | سرعت {speed}x | زیر و بمی {pitch}x | {emotion}',
+        'compare.tooFew': 'برای مقایسه دست‌کم دو حالت لازم است',
+        'compare.profileMissing': 'برای حالت {label} پروفایل انتخاب نشده است',
+        'compare.generating': 'در حال تولید نمونه‌ها...',
+        'compare.noneGenerated': 'هیچ نمونه‌ای تولید نشد',
+        'compare.ready': 'نمونه‌ها آماده‌اند. پخش را بزنید و با کلیک روی هر کارت، بدون توقف بین حالت‌ها جابه‌جا شوید.',
+        'compare.partial': '{done} از {total} نمونه تولید شد',
+        'compare.markWinner': 'انتخاب به عنوان برنده',
+        'compare.sampleReady': 'آماده',
+        'compare.pause': 'توقف موقت',
+        'compare.applyVariant': 'اعمال تنظیمات حالت {label} در فرم تبدیل متن',
+        'compare.applied': 'تنظیمات حالت {label} ({description}) اعمال شد',
+        'profiles.noMatchOption': 'پروفایلی پیدا نشد',
+        'profiles.empty': 'هیچ پروفایل صوتی یافت نشد',
+        'profiles.noMatch': 'هیچ پروفایلی با این جستجو پیدا نشد',
+        'common.durationMinutes': 'مدت: {minutes} دقیقه',
+        'profiles.clipCount': '{count} فایل صوتی',
+        'profiles.outdatedHint': 'صدای تازه اضافه یا حذف شده است',
+        'profiles.outdated': 'نیاز به آموزش دوباره',
+        'profiles.edit': 'ویرایش',
+        'profiles.export': 'صادرات',
+        'profiles.created': 'ایجاد: {date}',
+        'profiles.updated': 'آخرین ویرایش: {date}',
+        'profiles.nameRequired': 'نام پروفایل نمی‌تواند خالی باشد',
+        'profiles.rangeError': 'سرعت و زیر و بمی باید بین {min} و {max} باشند',
+        'profiles.saved': 'تغییرات پروفایل ذخیره شد',
+        'profiles.saveError': 'خطا در ذخیره تغییرات: {error}',
+        'clips.summary': '{count} فایل، مجموعاً {duration}',
+        'clips.outdated': 'مدل هنوز با این فایل‌ها آموزش ندیده است',
+        'clips.empty': 'فایلی ثبت نشده است',
+        'clips.duration': 'مدت: {duration}',
+        'clips.added': 'افزوده شده: {date}',
+        'clips.checking': 'در حال بررسی «{name}»...',
+        'clips.addedAll': 'فایل‌ها اضافه شدند. برای اعمال آن‌ها، مدل را دوباره آموزش دهید.',
+        'clips.addError': 'خطا در افزودن فایل: {error}',
+        'clips.confirmRemove': 'آیا از حذف این فایل صوتی اطمینان دارید؟',
+        'clips.removed': 'فایل حذف شد. برای اعمال تغییر، مدل را دوباره آموزش دهید.',
+        'clips.removeError': 'خطا در حذف فایل: {error}',
+        'clips.recordingFor': 'صدای تازه به پروفایل «{name}» اضافه می‌شود',
+        'clips.retrainError': 'خطا در شروع آموزش: {error}',
+        'clips.retrained': 'مدل با همه فایل‌های صوتی دوباره آموزش دید',
+        'clips.trainingFailedError': 'آموزش مدل ناموفق بود: {error}',
+        'clips.training': 'در حال آموزش مدل... {percent}%',
+        'clips.trainingDone': 'آموزش کامل شد',
+        'clips.trainingFailed': 'آموزش ناموفق بود',
+        'profiles.previewing': 'در حال تولید نمونه صدای «{name}»...',
+        'profiles.previewError': 'خطا در تولید نمونه: {error}',
+        'profiles.confirmDelete': 'آیا مطمئن هستید که می‌خواهید این پروفایل را حذف کنید؟',
+        'profiles.deleted': 'پروفایل با موفقیت حذف شد',
+        'profiles.deleteError': 'خطا در حذف پروفایل: {error}',
+        'profiles.exported': 'پروفایل با موفقیت صادر شد',
+        'profiles.exportFailed': 'خطا در صادرات پروفایل',
+        'profiles.exportError': 'خطا در صادرات پروفایل: {error}',
+        'import.notZip': '«{name}» فایل ZIP نیست؛ فایلی را انتخاب کنید که با «صادرات» دریافت شده است',
+        'import.importing': 'در حال وارد کردن پروفایل...',
+        'import.done': 'پروفایل «{name}» با موفقیت وارد شد',
+        'import.error': 'خطا در وارد کردن پروفایل: {error}',
+        'import.sameId': 'پروفایل «{name}» همین شناسه را دارد',
+        'import.sameName': 'پروفایلی به نام «{name}» از قبل وجود دارد',
+        'import.conflictHint': 'پروفایل «{name}» را با نام دیگری وارد کنید یا جایگزین پروفایل موجود شود.',
+        'import.duplicate': 'پروفایل تکراری است',
+        'import.confirmOverwrite': 'پروفایل موجود حذف و با پروفایل وارد شده جایگزین می‌شود. ادامه می‌دهید؟',
+        'import.nameRequired': 'لطفاً نام جدید را وارد کنید',
+        'settings.checking': 'در حال بررسی بروزرسانی...',
+        'settings.upToDate': 'برنامه به‌روز است',
+        'settings.updateError': 'خطا در بررسی بروزرسانی: {error}',
+        'settings.saved': 'تنظیمات ذخیره شد',
+        'record.pausedHidden': 'ضبط به دلیل خروج از صفحه متوقف شد؛ برای ادامه روی «ادامه ضبط» بزنید',
+        'record.leaveWarning': 'ضبط صدا در حال انجام است. آیا مطمئن هستید که می‌خواهید صفحه را ترک کنید؟',
+        'record.ready': 'آماده برای ضبط',
+        'settings.languageChanged': 'زبان رابط کاربری تغییر یافت',
+        'language.zh': 'چینی (Chinese)',
+        'language.hi': 'هندی (Hindi)',
+        'language.es': 'اسپانیایی (Spanish)',
+        'language.fr': 'فرانسوی (French)',
+        'language.de': 'آلمانی (German)',
+        'language.ja': 'ژاپنی (Japanese)',
+        'language.ko': 'کره‌ای (Korean)',
+        'language.ru': 'روسی (Russian)',
+        'language.pt': 'پرتغالی (Portuguese)',
+        'language.it': 'ایتالیایی (Italian)',
+        'language.tr': 'ترکی (Turkish)',
+        'batch.parse.empty': 'فهرست خالی است',
+        'batch.parse.invalidJson': 'JSON نامعتبر است: {error}',
+        'batch.parse.notArray': 'JSON باید آرایه‌ای از ردیف‌ها باشد',
+        'batch.parse.noRows': 'فهرست هیچ ردیفی ندارد',
+        'batch.parse.tooManyRows': 'حداکثر {max} ردیف در هر دسته مجاز است',
+        'batch.parse.invalidRow': 'ردیف {row}: ساختار نامعتبر',
+        'batch.parse.duplicateId': 'ردیف {row}: شناسهٔ «{id}» تکراری است',
+        'batch.parse.outOfRange': 'ردیف {row}: مقدار {field} باید بین {min} و {max} باشد',
+        'batch.parse.emptyText': 'ردیف {row}: متن خالی است',
+        'batch.parse.textTooLong': 'ردیف {row}: متن نباید بیش از {max} کاراکتر باشد',
+        'batch.parse.unclosedQuote': 'یک فیلد داخل گیومه بسته نشده است',
+        'batch.parse.missingHeader': 'سطر اول باید نام ستون‌ها باشد و ستون text را داشته باشد',
+        'ssml.strayBracket': 'تگ نادرست یا علامت < و > اضافه (از &lt; و &gt; استفاده کنید)',
+        'ssml.unknownEntity': 'نویسهٔ {entity} ناشناخته است',
+        'ssml.unsupportedTag': 'تگ <{tag}> پشتیبانی نمی‌شود',
+        'ssml.noOpenTag': 'هیچ تگ بازی',
+        'ssml.unexpectedClose': '</{tag}> نابه‌جاست؛ انتظار می‌رفت: {expected}',
+        'ssml.mustWrap': 'تگ <{tag}> باید متنی را در بر بگیرد',
+        'ssml.unclosed': 'تگ <{tag}> بسته نشده است',
+        'ssml.invalidBreakTime': 'زمان مکث «{value}» نامعتبر است (مثلاً 500ms یا 2s)',
+        'ssml.breakTooLong': 'مکث نباید بیش از {seconds} ثانیه باشد',
+        'ssml.invalidBreakStrength': 'شدت مکث «{value}» نامعتبر است',
+        'ssml.prosodyAttribute': 'تگ <prosody> به ویژگی rate یا pitch نیاز دارد',
+        'ssml.invalidRate': 'سرعت «{value}» نامعتبر است (بین 50% تا 200%)',
+        'ssml.invalidPitch': 'زیر و بمی «{value}» نامعتبر است (بین 50% تا 200%)',
+        'ssml.invalidEmphasis': 'سطح تأکید «{value}» نامعتبر است',
+        'ssml.langAttribute': 'تگ <lang> به ویژگی xml:lang نیاز دارد',
+        'ssml.unsupportedLanguage': 'زبان «{value}» پشتیبانی نمی‌شود',
+        'ssml.emotionAttribute': 'تگ <emotion> به ویژگی name نیاز دارد',
+        'ssml.invalidEmotion': 'احساس «{value}» نامعتبر است',
+        'update.title': 'نسخه جدید موجود است',
+        'update.changelog': 'تغییرات این نسخه:',
+        'update.install': 'نصب و راه‌اندازی مجدد',
+        'update.later': 'بعداً',
+        'update.available': 'نسخه {version} موجود است',
+        'update.versions': 'نسخه فعلی: {current} | نسخه جدید: {latest}',
+        'update.released': 'تاریخ انتشار: {date}',
+        'update.mandatory': 'این بروزرسانی ضروری است',
+        'update.noNotes': 'توضیحی برای این نسخه منتشر نشده است',
+        'update.confirmWhileRecording': 'ضبط صدا در حال انجام است و با راه‌اندازی مجدد قطع می‌شود. ادامه می‌دهید؟',
+        'update.installing': 'در حال دریافت و نصب بروزرسانی...',
+        'update.restarting': 'نسخه {version} نصب شد. برنامه در حال راه‌اندازی مجدد است؛ صفحه پس از آن دوباره بارگذاری می‌شود.',
+        'update.installError': 'خطا در نصب بروزرسانی: {error}',
+        'update.restartTimeout': 'برنامه هنوز دوباره راه‌اندازی نشده است؛ پس از راه‌اندازی، صفحه را دوباره بارگذاری کنید.',
+        'settings.qualityEstimate': 'حجم تقریبی هر دقیقه: ضبط {record} مگابایت، گفتار ({synthesisFormat}) {synthesis} مگابایت، دانلود ({downloadFormat}) {download} مگابایت',
+        'auth.title': 'ورود به حساب کاربری',
+        'auth.username': 'نام کاربری:',
+        'auth.password': 'رمز عبور:',
+        'auth.login': 'ورود',
+        'auth.register': 'ایجاد حساب',
+        'auth.hint': 'حساب‌ها روی همین سرور نگه‌داری می‌شوند. نخستین حسابی که ساخته شود مدیر است.',
+        'auth.logout': 'خروج',
+        'auth.credentialsRequired': 'لطفاً نام کاربری و رمز عبور را وارد کنید',
+        'auth.signingIn': 'در حال ورود...',
+        'auth.registering': 'در حال ایجاد حساب...',
+        'auth.error': 'ورود ناموفق: {error}',
+        'auth.expired': 'نشست شما به پایان رسیده است. لطفاً دوباره وارد شوید.',
+        'auth.adminName': '{name} (مدیر)',
+        'consent.title': 'رضایت صاحب صدا:',
+        'consent.intro': 'پیش از ساختن پروفایل، صاحب صدا باید جمله‌ی رضایت را با صدای بلند بخواند.',
+        'consent.getPhrase': 'دریافت جمله‌ی رضایت',
+        'consent.record': 'ضبط جمله',
+        'consent.pending': 'هنوز رضایتی ثبت نشده است',
+        'consent.readPhrase': 'دکمه‌ی ضبط را بزنید، جمله‌ی بالا را کامل بخوانید و ضبط را متوقف کنید.',
+        'consent.recording': 'در حال ضبط جمله‌ی رضایت...',
+        'consent.verifying': 'در حال بررسی رضایت...',
+        'consent.verified': '✔ رضایت تأیید شد؛ اکنون می‌توانید پروفایل را بسازید.',
+        'consent.mismatch': 'ضبط با جمله‌ی رضایت مطابقت ندارد (شنیده شد: «{heard}»). دوباره بخوانید یا جمله‌ی تازه بگیرید.',
+        'consent.error': 'خطا در بررسی رضایت: {error}',
+        'consent.phraseError': 'خطا در دریافت جمله‌ی رضایت: {error}',
+        'consent.required': 'برای پروفایل جدید، ابتدا جمله‌ی رضایت را ضبط و تأیید کنید.',
+        'profiles.noConsent': 'بدون رضایت',
+        'profiles.noConsentHint': 'این پروفایل بدون ضبط رضایت صاحب صدا ساخته شده است',
+        'verify.title': 'بررسی منشأ فایل صوتی',
+        'verify.intro': 'همه‌ی فایل‌های تولیدشده یک واترمارک نامحسوس و برچسب دارند. یک فایل را بررسی کنید تا معلوم شود در این سامانه و با کدام پروفایل ساخته شده است.',
+        'verify.submit': 'بررسی فایل',
+        'verify.fileRequired': 'لطفاً یک فایل صوتی انتخاب کنید',
+        'verify.checking': 'در حال بررسی فایل...',
+        'verify.error': 'خطا در بررسی فایل: {error}',
+        'verify.generated': '«{name}» در این سامانه تولید شده است.',
+        'verify.claimed': 'برچسب‌های «{name}» می‌گویند در این سامانه تولید شده، اما واترمارکی پیدا نشد؛ برچسب‌ها به‌راحتی قابل کپی هستند.',
+        'verify.notGenerated': 'نشانه‌ای از تولید «{name}» در این سامانه پیدا نشد.',
+        'verify.watermark': 'واترمارک پیدا شد',
+        'verify.noWatermark': 'واترمارکی پیدا نشد',
+        'verify.metadata': 'برچسب‌های تولید پیدا شد',
+        'verify.noMetadata': 'برچسب تولیدی وجود ندارد',
+        'verify.metadataMismatch': 'برچسب‌ها با واترمارک هم‌خوانی ندارند و احتمالاً ویرایش شده‌اند',
+        'verify.profile': 'پروفایل: {name}',
+        'verify.request': 'شناسه درخواست: {id}',
+        'verify.created': 'زمان تولید: {date}',
+        'offline.unreachable': 'سرور در دسترس نیست؛ آخرین داده‌های ذخیره‌شده نمایش داده می‌شود',
+        'offline.queued': '{count} درخواست تبدیل در صف',
+        'offline.sending': 'در حال ارسال {count} درخواست تبدیل از صف...',
+        'offline.synthesisQueued': 'سرور در دسترس نیست؛ درخواست در صف قرار گرفت و پس از اتصال دوباره خودکار ارسال می‌شود. نتیجه در تاریخچه ذخیره می‌شود.',
+        'offline.queueSent': '{count} درخواست تبدیل از صف انجام شد و در تاریخچه ذخیره شد',
+        'offline.queuedFailed': 'درخواست «{text}» از صف انجام نشد: {error}',
+        'consent.verifiedSimulated': '⚠ رضایت پذیرفته شد، اما این سرور هنوز تشخیص گفتار واقعی ندارد و کلمه‌های ضبط را بررسی نکرده است.',
+        'import.consentRequired': 'برای وارد کردن پروفایل، ابتدا در تب «ضبط صدا» جمله‌ی رضایت را ضبط و تأیید کنید.'
+    },
+    en: {
+        'common.listSeparator': ', ',
+        'app.title': 'Voice Clone - Voice Cloning App',
+        'app.tagline': 'AI voice cloning software - support for 99% of the world\'s languages',
+        'tabs.record': 'Record Voice',
+        'tabs.tts': 'Text to Speech',
+        'tabs.batch': 'Batch Synthesis',
+        'tabs.compare': 'Compare Voices',
+        'tabs.profiles': 'Voice Profiles',
+        'tabs.settings': 'Settings',
+        'record.title': 'Record Your Voice',
+        'record.intro': 'To create a voice profile, please record your voice for 10-20 minutes.',
+        'record.target': 'Voice destination:',
+        'record.newProfile': 'New profile',
+        'record.profileName': 'Profile name:',
+        'record.profileNamePlaceholder': 'Enter a name for your voice profile',
+        'common.language': 'Language:',
+        'language.fa': 'Persian',
+        'language.en': 'English',
+        'language.ar': 'Arabic',
+        'record.start': 'Start Recording',
+        'record.stop': 'Stop Recording',
+        'record.pause': 'Pause',
+        'record.resume': 'Resume Recording',
+        'enrollment.start': 'Guided Recording',
+        'enrollment.intro': 'Record each sentence separately. You can re-record any sentence if needed.',
+        'enrollment.upload': 'Create Profile',
+        'common.cancel': 'Cancel',
+        'record.level': 'Audio level:',
+        'editor.title': 'Edit Before Upload',
+        'editor.intro': 'Drag across the waveform to select a part. Remove coughs, long silences and distracting noises.',
+        'editor.preview': 'Preview',
+        'common.stop': 'Stop',
+        'editor.deleteSelection': 'Delete Selection',
+        'editor.keepSelection': 'Keep Selection Only',
+        'editor.undo': 'Undo',
+        'editor.trimSilence': 'Trim Leading and Trailing Silence',
+        'editor.normalize': 'Normalize Loudness',
+        'editor.upload': 'Upload',
+        'recovery.title': 'Unfinished Recordings',
+        'recovery.intro': 'These recordings did not finish because the page was closed or the upload failed.',
+        'upload.title': 'Upload Audio File',
+        'upload.intro': 'Or you can upload an audio file you already have.',
+        'upload.submit': 'Upload File',
+        'tts.title': 'Text to Speech',
+        'tts.intro': 'Enter your text and hear it in your cloned voice.',
+        'script.mode': 'Script mode (multiple speakers)',
+        'script.hint': 'Start each line with the speaker\'s name, e.g.: [Ali]: Hi, how are you?',
+        'tts.profile': 'Choose a voice profile:',
+        'profiles.searchPlaceholder': 'Search names, descriptions and tags...',
+        'tts.chooseProfile': 'Please choose a profile',
+        'tts.textLabel': 'Text (up to 50,000 characters):',
+        'tts.textPlaceholder': 'Enter your text here...',
+        'markup.label': 'Markup (SSML):',
+        'markup.break': 'Pause',
+        'markup.emphasis': 'Emphasis',
+        'markup.slow': 'Slow',
+        'markup.fast': 'Fast',
+        'markup.emotion': 'Emotion',
+        'markup.supported': 'Supported tags: <break>, <prosody rate pitch>, <emphasis>, <lang xml:lang>, <emotion name>',
+        'spans.label': 'Mixed-language parts (click a part to change its language):',
+        'spans.selectedLanguage': 'Language of the selected part:',
+        'spans.clear': 'Read the whole text in one language',
+        'script.speakers': 'Speakers (profile, speed, pitch and emotion of each speaker):',
+        'language.auto': 'Auto-detect',
+        'tts.detectLanguage': 'Detect Language',
+        'common.emotion': 'Emotion:',
+        'emotion.neutral': 'Neutral',
+        'emotion.happy': 'Happy',
+        'emotion.sad': 'Sad',
+        'emotion.angry': 'Angry',
+        'emotion.calm': 'Calm',
+        'tts.generate': 'Generate Speech',
+        'common.cancelRun': 'Cancel',
+        'tts.generating': 'Generating speech...',
+        'tts.chunkGap': 'Silence between parts (milliseconds):',
+        'tts.format': 'File format:',
+        'tts.formatWav': 'WAV (uncompressed)',
+        'tts.formatWebm': 'Opus / WebM (compressed)',
+        'tts.download': 'Download Full File',
+        'history.title': 'Speech History',
+        'history.clear': 'Clear History',
+        'batch.title': 'Batch Speech Synthesis',
+        'batch.intro': 'Provide a list of texts as CSV, TSV or JSON to synthesize them all at once and download them in one ZIP file.',
+        'batch.file': 'List file:',
+        'batch.paste': 'Or paste the list here:',
+        'batch.concurrency': 'Concurrent requests:',
+        'batch.retries': 'Retries per row:',
+        'batch.start': 'Start',
+        'batch.retryFailed': 'Retry Failed Rows',
+        'batch.downloadZip': 'Download ZIP',
+        'compare.title': 'Compare Voices',
+        'compare.intro': 'Synthesize one text with several profiles or settings, listen side by side and pick the best.',
+        'compare.textLabel': 'Text (up to 5,000 characters):',
+        'compare.textPlaceholder': 'Enter a short text to compare...',
+        'compare.useForm': 'Use Text and Settings from Text to Speech',
+        'compare.variants': 'Variants (profile, speed, pitch and emotion; 2 to 6 variants):',
+        'compare.addVariant': 'Add Variant',
+        'compare.start': 'Generate and Compare',
+        'compare.playAll': 'Play Together',
+        'compare.hint': 'All variants play together and only the selected one is heard; click any card to switch to it at the same point in the text.',
+        'compare.applyWinner': 'Apply Winner\'s Settings',
+        'profiles.title': 'Manage Voice Profiles',
+        'profiles.intro': 'Manage and control the voice profiles you have created.',
+        'profiles.refresh': 'Refresh List',
+        'import.button': 'Import Profile',
+        'import.newName': 'New name:',
+        'import.rename': 'Import with New Name',
+        'import.overwrite': 'Replace Existing Profile',
+        'profiles.name': 'Name:',
+        'profiles.description': 'Description:',
+        'profiles.tags': 'Tags (comma separated):',
+        'profiles.tagsPlaceholder': 'e.g.: news anchor, formal',
+        'profiles.defaultSpeed': 'Default speed:',
+        'profiles.defaultPitch': 'Default pitch:',
+        'profiles.defaultEmotion': 'Default emotion:',
+        'clips.title': 'Profile Audio Files',
+        'clips.add': 'Add Files',
+        'clips.recordMore': 'Record More',
+        'clips.retrain': 'Retrain Model',
+        'common.save': 'Save',
+        'profiles.preview': 'Play Sample',
+        'profiles.allLanguages': 'All languages',
+        'profiles.allTags': 'All tags',
+        'profiles.sortNewest': 'Newest',
+        'profiles.sortOldest': 'Oldest',
+        'profiles.sortName': 'Name',
+        'profiles.sortDuration': 'Recording length',
+        'profiles.loading': 'Loading profiles...',
+        'settings.title': 'Settings',
+        'settings.autoUpdate': 'Automatic updates',
+        'settings.checkUpdates': 'Check for Updates',
+        'settings.interfaceLanguage': 'Interface language:',
+        'settings.audioQuality': 'Audio quality:',
+        'settings.qualityHigh': 'High (22050 Hz, FLAC)',
+        'settings.qualityMedium': 'Medium (16000 Hz, MP3)',
+        'settings.qualityLow': 'Low (8000 Hz, Opus)',
+        'settings.about': 'About',
+        'app.copyright': '© 2024 Voice Clone Application',
+        'app.footer': 'Made with ❤️ to support every language in the world',
+        'record.duration': 'Recording length:',
+        'common.minutes': 'minutes',
+        'common.speed': 'Speed:',
+        'common.pitch': 'Pitch:',
+        'batch.columns': 'Columns: id, text, language, profileId (profile ID or name), speed, pitch, emotion. Only text is required; the rest is filled in from the Text to Speech tab settings.',
+        'profiles.editTitle': 'Edit profile:',
+        'settings.version': 'Version:',
+        'settings.developer': 'Developer:',
+        'settings.license': 'License:',
+        'settings.licenseValue': 'Free and open source',
+        'record.targetMissing': 'The selected profile no longer exists',
+        'record.nameRequired': 'Please enter a profile name',
+        'record.addTo': 'Add to "{name}" ({language})',
+        'record.recording': 'Recording...',
+        'record.qualityTooLow': 'The recording quality is not good enough for a profile (score {score} of 100): {problems}',
+        'record.microphoneError': 'Could not access the microphone: {error}',
+        'record.processing': 'Processing...',
+        'record.paused': 'Recording is paused',
+        'common.languageInfo': 'Language: {language}',
+        'common.durationSeconds': 'Length: {seconds} s',
+        'common.dateInfo': 'Date: {date}',
+        'recovery.upload': 'Recover and Upload',
+        'recovery.confirmDelete': 'Are you sure you want to delete this recording?',
+        'quality.warning.clipping': 'Too loud; move a little away from the microphone',
+        'quality.warning.lowSnr': 'Too much background noise',
+        'quality.warning.tooQuiet': 'Too quiet; move closer to the microphone',
+        'quality.warning.longSilence': 'Long silence; please speak',
+        'quality.problem.clipping': 'clipping (too loud)',
+        'quality.problem.noise': 'heavy background noise',
+        'quality.problem.quiet': 'too quiet',
+        'quality.problem.silence': 'too much silence',
+        'quality.problem.unknown': 'unknown',
+        'record.qualityScore': '(quality score: {score} of 100)',
+        'record.addedToProfile': 'The audio was added to profile "{name}". Retrain the model to apply it.',
+        'record.profileCreated': 'Voice profile created successfully!',
+        'record.addError': 'Could not add the audio to the profile: {error}',
+        'record.createError': 'Could not create the profile: {error}',
+        'upload.fileRequired': 'Please choose an audio file',
+        'upload.checking': 'Checking the file...',
+        'upload.rejected': 'File "{name}" was not accepted: {error}',
+        'upload.valid': 'File "{name}" is valid ({seconds} s).',
+        'upload.changes': 'Changes before upload:',
+        'upload.noChanges': 'No conversion was needed.',
+        'upload.unsupported': 'The browser does not support this file\'s format or codec. Please choose a WAV, MP3, OGG or WebM file.',
+        'upload.tooShort': 'The file is too short ({seconds} s). At least {minimum} s of audio is required.',
+        'upload.silent': 'No sound can be heard in this file.',
+        'upload.mono': '{channels} channels mixed down to mono',
+        'upload.sampleRate': 'Sample rate converted to {rate} Hz',
+        'upload.sampleRateFrom': 'Sample rate changed from {from} to {rate} Hz',
+        'upload.unknownFormat': 'unknown',
+        'upload.toWav': '{format} converted to WAV (16-bit PCM)',
+        'upload.progress': 'Uploading... {percent}% ({sent} of {total} MB)',
+        'upload.retrying': 'Connection lost; retry {attempt} in {seconds} s...',
+        'editor.notEditable': 'This file\'s waveform cannot be shown; it will be uploaded without editing',
+        'editor.hint': 'You can remove unwanted parts before uploading',
+        'editor.selection': 'Selection: {start} to {end} s',
+        'editor.allSilent': 'No sound above the silence threshold was found in this file',
+        'enrollment.noPrompts': 'There are no guided prompts for this language',
+        'enrollment.hint': 'Read each sentence in your natural voice',
+        'enrollment.notRecorded': 'Not recorded',
+        'enrollment.recorded': 'Recorded',
+        'enrollment.lowQuality': 'Low quality ({score} of 100): {problems} — record again',
+        'enrollment.recordedWithScore': 'Recorded — quality: {score} of 100',
+        'enrollment.rerecord': 'Record Again',
+        'enrollment.record': 'Record',
+        'enrollment.summary': '{recorded} of {total} sentences recorded',
+        'enrollment.summaryLowQuality': '{count} sentences are not good enough',
+        'enrollment.incomplete': 'Please record every sentence',
+        'common.uploading': 'Uploading...',
+        'upload.error': 'Upload failed: {error}',
+        'tts.characterCount': '{count} / {max} characters',
+        'markup.valid': 'The markup is valid',
+        'tts.textRequired': 'Please enter some text',
+        'tts.detected': 'Detected language: {language}',
+        'tts.detectedOtherSpans': '({count} parts in other languages)',
+        'tts.detectError': 'Language detection failed: {error}',
+        'tts.profileRequired': 'Please choose a voice profile',
+        'tts.textTooLong': 'The text must not exceed {max} characters',
+        'markup.invalid': 'The text markup is invalid: {error}',
+        'tts.done': 'Speech generated successfully! ({characters} characters, {chunks} parts)',
+        'script.noLines': 'No line with a speaker tag such as [Ali]: has been written yet',
+        'script.lineCount': '{count} lines',
+        'common.profile': 'Profile',
+        'common.chooseProfile': 'Choose a profile',
+        'common.speedTitle': 'Speed',
+        'common.pitchTitle': 'Pitch',
+        'common.emotionTitle': 'Emotion',
+        'script.noTaggedLines': 'No line with a speaker tag such as [Ali]: was found',
+        'script.untaggedLine': 'Line {line} comes before the first speaker tag',
+        'script.unmapped': 'No voice profile is chosen for speakers {speakers}',
+        'script.invalidMarkup': 'The markup on line {line} is invalid: {error}',
+        'script.done': 'Conversation generated successfully! ({lines} lines, {speakers} speakers)',
+        'script.progress': 'Generating line {line} of {total} ({speaker})...',
+        'script.preparing': 'Preparing the conversation...',
+        'tts.cancelled': 'Speech generation cancelled',
+        'tts.error': 'Speech generation failed: {error}',
+        'tts.nothingToDownload': 'Generate speech first',
+        'tts.preparingFile': 'Preparing the file...',
+        'tts.encoding': 'Compressing... {percent}%',
+        'tts.fileReady': 'The audio file is ready to download',
+        'tts.fileError': 'Could not prepare the file: {error}',
+        'tts.progress': 'Generating speech... part {chunk} of {total}',
+        'history.evicted': 'Storage was full; the oldest history entries were removed',
+        'history.unavailable': 'History is not available in this browser',
+        'history.empty': 'No speech has been generated yet',
+        'common.profileInfo': 'Profile: {name}',
+        'history.characters': '{count} characters',
+        'common.play': 'Play',
+        'common.download': 'Download',
+        'history.loadSettings': 'Load settings',
+        'history.regenerate': 'Regenerate',
+        'common.delete': 'Delete',
+        'history.usage': 'Storage used: {used} of {quota} MB',
+        'history.profileMissing': 'Profile "{name}" no longer exists',
+        'history.settingsLoaded': 'Settings loaded from history',
+        'history.speakersMissing': 'The profiles of speakers {speakers} no longer exist',
+        'history.deleteError': 'Could not delete from history: {error}',
+        'history.confirmClear': 'Are you sure you want to clear the entire history?',
+        'history.clearError': 'Could not clear the history: {error}',
+        'batch.fileLoaded': 'File {name} loaded',
+        'batch.readError': 'Could not read the file',
+        'batch.profileNotFound': 'Row {row}: profile "{profile}" was not found',
+        'batch.profileMissing': 'Row {row}: no profile is given and none is chosen in the Text to Speech tab',
+        'batch.invalidEmotion': 'Row {row}: emotion "{emotion}" is not valid',
+        'batch.error': 'Batch synthesis failed: {error}',
+        'batch.summary': '{done} of {total} rows generated',
+        'batch.summaryFailed': '{count} failed',
+        'batch.summaryCancelled': '{count} cancelled',
+        'batch.status.pending': 'Queued',
+        'batch.status.running': 'Generating...',
+        'batch.status.retrying': 'Retrying ({attempt})',
+        'batch.status.done': 'Done',
+        'batch.status.failed': 'Failed',
+        'batch.status.cancelled': 'Cancelled',
+        'batch.rowSettings': 'Profile: {profile} | Language: {language} | Speed: {speed} | Pitch: {pitch} | Emotion: {emotion}',
+        'batch.zipping': 'Building the ZIP file...',
+        'batch.zipReady': 'The ZIP file is ready to download',
+        'batch.zipError': 'Could not build the ZIP file: {error}',
+        'compare.tooMany': 'At most {max} variants can be compared',
+        'compare.noVariants': 'No variants have been added yet',
+        'compare.variant': 'Variant {label}',
+        'compare.description': '{profile} | speed {speed}x | pitch {pitch}x | {emotion}',
+        'compare.tooFew': 'At least two variants are needed for a comparison',
+        'compare.profileMissing': 'No profile is chosen for variant {label}',
+        'compare.generating': 'Generating samples...',
+        'compare.noneGenerated': 'No samples were generated',
+        'compare.ready': 'The samples are ready. Press play and click any card to switch variants without stopping.',
+        'compare.partial': '{done} of {total} samples generated',
+        'compare.markWinner': 'Pick as Winner',
+        'compare.sampleReady': 'Ready',
+        'compare.pause': 'Pause',
+        'compare.applyVariant': 'Apply Variant {label}\'s Settings to Text to Speech',
+        'compare.applied': 'Variant {label}\'s settings ({description}) applied',
+        'profiles.noMatchOption': 'No profile found',
+        'profiles.empty': 'No voice profiles found',
+        'profiles.noMatch': 'No profile matches this search',
+        'common.durationMinutes': 'Length: {minutes} min',
+        'profiles.clipCount': '{count} audio files',
+        'profiles.outdatedHint': 'Audio was added or removed since training',
+        'profiles.outdated': 'Needs retraining',
+        'profiles.edit': 'Edit',
+        'profiles.export': 'Export',
+        'profiles.created': 'Created: {date}',
+        'profiles.updated': 'Last edited: {date}',
+        'profiles.nameRequired': 'The profile name cannot be empty',
+        'profiles.rangeError': 'Speed and pitch must be between {min} and {max}',
+        'profiles.saved': 'Profile changes saved',
+        'profiles.saveError': 'Could not save the changes: {error}',
+        'clips.summary': '{count} files, {duration} in total',
+        'clips.outdated': 'The model has not been trained on these files yet',
+        'clips.empty': 'No files yet',
+        'clips.duration': 'Length: {duration}',
+        'clips.added': 'Added: {date}',
+        'clips.checking': 'Checking "{name}"...',
+        'clips.addedAll': 'The files were added. Retrain the model to apply them.',
+        'clips.addError': 'Could not add the files: {error}',
+        'clips.confirmRemove': 'Are you sure you want to remove this audio file?',
+        'clips.removed': 'The file was removed. Retrain the model to apply the change.',
+        'clips.removeError': 'Could not remove the file: {error}',
+        'clips.recordingFor': 'New audio will be added to profile "{name}"',
+        'clips.retrainError': 'Could not start training: {error}',
+        'clips.retrained': 'The model was retrained on all audio files',
+        'clips.trainingFailedError': 'Model training failed: {error}',
+        'clips.training': 'Training the model... {percent}%',
+        'clips.trainingDone': 'Training complete',
+        'clips.trainingFailed': 'Training failed',
+        'profiles.previewing': 'Generating a sample of "{name}"...',
+        'profiles.previewError': 'Could not generate a sample: {error}',
+        'profiles.confirmDelete': 'Are you sure you want to delete this profile?',
+        'profiles.deleted': 'Profile deleted',
+        'profiles.deleteError': 'Could not delete the profile: {error}',
+        'profiles.exported': 'Profile exported',
+        'profiles.exportFailed': 'Could not export the profile',
+        'profiles.exportError': 'Could not export the profile: {error}',
+        'import.notZip': '"{name}" is not a ZIP file; choose a file downloaded with "Export"',
+        'import.importing': 'Importing the profile...',
+        'import.done': 'Profile "{name}" imported',
+        'import.error': 'Could not import the profile: {error}',
+        'import.sameId': 'Profile "{name}" has the same ID',
+        'import.sameName': 'A profile named "{name}" already exists',
+        'import.conflictHint': 'Import "{name}" under another name or let it replace the existing profile.',
+        'import.duplicate': 'Duplicate profile',
+        'import.confirmOverwrite': 'The existing profile will be deleted and replaced by the imported one. Continue?',
+        'import.nameRequired': 'Please enter a new name',
+        'settings.checking': 'Checking for updates...',
+        'settings.upToDate': 'The application is up to date',
+        'settings.updateError': 'Could not check for updates: {error}',
+        'settings.saved': 'Settings saved',
+        'record.pausedHidden': 'Recording paused because you left the page; press "Resume Recording" to continue',
+        'record.leaveWarning': 'A recording is in progress. Are you sure you want to leave the page?',
+        'record.ready': 'Ready to record',
+        'settings.languageChanged': 'Interface language changed',
+        'language.zh': 'Chinese',
+        'language.hi': 'Hindi',
+        'language.es': 'Spanish',
+        'language.fr': 'French',
+        'language.de': 'German',
+        'language.ja': 'Japanese',
+        'language.ko': 'Korean',
+        'language.ru': 'Russian',
+        'language.pt': 'Portuguese',
+        'language.it': 'Italian',
+        'language.tr': 'Turkish',
+        'batch.parse.empty': 'The list is empty',
+        'batch.parse.invalidJson': 'Invalid JSON: {error}',
+        'batch.parse.notArray': 'The JSON must be an array of rows',
+        'batch.parse.noRows': 'The list has no rows',
+        'batch.parse.tooManyRows': 'At most {max} rows are allowed per batch',
+        'batch.parse.invalidRow': 'Row {row}: invalid structure',
+        'batch.parse.duplicateId': 'Row {row}: ID "{id}" is used more than once',
+        'batch.parse.outOfRange': 'Row {row}: {field} must be between {min} and {max}',
+        'batch.parse.emptyText': 'Row {row}: the text is empty',
+        'batch.parse.textTooLong': 'Row {row}: the text must not exceed {max} characters',
+        'batch.parse.unclosedQuote': 'A quoted field is not closed',
+        'batch.parse.missingHeader': 'The first line must name the columns and include a text column',
+        'ssml.strayBracket': 'Malformed tag or stray \'<\' / \'>\' (use &lt; and &gt;)',
+        'ssml.unknownEntity': 'Unknown entity {entity}',
+        'ssml.unsupportedTag': 'The <{tag}> tag is not supported',
+        'ssml.noOpenTag': 'no open tag',
+        'ssml.unexpectedClose': 'Unexpected </{tag}>, expected {expected}',
+        'ssml.mustWrap': '<{tag}> must wrap text',
+        'ssml.unclosed': 'Unclosed <{tag}>',
+        'ssml.invalidBreakTime': 'Invalid break time "{value}" (use e.g. 500ms or 2s)',
+        'ssml.breakTooLong': 'A break must not be longer than {seconds}s',
+        'ssml.invalidBreakStrength': 'Unknown break strength "{value}"',
+        'ssml.prosodyAttribute': '<prosody> needs a rate or pitch attribute',
+        'ssml.invalidRate': 'Invalid rate "{value}" (allowed range 50%-200%)',
+        'ssml.invalidPitch': 'Invalid pitch "{value}" (allowed range 50%-200%)',
+        'ssml.invalidEmphasis': 'Unknown emphasis level "{value}"',
+        'ssml.langAttribute': '<lang> needs an xml:lang attribute',
+        'ssml.unsupportedLanguage': 'Unsupported language "{value}"',
+        'ssml.emotionAttribute': '<emotion> needs a name attribute',
+        'ssml.invalidEmotion': 'Unknown emotion "{value}"',
+        'update.title': 'A New Version Is Available',
+        'update.changelog': 'What changed:',
+        'update.install': 'Install and Restart',
+        'update.later': 'Later',
+        'update.available': 'Version {version} is available',
+        'update.versions': 'Current version: {current} | New version: {latest}',
+        'update.released': 'Released: {date}',
+        'update.mandatory': 'This update is required',
+        'update.noNotes': 'No release notes were published for this version',
+        'update.confirmWhileRecording': 'A recording is in progress and will be interrupted by the restart. Continue?',
+        'update.installing': 'Downloading and installing the update...',
+        'update.restarting': 'Version {version} is installed. The application is restarting; the page reloads once it is back.',
+        'update.installError': 'Could not install the update: {error}',
+        'update.restartTimeout': 'The application has not come back yet; reload the page once it has restarted.',
+        'settings.qualityEstimate': 'Approximate size per minute: recording {record} MB, speech ({synthesisFormat}) {synthesis} MB, download ({downloadFormat}) {download} MB',
+        'auth.title': 'Sign in',
+        'auth.username': 'Username:',
+        'auth.password': 'Password:',
+        'auth.login': 'Sign in',
+        'auth.register': 'Create account',
+        'auth.hint': 'Accounts are kept on this server. The first account created is the administrator.',
+        'auth.logout': 'Sign out',
+        'auth.credentialsRequired': 'Please enter a username and password',
+        'auth.signingIn': 'Signing in...',
+        'auth.registering': 'Creating account...',
+        'auth.error': 'Sign-in failed: {error}',
+        'auth.expired': 'Your session has ended. Please sign in again.',
+        'auth.adminName': '{name} (admin)',
+        'consent.title': 'Speaker consent:',
+        'consent.intro': 'Before a profile is created, the owner of the voice has to read the consent phrase aloud.',
+        'consent.getPhrase': 'Get Consent Phrase',
+        'consent.record': 'Record Phrase',
+        'consent.pending': 'No consent recorded yet',
+        'consent.readPhrase': 'Press record, read the whole phrase above and stop the recording.',
+        'consent.recording': 'Recording the consent phrase...',
+        'consent.verifying': 'Checking the consent recording...',
+        'consent.verified': '✔ Consent verified; you can now create the profile.',
+        'consent.mismatch': 'The recording does not match the consent phrase (heard: "{heard}"). Read it again or get a new phrase.',
+        'consent.error': 'Consent check failed: {error}',
+        'consent.phraseError': 'Could not get a consent phrase: {error}',
+        'consent.required': 'Record and verify the consent phrase before creating a new profile.',
+        'profiles.noConsent': 'No consent',
+        'profiles.noConsentHint': 'This profile was created without a consent recording from the speaker',
+        'verify.title': 'Check Where Audio Came From',
+        'verify.intro': 'Every generated file carries an inaudible watermark and tags. Check a file to see whether it was made here and with which profile.',
+        'verify.submit': 'Check File',
+        'verify.fileRequired': 'Please choose an audio file',
+        'verify.checking': 'Checking the file...',
+        'verify.error': 'Could not check the file: {error}',
+        'verify.generated': '"{name}" was generated by this system.',
+        'verify.claimed': 'The tags of "{name}" say it was generated here, but no watermark was found; tags are easy to copy.',
+        'verify.notGenerated': 'No sign that "{name}" was generated by this system.',
+        'verify.watermark': 'Watermark found',
+        'verify.noWatermark': 'No watermark',
+        'verify.metadata': 'Generation tags found',
+        'verify.noMetadata': 'No generation tags',
+        'verify.metadataMismatch': 'The tags do not match the watermark and were probably edited',
+        'verify.profile': 'Profile: {name}',
+        'verify.request': 'Request ID: {id}',
+        'verify.created': 'Generated: {date}',
+        'offline.unreachable': 'The server is unreachable; showing the last saved data',
+        'offline.queued': '{count} synthesis requests queued',
+        'offline.sending': 'Sending {count} queued synthesis requests...',
+        'offline.synthesisQueued': 'The server is unreachable; the request was queued and will be sent automatically on reconnect. The result will be saved to the history.',
+        'offline.queueSent': '{count} queued synthesis requests finished and were saved to the history',
+        'offline.queuedFailed': 'Queued request "{text}" failed: {error}',
+        'consent.verifiedSimulated': '⚠ Consent accepted, but this server has no real speech recognizer yet and did not check the words of the recording.',
+        'import.consentRequired': 'Record and verify the consent phrase in the "Record Voice" tab before importing a profile.'
+    },
+    ar: {
+        'common.listSeparator': '، ',
+        'app.title': 'Voice Clone - برنامج استنساخ الصوت',
+        'tabs.record': 'تسجيل الصوت',
+        'tabs.tts': 'تحويل النص إلى كلام',
+        'tabs.batch': 'التوليد الدفعي',
+        'tabs.compare': 'مقارنة الأصوات',
+        'tabs.profiles': 'الملفات الصوتية',
+        'tabs.settings': 'الإعدادات',
+        'common.language': 'اللغة:',
+        'common.cancel': 'إلغاء',
+        'common.stop': 'إيقاف',
+        'common.save': 'حفظ',
+        'common.delete': 'حذف',
+        'common.play': 'تشغيل',
+        'common.download': 'تنزيل',
+        'record.ready': 'جاهز للتسجيل',
+        'tts.generate': 'توليد الكلام',
+        'settings.title': 'الإعدادات',
+        'settings.interfaceLanguage': 'لغة الواجهة:',
+        'settings.saved': 'تم حفظ الإعدادات',
+        'settings.languageChanged': 'تم تغيير لغة الواجهة',
+        'language.fa': 'الفارسية (Persian)',
+        'language.en': 'الإنجليزية (English)',
+        'language.ar': 'العربية (Arabic)',
+        'update.later': 'لاحقاً'
+    }
+};
@@ -0,0 +1,86 @@
+// Voice Clone Web App - interface localization: message lookup, locale-aware formatting and page translation
+// Messages live in I18N_MESSAGES (i18n-messages.js); a key missing from the current language falls back to Persian.
+const I18n = {
+    DEFAULT_LANGUAGE: 'fa',
+    LANGUAGES: {
+        fa: { dir: 'rtl', locale: 'fa-IR' },
+        en: { dir: 'ltr', locale: 'en-US' },
+        ar: { dir: 'rtl', locale: 'ar' }
+    },
+    
+    language: 'fa',
+    
+    locale() {
+        return I18n.LANGUAGES[I18n.language].locale;
+    },
+    
+    has(key) {
+        return key in I18N_MESSAGES[I18n.language] || key in I18N_MESSAGES[I18n.DEFAULT_LANGUAGE];
+    },
+    
+    // Message for key with {name} placeholders filled from params; numbers are formatted for the locale
+    t(key, params = {}) {
+        let message = I18N_MESSAGES[I18n.language][key];
+        if (message === undefined) {
+            message = I18N_MESSAGES[I18n.DEFAULT_LANGUAGE][key];
+        }
+        if (message === undefined) {
+            console.warn('Missing translation:', key);
+            return key;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            
+            const value = params[name];
+            return typeof value === 'number' ? I18n.formatNumber(value) : String(value);
+        });
+    },
+    
+    formatNumber(value, options = {}) {
+        return Number(value).toLocaleString(I18n.locale(), options);
+    },
+    
+    formatDate(value) {
+        return new Date(value).toLocaleDateString(I18n.locale());
+    },
+    
+    formatDateTime(value) {
+        return new Date(value).toLocaleString(I18n.locale());
+    },
+    
+    list(items) {
+        return items.join(I18n.t('common.listSeparator'));
+    },
+    
+    // Switch languages and translate the static page; callers re-render what they built themselves
+    setLanguage(language) {
+        I18n.language = I18n.LANGUAGES[language] ? language : I18n.DEFAULT_LANGUAGE;
+        
+        document.documentElement.lang = I18n.language;
+        document.documentElement.dir = I18n.LANGUAGES[I18n.language].dir;
+        I18n.apply(document);
+    },
+    
+    // Translate elements marked with data-i18n (text) and data-i18n-placeholder
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const message = I18n.t(element.dataset.i18n);
+            
+            // Only the text is replaced so icons inside buttons and labels survive
+            const textNode = Array.from(element.childNodes).find(node =>
+                node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== ''
+            );
+            if (!textNode) {
+                element.appendChild(document.createTextNode(message));
+            } else {
+                const previous = textNode.previousSibling;
+                textNode.textContent = previous && previous.nodeType === Node.ELEMENT_NODE ? ' ' + message : message;
+            }
+        });
+        
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = I18n.t(element.dataset.i18nPlaceholder);
+        });
+    }
+};
@@ -0,0 +1,159 @@
+// Voice Clone Web App - live recording quality analysis on top of an AnalyserNode
+class RecordingQualityAnalyzer {
+    constructor(analyser) {
+        this.analyser = analyser;
+        this.samples = new Float32Array(analyser.fftSize);
+        
+        // Samples at or above this magnitude count as clipped
+        this.clipThreshold = 0.99;
+        // A frame counts as speech when it is this far above the noise floor
+        this.speechMarginDb = 10;
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.frames = 0;
+        this.clippedFrames = 0;
+        this.clippingCount = 0;
+        this.lastClipTime = null;
+        this.peak = 0;
+        this.currentRmsDb = -Infinity;
+        this.noiseFloorDb = null;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.speechLevelSumDb = 0;
+        this.speechFrames = 0;
+        this.currentSilenceMs = 0;
+        this.longestSilenceMs = 0;
+        this.lastTimestamp = null;
+    }
+    
+    // Read one block of time-domain data; call once per animation frame
+    analyze(timestamp = performance.now()) {
+        this.analyser.getFloatTimeDomainData(this.samples);
+        
+        let framePeak = 0;
+        let sumSquares = 0;
+        let clipped = 0;
+        
+        for (let i = 0; i < this.samples.length; i++) {
+            const magnitude = Math.abs(this.samples[i]);
+            if (magnitude > framePeak) framePeak = magnitude;
+            if (magnitude >= this.clipThreshold) clipped++;
+            sumSquares += this.samples[i] * this.samples[i];
+        }
+        
+        const rms = Math.sqrt(sumSquares / this.samples.length);
+        const rmsDb = 20 * Math.log10(Math.max(rms, 1e-8));
+        const elapsed = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        
+        this.lastTimestamp = timestamp;
+        this.frames++;
+        this.currentRmsDb = rmsDb;
+        this.peak = Math.max(this.peak, framePeak);
+        
+        if (clipped > 0) {
+            this.clippedFrames++;
+            this.clippingCount += clipped;
+            this.lastClipTime = timestamp;
+        }
+        
+        // Minimum-statistics noise floor: follow drops quickly, rise slowly
+        if (this.noiseFloorDb === null || rmsDb < this.noiseFloorDb) {
+            this.noiseFloorDb = this.noiseFloorDb === null ? rmsDb : (this.noiseFloorDb + rmsDb) / 2;
+        } else {
+            this.noiseFloorDb += 0.02;
+        }
+        
+        const isSpeech = rmsDb > this.noiseFloorDb + this.speechMarginDb && rmsDb > -55;
+        
+        if (isSpeech) {
+            this.speechMs += elapsed;
+            this.speechLevelSumDb += rmsDb;
+            this.speechFrames++;
+            this.currentSilenceMs = 0;
+        } else {
+            this.silenceMs += elapsed;
+            this.currentSilenceMs += elapsed;
+            this.longestSilenceMs = Math.max(this.longestSilenceMs, this.currentSilenceMs);
+        }
+        
+        return isSpeech;
+    }
+    
+    getReport() {
+        const totalMs = this.speechMs + this.silenceMs;
+        const speechLevelDb = this.speechFrames > 0 ? this.speechLevelSumDb / this.speechFrames : null;
+        const snrDb = speechLevelDb !== null && this.noiseFloorDb !== null ? speechLevelDb - this.noiseFloorDb : null;
+        
+        const report = {
+            peakDb: Math.round(20 * Math.log10(Math.max(this.peak, 1e-8)) * 10) / 10,
+            noiseFloorDb: this.noiseFloorDb === null ? null : Math.round(this.noiseFloorDb * 10) / 10,
+            snrDb: snrDb === null ? null : Math.round(snrDb * 10) / 10,
+            clippingCount: this.clippingCount,
+            clippedFrameRatio: this.frames > 0 ? this.clippedFrames / this.frames : 0,
+            speechRatio: totalMs > 0 ? this.speechMs / totalMs : 0,
+            longestSilenceMs: Math.round(this.longestSilenceMs),
+            durationMs: Math.round(totalMs)
+        };
+        
+        report.score = RecordingQualityAnalyzer.scoreReport(report);
+        return report;
+    }
+    
+    // Call after a pause so the gap is not counted as silence
+    markDiscontinuity() {
+        this.lastTimestamp = null;
+        this.currentSilenceMs = 0;
+    }
+    
+    // Problems worth interrupting the speaker for, based on the last few seconds
+    getWarnings(timestamp = performance.now()) {
+        const warnings = [];
+        const report = this.getReport();
+        
+        if (this.lastClipTime !== null && timestamp - this.lastClipTime < 2000) {
+            warnings.push('clipping');
+        }
+        
+        if (this.speechMs > 3000 && report.snrDb !== null && report.snrDb < 15) {
+            warnings.push('lowSnr');
+        }
+        
+        if (report.durationMs > 5000 && report.peakDb < -20) {
+            warnings.push('tooQuiet');
+        }
+        
+        if (this.currentSilenceMs > 5000) {
+            warnings.push('longSilence');
+        }
+        
+        return warnings;
+    }
+    
+    // 0-100; below MIN_SCORE the recording is not worth uploading
+    static scoreReport(report) {
+        let score = 100;
+        
+        score -= Math.min(40, report.clippedFrameRatio * 1000);
+        
+        if (report.snrDb === null) {
+            score -= 35;
+        } else if (report.snrDb < 30) {
+            score -= Math.min(35, (30 - report.snrDb) * 35 / 20);
+        }
+        
+        if (report.speechRatio < 0.4) {
+            score -= (0.4 - report.speechRatio) / 0.4 * 25;
+        }
+        
+        if (report.peakDb < -20) {
+            score -= Math.min(15, -20 - report.peakDb);
+        }
+        
+        return Math.max(0, Math.round(score));
+    }
+}
+
+RecordingQualityAnalyzer.MIN_SCORE = 40;
@@ -0,0 +1,212 @@
+// Voice Clone Web App - validation and highlighting for SSML markup in the TTS text
+// Mirrors the server's SsmlParser so malformed markup is caught before submission.
+const SsmlMarkup = {
+    TAGS: ['speak', 'break', 'prosody', 'emphasis', 'lang', 'emotion'],
+    EMOTIONS: ['neutral', 'happy', 'sad', 'angry', 'calm'],
+    BREAK_STRENGTHS: ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'],
+    RATE_NAMES: ['x-slow', 'slow', 'medium', 'fast', 'x-fast'],
+    PITCH_NAMES: ['x-low', 'low', 'medium', 'high', 'x-high'],
+    EMPHASIS_LEVELS: ['strong', 'moderate', 'none', 'reduced'],
+    MAX_BREAK_MS: 10000,
+    
+    MARKUP_PATTERN: /<\s*\/?\s*(speak|break|prosody|emphasis|lang|emotion)\b/i,
+    TAG_PATTERN: /<\s*(\/?)\s*([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)\s*>/g,
+    ATTRIBUTE_PATTERN: /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+    
+    containsMarkup(text) {
+        return SsmlMarkup.MARKUP_PATTERN.test(text);
+    },
+    
+    // Every problem found, as { position, length, message }; an empty list means valid
+    validate(text, supportedLanguages = null) {
+        const errors = [];
+        const stack = [];
+        let position = 0;
+        
+        const checkText = (start, end) => {
+            const raw = text.slice(start, end);
+            const stray = raw.search(/[<>]/);
+            if (stray >= 0) {
+                errors.push({ position: start + stray, length: 1, message: I18n.t('ssml.strayBracket') });
+            }
+            
+            for (const entity of raw.matchAll(/&(\w+|#\d+);/g)) {
+                const known = ['lt', 'gt', 'amp', 'quot', 'apos'].includes(entity[1]) || 
+                    (entity[1][0] === '#' && parseInt(entity[1].slice(1), 10) >= 1 && parseInt(entity[1].slice(1), 10) <= 0xFFFF);
+                if (!known) {
+                    errors.push({ position: start + entity.index, length: entity[0].length, message: I18n.t('ssml.unknownEntity', { entity: entity[0] }) });
+                }
+            }
+        };
+        
+        for (const match of text.matchAll(SsmlMarkup.TAG_PATTERN)) {
+            checkText(position, match.index);
+            position = match.index + match[0].length;
+            
+            const error = (message) => errors.push({ position: match.index, length: match[0].length, message });
+            const closing = match[1] === '/';
+            const name = match[2].toLowerCase();
+            const selfClosing = match[4] === '/';
+            const attributes = {};
+            for (const attribute of match[3].matchAll(SsmlMarkup.ATTRIBUTE_PATTERN)) {
+                attributes[attribute[1].toLowerCase()] = attribute[2] !== undefined ? attribute[2] : attribute[3];
+            }
+            
+            if (!SsmlMarkup.TAGS.includes(name)) {
+                error(I18n.t('ssml.unsupportedTag', { tag: name }));
+                continue;
+            }
+            
+            if (closing) {
+                if (stack.length === 0 || stack[stack.length - 1] !== name) {
+                    const expected = stack.length > 0 ? `</${stack[stack.length - 1]}>` : I18n.t('ssml.noOpenTag');
+                    error(I18n.t('ssml.unexpectedClose', { tag: name, expected }));
+                } else {
+                    stack.pop();
+                }
+                continue;
+            }
+            
+            if (name === 'break') {
+                const problem = SsmlMarkup.checkBreak(attributes);
+                if (problem) error(problem);
+                continue;
+            }
+            
+            if (selfClosing) {
+                error(I18n.t('ssml.mustWrap', { tag: name }));
+                continue;
+            }
+            
+            const problem = SsmlMarkup.checkAttributes(name, attributes, supportedLanguages);
+            if (problem) error(problem);
+            stack.push(name);
+        }
+        
+        checkText(position, text.length);
+        
+        if (stack.length > 0) {
+            errors.push({ position: text.length, length: 0, message: I18n.t('ssml.unclosed', { tag: stack[stack.length - 1] }) });
+        }
+        
+        return errors;
+    },
+    
+    checkBreak(attributes) {
+        if (attributes.time !== undefined) {
+            const match = /^(\d+(?:\.\d+)?)\s*(ms|s)$/.exec(attributes.time.trim().toLowerCase());
+            if (!match) {
+                return I18n.t('ssml.invalidBreakTime', { value: attributes.time });
+            }
+            const ms = match[2] === 's' ? parseFloat(match[1]) * 1000 : parseFloat(match[1]);
+            if (ms > SsmlMarkup.MAX_BREAK_MS) {
+                return I18n.t('ssml.breakTooLong', { seconds: SsmlMarkup.MAX_BREAK_MS / 1000 });
+            }
+        } else if (attributes.strength !== undefined && !SsmlMarkup.BREAK_STRENGTHS.includes(attributes.strength.toLowerCase())) {
+            return I18n.t('ssml.invalidBreakStrength', { value: attributes.strength });
+        }
+        return null;
+    },
+    
+    checkAttributes(name, attributes, supportedLanguages) {
+        switch (name) {
+            case 'prosody':
+                if (attributes.rate === undefined && attributes.pitch === undefined) {
+                    return I18n.t('ssml.prosodyAttribute');
+                }
+                if (attributes.rate !== undefined && !SsmlMarkup.isValidScale(attributes.rate, SsmlMarkup.RATE_NAMES)) {
+                    return I18n.t('ssml.invalidRate', { value: attributes.rate });
+                }
+                if (attributes.pitch !== undefined && !SsmlMarkup.isValidScale(attributes.pitch, SsmlMarkup.PITCH_NAMES)) {
+                    return I18n.t('ssml.invalidPitch', { value: attributes.pitch });
+                }
+                return null;
+            
+            case 'emphasis':
+                if (attributes.level !== undefined && !SsmlMarkup.EMPHASIS_LEVELS.includes(attributes.level)) {
+                    return I18n.t('ssml.invalidEmphasis', { value: attributes.level });
+                }
+                return null;
+            
+            case 'lang': {
+                const value = attributes['xml:lang'] !== undefined ? attributes['xml:lang'] : attributes.lang;
+                if (value === undefined) {
+                    return I18n.t('ssml.langAttribute');
+                }
+                const language = value.split('-')[0].toLowerCase();
+                if (supportedLanguages && !supportedLanguages.includes(language)) {
+                    return I18n.t('ssml.unsupportedLanguage', { value });
+                }
+                return null;
+            }
+            
+            case 'emotion': {
+                const value = attributes.name !== undefined ? attributes.name : attributes.type;
+                if (value === undefined) {
+                    return I18n.t('ssml.emotionAttribute');
+                }
+                if (!SsmlMarkup.EMOTIONS.includes(value.toLowerCase())) {
+                    return I18n.t('ssml.invalidEmotion', { value });
+                }
+                return null;
+            }
+            
+            default:
+                return null;
+        }
+    },
+    
+    // Named value, percentage ("120%", "+10%") or multiplier ("1.2") within 0.5-2
+    isValidScale(value, names) {
+        const normalized = value.trim().toLowerCase();
+        if (names.includes(normalized)) return true;
+        
+        let scale;
+        if (/^[+-]\d+(\.\d+)?%$/.test(normalized)) {
+            scale = 1 + parseFloat(normalized) / 100;
+        } else if (/^\d+(\.\d+)?%$/.test(normalized)) {
+            scale = parseFloat(normalized) / 100;
+        } else if (/^\d+(\.\d+)?$/.test(normalized)) {
+            scale = parseFloat(normalized);
+        } else {
+            return false;
+        }
+        return scale >= 0.5 && scale <= 2;
+    },
+    
+    // HTML for the preview: tags colored, invalid ranges underlined
+    highlight(text, errors = []) {
+        const escape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const errorStarts = new Map(errors.filter(e => e.length > 0).map(e => [e.position, e]));
+        let html = '';
+        let position = 0;
+        
+        const appendText = (end) => {
+            // Stray characters and unknown entities inside text runs are errors too
+            let cursor = position;
+            for (let i = position; i < end; i++) {
+                const error = errorStarts.get(i);
+                if (error) {
+                    const errorEnd = Math.min(i + error.length, end);
+                    html += escape(text.slice(cursor, i)) + 
+                        `<mark class="ssml-error" title="${escape(error.message)}">${escape(text.slice(i, errorEnd))}</mark>`;
+                    cursor = errorEnd;
+                    i = errorEnd - 1;
+                }
+            }
+            html += escape(text.slice(cursor, end));
+        };
+        
+        for (const match of text.matchAll(SsmlMarkup.TAG_PATTERN)) {
+            appendText(match.index);
+            const error = errorStarts.get(match.index);
+            const className = error ? 'ssml-tag ssml-error' : 'ssml-tag';
+            const title = error ? ` title="${escape(error.message)}"` : '';
+            html += `<span class="${className}"${title}>${escape(match[0])}</span>`;
+            position = match.index + match[0].length;
+        }
+        appendText(text.length);
+        
+        return html;
+    }
+};
@@ -0,0 +1,153 @@
+// Voice Clone Web App - IndexedDB persistence for data too large for localStorage
+class VoiceCloneStorage {
+    constructor() {
+        this.dbName = 'voiceClone';
+        this.dbVersion = 3;
+        this.dbPromise = null;
+    }
+    
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    
+                    if (event.oldVersion < 1) {
+                        const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                        history.createIndex('timestamp', 'timestamp');
+                    }
+                    
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore('recordingSessions', { keyPath: 'id' });
+                        const chunks = db.createObjectStore('recordingChunks', { keyPath: 'id', autoIncrement: true });
+                        chunks.createIndex('sessionId', 'sessionId');
+                    }
+                    
+                    if (event.oldVersion < 3) {
+                        db.createObjectStore('synthesisQueue', { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        
+        return this.dbPromise;
+    }
+    
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    // Synthesis history
+    async addHistoryEntry(entry) {
+        return this.run('history', 'readwrite', store => store.add(entry));
+    }
+    
+    async getHistoryEntries() {
+        const entries = await this.run('history', 'readonly', store => store.index('timestamp').getAll());
+        return entries.reverse();
+    }
+    
+    async getHistoryEntry(id) {
+        return this.run('history', 'readonly', store => store.get(id));
+    }
+    
+    async deleteHistoryEntry(id) {
+        return this.run('history', 'readwrite', store => store.delete(id));
+    }
+    
+    // Only the given account's entries; others that use this browser keep theirs
+    async clearHistory(accountId) {
+        return this.run('history', 'readwrite', store => {
+            const cursorRequest = store.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    if (cursor.value.accountId === accountId) cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    }
+    
+    async deleteOldestHistoryEntry() {
+        const entries = await this.run('history', 'readonly', store => store.index('timestamp').getAllKeys());
+        if (entries.length === 0) return false;
+        
+        await this.deleteHistoryEntry(entries[0]);
+        return true;
+    }
+    
+    // In-progress recordings, persisted chunk by chunk so a crash or reload loses at most a second
+    async saveRecordingSession(session) {
+        return this.run('recordingSessions', 'readwrite', store => store.put(session));
+    }
+    
+    async getRecordingSessions() {
+        return this.run('recordingSessions', 'readonly', store => store.getAll());
+    }
+    
+    async addRecordingChunk(sessionId, index, data) {
+        return this.run('recordingChunks', 'readwrite', store => store.add({ sessionId, index, data }));
+    }
+    
+    async getRecordingChunks(sessionId) {
+        const chunks = await this.run('recordingChunks', 'readonly', store => store.index('sessionId').getAll(sessionId));
+        return chunks.sort((a, b) => a.index - b.index).map(chunk => chunk.data);
+    }
+    
+    async deleteRecordingSession(sessionId) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['recordingSessions', 'recordingChunks'], 'readwrite');
+            transaction.objectStore('recordingSessions').delete(sessionId);
+            
+            const cursorRequest = transaction.objectStore('recordingChunks').index('sessionId').openCursor(sessionId);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    // Synthesis requests made while the server was unreachable, oldest first
+    async addQueuedSynthesis(request) {
+        return this.run('synthesisQueue', 'readwrite', store => store.add(request));
+    }
+    
+    async getQueuedSyntheses() {
+        return this.run('synthesisQueue', 'readonly', store => store.getAll());
+    }
+    
+    async deleteQueuedSynthesis(id) {
+        return this.run('synthesisQueue', 'readwrite', store => store.delete(id));
+    }
+    
+    async getStorageEstimate() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        return navigator.storage.estimate();
+    }
+}
@@ -0,0 +1,125 @@
+// Voice Clone Web App - service worker: keeps the app shell and the last profile list and server
+// info so the page still opens, with its selects filled, while the server is unreachable
+const CACHE_VERSION = 1;
+const SHELL_CACHE = `voice-clone-shell-v${CACHE_VERSION}`;
+const API_CACHE = `voice-clone-api-v${CACHE_VERSION}`;
+
+// Must match OFFLINE_CACHE_HEADER in api-client.js
+const OFFLINE_CACHE_HEADER = 'X-Offline-Cache';
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/audio-utils.js',
+    '/storage.js',
+    '/i18n-messages.js',
+    '/i18n.js',
+    '/enrollment-prompts.js',
+    '/recording-quality.js',
+    '/api-client.js',
+    '/upload-client.js',
+    '/waveform-editor.js',
+    '/ssml.js',
+    '/zip-writer.js',
+    '/batch-queue.js',
+    '/app.js'
+];
+
+// Styles and fonts from CDNs; the page works without them, so they are cached when they load
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const CDN_STYLES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Vazir:wght@300;400;500;600;700&display=swap'
+];
+
+// API answers worth showing while offline; everything else under /api/ needs the server
+const CACHED_API = ['/api/profiles', '/api/info'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL);
+        await Promise.all(CDN_STYLES.map(url =>
+            cacheResponse(cache, new Request(url, { mode: 'no-cors' })).catch(() => null)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('voice-clone-') && name !== SHELL_CACHE && name !== API_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page drops the saved API answers when the account signs out
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'clearApiCache') {
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (url.origin === self.location.origin) {
+        if (CACHED_API.includes(url.pathname)) {
+            event.respondWith(apiNetworkFirst(request));
+        } else if (!url.pathname.startsWith('/api/') && !url.pathname.startsWith('/audio/') && url.pathname !== '/health') {
+            event.respondWith(networkFirst(request, SHELL_CACHE));
+        }
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+// The shell is fetched fresh whenever the server answers, so updates show up on the next load
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    
+    try {
+        return await cacheResponse(cache, request);
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const index = await cache.match('/index.html');
+            if (index) return index;
+        }
+        throw error;
+    }
+}
+
+// Like networkFirst, but a saved answer is marked so the page knows it is offline
+async function apiNetworkFirst(request) {
+    const cache = await caches.open(API_CACHE);
+    
+    try {
+        return await cacheResponse(cache, request);
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (!cached) throw error;
+        
+        const headers = new Headers(cached.headers);
+        headers.set(OFFLINE_CACHE_HEADER, '1');
+        return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+    }
+}
+
+// Fetch request and keep a copy of a good answer; opaque CDN answers are kept as they are
+async function cacheResponse(cache, request) {
+    const response = await fetch(request);
+    
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -0,0 +1,192 @@
+// Voice Clone Web App - resumable chunked uploads for large enrollment audio
+
+// Retried by ApiError's rule: network failures, timeouts, throttling and server errors
+class UploadError extends ApiError {
+    constructor(message, status = 0, data = null) {
+        super(message, status, data);
+        this.name = 'UploadError';
+    }
+}
+
+class ResumableUpload {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.endpoint = options.endpoint || '/api/profiles/uploads';
+        this.metadata = options.metadata || {};
+        this.chunkSize = options.chunkSize || 1024 * 1024;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.retryDelay = options.retryDelay || 1000;
+        this.headers = options.headers || {};
+        this.onProgress = options.onProgress || null;
+        this.onRetry = options.onRetry || null;
+        this.fingerprint = options.fingerprint || ResumableUpload.fingerprintFor(file);
+        
+        this.xhr = null;
+        this.aborted = false;
+    }
+    
+    // Identifies the same file across page loads so its upload can be resumed
+    static fingerprintFor(file) {
+        return [file.name || 'blob', file.size, file.lastModified || 0, file.type].join(':');
+    }
+    
+    static loadSavedUploads() {
+        try {
+            return JSON.parse(localStorage.getItem('voiceCloneUploads')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    static saveUploads(uploads) {
+        localStorage.setItem('voiceCloneUploads', JSON.stringify(uploads));
+    }
+    
+    // Resolves with the server's `data` from the complete call
+    async start() {
+        let session = await this.resumeOrCreateSession();
+        let offset = session.receivedBytes;
+        let attempt = 0;
+        
+        this.reportProgress(offset);
+        
+        while (offset < this.file.size) {
+            const chunk = this.file.slice(offset, offset + this.chunkSize);
+            
+            try {
+                session = await this.sendChunk(session.uploadId, offset, chunk);
+                offset = session.receivedBytes;
+                attempt = 0;
+            } catch (error) {
+                if (this.aborted) throw error;
+                
+                // Server already has a different amount of data; continue from there
+                if (error.status === 409 && error.data) {
+                    offset = error.data.receivedBytes;
+                    continue;
+                }
+                
+                if (!error.retryable || attempt >= this.maxRetries) {
+                    throw error;
+                }
+                
+                const delay = this.retryDelay * Math.pow(2, attempt);
+                attempt++;
+                if (this.onRetry) this.onRetry(attempt, delay, error);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                
+                // Part of the failed chunk may have landed before the connection dropped
+                offset = await this.getStatus(session.uploadId)
+                    .then(status => status.receivedBytes)
+                    .catch(() => offset);
+            }
+        }
+        
+        const result = await this.request('POST', `${this.endpoint}/${session.uploadId}/complete`);
+        this.forgetSession();
+        return result;
+    }
+    
+    abort() {
+        this.aborted = true;
+        if (this.xhr) {
+            this.xhr.abort();
+        }
+    }
+    
+    async resumeOrCreateSession() {
+        const saved = ResumableUpload.loadSavedUploads()[this.fingerprint];
+        
+        if (saved) {
+            try {
+                return await this.getStatus(saved);
+            } catch (error) {
+                // Expired or unknown on the server; start over
+                this.forgetSession();
+            }
+        }
+        
+        const session = await this.request('POST', this.endpoint, {
+            ...this.metadata,
+            fileName: this.file.name || 'recording.webm',
+            size: this.file.size
+        });
+        
+        const uploads = ResumableUpload.loadSavedUploads();
+        uploads[this.fingerprint] = session.uploadId;
+        ResumableUpload.saveUploads(uploads);
+        
+        return session;
+    }
+    
+    forgetSession() {
+        const uploads = ResumableUpload.loadSavedUploads();
+        delete uploads[this.fingerprint];
+        ResumableUpload.saveUploads(uploads);
+    }
+    
+    getStatus(uploadId) {
+        return this.request('GET', `${this.endpoint}/${uploadId}`);
+    }
+    
+    sendChunk(uploadId, start, chunk) {
+        const end = start + chunk.size - 1;
+        
+        return this.request('PUT', `${this.endpoint}/${uploadId}`, chunk, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end}/${this.file.size}`
+        }, (loaded) => this.reportProgress(start + loaded));
+    }
+    
+    reportProgress(bytes) {
+        if (this.onProgress) {
+            this.onProgress(Math.min(bytes, this.file.size), this.file.size);
+        }
+    }
+    
+    // XHR rather than fetch so chunk bodies report upload progress
+    request(method, url, body = null, headers = {}, onUploadProgress = null) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            this.xhr = xhr;
+            
+            xhr.open(method, url);
+            
+            const allHeaders = { ...this.headers, ...headers };
+            if (body && !(body instanceof Blob)) {
+                allHeaders['Content-Type'] = 'application/json';
+                body = JSON.stringify(body);
+            }
+            Object.entries(allHeaders).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            
+            if (onUploadProgress) {
+                xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+            }
+            
+            xhr.onload = () => {
+                let result = null;
+                try {
+                    result = JSON.parse(xhr.responseText);
+                } catch (e) {
+                    // Non-JSON error page
+                }
+                
+                if (xhr.status >= 200 && xhr.status < 300 && result && result.success) {
+                    resolve(result.data);
+                } else {
+                    reject(new UploadError(
+                        (result && result.error) || xhr.statusText || 'Upload failed',
+                        xhr.status,
+                        result ? result.data : null
+                    ));
+                }
+            };
+            
+            xhr.onerror = () => reject(new UploadError('Network error'));
+            xhr.ontimeout = () => reject(new UploadError('Request timed out'));
+            xhr.onabort = () => reject(new UploadError('Upload aborted', -1));
+            
+            xhr.send(body);
+        });
+    }
+}
@@ -0,0 +1,250 @@
+// Voice Clone Web App - waveform view with selection, cut, trim and normalize before upload
+class WaveformEditor {
+    constructor(canvas, onChange = null) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.onChange = onChange;
+        
+        this.buffer = null;
+        this.undoStack = [];
+        this.selection = null; // { start, end } in seconds
+        this.dragStart = null;
+        
+        this.playbackContext = null;
+        this.playbackSource = null;
+        this.playbackStartedAt = 0;
+        this.playbackOffset = 0;
+        this.playhead = null;
+        
+        this.canvas.addEventListener('pointerdown', this.onPointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.onPointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.onPointerUp.bind(this));
+        window.addEventListener('resize', () => this.draw());
+    }
+    
+    load(buffer) {
+        this.stop();
+        this.buffer = buffer;
+        this.undoStack = [];
+        this.selection = null;
+        this.draw();
+        this.notifyChange();
+    }
+    
+    get duration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+    
+    isEdited() {
+        return this.undoStack.length > 0;
+    }
+    
+    hasSelection() {
+        return this.selection !== null && this.selection.end - this.selection.start > 0.01;
+    }
+    
+    // Editing
+    cutSelection() {
+        if (!this.hasSelection()) return;
+        
+        const { start, end } = this.selectionSamples();
+        if (end - start >= this.buffer.length) return;
+        
+        this.applyEdit(AudioUtils.removeRange(this.buffer, start, end));
+    }
+    
+    cropToSelection() {
+        if (!this.hasSelection()) return;
+        
+        const { start, end } = this.selectionSamples();
+        this.applyEdit(AudioUtils.sliceBuffer(this.buffer, start, end));
+    }
+    
+    // Returns false when the whole take is below the threshold
+    trimSilence(thresholdDb = -45) {
+        const bounds = AudioUtils.findSoundBounds(this.buffer, thresholdDb);
+        if (!bounds) return false;
+        
+        if (bounds.start > 0 || bounds.end < this.buffer.length) {
+            this.applyEdit(AudioUtils.sliceBuffer(this.buffer, bounds.start, bounds.end));
+        }
+        return true;
+    }
+    
+    normalize(targetDb = -20) {
+        this.applyEdit(AudioUtils.normalizeLoudness(this.buffer, targetDb));
+    }
+    
+    undo() {
+        if (this.undoStack.length === 0) return;
+        
+        this.stop();
+        this.buffer = this.undoStack.pop();
+        this.selection = null;
+        this.draw();
+        this.notifyChange();
+    }
+    
+    applyEdit(buffer) {
+        this.stop();
+        this.undoStack.push(this.buffer);
+        this.buffer = buffer;
+        this.selection = null;
+        this.draw();
+        this.notifyChange();
+    }
+    
+    selectionSamples() {
+        const rate = this.buffer.sampleRate;
+        return {
+            start: Math.max(0, Math.round(this.selection.start * rate)),
+            end: Math.min(this.buffer.length, Math.round(this.selection.end * rate))
+        };
+    }
+    
+    // Preview: plays the selection if there is one, otherwise everything
+    play() {
+        if (!this.buffer) return;
+        
+        this.stop();
+        
+        const start = this.hasSelection() ? this.selection.start : 0;
+        const end = this.hasSelection() ? this.selection.end : this.duration;
+        
+        this.playbackContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.playbackSource = this.playbackContext.createBufferSource();
+        this.playbackSource.buffer = this.buffer;
+        this.playbackSource.connect(this.playbackContext.destination);
+        this.playbackSource.onended = () => this.stop();
+        this.playbackSource.start(0, start, end - start);
+        
+        this.playbackStartedAt = this.playbackContext.currentTime;
+        this.playbackOffset = start;
+        
+        const animate = () => {
+            if (!this.playbackContext) return;
+            this.playhead = this.playbackOffset + this.playbackContext.currentTime - this.playbackStartedAt;
+            this.draw();
+            requestAnimationFrame(animate);
+        };
+        animate();
+        this.notifyChange();
+    }
+    
+    stop() {
+        if (!this.playbackContext) return;
+        
+        const context = this.playbackContext;
+        this.playbackContext = null;
+        this.playhead = null;
+        
+        try {
+            this.playbackSource.stop();
+        } catch (e) {
+            // Already ended
+        }
+        this.playbackSource = null;
+        context.close();
+        
+        this.draw();
+        this.notifyChange();
+    }
+    
+    isPlaying() {
+        return this.playbackContext !== null;
+    }
+    
+    // Selection with the mouse or touch
+    timeAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+        return ratio * this.duration;
+    }
+    
+    onPointerDown(event) {
+        if (!this.buffer) return;
+        
+        this.canvas.setPointerCapture(event.pointerId);
+        this.dragStart = this.timeAt(event);
+        this.selection = null;
+        this.draw();
+    }
+    
+    onPointerMove(event) {
+        if (this.dragStart === null) return;
+        
+        const time = this.timeAt(event);
+        this.selection = { start: Math.min(this.dragStart, time), end: Math.max(this.dragStart, time) };
+        this.draw();
+    }
+    
+    onPointerUp(event) {
+        if (this.dragStart === null) return;
+        
+        this.onPointerMove(event);
+        this.dragStart = null;
+        
+        // A plain click clears the selection
+        if (!this.hasSelection()) {
+            this.selection = null;
+            this.draw();
+        }
+        this.notifyChange();
+    }
+    
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+    
+    // Rendering
+    draw() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+        const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+        
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const ctx = this.context;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, width, height);
+        
+        if (!this.buffer) return;
+        
+        const toX = (time) => (time / this.duration) * width;
+        
+        if (this.selection) {
+            ctx.fillStyle = 'rgba(102, 126, 234, 0.25)';
+            ctx.fillRect(toX(this.selection.start), 0, Math.max(1, toX(this.selection.end) - toX(this.selection.start)), height);
+        }
+        
+        // One min/max pair per pixel column, taken from the first channel
+        const data = this.buffer.getChannelData(0);
+        const samplesPerPixel = data.length / width;
+        const middle = height / 2;
+        
+        ctx.fillStyle = '#667eea';
+        for (let x = 0; x < width; x++) {
+            const start = Math.floor(x * samplesPerPixel);
+            const end = Math.min(data.length, Math.max(start + 1, Math.floor((x + 1) * samplesPerPixel)));
+            let min = 0;
+            let max = 0;
+            for (let i = start; i < end; i++) {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+            }
+            ctx.fillRect(x, middle - max * middle, 1, Math.max(1, (max - min) * middle));
+        }
+        
+        if (this.playhead !== null) {
+            ctx.fillStyle = '#dc3545';
+            ctx.fillRect(toX(this.playhead), 0, Math.max(1, ratio), height);
+        }
+    }
+}
@@ -0,0 +1,91 @@
+// Voice Clone Web App - minimal ZIP archive writer (stored entries, no compression)
+// Audio is already dense, so storing keeps archives almost as small and needs no codec.
+const ZipWriter = {
+    crcTable: null,
+    
+    crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+    
+    // MS-DOS time and date fields, local time, 2-second resolution
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+    
+    // entries: [{ name, data }] where data is a Blob or a string; resolves with an application/zip Blob
+    async create(entries, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, date: dosDate } = ZipWriter.dosDateTime(date);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        for (const entry of entries) {
+            const data = entry.data instanceof Blob
+                ? new Uint8Array(await entry.data.arrayBuffer())
+                : encoder.encode(entry.data);
+            const name = encoder.encode(entry.name);
+            const crc = ZipWriter.crc32(data);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            
+            localParts.push(local.buffer, name, data);
+            centralParts.push(central.buffer, name);
+            offset += 30 + name.length + data.length;
+        }
+        
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+        
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...localParts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+};
@@ -34,7 +34,7 @@ fun main(args: Array<String>) {
         when (mode) {
             "server" -> {
                 logger.info("Starting in server mode")
-                val server = VoiceCloneServer(engine)
+                val server = VoiceCloneServer(engine, autoUpdater)
                 server.start()
             }
             "gui" -> {
@@ -0,0 +1,204 @@
+package com.voiceclone.api
+
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+import mu.KotlinLogging
+import java.io.File
+import java.security.MessageDigest
+import java.security.SecureRandom
+import java.util.*
+import java.util.concurrent.ConcurrentHashMap
+import javax.crypto.SecretKeyFactory
+import javax.crypto.spec.PBEKeySpec
+
+private val logger = KotlinLogging.logger {}
+
+@Serializable
+data class Account(
+    val id: String,
+    val username: String,
+    val role: String = USER,
+    val passwordHash: String,
+    val salt: String,
+    val createdAt: Long = System.currentTimeMillis()
+) {
+    val isAdmin: Boolean get() = role == ADMIN
+    
+    fun info() = AccountInfo(id, username, role)
+    
+    companion object {
+        const val USER = "user"
+        const val ADMIN = "admin"
+    }
+}
+
+/**
+ * What clients get to see of an account
+ */
+@Serializable
+data class AccountInfo(
+    val id: String,
+    val username: String,
+    val role: String
+)
+
+@Serializable
+data class Credentials(
+    val username: String,
+    val password: String
+)
+
+@Serializable
+data class AuthSession(
+    val token: String,
+    val expiresAt: Long,
+    val account: AccountInfo
+)
+
+// Only a hash of the token is stored, so a leaked sessions file cannot be replayed
+@Serializable
+private data class StoredSession(
+    val tokenHash: String,
+    val accountId: String,
+    val expiresAt: Long
+)
+
+@Serializable
+private data class AccountFile(
+    val accounts: List<Account> = emptyList(),
+    val sessions: List<StoredSession> = emptyList()
+)
+
+/**
+ * Local accounts with bearer-token sessions, kept in one JSON file so sign-ins survive
+ * restarts. The first account registered becomes the administrator.
+ */
+class AccountStore(private val file: File = File("accounts/accounts.json")) {
+    private val json = Json { ignoreUnknownKeys = true }
+    private val accounts = ConcurrentHashMap<String, Account>()
+    private val sessions = ConcurrentHashMap<String, StoredSession>()
+    private val random = SecureRandom()
+    
+    companion object {
+        const val SESSION_TTL = 30L * 24 * 60 * 60 * 1000 // 30 days
+        const val MIN_PASSWORD_LENGTH = 8
+        private val USERNAME_PATTERN = Regex("[A-Za-z0-9_.-]{3,32}")
+        private const val HASH_ITERATIONS = 120_000
+    }
+    
+    init {
+        file.parentFile?.mkdirs()
+        load()
+    }
+    
+    fun register(credentials: Credentials): Account = synchronized(this) {
+        val username = credentials.username.trim()
+        
+        if (!USERNAME_PATTERN.matches(username)) {
+            throw AccountException("Username must be 3-32 letters, digits, dots, dashes or underscores")
+        }
+        if (credentials.password.length < MIN_PASSWORD_LENGTH) {
+            throw AccountException("Password must be at least $MIN_PASSWORD_LENGTH characters")
+        }
+        if (findByUsername(username) != null) {
+            throw AccountConflictException("Username \"$username\" is already taken")
+        }
+        
+        val salt = ByteArray(16).also { random.nextBytes(it) }
+        val account = Account(
+            id = UUID.randomUUID().toString(),
+            username = username,
+            role = if (accounts.isEmpty()) Account.ADMIN else Account.USER,
+            passwordHash = hashPassword(credentials.password, salt),
+            salt = Base64.getEncoder().encodeToString(salt)
+        )
+        
+        accounts[account.id] = account
+        save()
+        
+        logger.info("Registered account ${account.username} (${account.role})")
+        account
+    }
+    
+    /**
+     * Start a session for valid credentials; null when the username or password is wrong
+     */
+    fun signIn(credentials: Credentials): AuthSession? {
+        val account = findByUsername(credentials.username.trim()) ?: return null
+        
+        val salt = Base64.getDecoder().decode(account.salt)
+        val hash = hashPassword(credentials.password, salt)
+        if (!MessageDigest.isEqual(hash.toByteArray(), account.passwordHash.toByteArray())) {
+            return null
+        }
+        
+        return startSession(account)
+    }
+    
+    fun startSession(account: Account): AuthSession {
+        val token = ByteArray(32).also { random.nextBytes(it) }
+            .let { Base64.getUrlEncoder().withoutPadding().encodeToString(it) }
+        val session = StoredSession(sha256(token), account.id, System.currentTimeMillis() + SESSION_TTL)
+        
+        synchronized(this) {
+            sessions[session.tokenHash] = session
+            save()
+        }
+        
+        return AuthSession(token, session.expiresAt, account.info())
+    }
+    
+    fun accountForToken(token: String?): Account? {
+        if (token.isNullOrBlank()) return null
+        
+        val session = sessions[sha256(token)] ?: return null
+        if (session.expiresAt < System.currentTimeMillis()) {
+            signOut(token)
+            return null
+        }
+        
+        return accounts[session.accountId]
+    }
+    
+    fun signOut(token: String) = synchronized(this) {
+        if (sessions.remove(sha256(token)) != null) save()
+    }
+    
+    private fun findByUsername(username: String): Account? =
+        accounts.values.firstOrNull { it.username.equals(username, ignoreCase = true) }
+    
+    private fun hashPassword(password: String, salt: ByteArray): String {
+        val spec = PBEKeySpec(password.toCharArray(), salt, HASH_ITERATIONS, 256)
+        val hash = SecretKeyFactory.getInstance("PBKDF2WithHmacSHA256").generateSecret(spec).encoded
+        return Base64.getEncoder().encodeToString(hash)
+    }
+    
+    private fun sha256(value: String): String =
+        MessageDigest.getInstance("SHA-256").digest(value.toByteArray())
+            .joinToString("") { "%02x".format(it) }
+    
+    private fun load() {
+        if (!file.exists()) return
+        
+        try {
+            val stored = json.decodeFromString<AccountFile>(file.readText())
+            val now = System.currentTimeMillis()
+            
+            stored.accounts.forEach { accounts[it.id] = it }
+            stored.sessions.filter { it.expiresAt > now }.forEach { sessions[it.tokenHash] = it }
+        } catch (e: Exception) {
+            // Starting with no accounts would let the next registration become admin
+            throw AccountException("Failed to load accounts from ${file.path}: ${e.message}")
+        }
+    }
+    
+    private fun save() {
+        val stored = AccountFile(accounts.values.toList(), sessions.values.toList())
+        file.writeText(json.encodeToString(stored))
+    }
+}
+
+open class AccountException(message: String) : Exception(message)
+
+class AccountConflictException(message: String) : AccountException(message)
@@ -0,0 +1,178 @@
+package com.voiceclone.api
+
+import kotlinx.coroutines.*
+import kotlinx.coroutines.sync.Mutex
+import kotlinx.coroutines.sync.withLock
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+import mu.KotlinLogging
+import java.io.File
+import java.io.FileOutputStream
+import java.io.InputStream
+import java.io.RandomAccessFile
+import java.util.*
+import java.util.concurrent.ConcurrentHashMap
+
+private val logger = KotlinLogging.logger {}
+
+@Serializable
+data class UploadSessionRequest(
+    val fileName: String,
+    val size: Long,
+    val profileName: String,
+    val language: String = "fa",
+    val qualityScore: Int? = null,
+    val qualityReport: String? = null,
+    val targetProfileId: String? = null, // add to this profile instead of creating one
+    val consentId: String? = null // required when creating a profile
+)
+
+@Serializable
+data class UploadSession(
+    val uploadId: String,
+    val fileName: String,
+    val size: Long,
+    val profileName: String,
+    val language: String,
+    val qualityScore: Int? = null,
+    val qualityReport: String? = null,
+    val targetProfileId: String? = null,
+    val consentId: String? = null,
+    val receivedBytes: Long = 0,
+    val createdAt: Long = System.currentTimeMillis(),
+    val ownerId: String? = null // account that started the upload
+)
+
+/**
+ * Server side of resumable uploads: each session is an append-only data file plus a
+ * JSON descriptor, so uploads survive both client reloads and server restarts.
+ */
+class ChunkedUploadStore(private val uploadsDir: File = File("temp/uploads")) {
+    private val json = Json { ignoreUnknownKeys = true }
+    private val sessions = ConcurrentHashMap<String, UploadSession>()
+    private val locks = ConcurrentHashMap<String, Mutex>()
+    
+    companion object {
+        const val MAX_UPLOAD_SIZE = 2L * 1024 * 1024 * 1024 // 2 GB
+        const val SESSION_TTL = 24 * 60 * 60 * 1000L // 24 hours
+    }
+    
+    init {
+        uploadsDir.mkdirs()
+    }
+    
+    fun create(request: UploadSessionRequest, ownerId: String? = null): UploadSession {
+        if (request.size <= 0 || request.size > MAX_UPLOAD_SIZE) {
+            throw UploadException("Invalid upload size: ${request.size}")
+        }
+        
+        val session = UploadSession(
+            uploadId = UUID.randomUUID().toString(),
+            fileName = File(request.fileName).name,
+            size = request.size,
+            profileName = request.profileName,
+            language = request.language,
+            qualityScore = request.qualityScore,
+            qualityReport = request.qualityReport,
+            targetProfileId = request.targetProfileId,
+            consentId = request.consentId,
+            ownerId = ownerId
+        )
+        
+        dataFile(session).createNewFile()
+        save(session)
+        
+        logger.info("Created upload session ${session.uploadId} for ${session.fileName} (${session.size} bytes)")
+        return session
+    }
+    
+    fun get(uploadId: String): UploadSession? {
+        // Upload IDs are UUIDs; anything else must not reach the file system
+        if (runCatching { UUID.fromString(uploadId) }.isFailure) return null
+        
+        return sessions[uploadId] ?: descriptorFile(uploadId).takeIf { it.exists() }?.let { file ->
+            json.decodeFromString<UploadSession>(file.readText()).also { sessions[uploadId] = it }
+        }
+    }
+    
+    /**
+     * Append a chunk that starts at [start]; chunks must arrive in order
+     */
+    suspend fun appendChunk(uploadId: String, start: Long, length: Long, input: InputStream): UploadSession {
+        return lockFor(uploadId).withLock {
+            val session = get(uploadId) ?: throw UploadException("Upload not found: $uploadId")
+            
+            if (start != session.receivedBytes) {
+                throw UploadOffsetException(session)
+            }
+            
+            if (start + length > session.size) {
+                throw UploadException("Chunk exceeds declared upload size")
+            }
+            
+            val written = withContext(Dispatchers.IO) {
+                FileOutputStream(dataFile(session), true).use { output ->
+                    input.copyTo(output)
+                }
+            }
+            
+            // The body may be longer than its Content-Range claimed; drop what was appended
+            if (session.receivedBytes + written > session.size) {
+                withContext(Dispatchers.IO) {
+                    RandomAccessFile(dataFile(session), "rw").use { it.setLength(session.receivedBytes) }
+                }
+                throw UploadException("Chunk exceeds declared upload size")
+            }
+            
+            val updated = session.copy(receivedBytes = session.receivedBytes + written)
+            save(updated)
+            updated
+        }
+    }
+    
+    fun dataFile(session: UploadSession): File {
+        val extension = File(session.fileName).extension.ifEmpty { "bin" }
+        return File(uploadsDir, "${session.uploadId}.$extension")
+    }
+    
+    fun remove(uploadId: String) {
+        val session = get(uploadId) ?: return
+        
+        dataFile(session).delete()
+        descriptorFile(uploadId).delete()
+        sessions.remove(uploadId)
+        locks.remove(uploadId)
+    }
+    
+    /**
+     * Delete sessions that were abandoned for longer than [SESSION_TTL]
+     */
+    fun cleanupExpired() {
+        val now = System.currentTimeMillis()
+        
+        uploadsDir.listFiles { _, name -> name.endsWith(".json") }?.forEach { file ->
+            val uploadId = file.nameWithoutExtension
+            val session = runCatching { get(uploadId) }.getOrNull()
+            
+            if (session == null || now - session.createdAt > SESSION_TTL) {
+                logger.info("Removing expired upload session $uploadId")
+                if (session != null) remove(uploadId) else file.delete()
+            }
+        }
+    }
+    
+    private fun save(session: UploadSession) {
+        sessions[session.uploadId] = session
+        descriptorFile(session.uploadId).writeText(json.encodeToString(session))
+    }
+    
+    private fun descriptorFile(uploadId: String) = File(uploadsDir, "$uploadId.json")
+    
+    private fun lockFor(uploadId: String) = locks.getOrPut(uploadId) { Mutex() }
+}
+
+open class UploadException(message: String) : Exception(message)
+
+class UploadOffsetException(val session: UploadSession) :
+    UploadException("Chunk offset does not match received bytes (${session.receivedBytes})")
@@ -0,0 +1,220 @@
+package com.voiceclone.api
+
+import com.voiceclone.audio.AudioProcessor
+import com.voiceclone.core.ConsentRecord
+import com.voiceclone.ml.SpeechRecognizer
+import kotlinx.coroutines.*
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+import mu.KotlinLogging
+import java.io.File
+import java.security.SecureRandom
+import java.util.*
+import java.util.concurrent.ConcurrentHashMap
+
+private val logger = KotlinLogging.logger {}
+
+@Serializable
+data class ConsentChallengeRequest(
+    val language: String = "fa"
+)
+
+/**
+ * A phrase the speaker has to read aloud; [language] is the language of the phrase, which
+ * falls back to English when none is available for the requested one
+ */
+@Serializable
+data class ConsentChallenge(
+    val challengeId: String,
+    val phrase: String,
+    val language: String,
+    val expiresAt: Long
+)
+
+/**
+ * Consent step of enrollment: hand out a random phrase, check a recording of it against a
+ * local transcript, and keep the verified recording until a new profile claims it.
+ * Verified consents are a JSON descriptor plus a WAV file each, like upload sessions.
+ */
+class ConsentStore(
+    private val consentDir: File = File("temp/consent"),
+    private val recognizer: SpeechRecognizer = SpeechRecognizer()
+) {
+    private val json = Json { ignoreUnknownKeys = true }
+    private val challenges = ConcurrentHashMap<String, PendingChallenge>()
+    private val audioProcessor = AudioProcessor()
+    private val random = SecureRandom()
+    
+    private class PendingChallenge(val challenge: ConsentChallenge, val accountId: String) {
+        var attempts = 0
+    }
+    
+    companion object {
+        const val CHALLENGE_TTL = 10 * 60 * 1000L // 10 minutes
+        const val CONSENT_TTL = 24 * 60 * 60 * 1000L // unused consents expire like upload sessions
+        const val MAX_ATTEMPTS = 3
+        const val CODE_WORDS = 3
+        
+        // Share of the phrase's words the transcript may miss or get wrong
+        const val MAX_WORD_ERROR_RATE = 0.2
+        
+        private val PHRASES = mapOf(
+            "fa" to "من با شبیه‌سازی صدای خودم در این برنامه موافقم و کلمه‌های تأیید من %s است",
+            "en" to "I agree to have my own voice cloned by this application and my verification words are %s"
+        )
+        
+        private val CODE_WORD_LISTS = mapOf(
+            "fa" to listOf(
+                "آسمان", "دریا", "کوه", "باران", "ستاره", "جنگل", "نارنج", "پرنده",
+                "رود", "خورشید", "برگ", "سیب", "ابر", "گندم", "نسیم", "کبوتر"
+            ),
+            "en" to listOf(
+                "amber", "river", "seven", "maple", "copper", "harbor", "lantern", "meadow",
+                "orbit", "pepper", "silver", "thunder", "violet", "willow", "canyon", "falcon"
+            )
+        )
+    }
+    
+    init {
+        consentDir.mkdirs()
+        
+        if (recognizer.isPlaceholder) {
+            logger.warn(
+                "Consent recordings are checked by a placeholder speech recognizer that does not " +
+                    "recognize words; install a real offline model before relying on consent checks"
+            )
+        }
+    }
+    
+    fun createChallenge(accountId: String, language: String): ConsentChallenge {
+        val phraseLanguage = language.takeIf { it in PHRASES } ?: "en"
+        val words = CODE_WORD_LISTS.getValue(phraseLanguage)
+        val code = List(CODE_WORDS) { words[random.nextInt(words.size)] }.joinToString(" ")
+        
+        val challenge = ConsentChallenge(
+            challengeId = UUID.randomUUID().toString(),
+            phrase = PHRASES.getValue(phraseLanguage).format(code),
+            language = phraseLanguage,
+            expiresAt = System.currentTimeMillis() + CHALLENGE_TTL
+        )
+        
+        challenges.values.removeIf { it.challenge.expiresAt < System.currentTimeMillis() }
+        challenges[challenge.challengeId] = PendingChallenge(challenge, accountId)
+        return challenge
+    }
+    
+    /**
+     * Check [recording] against the challenge's phrase. Throws [ConsentMismatchException] when the
+     * transcript does not match; after [MAX_ATTEMPTS] mismatches the challenge is used up.
+     */
+    suspend fun verify(challengeId: String, accountId: String, recording: File): ConsentRecord = withContext(Dispatchers.IO) {
+        val pending = challenges[challengeId]
+            ?.takeIf { it.accountId == accountId && it.challenge.expiresAt >= System.currentTimeMillis() }
+            ?: throw ConsentException("Consent phrase has expired; request a new one")
+        val challenge = pending.challenge
+        
+        val consentId = UUID.randomUUID().toString()
+        val audioFile = audioProcessor.convertAudioFormat(recording, audioFile(consentId))
+        val transcript = recognizer.transcribe(audioFile, challenge.language, challenge.phrase)
+        
+        if (!matches(challenge.phrase, transcript)) {
+            audioFile.delete()
+            
+            pending.attempts++
+            if (pending.attempts >= MAX_ATTEMPTS) challenges.remove(challengeId)
+            
+            logger.info("Consent recording for challenge $challengeId did not match (attempt ${pending.attempts})")
+            throw ConsentMismatchException(transcript)
+        }
+        
+        val record = ConsentRecord(
+            id = consentId,
+            phrase = challenge.phrase,
+            transcript = transcript,
+            language = challenge.language,
+            accountId = accountId,
+            simulated = recognizer.isPlaceholder
+        )
+        
+        challenges.remove(challengeId)
+        descriptorFile(consentId).writeText(json.encodeToString(record))
+        
+        logger.info("Verified voice consent $consentId for account $accountId")
+        record
+    }
+    
+    /**
+     * A verified consent of [accountId] that no profile has claimed yet
+     */
+    fun get(consentId: String, accountId: String): ConsentRecord? {
+        // Consent IDs are UUIDs; anything else must not reach the file system
+        if (runCatching { UUID.fromString(consentId) }.isFailure) return null
+        
+        return descriptorFile(consentId).takeIf { it.exists() }
+            ?.let { json.decodeFromString<ConsentRecord>(it.readText()) }
+            ?.takeIf { it.accountId == accountId && System.currentTimeMillis() - it.verifiedAt <= CONSENT_TTL }
+    }
+    
+    fun audioFile(consentId: String) = File(consentDir, "$consentId.wav")
+    
+    /**
+     * Forget a consent once a profile holds its own copy; each consent enrolls one profile
+     */
+    fun remove(consentId: String) {
+        audioFile(consentId).delete()
+        descriptorFile(consentId).delete()
+    }
+    
+    /**
+     * Delete consents that were not used within [CONSENT_TTL]
+     */
+    fun cleanupExpired() {
+        val now = System.currentTimeMillis()
+        
+        consentDir.listFiles { _, name -> name.endsWith(".json") }?.forEach { file ->
+            val record = runCatching { json.decodeFromString<ConsentRecord>(file.readText()) }.getOrNull()
+            
+            if (record == null || now - record.verifiedAt > CONSENT_TTL) {
+                logger.info("Removing expired consent ${file.nameWithoutExtension}")
+                remove(file.nameWithoutExtension)
+            }
+        }
+    }
+    
+    // Word-level edit distance, so a missed or misheard word costs one error however long it is
+    private fun matches(phrase: String, transcript: String): Boolean {
+        val expected = normalize(phrase)
+        val heard = normalize(transcript)
+        if (heard.isEmpty()) return false
+        
+        var previous = IntArray(heard.size + 1) { it }
+        for (i in 1..expected.size) {
+            val current = IntArray(heard.size + 1)
+            current[0] = i
+            for (j in 1..heard.size) {
+                val cost = if (expected[i - 1] == heard[j - 1]) 0 else 1
+                current[j] = minOf(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+            }
+            previous = current
+        }
+        
+        return previous[heard.size] <= expected.size * MAX_WORD_ERROR_RATE
+    }
+    
+    // Arabic and Persian forms of yeh and kaf are the same letter to a listener
+    private fun normalize(text: String): List<String> =
+        text.lowercase()
+            .replace('ي', 'ی')
+            .replace('ك', 'ک')
+            .replace(Regex("[^\\p{L}\\p{N}\\s]"), "")
+            .split(Regex("\\s+"))
+            .filter { it.isNotEmpty() }
+    
+    private fun descriptorFile(consentId: String) = File(consentDir, "$consentId.json")
+}
+
+open class ConsentException(message: String) : Exception(message)
+
+class ConsentMismatchException(val transcript: String) :
+    ConsentException("The recording does not match the consent phrase")
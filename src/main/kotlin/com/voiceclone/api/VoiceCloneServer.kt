@@ -1,27 +1,56 @@
 package com.voiceclone.api
 
+import com.voiceclone.audio.AudioProcessor
+import com.voiceclone.audio.AudioWatermark
+import com.voiceclone.audio.OutputFormat
 import com.voiceclone.core.VoiceCloneEngine
 import com.voiceclone.core.CloneRequest
+import com.voiceclone.core.ConsentRecord
+import com.voiceclone.core.ImportResolution
+import com.voiceclone.core.ProfileBusyException
+import com.voiceclone.core.ProfileArchiveException
+import com.voiceclone.core.ProfileConflictException
+import com.voiceclone.core.ProfileUpdate
+import com.voiceclone.core.ProfileValidationException
 import com.voiceclone.core.VoiceProfile
+import com.voiceclone.tts.SsmlException
+import com.voiceclone.updater.AutoUpdater
 import io.ktor.http.*
 import io.ktor.http.content.*
 import io.ktor.serialization.kotlinx.json.*
 import io.ktor.server.application.*
 import io.ktor.server.engine.*
 import io.ktor.server.netty.*
+import io.ktor.server.plugins.BadRequestException
+import io.ktor.server.plugins.ContentTransformationException
 import io.ktor.server.plugins.contentnegotiation.*
 import io.ktor.server.plugins.cors.routing.*
 import io.ktor.server.request.*
 import io.ktor.server.response.*
 import io.ktor.server.routing.*
+import io.ktor.util.*
+import io.ktor.util.cio.ChannelWriteException
 import kotlinx.coroutines.*
 import kotlinx.serialization.Serializable
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
 import mu.KotlinLogging
 import java.io.File
 import java.util.*
 
 private val logger = KotlinLogging.logger {}
 
+private val AccountKey = AttributeKey<Account>("account")
+
+// The signed-in account; set for every API route except VoiceCloneServer.PUBLIC_API_PATHS
+private val ApplicationCall.account: Account get() = attributes[AccountKey]
+
+private fun ApplicationCall.bearerToken(): String? =
+    request.header(HttpHeaders.Authorization)
+        ?.takeIf { it.startsWith("Bearer ", ignoreCase = true) }
+        ?.substring(7)
+        ?.trim()
+
 @Serializable
 data class ApiResponse<T>(
     val success: Boolean,
@@ -34,7 +63,8 @@ data class ApiResponse<T>(
 data class RecordingRequest(
     val profileName: String,
     val durationMinutes: Int,
-    val language: String = "fa"
+    val language: String = "fa",
+    val consentId: String? = null // from /api/consent/verify; required
 )
 
 @Serializable
@@ -52,7 +82,11 @@ data class SynthesisRequest(
     val language: String = "auto",
     val speed: Float = 1.0f,
     val pitch: Float = 1.0f,
-    val emotion: String = "neutral"
+    val emotion: String = "neutral",
+    // Output encoding; the engine renders 22050 Hz WAV, anything else is converted
+    val format: String = "wav",
+    val sampleRate: Int = 22050,
+    val bitrate: Int? = null
 )
 
 @Serializable
@@ -60,10 +94,32 @@ data class SynthesisResponse(
     val audioUrl: String,
     val duration: Double,
     val language: String,
-    val characterCount: Int
+    val characterCount: Int,
+    val format: String = "wav",
+    val sampleRate: Int = 22050,
+    val requestId: String? = null // recorded with the watermark in the audio
 )
 
-class VoiceCloneServer(private val engine: VoiceCloneEngine) {
+class VoiceCloneServer(
+    private val engine: VoiceCloneEngine,
+    private val autoUpdater: AutoUpdater = AutoUpdater()
+) {
+    companion object {
+        // Matches RecordingQualityAnalyzer.MIN_SCORE in the web client
+        const val MIN_QUALITY_SCORE = 40
+        
+        val BITRATE_RANGE = 8000..320000
+        
+        // Reachable without signing in
+        val PUBLIC_API_PATHS = setOf("/api/info", "/api/auth/login", "/api/auth/register")
+    }
+    
+    private val accountStore = AccountStore()
+    private val uploadStore = ChunkedUploadStore()
+    private val consentStore = ConsentStore()
+    private val watermarkRegistry = WatermarkRegistry()
+    private val audioProcessor = AudioProcessor()
+    
     private val server = embeddedServer(Netty, port = 8080) {
         install(ContentNegotiation) {
             json()
@@ -81,6 +137,42 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
         }
         
         routing {
+            // Every API route outside PUBLIC_API_PATHS needs a session. Profiles and uploads of
+            // other accounts are answered as missing, so their IDs cannot be probed; admins may
+            // use every profile.
+            intercept(ApplicationCallPipeline.Plugins) {
+                val path = call.request.path()
+                if (!path.startsWith("/api/") || path in PUBLIC_API_PATHS || call.request.httpMethod == HttpMethod.Options) {
+                    return@intercept
+                }
+                
+                val account = accountStore.accountForToken(call.bearerToken())
+                if (account == null) {
+                    call.respond(
+                        HttpStatusCode.Unauthorized,
+                        ApiResponse<Nothing>(success = false, error = "Sign in required")
+                    )
+                    finish()
+                    return@intercept
+                }
+                call.attributes.put(AccountKey, account)
+                
+                val foreignProfile = call.parameters["profileId"]
+                    ?.let { engine.getVoiceProfile(it) }
+                    ?.let { !account.canUse(it) } == true
+                val foreignUpload = call.parameters["uploadId"]
+                    ?.let { uploadStore.get(it) }
+                    ?.let { it.ownerId != account.id } == true
+                
+                if (foreignProfile || foreignUpload) {
+                    call.respond(
+                        HttpStatusCode.NotFound,
+                        ApiResponse<Nothing>(success = false, error = if (foreignProfile) "Profile not found" else "Upload not found")
+                    )
+                    finish()
+                }
+            }
+            
             // Health check endpoint
             get("/health") {
                 call.respond(ApiResponse(success = true, data = "Voice Clone API is running"))
@@ -93,17 +185,171 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                     "name" to "Voice Clone API",
                     "supportedLanguages" to engine.getSupportedLanguages(),
                     "maxTextLength" to 50000,
-                    "maxRecordingDuration" to 20
+                    "maxRecordingDuration" to 20,
+                    "minQualityScore" to MIN_QUALITY_SCORE,
+                    "minAudioDuration" to VoiceCloneEngine.MIN_AUDIO_DURATION_SECONDS
                 )
                 call.respond(ApiResponse(success = true, data = info))
             }
             
+            // Local accounts; register and login answer with a bearer token for the Authorization header
+            route("/api/auth") {
+                post("/register") {
+                    try {
+                        val credentials = call.receive<Credentials>()
+                        val account = accountStore.register(credentials)
+                        
+                        call.respond(HttpStatusCode.Created, ApiResponse(success = true, data = accountStore.startSession(account)))
+                    
+                    } catch (e: AccountConflictException) {
+                        call.respond(
+                            HttpStatusCode.Conflict,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: AccountException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: BadRequestException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Invalid request body")
+                        )
+                    } catch (e: ContentTransformationException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Invalid request body")
+                        )
+                    }
+                }
+                
+                post("/login") {
+                    try {
+                        val session = accountStore.signIn(call.receive<Credentials>())
+                        if (session == null) {
+                            call.respond(
+                                HttpStatusCode.Unauthorized,
+                                ApiResponse<Nothing>(success = false, error = "Invalid username or password")
+                            )
+                            return@post
+                        }
+                        
+                        call.respond(ApiResponse(success = true, data = session))
+                    
+                    } catch (e: BadRequestException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Invalid request body")
+                        )
+                    } catch (e: ContentTransformationException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Invalid request body")
+                        )
+                    }
+                }
+                
+                post("/logout") {
+                    call.bearerToken()?.let { accountStore.signOut(it) }
+                    call.respond(ApiResponse(success = true, data = "Signed out"))
+                }
+                
+                get("/me") {
+                    call.respond(ApiResponse(success = true, data = call.account.info()))
+                }
+            }
+            
+            // Consent step of enrollment: read the challenge phrase aloud and upload the recording;
+            // the returned consent ID is required to create a profile
+            route("/api/consent") {
+                post("/challenge") {
+                    try {
+                        val request = call.receive<ConsentChallengeRequest>()
+                        val challenge = consentStore.createChallenge(call.account.id, request.language)
+                        call.respond(HttpStatusCode.Created, ApiResponse(success = true, data = challenge))
+                    
+                    } catch (e: BadRequestException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Invalid request body")
+                        )
+                    } catch (e: ContentTransformationException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Invalid request body")
+                        )
+                    }
+                }
+                
+                post("/verify") {
+                    var recording: File? = null
+                    
+                    try {
+                        var challengeId = ""
+                        
+                        call.receiveMultipart().forEachPart { part ->
+                            when (part) {
+                                is PartData.FormItem -> {
+                                    if (part.name == "challengeId") challengeId = part.value
+                                }
+                                is PartData.FileItem -> {
+                                    if (part.name == "audio" && recording == null) {
+                                        val extension = File(part.originalFileName ?: "").extension.ifEmpty { "webm" }
+                                        val file = File("temp", "consent_${UUID.randomUUID()}.$extension")
+                                        part.streamProvider().use { input ->
+                                            file.outputStream().use { output -> input.copyTo(output) }
+                                        }
+                                        recording = file
+                                    }
+                                }
+                                else -> {}
+                            }
+                            part.dispose()
+                        }
+                        
+                        val audio = recording
+                        if (audio == null || challengeId.isEmpty()) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = "Missing recording or challenge ID")
+                            )
+                            return@post
+                        }
+                        
+                        val consent = consentStore.verify(challengeId, call.account.id, audio)
+                        call.respond(ApiResponse(success = true, data = consent))
+                        
+                    } catch (e: ConsentMismatchException) {
+                        // The transcript lets the speaker see what was heard
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse(success = false, data = e.transcript, error = e.message)
+                        )
+                    } catch (e: ConsentException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: Exception) {
+                        logger.error("Failed to verify voice consent", e)
+                        call.respond(
+                            HttpStatusCode.InternalServerError,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } finally {
+                        recording?.delete()
+                    }
+                }
+            }
+            
             // Voice profile management
             route("/api/profiles") {
                 // Get all voice profiles
                 get {
                     try {
-                        val profiles = engine.getVoiceProfiles()
+                        val account = call.account
+                        val profiles = engine.getVoiceProfiles().filter { account.canUse(it) }
                         call.respond(ApiResponse(success = true, data = profiles))
                     } catch (e: Exception) {
                         logger.error("Failed to get voice profiles", e)
@@ -127,14 +373,24 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                             return@post
                         }
                         
+                        val consent = requireConsent(call.account, request.consentId)
                         val profile = engine.recordVoiceSample(
                             profileName = request.profileName,
                             durationMinutes = request.durationMinutes,
-                            language = request.language
+                            language = request.language,
+                            ownerId = call.account.id,
+                            consent = consent,
+                            consentAudio = consentStore.audioFile(consent.id)
                         )
+                        consentStore.remove(consent.id)
                         
                         call.respond(ApiResponse(success = true, data = profile))
                         
+                    } catch (e: ConsentException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
                     } catch (e: Exception) {
                         logger.error("Failed to record voice sample", e)
                         call.respond(
@@ -144,13 +400,18 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                     }
                 }
                 
-                // Upload audio file for voice profile
+                // Upload audio file(s) for voice profile; guided enrollment sends one part per segment
                 post("/upload") {
+                    val audioFiles = mutableListOf<File>()
+                    
                     try {
                         val multipart = call.receiveMultipart()
                         var profileName = ""
                         var language = "fa"
-                        var audioFile: File? = null
+                        var qualityScore: Int? = null
+                        var qualityReport: String? = null
+                        var targetProfileId: String? = null
+                        var consentId: String? = null
                         
                         multipart.forEachPart { part ->
                             when (part) {
@@ -158,18 +419,23 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                                     when (part.name) {
                                         "profileName" -> profileName = part.value
                                         "language" -> language = part.value
+                                        "qualityScore" -> qualityScore = part.value.toIntOrNull()
+                                        "qualityReport" -> qualityReport = part.value
+                                        "targetProfileId" -> targetProfileId = part.value.ifEmpty { null }
+                                        "consentId" -> consentId = part.value.ifEmpty { null }
                                     }
                                 }
                                 is PartData.FileItem -> {
                                     if (part.name == "audio") {
-                                        val fileName = "upload_${UUID.randomUUID()}.wav"
-                                        audioFile = File("temp", fileName)
-                                        audioFile!!.parentFile.mkdirs()
+                                        val extension = File(part.originalFileName ?: "").extension.ifEmpty { "wav" }
+                                        val audioFile = File("temp", "upload_${UUID.randomUUID()}.$extension")
+                                        audioFile.parentFile.mkdirs()
                                         part.streamProvider().use { input ->
-                                            audioFile!!.outputStream().use { output ->
+                                            audioFile.outputStream().use { output ->
                                                 input.copyTo(output)
                                             }
                                         }
+                                        audioFiles.add(audioFile)
                                     }
                                 }
                                 else -> {}
@@ -177,7 +443,7 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                             part.dispose()
                         }
                         
-                        if (audioFile == null || profileName.isEmpty()) {
+                        if (audioFiles.isEmpty() || profileName.isEmpty()) {
                             call.respond(
                                 HttpStatusCode.BadRequest,
                                 ApiResponse<Nothing>(success = false, error = "Missing audio file or profile name")
@@ -185,26 +451,369 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                             return@post
                         }
                         
-                        // Create profile from uploaded audio
-                        val profileId = UUID.randomUUID().toString()
-                        val modelPath = engine.voiceModel.trainVoiceModel(audioFile!!, profileId, language)
+                        // Client-side quality analysis is optional, but a reported low score is final
+                        if (isQualityTooLow(qualityScore)) {
+                            logger.info("Rejecting enrollment for $profileName with quality score $qualityScore: $qualityReport")
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = qualityError(qualityScore))
+                            )
+                            return@post
+                        }
+                        
+                        // Create profile from uploaded audio, or enrich the target profile with it
+                        val profile = targetProfileId?.let { profileId ->
+                            usableProfile(call.account, profileId)
+                                ?.let { engine.addProfileClips(profileId, audioFiles, audioFiles.map { it.name }) }
+                                ?: throw ProfileValidationException("Target profile not found: $profileId")
+                        } ?: createConsentedProfile(call.account, consentId, audioFiles, profileName, language)
+                        
+                        call.respond(ApiResponse(success = true, data = profile))
+                        
+                    } catch (e: ConsentException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: ProfileValidationException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: ProfileBusyException) {
+                        call.respond(
+                            HttpStatusCode.Conflict,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: Exception) {
+                        logger.error("Failed to upload voice sample", e)
+                        call.respond(
+                            HttpStatusCode.InternalServerError,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } finally {
+                        // Clean up temporary files
+                        audioFiles.forEach { it.delete() }
+                    }
+                }
+                
+                // Resumable chunked upload: create a session, PUT chunks in order, then complete
+                route("/uploads") {
+                    post {
+                        try {
+                            val request = call.receive<UploadSessionRequest>()
+                            
+                            if (request.profileName.isEmpty()) {
+                                call.respond(
+                                    HttpStatusCode.BadRequest,
+                                    ApiResponse<Nothing>(success = false, error = "Missing profile name")
+                                )
+                                return@post
+                            }
+                            
+                            if (isQualityTooLow(request.qualityScore)) {
+                                call.respond(
+                                    HttpStatusCode.BadRequest,
+                                    ApiResponse<Nothing>(success = false, error = qualityError(request.qualityScore))
+                                )
+                                return@post
+                            }
+                            
+                            // Checked up front so a missing consent does not cost the whole upload
+                            if (request.targetProfileId == null) {
+                                requireConsent(call.account, request.consentId)
+                            }
+                            
+                            val session = uploadStore.create(request, call.account.id)
+                            call.respond(HttpStatusCode.Created, ApiResponse(success = true, data = session))
+                            
+                        } catch (e: ConsentException) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        } catch (e: UploadException) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        } catch (e: Exception) {
+                            logger.error("Failed to create upload session", e)
+                            call.respond(
+                                HttpStatusCode.InternalServerError,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        }
+                    }
+                    
+                    // Upload status, used by clients to find where to resume
+                    get("/{uploadId}") {
+                        val session = call.parameters["uploadId"]?.let { uploadStore.get(it) }
+                        if (session == null) {
+                            call.respond(
+                                HttpStatusCode.NotFound,
+                                ApiResponse<Nothing>(success = false, error = "Upload not found")
+                            )
+                            return@get
+                        }
+                        
+                        call.respond(ApiResponse(success = true, data = session))
+                    }
+                    
+                    // Append one chunk; Content-Range: bytes <start>-<end>/<total>
+                    put("/{uploadId}") {
+                        try {
+                            val uploadId = call.parameters["uploadId"] ?: ""
+                            val range = call.request.header(HttpHeaders.ContentRange)
+                                ?.let { Regex("bytes (\\d+)-(\\d+)/(\\d+)").matchEntire(it) }
+                            
+                            if (range == null) {
+                                call.respond(
+                                    HttpStatusCode.BadRequest,
+                                    ApiResponse<Nothing>(success = false, error = "Content-Range header is required")
+                                )
+                                return@put
+                            }
+                            
+                            val (start, end) = range.destructured
+                            val length = end.toLong() - start.toLong() + 1
+                            
+                            val session = call.receiveStream().use { input ->
+                                uploadStore.appendChunk(uploadId, start.toLong(), length, input)
+                            }
+                            
+                            call.respond(ApiResponse(success = true, data = session))
+                            
+                        } catch (e: UploadOffsetException) {
+                            call.respond(
+                                HttpStatusCode.Conflict,
+                                ApiResponse(success = false, data = e.session, error = e.message)
+                            )
+                        } catch (e: UploadException) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        } catch (e: Exception) {
+                            logger.error("Failed to store upload chunk", e)
+                            call.respond(
+                                HttpStatusCode.InternalServerError,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        }
+                    }
+                    
+                    // Assemble the received file into a voice profile
+                    post("/{uploadId}/complete") {
+                        try {
+                            val session = call.parameters["uploadId"]?.let { uploadStore.get(it) }
+                            if (session == null) {
+                                call.respond(
+                                    HttpStatusCode.NotFound,
+                                    ApiResponse<Nothing>(success = false, error = "Upload not found")
+                                )
+                                return@post
+                            }
+                            
+                            if (session.receivedBytes != session.size) {
+                                call.respond(
+                                    HttpStatusCode.Conflict,
+                                    ApiResponse(success = false, data = session, error = "Upload is incomplete")
+                                )
+                                return@post
+                            }
+                            
+                            val dataFile = uploadStore.dataFile(session)
+                            val profile = session.targetProfileId?.let { profileId ->
+                                usableProfile(call.account, profileId)
+                                    ?.let { engine.addProfileClips(profileId, listOf(dataFile), listOf(session.fileName)) }
+                                    ?: throw ProfileValidationException("Target profile not found: $profileId")
+                            } ?: createConsentedProfile(
+                                call.account, session.consentId, listOf(dataFile), session.profileName, session.language
+                            )
+                            uploadStore.remove(session.uploadId)
+                            
+                            call.respond(ApiResponse(success = true, data = profile))
+                            
+                        } catch (e: ConsentException) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        } catch (e: ProfileValidationException) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        } catch (e: ProfileBusyException) {
+                            call.respond(
+                                HttpStatusCode.Conflict,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        } catch (e: Exception) {
+                            logger.error("Failed to complete upload", e)
+                            call.respond(
+                                HttpStatusCode.InternalServerError,
+                                ApiResponse<Nothing>(success = false, error = e.message)
+                            )
+                        }
+                    }
+                    
+                    // Abandon an upload
+                    delete("/{uploadId}") {
+                        call.parameters["uploadId"]?.let { uploadStore.remove(it) }
+                        call.respond(ApiResponse(success = true, data = "Upload cancelled"))
+                    }
+                }
+                
+                // Download a profile as a ZIP archive that /import accepts
+                get("/{profileId}/export") {
+                    var archive: File? = null
+                    
+                    try {
+                        val profileId = call.parameters["profileId"] ?: ""
+                        archive = engine.exportProfile(profileId)
+                        
+                        if (archive == null) {
+                            call.respond(
+                                HttpStatusCode.NotFound,
+                                ApiResponse<Nothing>(success = false, error = "Profile not found")
+                            )
+                            return@get
+                        }
+                        
+                        call.response.header(
+                            HttpHeaders.ContentDisposition,
+                            ContentDisposition.Attachment
+                                .withParameter(ContentDisposition.Parameters.FileName, "voice_profile_$profileId.zip")
+                                .toString()
+                        )
+                        call.respondFile(archive)
+                        
+                    } catch (e: Exception) {
+                        logger.error("Failed to export voice profile", e)
+                        call.respond(
+                            HttpStatusCode.InternalServerError,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } finally {
+                        archive?.delete()
+                    }
+                }
+                
+                // Import an exported profile archive; an ID or name clash is answered with 409 and the
+                // conflict details until the client resends with onConflict=rename|overwrite. Like an
+                // upload, the new profile needs a consent the importing account verified
+                post("/import") {
+                    val archiveFile = File("temp", "import_${UUID.randomUUID()}.zip")
+                    
+                    try {
+                        val multipart = call.receiveMultipart()
+                        var onConflict = ""
+                        var name: String? = null
+                        var consentId: String? = null
+                        var received = false
+                        
+                        multipart.forEachPart { part ->
+                            when (part) {
+                                is PartData.FormItem -> {
+                                    when (part.name) {
+                                        "onConflict" -> onConflict = part.value
+                                        "name" -> name = part.value
+                                        "consentId" -> consentId = part.value.ifEmpty { null }
+                                    }
+                                }
+                                is PartData.FileItem -> {
+                                    if (part.name == "archive") {
+                                        archiveFile.parentFile.mkdirs()
+                                        part.streamProvider().use { input ->
+                                            archiveFile.outputStream().use { output ->
+                                                input.copyTo(output)
+                                            }
+                                        }
+                                        received = true
+                                    }
+                                }
+                                else -> {}
+                            }
+                            part.dispose()
+                        }
+                        
+                        if (!received) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = "Missing profile archive")
+                            )
+                            return@post
+                        }
+                        
+                        val resolution = if (onConflict.isEmpty()) null else ImportResolution.parse(onConflict)
+                        if (onConflict.isNotEmpty() && resolution == null) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = "onConflict must be rename or overwrite")
+                            )
+                            return@post
+                        }
                         
-                        val profile = VoiceProfile(
-                            id = profileId,
-                            name = profileName,
-                            language = language,
-                            modelPath = modelPath,
-                            createdAt = System.currentTimeMillis(),
-                            duration = 0 // Unknown duration for uploaded files
+                        // The consent is only used up once the import succeeds, so it survives a 409
+                        val consent = requireConsent(call.account, consentId)
+                        val profile = engine.importProfile(
+                            archiveFile, resolution, name, call.account.id, consent, consentStore.audioFile(consent.id)
                         )
+                        consentStore.remove(consent.id)
+                        call.respond(HttpStatusCode.Created, ApiResponse(success = true, data = profile))
                         
-                        // Clean up temporary file
-                        audioFile!!.delete()
+                    } catch (e: ConsentException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: ProfileConflictException) {
+                        call.respond(
+                            HttpStatusCode.Conflict,
+                            ApiResponse(success = false, data = e.conflict, error = e.message)
+                        )
+                    } catch (e: ProfileArchiveException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: Exception) {
+                        logger.error("Failed to import voice profile", e)
+                        call.respond(
+                            HttpStatusCode.InternalServerError,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } finally {
+                        archiveFile.delete()
+                    }
+                }
+                
+                // Update name, description, tags or voice defaults; omitted fields are unchanged
+                patch("/{profileId}") {
+                    try {
+                        val profileId = call.parameters["profileId"] ?: ""
+                        val update = call.receive<ProfileUpdate>()
+                        
+                        val profile = engine.updateVoiceProfile(profileId, update)
+                        if (profile == null) {
+                            call.respond(
+                                HttpStatusCode.NotFound,
+                                ApiResponse<Nothing>(success = false, error = "Profile not found")
+                            )
+                            return@patch
+                        }
                         
                         call.respond(ApiResponse(success = true, data = profile))
                         
+                    } catch (e: ProfileValidationException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
                     } catch (e: Exception) {
-                        logger.error("Failed to upload voice sample", e)
+                        logger.error("Failed to update voice profile", e)
                         call.respond(
                             HttpStatusCode.InternalServerError,
                             ApiResponse<Nothing>(success = false, error = e.message)
@@ -212,6 +821,157 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                     }
                 }
                 
+                // Source clips of a profile
+                get("/{profileId}/clips") {
+                    val clips = call.parameters["profileId"]?.let { engine.getProfileClips(it) }
+                    if (clips == null) {
+                        call.respond(
+                            HttpStatusCode.NotFound,
+                            ApiResponse<Nothing>(success = false, error = "Profile not found")
+                        )
+                        return@get
+                    }
+                    
+                    call.respond(ApiResponse(success = true, data = clips))
+                }
+                
+                // Add audio files to an existing profile; one "audio" part per clip
+                post("/{profileId}/clips") {
+                    val audioFiles = mutableListOf<File>()
+                    val fileNames = mutableListOf<String>()
+                    
+                    try {
+                        val profileId = call.parameters["profileId"] ?: ""
+                        
+                        call.receiveMultipart().forEachPart { part ->
+                            if (part is PartData.FileItem && part.name == "audio") {
+                                val originalName = File(part.originalFileName ?: "").name
+                                val extension = File(originalName).extension.ifEmpty { "wav" }
+                                val audioFile = File("temp", "clip_${UUID.randomUUID()}.$extension")
+                                audioFile.parentFile.mkdirs()
+                                part.streamProvider().use { input ->
+                                    audioFile.outputStream().use { output ->
+                                        input.copyTo(output)
+                                    }
+                                }
+                                audioFiles.add(audioFile)
+                                fileNames.add(originalName.ifEmpty { audioFile.name })
+                            }
+                            part.dispose()
+                        }
+                        
+                        if (audioFiles.isEmpty()) {
+                            call.respond(
+                                HttpStatusCode.BadRequest,
+                                ApiResponse<Nothing>(success = false, error = "Missing audio file")
+                            )
+                            return@post
+                        }
+                        
+                        val profile = engine.addProfileClips(profileId, audioFiles, fileNames)
+                        if (profile == null) {
+                            call.respond(
+                                HttpStatusCode.NotFound,
+                                ApiResponse<Nothing>(success = false, error = "Profile not found")
+                            )
+                            return@post
+                        }
+                        
+                        call.respond(ApiResponse(success = true, data = profile))
+                        
+                    } catch (e: ProfileValidationException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: ProfileBusyException) {
+                        call.respond(
+                            HttpStatusCode.Conflict,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: Exception) {
+                        logger.error("Failed to add clips to voice profile", e)
+                        call.respond(
+                            HttpStatusCode.InternalServerError,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } finally {
+                        audioFiles.forEach { it.delete() }
+                    }
+                }
+                
+                // Remove one source clip
+                delete("/{profileId}/clips/{clipId}") {
+                    try {
+                        val profile = engine.removeProfileClip(
+                            call.parameters["profileId"] ?: "",
+                            call.parameters["clipId"] ?: ""
+                        )
+                        if (profile == null) {
+                            call.respond(
+                                HttpStatusCode.NotFound,
+                                ApiResponse<Nothing>(success = false, error = "Profile or clip not found")
+                            )
+                            return@delete
+                        }
+                        
+                        call.respond(ApiResponse(success = true, data = profile))
+                        
+                    } catch (e: ProfileValidationException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: ProfileBusyException) {
+                        call.respond(
+                            HttpStatusCode.Conflict,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    } catch (e: Exception) {
+                        logger.error("Failed to remove clip from voice profile", e)
+                        call.respond(
+                            HttpStatusCode.InternalServerError,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    }
+                }
+                
+                // Retrain on all clips in the background; poll /training for progress
+                post("/{profileId}/retrain") {
+                    try {
+                        val job = call.parameters["profileId"]?.let { engine.startRetraining(it) }
+                        if (job == null) {
+                            call.respond(
+                                HttpStatusCode.NotFound,
+                                ApiResponse<Nothing>(success = false, error = "Profile not found")
+                            )
+                            return@post
+                        }
+                        
+                        call.respond(HttpStatusCode.Accepted, ApiResponse(success = true, data = job))
+                        
+                    } catch (e: ProfileBusyException) {
+                        call.respond(
+                            HttpStatusCode.Conflict,
+                            ApiResponse<Nothing>(success = false, error = e.message)
+                        )
+                    }
+                }
+                
+                // Latest training job of a profile
+                get("/{profileId}/training") {
+                    val job = call.parameters["profileId"]?.let { engine.getTrainingJob(it) }
+                    if (job == null) {
+                        call.respond(
+                            HttpStatusCode.NotFound,
+                            ApiResponse<Nothing>(success = false, error = "No training job for this profile")
+                        )
+                        return@get
+                    }
+                    
+                    call.respond(ApiResponse(success = true, data = job))
+                }
+                
                 // Delete voice profile
                 delete("/{profileId}") {
                     try {
@@ -259,6 +1019,20 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                             return@post
                         }
                         
+                        val outputError = outputError(request)
+                        if (outputError != null) {
+                            call.respond(HttpStatusCode.BadRequest, ApiResponse<Nothing>(success = false, error = outputError))
+                            return@post
+                        }
+                        
+                        if (usableProfile(call.account, request.profileId) == null) {
+                            call.respond(
+                                HttpStatusCode.NotFound,
+                                ApiResponse<Nothing>(success = false, error = "Profile not found")
+                            )
+                            return@post
+                        }
+                        
                         val cloneRequest = CloneRequest(
                             text = request.text,
                             profileId = request.profileId,
@@ -268,23 +1042,27 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                             emotion = request.emotion
                         )
                         
+                        val watermark = watermarkRegistry.issue(UUID.randomUUID().toString(), request.profileId, call.account.id)
                         val audioFile = engine.cloneVoice(cloneRequest)
-                        
-                        // Move file to public directory
-                        val publicFile = File("public/audio", "${UUID.randomUUID()}.wav")
-                        publicFile.parentFile.mkdirs()
-                        audioFile.copyTo(publicFile, overwrite = true)
-                        audioFile.delete()
+                        val publicFile = publishAudio(audioFile, request, watermark)
                         
                         val response = SynthesisResponse(
                             audioUrl = "/audio/${publicFile.name}",
                             duration = 0.0, // Calculate actual duration
                             language = request.language,
-                            characterCount = request.text.length
+                            characterCount = request.text.length,
+                            format = request.format.lowercase(),
+                            sampleRate = OutputFormat.parse(request.format)?.encodingRate(request.sampleRate) ?: request.sampleRate,
+                            requestId = watermark.requestId
                         )
                         
                         call.respond(ApiResponse(success = true, data = response))
                         
+                    } catch (e: SsmlException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Invalid markup: ${e.message}")
+                        )
                     } catch (e: Exception) {
                         logger.error("Failed to synthesize speech", e)
                         call.respond(
@@ -299,37 +1077,80 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                     try {
                         val request = call.receive<SynthesisRequest>()
                         
-                        call.respondTextWriter {
+                        val outputError = outputError(request)
+                        if (outputError != null) {
+                            call.respond(HttpStatusCode.BadRequest, ApiResponse<Nothing>(success = false, error = outputError))
+                            return@post
+                        }
+                        
+                        if (usableProfile(call.account, request.profileId) == null) {
+                            call.respond(
+                                HttpStatusCode.NotFound,
+                                ApiResponse<Nothing>(success = false, error = "Profile not found")
+                            )
+                            return@post
+                        }
+                        
+                        val baseRequest = CloneRequest(
+                            text = request.text,
+                            profileId = request.profileId,
+                            language = request.language,
+                            speed = request.speed,
+                            pitch = request.pitch,
+                            emotion = request.emotion
+                        )
+                        
+                        // Plan before the stream starts so markup errors are a plain 400
+                        val chunks = engine.batchSegments(engine.planSynthesis(baseRequest))
+                        
+                        // One request, one watermark for all of its chunks
+                        val watermark = watermarkRegistry.issue(UUID.randomUUID().toString(), request.profileId, call.account.id)
+                        
+                        call.response.header(HttpHeaders.CacheControl, "no-cache")
+                        call.respondTextWriter(contentType = ContentType.Text.EventStream) {
                             // Implement streaming synthesis for very long texts
-                            write("data: {\"status\": \"started\"}\n\n")
+                            // Clients that stitch the chunks into one file write these tags into it
+                            val tags = JsonObject(watermarkRegistry.tags(watermark).mapValues { JsonPrimitive(it.value) })
+                            write("data: {\"status\": \"started\", \"total\": ${chunks.size}, \"requestId\": \"${watermark.requestId}\", \"tags\": $tags}\n\n")
                             flush()
                             
-                            // Process text in chunks
-                            val chunks = request.text.chunked(1000)
-                            for ((index, chunk) in chunks.withIndex()) {
-                                val chunkRequest = CloneRequest(
-                                    text = chunk,
-                                    profileId = request.profileId,
-                                    language = request.language,
-                                    speed = request.speed,
-                                    pitch = request.pitch,
-                                    emotion = request.emotion
-                                )
-                                
-                                val audioFile = engine.cloneVoice(chunkRequest)
-                                val publicFile = File("public/audio", "${UUID.randomUUID()}.wav")
-                                publicFile.parentFile.mkdirs()
-                                audioFile.copyTo(publicFile, overwrite = true)
-                                audioFile.delete()
+                            try {
+                                // Process text in chunks
+                                for ((index, chunk) in chunks.withIndex()) {
+                                    val audioFile = engine.synthesizeSegments(baseRequest, chunk)
+                                    val publicFile = publishAudio(audioFile, request, watermark)
+                                    
+                                    write("data: {\"chunk\": ${index + 1}, \"total\": ${chunks.size}, \"audioUrl\": \"/audio/${publicFile.name}\"}\n\n")
+                                    flush()
+                                }
                                 
-                                write("data: {\"chunk\": ${index + 1}, \"total\": ${chunks.size}, \"audioUrl\": \"/audio/${publicFile.name}\"}\n\n")
+                                write("data: {\"status\": \"completed\"}\n\n")
+                                flush()
+                            } catch (e: CancellationException) {
+                                throw e
+                            } catch (e: ChannelWriteException) {
+                                // A disconnected client cannot be sent an error event either
+                                throw e
+                            } catch (e: Exception) {
+                                // Headers are already sent, so report the failure (synthesis or conversion) as a stream event
+                                logger.error("Streaming synthesis failed", e)
+                                write("data: {\"status\": \"error\", \"error\": ${JsonPrimitive(e.message ?: "")}}\n\n")
                                 flush()
                             }
-                            
-                            write("data: {\"status\": \"completed\"}\n\n")
-                            flush()
                         }
                         
+                    } catch (e: CancellationException) {
+                        // The client went away mid-stream; the response is committed, so there is nobody to answer
+                        logger.info("Synthesis stream cancelled")
+                        return@post
+                    } catch (e: ChannelWriteException) {
+                        logger.info("Client disconnected from synthesis stream")
+                        return@post
+                    } catch (e: SsmlException) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Invalid markup: ${e.message}")
+                        )
                     } catch (e: Exception) {
                         logger.error("Failed to stream synthesis", e)
                         call.respond(
@@ -340,6 +1161,45 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                 }
             }
             
+            // Check whether an audio file was synthesized here and by which profile
+            post("/api/watermark/verify") {
+                var upload: File? = null
+                
+                try {
+                    call.receiveMultipart().forEachPart { part ->
+                        if (part is PartData.FileItem && part.name == "audio" && upload == null) {
+                            val extension = File(part.originalFileName ?: "").extension.ifEmpty { "wav" }
+                            val file = File("temp", "verify_${UUID.randomUUID()}.$extension")
+                            part.streamProvider().use { input ->
+                                file.outputStream().use { output -> input.copyTo(output) }
+                            }
+                            upload = file
+                        }
+                        part.dispose()
+                    }
+                    
+                    val audioFile = upload
+                    if (audioFile == null) {
+                        call.respond(
+                            HttpStatusCode.BadRequest,
+                            ApiResponse<Nothing>(success = false, error = "Missing audio file")
+                        )
+                        return@post
+                    }
+                    
+                    call.respond(ApiResponse(success = true, data = watermarkReport(audioFile, call.account)))
+                    
+                } catch (e: Exception) {
+                    logger.error("Failed to verify audio", e)
+                    call.respond(
+                        HttpStatusCode.InternalServerError,
+                        ApiResponse<Nothing>(success = false, error = e.message)
+                    )
+                } finally {
+                    upload?.delete()
+                }
+            }
+            
             // Language detection
             post("/api/detect-language") {
                 try {
@@ -359,7 +1219,8 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                     
                     val result = mapOf(
                         "language" to detectedLanguage,
-                        "languageInfo" to languageInfo
+                        "languageInfo" to languageInfo,
+                        "spans" to engine.detectLanguageSpans(text)
                     )
                     
                     call.respond(ApiResponse(success = true, data = result))
@@ -373,6 +1234,54 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
                 }
             }
             
+            // Application updates; the web client decides when to check
+            route("/api/updates") {
+                // Current and latest version, with the release notes when an update is available
+                get {
+                    val update = autoUpdater.checkForUpdates(force = true)
+                    if (update.error != null) {
+                        call.respond(
+                            HttpStatusCode.BadGateway,
+                            ApiResponse(success = false, data = update, error = update.error)
+                        )
+                        return@get
+                    }
+                    
+                    call.respond(ApiResponse(success = true, data = update))
+                }
+                
+                // Install the latest release; the server restarts shortly after responding
+                post("/install") {
+                    if (!call.account.isAdmin) {
+                        call.respond(
+                            HttpStatusCode.Forbidden,
+                            ApiResponse<Nothing>(success = false, error = "Only administrators can install updates")
+                        )
+                        return@post
+                    }
+                    
+                    val update = autoUpdater.checkForUpdates(force = true)
+                    val updateInfo = update.updateInfo
+                    if (!update.available || updateInfo == null) {
+                        call.respond(
+                            HttpStatusCode.Conflict,
+                            ApiResponse<Nothing>(success = false, error = update.error ?: "No update available")
+                        )
+                        return@post
+                    }
+                    
+                    if (!autoUpdater.downloadAndInstallUpdate(updateInfo)) {
+                        call.respond(
+                            HttpStatusCode.InternalServerError,
+                            ApiResponse<Nothing>(success = false, error = "Update ${updateInfo.version} could not be installed")
+                        )
+                        return@post
+                    }
+                    
+                    call.respond(ApiResponse(success = true, data = updateInfo))
+                }
+            }
+            
             // Serve audio files
             static("/audio") {
                 files("public/audio")
@@ -386,6 +1295,104 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
         }
     }
     
+    private fun Account.canUse(profile: VoiceProfile): Boolean = isAdmin || profile.ownerId == id
+    
+    private fun usableProfile(account: Account, profileId: String): VoiceProfile? =
+        engine.getVoiceProfile(profileId)?.takeIf { account.canUse(it) }
+    
+    // New profiles need a verified consent recording of the account that creates them
+    private fun requireConsent(account: Account, consentId: String?): ConsentRecord =
+        consentId?.let { consentStore.get(it, account.id) }
+            ?: throw ConsentException("Voice consent is missing or expired; record the consent phrase first")
+    
+    private suspend fun createConsentedProfile(
+        account: Account,
+        consentId: String?,
+        audioFiles: List<File>,
+        profileName: String,
+        language: String
+    ): VoiceProfile {
+        val consent = requireConsent(account, consentId)
+        val profile = engine.createProfileFromAudio(
+            audioFiles, profileName, language, account.id, consent, consentStore.audioFile(consent.id)
+        )
+        consentStore.remove(consent.id)
+        return profile
+    }
+    
+    private fun isQualityTooLow(score: Int?): Boolean = score != null && score < MIN_QUALITY_SCORE
+    
+    private fun qualityError(score: Int?): String =
+        "Recording quality too low (score $score, minimum $MIN_QUALITY_SCORE)"
+    
+    // Null when the requested output encoding can be produced
+    private fun outputError(request: SynthesisRequest): String? = when {
+        OutputFormat.parse(request.format) == null ->
+            "Unsupported format '${request.format}' (expected wav, mp3, opus or flac)"
+        request.sampleRate !in OutputFormat.SAMPLE_RATES ->
+            "Unsupported sample rate ${request.sampleRate} (expected one of ${OutputFormat.SAMPLE_RATES.joinToString()})"
+        request.bitrate != null && request.bitrate !in BITRATE_RANGE ->
+            "Bitrate must be between ${BITRATE_RANGE.first} and ${BITRATE_RANGE.last} bits per second"
+        else -> null
+    }
+    
+    /**
+     * Move synthesized audio into the public directory in the encoding the client asked for,
+     * watermarked and tagged with [watermark]
+     */
+    private fun publishAudio(audioFile: File, request: SynthesisRequest, watermark: WatermarkRecord): File {
+        val format = OutputFormat.parse(request.format) ?: OutputFormat.WAV
+        val publicFile = File("public/audio", "${UUID.randomUUID()}.${format.extension}")
+        publicFile.parentFile.mkdirs()
+        
+        try {
+            // The watermark goes in before encoding, at the rate detection reads back; clips too
+            // short to carry it come back padded with silence
+            val samples = AudioWatermark.embed(
+                audioProcessor.readSamples(audioFile, AudioWatermark.SAMPLE_RATE),
+                watermark.watermarkId
+            )
+            
+            audioProcessor.writeSamples(
+                samples,
+                AudioWatermark.SAMPLE_RATE,
+                publicFile,
+                request.sampleRate,
+                format,
+                request.bitrate ?: format.defaultBitrate,
+                watermarkRegistry.tags(watermark)
+            )
+        } finally {
+            audioFile.delete()
+        }
+        
+        return publicFile
+    }
+    
+    private fun watermarkReport(audioFile: File, account: Account): WatermarkReport {
+        val watermarkId = AudioWatermark.detect(audioProcessor.readSamples(audioFile, AudioWatermark.SAMPLE_RATE))
+        // Null for a watermark from another installation
+        val record = watermarkId?.let { watermarkRegistry.get(it) }
+        val tags = watermarkRegistry.parseTags(audioProcessor.readMetadata(audioFile))
+        val profileId = record?.profileId ?: tags["profile"]
+        
+        return WatermarkReport(
+            generated = watermarkId != null || tags.isNotEmpty(),
+            watermarkFound = watermarkId != null,
+            metadataFound = tags.isNotEmpty(),
+            metadataMatches = if (record != null && tags.isNotEmpty()) {
+                tags["profile"] == record.profileId && tags["request"] == record.requestId
+            } else {
+                null
+            },
+            profileId = profileId,
+            // Other accounts' profiles are identified by ID only
+            profileName = profileId?.let { usableProfile(account, it) }?.name,
+            requestId = record?.requestId ?: tags["request"],
+            createdAt = record?.createdAt
+        )
+    }
+    
     fun start() {
         logger.info("Starting Voice Clone Server on port 8080")
         
@@ -394,6 +1401,9 @@ class VoiceCloneServer(private val engine: VoiceCloneEngine) {
         File("public/web").mkdirs()
         File("temp").mkdirs()
         
+        uploadStore.cleanupExpired()
+        consentStore.cleanupExpired()
+        
         server.start(wait = true)
     }
     
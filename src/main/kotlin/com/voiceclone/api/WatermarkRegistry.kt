@@ -0,0 +1,107 @@
+package com.voiceclone.api
+
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+import mu.KotlinLogging
+import java.io.File
+import java.security.SecureRandom
+import java.time.Instant
+import java.util.concurrent.ConcurrentHashMap
+
+private val logger = KotlinLogging.logger {}
+
+/**
+ * Provenance of one synthesis request; [watermarkId] is what its audio carries
+ */
+@Serializable
+data class WatermarkRecord(
+    val watermarkId: Int,
+    val requestId: String,
+    val profileId: String,
+    val accountId: String,
+    val createdAt: Long = System.currentTimeMillis()
+)
+
+/**
+ * Result of checking a file. Tags are easy to copy or strip, so only [watermarkFound] proves
+ * the audio was synthesized here; [metadataMatches] is false when the tags contradict it.
+ */
+@Serializable
+data class WatermarkReport(
+    val generated: Boolean,
+    val watermarkFound: Boolean,
+    val metadataFound: Boolean,
+    val metadataMatches: Boolean? = null,
+    val profileId: String? = null,
+    val profileName: String? = null,
+    val requestId: String? = null,
+    val createdAt: Long? = null
+)
+
+/**
+ * Every watermark handed out, appended to a JSON-lines file so files synthesized before a
+ * restart can still be traced to their profile
+ */
+class WatermarkRegistry(private val file: File = File("watermarks/watermarks.jsonl")) {
+    private val json = Json { ignoreUnknownKeys = true }
+    private val records = ConcurrentHashMap<Int, WatermarkRecord>()
+    private val random = SecureRandom()
+    
+    companion object {
+        const val TAG_COMMENT = "comment"
+        const val TAG_ARTIST = "artist"
+        const val TAG_DATE = "date"
+        
+        private const val SOFTWARE = "Voice Clone"
+        private val TAG_FIELD = Regex("(\\w+)=([^;]+)")
+    }
+    
+    init {
+        file.parentFile?.mkdirs()
+        load()
+    }
+    
+    fun issue(requestId: String, profileId: String, accountId: String): WatermarkRecord = synchronized(this) {
+        val watermarkId = generateSequence { random.nextInt() }.first { it != 0 && it !in records }
+        val record = WatermarkRecord(watermarkId, requestId, profileId, accountId)
+        
+        records[watermarkId] = record
+        file.appendText(json.encodeToString(record) + "\n")
+        record
+    }
+    
+    fun get(watermarkId: Int): WatermarkRecord? = records[watermarkId]
+    
+    /**
+     * Tags written into every synthesized file; the comment carries the IDs in key=value form
+     */
+    fun tags(record: WatermarkRecord): Map<String, String> = mapOf(
+        TAG_COMMENT to "Synthetic speech generated by $SOFTWARE; profile=${record.profileId}; " +
+            "request=${record.requestId}; watermark=${Integer.toHexString(record.watermarkId)}; " +
+            "created=${Instant.ofEpochMilli(record.createdAt)}",
+        TAG_ARTIST to "$SOFTWARE (synthetic voice)",
+        TAG_DATE to Instant.ofEpochMilli(record.createdAt).toString().substring(0, 10)
+    )
+    
+    /**
+     * The key=value fields of a comment written by [tags]; empty for files tagged elsewhere
+     */
+    fun parseTags(metadata: Map<String, String>): Map<String, String> {
+        val comment = metadata.entries.firstOrNull { it.key.equals(TAG_COMMENT, ignoreCase = true) }?.value
+        if (comment == null || !comment.contains(SOFTWARE)) return emptyMap()
+        
+        return TAG_FIELD.findAll(comment).associate { it.groupValues[1] to it.groupValues[2].trim() }
+    }
+    
+    private fun load() {
+        if (!file.exists()) return
+        
+        file.readLines().filter { it.isNotBlank() }.forEach { line ->
+            runCatching { json.decodeFromString<WatermarkRecord>(line) }
+                .onSuccess { records[it.watermarkId] = it }
+                .onFailure { logger.warn("Skipping unreadable watermark record: ${it.message}") }
+        }
+        logger.info("Loaded ${records.size} watermark records")
+    }
+}
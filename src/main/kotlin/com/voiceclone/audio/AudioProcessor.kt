@@ -4,6 +4,7 @@ import mu.KotlinLogging
 import org.bytedeco.javacv.FFmpegFrameGrabber
 import org.bytedeco.javacv.FFmpegFrameRecorder
 import org.bytedeco.javacv.Frame
+import org.bytedeco.javacv.FrameGrabber
 import java.io.File
 import java.nio.ByteBuffer
 import java.nio.ShortBuffer
@@ -100,6 +101,37 @@ class AudioProcessor {
         }
     }
     
+    /**
+     * Write [durationMs] of silence as a mono 16-bit WAV, used for SSML breaks
+     */
+    fun createSilence(durationMs: Int, outputFile: File, sampleRate: Int = 22050): File {
+        outputFile.parentFile?.mkdirs()
+        
+        val frames = sampleRate.toLong() * durationMs / 1000
+        val format = AudioFormat(sampleRate.toFloat(), 16, 1, true, false)
+        val stream = AudioInputStream(ByteArray((frames * 2).toInt()).inputStream(), format, frames)
+        
+        stream.use { AudioSystem.write(it, AudioFileFormat.Type.WAVE, outputFile) }
+        return outputFile
+    }
+    
+    /**
+     * Get the playback duration of an audio file in seconds
+     */
+    fun getDurationSeconds(audioFile: File): Double {
+        val grabber = FFmpegFrameGrabber(audioFile.absolutePath)
+        
+        try {
+            grabber.start()
+            return grabber.lengthInTime / 1_000_000.0
+        } catch (e: Exception) {
+            logger.error("Failed to read audio duration", e)
+            throw AudioProcessingException("Failed to read audio duration: ${e.message}")
+        } finally {
+            grabber.release()
+        }
+    }
+    
     /**
      * Extract audio features for voice analysis
      */
@@ -159,17 +191,24 @@ class AudioProcessor {
     /**
      * Convert audio to specific format and quality
      */
-    fun convertAudioFormat(inputFile: File, outputFile: File, targetSampleRate: Int = 22050): File {
-        logger.info("Converting audio format: ${inputFile.name} -> ${outputFile.name}")
+    fun convertAudioFormat(
+        inputFile: File,
+        outputFile: File,
+        targetSampleRate: Int = 22050,
+        format: OutputFormat = OutputFormat.WAV,
+        bitrate: Int = format.defaultBitrate
+    ): File {
+        logger.info("Converting audio format: ${inputFile.name} -> ${outputFile.name} ($format)")
         
         try {
             val grabber = FFmpegFrameGrabber(inputFile.absolutePath)
             grabber.start()
             
             val recorder = FFmpegFrameRecorder(outputFile.absolutePath, 1)
-            recorder.audioCodec = org.bytedeco.ffmpeg.global.avcodec.AV_CODEC_ID_PCM_S16LE
-            recorder.sampleRate = targetSampleRate
-            recorder.audioBitrate = 256000
+            recorder.audioCodec = format.codec
+            format.codecName?.let { recorder.audioCodecName = it }
+            recorder.sampleRate = format.encodingRate(targetSampleRate)
+            recorder.audioBitrate = if (format.lossless) 256000 else bitrate
             recorder.start()
             
             var frame: Frame?
@@ -195,6 +234,94 @@ class AudioProcessor {
         }
     }
     
+    /**
+     * Decode [audioFile] to mono 16-bit samples at [sampleRate]
+     */
+    fun readSamples(audioFile: File, sampleRate: Int = 22050): ShortArray {
+        val grabber = FFmpegFrameGrabber(audioFile.absolutePath)
+        grabber.sampleRate = sampleRate
+        grabber.audioChannels = 1
+        grabber.sampleMode = FrameGrabber.SampleMode.SHORT
+        
+        try {
+            grabber.start()
+            
+            val blocks = mutableListOf<ShortArray>()
+            var frame: Frame?
+            while (grabber.grabSamples().also { frame = it } != null) {
+                frame?.samples?.firstOrNull()?.let { buffer ->
+                    val samples = buffer as ShortBuffer
+                    blocks.add(ShortArray(samples.remaining()).also { samples.get(it) })
+                }
+            }
+            
+            val result = ShortArray(blocks.sumOf { it.size })
+            var position = 0
+            blocks.forEach { block ->
+                block.copyInto(result, position)
+                position += block.size
+            }
+            return result
+            
+        } catch (e: Exception) {
+            logger.error("Failed to decode audio samples", e)
+            throw AudioProcessingException("Failed to decode audio samples: ${e.message}")
+        } finally {
+            grabber.release()
+        }
+    }
+    
+    /**
+     * Encode mono samples recorded at [sourceSampleRate]; [metadata] becomes WAV INFO,
+     * ID3 or Vorbis comment tags depending on [format]
+     */
+    fun writeSamples(
+        samples: ShortArray,
+        sourceSampleRate: Int,
+        outputFile: File,
+        targetSampleRate: Int = sourceSampleRate,
+        format: OutputFormat = OutputFormat.WAV,
+        bitrate: Int = format.defaultBitrate,
+        metadata: Map<String, String> = emptyMap()
+    ): File {
+        try {
+            val recorder = FFmpegFrameRecorder(outputFile.absolutePath, 1)
+            recorder.audioCodec = format.codec
+            format.codecName?.let { recorder.audioCodecName = it }
+            recorder.sampleRate = format.encodingRate(targetSampleRate)
+            recorder.audioBitrate = if (format.lossless) 256000 else bitrate
+            recorder.metadata = metadata
+            recorder.start()
+            
+            recorder.recordSamples(sourceSampleRate, 1, ShortBuffer.wrap(samples))
+            
+            recorder.stop()
+            recorder.release()
+            return outputFile
+            
+        } catch (e: Exception) {
+            logger.error("Failed to encode audio samples", e)
+            throw AudioProcessingException("Failed to encode audio samples: ${e.message}")
+        }
+    }
+    
+    /**
+     * Container-level tags of an audio file (WAV INFO, ID3, Vorbis comments), keyed as FFmpeg names them
+     */
+    fun readMetadata(audioFile: File): Map<String, String> {
+        val grabber = FFmpegFrameGrabber(audioFile.absolutePath)
+        
+        try {
+            grabber.start()
+            return grabber.metadata.orEmpty()
+        } catch (e: Exception) {
+            logger.error("Failed to read audio metadata", e)
+            throw AudioProcessingException("Failed to read audio metadata: ${e.message}")
+        } finally {
+            grabber.release()
+        }
+    }
+    
     /**
      * Apply noise reduction to audio
      */
@@ -363,4 +490,31 @@ data class AudioFeatures(
     var sampleRate: Int = 0
 )
 
+/**
+ * Encodings offered for synthesized speech. Opus only runs at its own set of
+ * sample rates, so other requested rates are raised to the next one it supports.
+ */
+enum class OutputFormat(
+    val extension: String,
+    val codec: Int,
+    val lossless: Boolean,
+    val defaultBitrate: Int,
+    val codecName: String? = null,
+    private val sampleRates: List<Int>? = null
+) {
+    WAV("wav", org.bytedeco.ffmpeg.global.avcodec.AV_CODEC_ID_PCM_S16LE, true, 0),
+    MP3("mp3", org.bytedeco.ffmpeg.global.avcodec.AV_CODEC_ID_MP3, false, 64000),
+    OPUS("ogg", org.bytedeco.ffmpeg.global.avcodec.AV_CODEC_ID_OPUS, false, 32000, "libopus", listOf(8000, 12000, 16000, 24000, 48000)),
+    FLAC("flac", org.bytedeco.ffmpeg.global.avcodec.AV_CODEC_ID_FLAC, true, 0);
+    
+    fun encodingRate(requested: Int): Int =
+        sampleRates?.let { rates -> rates.firstOrNull { it >= requested } ?: rates.last() } ?: requested
+    
+    companion object {
+        val SAMPLE_RATES = listOf(8000, 16000, 22050, 24000, 44100, 48000)
+        
+        fun parse(name: String): OutputFormat? = values().firstOrNull { it.name.equals(name, ignoreCase = true) }
+    }
+}
+
 class AudioProcessingException(message: String) : Exception(message)
\ No newline at end of file
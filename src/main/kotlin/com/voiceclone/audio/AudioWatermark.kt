@@ -0,0 +1,159 @@
+package com.voiceclone.audio
+
+import java.util.*
+import kotlin.math.*
+
+/**
+ * Inaudible spread-spectrum watermark for synthesized speech. A 32-bit ID is mixed into the
+ * samples as a noise-like pattern about 34 dB below the speech and repeated throughout, so it
+ * survives resampling and lossy encoding. Audio under ~3 s carries it in shorter, somewhat
+ * stronger bits, and clips under half a second are padded with silence, so every clip is marked.
+ *
+ * The pattern is fixed, so this marks where audio came from; it does not stop anyone with
+ * the source from removing it.
+ */
+object AudioWatermark {
+    // Samples are marked and checked at the engine's rate
+    const val SAMPLE_RATE = 22050
+    
+    private const val SYNC = 0xA5C3
+    private const val SYNC_BITS = 16
+    private const val PAYLOAD_BITS = 64 // sync word, ID, CRC-16 of the ID
+    
+    // Samples per bit, longest first; audio gets the longest bits that fit the payload twice
+    private val BIT_SAMPLES = intArrayOf(512, 256, 128, 64)
+    private const val MIN_REPEATS = 2
+    private const val MAX_PERIOD = 512 * PAYLOAD_BITS
+    
+    // Shorter clips are padded with silence, where the mark is all there is to detect
+    const val MIN_SAMPLES = SAMPLE_RATE / 2
+    
+    private const val STRENGTH = 0.02 // relative to the RMS of the speech it hides under
+    private const val MAX_STRENGTH = 0.06
+    private const val FULL_STRENGTH_SAMPLES = 2 * MAX_PERIOD // shorter audio needs a stronger mark
+    private const val MIN_AMPLITUDE = 4.0 // in silence
+    
+    // Encoders add up to a few thousand samples of delay in front of the audio
+    private const val MAX_SHIFT = 2048
+    private const val SYNC_SEARCH_PERIODS = 4
+    
+    private const val SEED = 0x56434C4E574D4B31L
+    
+    // Shorter bits use the start of the same pattern
+    private val pattern = Random(SEED).let { random ->
+        DoubleArray(MAX_PERIOD) { if (random.nextBoolean()) 1.0 else -1.0 }
+    }
+    
+    /**
+     * Mark [samples] with [id] and return them: marked in place, or a copy padded with silence
+     * to [MIN_SAMPLES] when they are shorter
+     */
+    fun embed(samples: ShortArray, id: Int): ShortArray {
+        val marked = if (samples.size < MIN_SAMPLES) samples.copyOf(MIN_SAMPLES) else samples
+    
+        val bitSamples = BIT_SAMPLES.firstOrNull { marked.size >= it * PAYLOAD_BITS * MIN_REPEATS } ?: BIT_SAMPLES.last()
+        val period = bitSamples * PAYLOAD_BITS
+        val strength = (STRENGTH * sqrt(FULL_STRENGTH_SAMPLES.toDouble() / marked.size)).coerceIn(STRENGTH, MAX_STRENGTH)
+        val bits = payload(id)
+        var start = 0
+        
+        while (start + bitSamples <= marked.size) {
+            var energy = 0.0
+            for (n in start until start + bitSamples) {
+                energy += marked[n].toDouble() * marked[n]
+            }
+            
+            // Louder speech masks a stronger mark
+            val amplitude = max(MIN_AMPLITUDE, strength * sqrt(energy / bitSamples))
+            val sign = if (bits[(start % period) / bitSamples]) 1.0 else -1.0
+            
+            for (n in start until start + bitSamples) {
+                val sample = marked[n] + amplitude * sign * pattern[n % period]
+                marked[n] = sample.roundToInt().coerceIn(Short.MIN_VALUE.toInt(), Short.MAX_VALUE.toInt()).toShort()
+            }
+            start += bitSamples
+        }
+        
+        return marked
+    }
+    
+    /**
+     * The ID [samples] were marked with, or null when no intact watermark is found
+     */
+    fun detect(samples: ShortArray): Int? =
+        BIT_SAMPLES.asSequence().mapNotNull { detect(samples, it) }.firstOrNull()
+        
+    private fun detect(samples: ShortArray, bitSamples: Int): Int? {
+        val period = bitSamples * PAYLOAD_BITS
+        if (samples.size < period) return null
+        
+        val periods = samples.size / period + 1
+        val sync = payload(0).take(SYNC_BITS)
+        
+        // Find where the first repetition starts from the sync word alone
+        val searchPeriods = min(periods, SYNC_SEARCH_PERIODS)
+        val offset = (0..min(MAX_SHIFT, period - 1)).maxByOrNull { shift ->
+            sync.indices.sumOf { k -> (if (sync[k]) 1.0 else -1.0) * correlate(samples, shift, k, searchPeriods, bitSamples) }
+        } ?: 0
+        
+        val bits = List(PAYLOAD_BITS) { k -> correlate(samples, offset, k, periods, bitSamples) > 0 }
+        val id = value(bits, SYNC_BITS, SYNC_BITS + 32).toInt()
+        
+        val intact = value(bits, 0, SYNC_BITS).toInt() == SYNC &&
+            value(bits, SYNC_BITS + 32, PAYLOAD_BITS).toInt() == crc16(id)
+        return id.takeIf { intact }
+    }
+    
+    // Evidence for bit [k] summed over its repetitions, each normalized by its own loudness.
+    // Detection compares first differences: speech sits mostly in low frequencies and the
+    // difference filter suppresses it, while the flat pattern passes
+    private fun correlate(samples: ShortArray, offset: Int, k: Int, periods: Int, bitSamples: Int): Double {
+        val period = bitSamples * PAYLOAD_BITS
+        var sum = 0.0
+        
+        for (occurrence in 0 until periods) {
+            val base = offset + occurrence * period + k * bitSamples
+            if (base < 0 || base + bitSamples > samples.size) continue
+            
+            var dot = 0.0
+            var energy = 0.0
+            // The first sample of the audio has nothing to be differenced against
+            for (n in (if (base == 0) 1 else 0) until bitSamples) {
+                val diff = (samples[base + n] - samples[base + n - 1]).toDouble()
+                val p = k * bitSamples + n
+                dot += diff * (pattern[p] - pattern[(p - 1 + period) % period])
+                energy += diff * diff
+            }
+            if (energy > 0) sum += dot / sqrt(energy)
+        }
+        
+        return sum
+    }
+    
+    private fun payload(id: Int): List<Boolean> {
+        val bits = mutableListOf<Boolean>()
+        fun push(value: Long, count: Int) {
+            for (i in count - 1 downTo 0) bits.add(((value shr i) and 1L) == 1L)
+        }
+        
+        push(SYNC.toLong(), SYNC_BITS)
+        push(id.toLong() and 0xFFFFFFFFL, 32)
+        push(crc16(id).toLong(), 16)
+        return bits
+    }
+    
+    private fun value(bits: List<Boolean>, from: Int, to: Int): Long =
+        bits.subList(from, to).fold(0L) { acc, bit -> (acc shl 1) or (if (bit) 1L else 0L) }
+    
+    // CRC-16/CCITT-FALSE over the ID's four bytes
+    private fun crc16(id: Int): Int {
+        var crc = 0xFFFF
+        for (i in 3 downTo 0) {
+            crc = crc xor (((id ushr (8 * i)) and 0xFF) shl 8)
+            repeat(8) {
+                crc = if ((crc and 0x8000) != 0) ((crc shl 1) xor 0x1021) and 0xFFFF else (crc shl 1) and 0xFFFF
+            }
+        }
+        return crc
+    }
+}
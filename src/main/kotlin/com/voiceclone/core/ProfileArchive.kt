@@ -0,0 +1,197 @@
+package com.voiceclone.core
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+import mu.KotlinLogging
+import java.io.ByteArrayOutputStream
+import java.io.File
+import java.io.InputStream
+import java.io.OutputStream
+import java.util.*
+import java.util.zip.ZipEntry
+import java.util.zip.ZipException
+import java.util.zip.ZipInputStream
+import java.util.zip.ZipOutputStream
+
+private val logger = KotlinLogging.logger {}
+
+@Serializable
+data class ProfileArchiveManifest(
+    val format: String = ProfileArchive.FORMAT,
+    val version: Int = ProfileArchive.VERSION,
+    val appVersion: String = "1.0.0",
+    val exportedAt: Long = System.currentTimeMillis(),
+    val profile: VoiceProfile,
+    val files: List<String> = emptyList()
+)
+
+/**
+ * How an import settles a clash with an existing profile's ID or name
+ */
+enum class ImportResolution {
+    RENAME,
+    OVERWRITE;
+    
+    companion object {
+        fun parse(value: String): ImportResolution? = values().firstOrNull { it.name.equals(value, ignoreCase = true) }
+    }
+}
+
+@Serializable
+data class ProfileImportConflict(
+    val profile: VoiceProfile,
+    val existingById: VoiceProfile? = null,
+    val existingByName: VoiceProfile? = null,
+    val suggestedName: String
+)
+
+/**
+ * Layout of the ZIP written by profile export and read back by import:
+ * `manifest.json` first, then the trained model, its voice characteristics, the
+ * enrollment audio and the consent recording (version 2 on). Archives from a newer
+ * format [VERSION] are rejected.
+ */
+object ProfileArchive {
+    const val FORMAT = "voice-clone-profile"
+    const val VERSION = 2
+    
+    const val MANIFEST_ENTRY = "manifest.json"
+    const val MODEL_ENTRY = "model.zip"
+    const val CHARACTERISTICS_ENTRY = "characteristics.json"
+    const val AUDIO_ENTRY = "audio.wav"
+    const val CONSENT_AUDIO_ENTRY = "consent.wav"
+    
+    private val DATA_ENTRIES = setOf(MODEL_ENTRY, CHARACTERISTICS_ENTRY, AUDIO_ENTRY, CONSENT_AUDIO_ENTRY)
+    
+    private const val MAX_MANIFEST_SIZE = 64L * 1024
+    private const val MAX_ENTRY_SIZE = 1024L * 1024 * 1024 // 1 GB
+    
+    private val json = Json { ignoreUnknownKeys = true }
+    
+    /**
+     * Write [profile] and its [files] (keyed by entry name) to [output]
+     */
+    fun write(output: File, profile: VoiceProfile, files: Map<String, File>) {
+        val manifest = ProfileArchiveManifest(
+            // The model path is machine-specific; import assigns a new one
+            profile = profile.copy(modelPath = MODEL_ENTRY),
+            files = files.keys.toList()
+        )
+        
+        output.parentFile?.mkdirs()
+        ZipOutputStream(output.outputStream().buffered()).use { zip ->
+            zip.putNextEntry(ZipEntry(MANIFEST_ENTRY))
+            zip.write(json.encodeToString(manifest).toByteArray())
+            zip.closeEntry()
+            
+            files.forEach { (name, file) ->
+                zip.putNextEntry(ZipEntry(name))
+                file.inputStream().use { it.copyTo(zip) }
+                zip.closeEntry()
+            }
+        }
+    }
+    
+    /**
+     * Validate [archive] and extract its data entries into [targetDir]; throws [ProfileArchiveException]
+     * when the file is not a usable profile export
+     */
+    fun read(archive: File, targetDir: File): Pair<ProfileArchiveManifest, Map<String, File>> {
+        targetDir.mkdirs()
+        
+        var manifest: ProfileArchiveManifest? = null
+        val files = mutableMapOf<String, File>()
+        
+        try {
+            ZipInputStream(archive.inputStream().buffered()).use { zip ->
+                generateSequence { zip.nextEntry }.forEach { entry ->
+                    when {
+                        entry.isDirectory -> {}
+                        entry.name == MANIFEST_ENTRY -> {
+                            manifest = parseManifest(readLimited(zip, MAX_MANIFEST_SIZE).decodeToString())
+                        }
+                        entry.name in DATA_ENTRIES -> {
+                            val file = File(targetDir, entry.name)
+                            file.outputStream().use { output ->
+                                copyLimited(zip, output, MAX_ENTRY_SIZE, entry.name)
+                            }
+                            files[entry.name] = file
+                        }
+                        else -> logger.debug("Ignoring unexpected archive entry: ${entry.name}")
+                    }
+                }
+            }
+        } catch (e: ZipException) {
+            throw ProfileArchiveException("Not a valid ZIP archive: ${e.message}")
+        }
+        
+        val result = manifest ?: throw ProfileArchiveException("Archive has no $MANIFEST_ENTRY; is it a voice profile export?")
+        
+        val missing = (result.files + MODEL_ENTRY).distinct().filterNot { it in files }
+        if (missing.isNotEmpty()) {
+            throw ProfileArchiveException("Archive is incomplete, missing: ${missing.joinToString(", ")}")
+        }
+        
+        return result to files
+    }
+    
+    private fun parseManifest(text: String): ProfileArchiveManifest {
+        val manifest = try {
+            json.decodeFromString<ProfileArchiveManifest>(text)
+        } catch (e: SerializationException) {
+            throw ProfileArchiveException("Invalid $MANIFEST_ENTRY: ${e.message}")
+        } catch (e: IllegalArgumentException) {
+            throw ProfileArchiveException("Invalid $MANIFEST_ENTRY: ${e.message}")
+        }
+        
+        if (manifest.format != FORMAT) {
+            throw ProfileArchiveException("Unknown archive format \"${manifest.format}\"")
+        }
+        if (manifest.version < 1 || manifest.version > VERSION) {
+            throw ProfileArchiveException(
+                "Archive version ${manifest.version} is not supported (this version reads 1-$VERSION); update the application"
+            )
+        }
+        
+        // Profile IDs become file names, so only accept what the engine itself generates
+        val profile = manifest.profile
+        if (runCatching { UUID.fromString(profile.id) }.isFailure) {
+            throw ProfileArchiveException("Invalid profile ID \"${profile.id}\"")
+        }
+        if (profile.name.isBlank() || profile.language.isBlank()) {
+            throw ProfileArchiveException("Profile name and language are required")
+        }
+        
+        return manifest
+    }
+    
+    private fun readLimited(input: InputStream, limit: Long): ByteArray {
+        val buffer = ByteArrayOutputStream()
+        copyLimited(input, buffer, limit, MANIFEST_ENTRY)
+        return buffer.toByteArray()
+    }
+    
+    // Entry sizes in the ZIP header can lie, so count what is actually inflated
+    private fun copyLimited(input: InputStream, output: OutputStream, limit: Long, name: String) {
+        val buffer = ByteArray(DEFAULT_BUFFER_SIZE)
+        var total = 0L
+        
+        while (true) {
+            val read = input.read(buffer)
+            if (read < 0) break
+            
+            total += read
+            if (total > limit) {
+                throw ProfileArchiveException("Archive entry $name is too large")
+            }
+            output.write(buffer, 0, read)
+        }
+    }
+}
+
+class ProfileArchiveException(message: String) : Exception(message)
+
+class ProfileConflictException(val conflict: ProfileImportConflict) :
+    Exception("A profile with the same ${if (conflict.existingById != null) "ID" else "name"} already exists")
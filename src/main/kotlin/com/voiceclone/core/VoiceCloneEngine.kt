@@ -3,12 +3,17 @@ package com.voiceclone.core
 import com.voiceclone.audio.AudioRecorder
 import com.voiceclone.audio.AudioProcessor
 import com.voiceclone.ml.VoiceModel
+import com.voiceclone.tts.LanguageSpan
 import com.voiceclone.tts.MultiLanguageTTS
+import com.voiceclone.tts.SpeechSegment
+import com.voiceclone.tts.SsmlParser
 import kotlinx.coroutines.*
 import kotlinx.serialization.Serializable
 import mu.KotlinLogging
 import java.io.File
 import java.util.*
+import java.util.concurrent.ConcurrentHashMap
+import kotlin.math.roundToInt
 
 private val logger = KotlinLogging.logger {}
 
@@ -20,7 +25,76 @@ data class VoiceProfile(
     val modelPath: String,
     val createdAt: Long,
     val duration: Int, // in minutes
-    val sampleRate: Int = 22050
+    val sampleRate: Int = 22050,
+    val description: String = "",
+    val tags: List<String> = emptyList(),
+    val defaultSpeed: Float = 1.0f,
+    val defaultPitch: Float = 1.0f,
+    val defaultEmotion: String = "neutral",
+    val updatedAt: Long? = null,
+    val clips: List<SourceClip> = emptyList(),
+    val modelOutdated: Boolean = false, // clips changed since the model was trained
+    val ownerId: String? = null, // account that owns it; profiles from before accounts have none
+    val consent: ConsentRecord? = null // null for profiles created without a verified consent recording
+)
+
+/**
+ * One recording or file a profile is trained on, stored as voice_profiles/<profileId>/clips/<id>.wav
+ */
+@Serializable
+data class SourceClip(
+    val id: String,
+    val fileName: String,
+    val durationSeconds: Double,
+    val addedAt: Long = System.currentTimeMillis()
+)
+
+/**
+ * Proof that the speaker agreed to have their voice cloned: they read [phrase] aloud and the
+ * local recognizer heard [transcript]. The recording is kept as voice_profiles/<profileId>/consent.wav.
+ * [simulated] records that the recognizer was the placeholder, which did not check the words.
+ */
+@Serializable
+data class ConsentRecord(
+    val id: String,
+    val phrase: String,
+    val transcript: String,
+    val language: String,
+    val accountId: String? = null,
+    val verifiedAt: Long = System.currentTimeMillis(),
+    val simulated: Boolean = false
+)
+
+/**
+ * Background retraining of one profile; progress runs from 0 to 1
+ */
+@Serializable
+data class TrainingJob(
+    val profileId: String,
+    val status: String,
+    val progress: Float = 0.0f,
+    val error: String? = null,
+    val startedAt: Long = System.currentTimeMillis(),
+    val finishedAt: Long? = null
+) {
+    companion object {
+        const val RUNNING = "running"
+        const val COMPLETED = "completed"
+        const val FAILED = "failed"
+    }
+}
+
+/**
+ * Partial profile update; null fields are left unchanged
+ */
+@Serializable
+data class ProfileUpdate(
+    val name: String? = null,
+    val description: String? = null,
+    val tags: List<String>? = null,
+    val defaultSpeed: Float? = null,
+    val defaultPitch: Float? = null,
+    val defaultEmotion: String? = null
 )
 
 @Serializable
@@ -34,14 +108,28 @@ data class CloneRequest(
 )
 
 class VoiceCloneEngine {
+    companion object {
+        // Shorter uploads do not carry enough speech to train on; also enforced by the web client
+        const val MIN_AUDIO_DURATION_SECONDS = 10
+        const val MIN_CLIP_DURATION_SECONDS = 3
+        
+        const val MAX_NAME_LENGTH = 100
+        const val MAX_DESCRIPTION_LENGTH = 1000
+        const val MAX_TAGS = 20
+        const val MAX_TAG_LENGTH = 30
+    }
+    
     private val audioRecorder = AudioRecorder()
     private val audioProcessor = AudioProcessor()
     private val voiceModel = VoiceModel()
     private val multiLanguageTTS = MultiLanguageTTS()
     
-    private val voiceProfiles = mutableMapOf<String, VoiceProfile>()
+    private val voiceProfiles = ConcurrentHashMap<String, VoiceProfile>()
     private val profilesDir = File("voice_profiles")
     
+    private val trainingJobs = ConcurrentHashMap<String, TrainingJob>()
+    private val trainingScope = CoroutineScope(SupervisorJob() + Dispatchers.Default)
+    
     init {
         // Create directories if they don't exist
         profilesDir.mkdirs()
@@ -56,7 +144,10 @@ class VoiceCloneEngine {
     suspend fun recordVoiceSample(
         profileName: String,
         durationMinutes: Int,
-        language: String = "fa" // Default to Persian
+        language: String = "fa", // Default to Persian
+        ownerId: String? = null,
+        consent: ConsentRecord? = null,
+        consentAudio: File? = null
     ): VoiceProfile = withContext(Dispatchers.IO) {
         logger.info("Starting voice recording for profile: $profileName, duration: ${durationMinutes}min")
         
@@ -79,14 +170,16 @@ class VoiceCloneEngine {
                 language = language,
                 modelPath = modelPath,
                 createdAt = System.currentTimeMillis(),
-                duration = durationMinutes
+                duration = durationMinutes,
+                ownerId = ownerId,
+                consent = storeConsent(profileId, consent, consentAudio)
             )
             
             voiceProfiles[profileId] = profile
             saveProfile(profile)
             
             logger.info("Voice profile created successfully: $profileId")
-            profile
+            ensureClips(profile)
             
         } catch (e: Exception) {
             logger.error("Failed to create voice profile", e)
@@ -95,7 +188,70 @@ class VoiceCloneEngine {
     }
     
     /**
-     * Clone voice and generate speech from text (up to 50,000 characters)
+     * Create a voice profile from uploaded audio (a single file or a set of enrollment segments).
+     * [consentAudio] is the WAV recording [consent] was verified from. Audio shorter than
+     * [MIN_AUDIO_DURATION_SECONDS] throws [ProfileValidationException].
+     */
+    suspend fun createProfileFromAudio(
+        audioFiles: List<File>,
+        profileName: String,
+        language: String = "fa",
+        ownerId: String? = null,
+        consent: ConsentRecord? = null,
+        consentAudio: File? = null
+    ): VoiceProfile = withContext(Dispatchers.IO) {
+        logger.info("Creating voice profile from ${audioFiles.size} uploaded file(s): $profileName")
+        
+        val profileId = UUID.randomUUID().toString()
+        val audioFile = File(profilesDir, "$profileId.wav")
+        
+        try {
+            // Join segments into one mono WAV
+            val combinedFile = audioProcessor.combineAudioFiles(audioFiles, audioFile)
+            val durationSeconds = audioProcessor.getDurationSeconds(combinedFile)
+            
+            if (durationSeconds < MIN_AUDIO_DURATION_SECONDS) {
+                throw ProfileValidationException(
+                    "Audio is too short (${durationSeconds.roundToInt()}s, minimum ${MIN_AUDIO_DURATION_SECONDS}s)"
+                )
+            }
+            
+            // Process and enhance audio quality
+            val processedFile = audioProcessor.enhanceAudio(combinedFile)
+            
+            // Extract voice features and train model
+            val modelPath = voiceModel.trainVoiceModel(processedFile, profileId, language)
+            
+            val profile = VoiceProfile(
+                id = profileId,
+                name = profileName,
+                language = language,
+                modelPath = modelPath,
+                createdAt = System.currentTimeMillis(),
+                duration = (durationSeconds / 60).roundToInt(),
+                ownerId = ownerId,
+                consent = storeConsent(profileId, consent, consentAudio)
+            )
+            
+            voiceProfiles[profileId] = profile
+            saveProfile(profile)
+            
+            logger.info("Voice profile created successfully: $profileId")
+            ensureClips(profile)
+            
+        } catch (e: ProfileValidationException) {
+            // Rejected input, not a failure: passed on as it is so the caller can answer 400
+            audioFile.delete()
+            throw e
+        } catch (e: Exception) {
+            logger.error("Failed to create voice profile from upload", e)
+            throw VoiceCloneException("Failed to create voice profile: ${e.message}")
+        }
+    }
+    
+    /**
+     * Clone voice and generate speech from text (up to 50,000 characters).
+     * Text containing SSML markup is synthesized segment by segment with the markup applied.
      */
     suspend fun cloneVoice(request: CloneRequest): File = withContext(Dispatchers.IO) {
         logger.info("Cloning voice for profile: ${request.profileId}, text length: ${request.text.length}")
@@ -104,33 +260,59 @@ class VoiceCloneEngine {
             throw VoiceCloneException("Text exceeds maximum length of 50,000 characters")
         }
         
+        synthesizeSegments(request, planSynthesis(request))
+    }
+    
+    /**
+     * Split a request into speech and pause segments; markup errors surface as [SsmlException]
+     */
+    fun planSynthesis(request: CloneRequest): List<SpeechSegment> {
+        val segments = if (SsmlParser.containsMarkup(request.text)) {
+            SsmlParser.parse(request.text)
+        } else {
+            listOf(SpeechSegment(request.text))
+        }
+        
+        // Split text into manageable chunks for better processing
+        return segments.flatMap { segment ->
+            if (segment.isPause) listOf(segment) else splitTextIntoChunks(segment.text).map { segment.copy(text = it) }
+        }
+    }
+    
+    /**
+     * Synthesize planned segments into one audio file, applying each segment's settings
+     * on top of the request's speed, pitch, emotion and language
+     */
+    suspend fun synthesizeSegments(request: CloneRequest, segments: List<SpeechSegment>): File = withContext(Dispatchers.IO) {
         val profile = voiceProfiles[request.profileId]
             ?: throw VoiceCloneException("Voice profile not found: ${request.profileId}")
         
         try {
             // Detect language if auto
             val detectedLanguage = if (request.language == "auto") {
-                detectLanguage(request.text)
+                detectLanguage(segments.filterNot { it.isPause }.joinToString(" ") { it.text })
             } else {
                 request.language
             }
             
-            // Split text into manageable chunks for better processing
-            val textChunks = splitTextIntoChunks(request.text)
             val audioChunks = mutableListOf<File>()
             
-            for ((index, chunk) in textChunks.withIndex()) {
-                logger.debug("Processing chunk ${index + 1}/${textChunks.size}")
+            for ((index, segment) in segments.withIndex()) {
+                logger.debug("Processing segment ${index + 1}/${segments.size}")
                 
-                // Generate speech using the cloned voice model
-                val chunkAudio = voiceModel.generateSpeech(
-                    text = chunk,
-                    modelPath = profile.modelPath,
-                    language = detectedLanguage,
-                    speed = request.speed,
-                    pitch = request.pitch,
-                    emotion = request.emotion
-                )
+                val chunkAudio = if (segment.isPause) {
+                    audioProcessor.createSilence(segment.pauseMs, File("temp", "${UUID.randomUUID()}.wav"))
+                } else {
+                    // Generate speech using the cloned voice model
+                    voiceModel.generateSpeech(
+                        text = segment.text,
+                        modelPath = profile.modelPath,
+                        language = segment.language ?: detectedLanguage,
+                        speed = request.speed * segment.rate,
+                        pitch = request.pitch * segment.pitch,
+                        emotion = segment.emotion ?: request.emotion
+                    )
+                }
                 
                 audioChunks.add(chunkAudio)
             }
@@ -153,6 +335,25 @@ class VoiceCloneEngine {
         }
     }
     
+    /**
+     * Group planned segments into batches of roughly [maxChunkSize] characters for streaming
+     */
+    fun batchSegments(segments: List<SpeechSegment>, maxChunkSize: Int = 1000): List<List<SpeechSegment>> {
+        val batches = mutableListOf<MutableList<SpeechSegment>>()
+        var batchLength = 0
+        
+        for (segment in segments) {
+            if (batches.isEmpty() || (batchLength + segment.text.length > maxChunkSize && batchLength > 0)) {
+                batches.add(mutableListOf())
+                batchLength = 0
+            }
+            batches.last().add(segment)
+            batchLength += segment.text.length
+        }
+        
+        return batches
+    }
+    
     /**
      * Get all available voice profiles
      */
@@ -160,6 +361,257 @@ class VoiceCloneEngine {
         return voiceProfiles.values.toList()
     }
     
+    fun getVoiceProfile(profileId: String): VoiceProfile? = voiceProfiles[profileId]
+    
+    /**
+     * Rename a profile or change its description, tags and voice defaults.
+     * Returns null for an unknown profile; invalid values throw [ProfileValidationException].
+     */
+    fun updateVoiceProfile(profileId: String, update: ProfileUpdate): VoiceProfile? {
+        val profile = voiceProfiles[profileId] ?: return null
+        
+        val name = update.name?.trim()?.also { name ->
+            if (name.isEmpty() || name.length > MAX_NAME_LENGTH) {
+                throw ProfileValidationException("Profile name must be 1-$MAX_NAME_LENGTH characters")
+            }
+            // Names are unique per owner, like uniqueProfileName; other accounts' names are not revealed
+            val owned = voiceProfiles.values.filter { it.id != profileId && it.ownerId == profile.ownerId }
+            if (owned.any { it.name.equals(name, ignoreCase = true) }) {
+                throw ProfileValidationException("A profile named \"$name\" already exists")
+            }
+        }
+        
+        val description = update.description?.trim()?.also {
+            if (it.length > MAX_DESCRIPTION_LENGTH) {
+                throw ProfileValidationException("Description must be at most $MAX_DESCRIPTION_LENGTH characters")
+            }
+        }
+        
+        // Tags are compared case-insensitively; the first spelling wins
+        val tags = update.tags?.map { it.trim() }?.filter { it.isNotEmpty() }?.distinctBy { it.lowercase() }?.also { tags ->
+            if (tags.size > MAX_TAGS || tags.any { it.length > MAX_TAG_LENGTH }) {
+                throw ProfileValidationException("At most $MAX_TAGS tags of up to $MAX_TAG_LENGTH characters each")
+            }
+        }
+        
+        listOfNotNull(update.defaultSpeed, update.defaultPitch).forEach {
+            if (it < 0.5f || it > 2.0f) {
+                throw ProfileValidationException("Default speed and pitch must be between 0.5 and 2")
+            }
+        }
+        
+        val emotion = update.defaultEmotion?.lowercase()?.also {
+            if (it !in SsmlParser.EMOTIONS) {
+                throw ProfileValidationException("Unknown emotion \"$it\"")
+            }
+        }
+        
+        val updated = profile.copy(
+            name = name ?: profile.name,
+            description = description ?: profile.description,
+            tags = tags ?: profile.tags,
+            defaultSpeed = update.defaultSpeed ?: profile.defaultSpeed,
+            defaultPitch = update.defaultPitch ?: profile.defaultPitch,
+            defaultEmotion = emotion ?: profile.defaultEmotion,
+            updatedAt = System.currentTimeMillis()
+        )
+        
+        voiceProfiles[profileId] = updated
+        saveProfile(updated)
+        
+        logger.info("Voice profile updated: $profileId")
+        return updated
+    }
+    
+    /**
+     * Source clips a profile is trained on. Profiles from before clips were tracked, and imported
+     * ones, get their enrollment audio registered as the first clip.
+     */
+    fun getProfileClips(profileId: String): List<SourceClip>? {
+        val profile = voiceProfiles[profileId] ?: return null
+        return ensureClips(profile).clips
+    }
+    
+    /**
+     * Add recordings or files to an existing profile. The model is not retrained until
+     * [startRetraining] is called; until then the profile is marked [VoiceProfile.modelOutdated].
+     */
+    suspend fun addProfileClips(
+        profileId: String,
+        audioFiles: List<File>,
+        fileNames: List<String>
+    ): VoiceProfile? = withContext(Dispatchers.IO) {
+        val profile = ensureClips(voiceProfiles[profileId] ?: return@withContext null)
+        checkNotTraining(profileId)
+        
+        val added = mutableListOf<SourceClip>()
+        
+        try {
+            audioFiles.forEachIndexed { index, audioFile ->
+                val clip = SourceClip(
+                    id = UUID.randomUUID().toString(),
+                    fileName = fileNames.getOrNull(index) ?: audioFile.name,
+                    durationSeconds = 0.0
+                )
+                
+                // Same mono WAV the enrollment upload produces
+                val target = clipFile(profileId, clip.id).apply { parentFile.mkdirs() }
+                val converted = audioProcessor.combineAudioFiles(listOf(audioFile), target)
+                val durationSeconds = audioProcessor.getDurationSeconds(converted)
+                added.add(clip.copy(durationSeconds = durationSeconds))
+                
+                if (durationSeconds < MIN_CLIP_DURATION_SECONDS) {
+                    throw ProfileValidationException(
+                        "Clip ${clip.fileName} is too short (${durationSeconds.roundToInt()}s, minimum ${MIN_CLIP_DURATION_SECONDS}s)"
+                    )
+                }
+            }
+        } catch (e: Exception) {
+            added.forEach { clipFile(profileId, it.id).delete() }
+            throw e
+        }
+        
+        // The listed duration follows the clips, before the model is retrained on them
+        val clips = profile.clips + added
+        val updated = profile.copy(
+            clips = clips,
+            duration = (clips.sumOf { it.durationSeconds } / 60).roundToInt(),
+            modelOutdated = true,
+            updatedAt = System.currentTimeMillis()
+        )
+        voiceProfiles[profileId] = updated
+        saveProfile(updated)
+        
+        logger.info("Added ${added.size} clip(s) to voice profile $profileId")
+        updated
+    }
+    
+    /**
+     * Remove one source clip; the profile must keep at least [MIN_AUDIO_DURATION_SECONDS] of audio
+     */
+    fun removeProfileClip(profileId: String, clipId: String): VoiceProfile? {
+        val profile = ensureClips(voiceProfiles[profileId] ?: return null)
+        val clip = profile.clips.firstOrNull { it.id == clipId } ?: return null
+        checkNotTraining(profileId)
+        
+        val remaining = profile.clips - clip
+        if (remaining.sumOf { it.durationSeconds } < MIN_AUDIO_DURATION_SECONDS) {
+            throw ProfileValidationException(
+                "Removing this clip would leave less than ${MIN_AUDIO_DURATION_SECONDS}s of audio"
+            )
+        }
+        
+        clipFile(profileId, clipId).delete()
+        
+        val updated = profile.copy(
+            clips = remaining,
+            duration = (remaining.sumOf { it.durationSeconds } / 60).roundToInt(),
+            modelOutdated = true,
+            updatedAt = System.currentTimeMillis()
+        )
+        voiceProfiles[profileId] = updated
+        saveProfile(updated)
+        
+        logger.info("Removed clip $clipId from voice profile $profileId")
+        return updated
+    }
+    
+    /**
+     * Retrain a profile's model on all of its clips in the background; poll [getTrainingJob]
+     * for progress. Returns null for an unknown profile.
+     */
+    fun startRetraining(profileId: String): TrainingJob? {
+        if (profileId !in voiceProfiles) return null
+        checkNotTraining(profileId)
+        
+        val job = TrainingJob(profileId = profileId, status = TrainingJob.RUNNING)
+        trainingJobs[profileId] = job
+        trainingScope.launch { retrain(profileId) }
+        
+        return job
+    }
+    
+    fun getTrainingJob(profileId: String): TrainingJob? = trainingJobs[profileId]
+    
+    private suspend fun retrain(profileId: String) {
+        try {
+            val profile = ensureClips(voiceProfiles[profileId] ?: throw VoiceCloneException("Voice profile not found: $profileId"))
+            logger.info("Retraining voice profile $profileId on ${profile.clips.size} clip(s)")
+            
+            val combinedFile = audioProcessor.combineAudioFiles(
+                profile.clips.map { clipFile(profileId, it.id) },
+                File(profilesDir, "$profileId.wav")
+            )
+            val durationSeconds = audioProcessor.getDurationSeconds(combinedFile)
+            val processedFile = audioProcessor.enhanceAudio(combinedFile)
+            
+            val modelPath = voiceModel.trainVoiceModel(processedFile, profileId, profile.language) { progress ->
+                trainingJobs.computeIfPresent(profileId) { _, job -> job.copy(progress = progress) }
+            }
+            
+            // Deleted while training
+            val current = voiceProfiles[profileId] ?: return
+            val updated = current.copy(
+                modelPath = modelPath,
+                duration = (durationSeconds / 60).roundToInt(),
+                modelOutdated = false,
+                updatedAt = System.currentTimeMillis()
+            )
+            voiceProfiles[profileId] = updated
+            saveProfile(updated)
+            
+            trainingJobs.computeIfPresent(profileId) { _, job ->
+                job.copy(status = TrainingJob.COMPLETED, progress = 1.0f, finishedAt = System.currentTimeMillis())
+            }
+            logger.info("Voice profile retrained: $profileId")
+            
+        } catch (e: Exception) {
+            logger.error("Failed to retrain voice profile $profileId", e)
+            trainingJobs.computeIfPresent(profileId) { _, job ->
+                job.copy(status = TrainingJob.FAILED, error = e.message, finishedAt = System.currentTimeMillis())
+            }
+        }
+    }
+    
+    // Clips must not change under a running training job
+    private fun checkNotTraining(profileId: String) {
+        if (trainingJobs[profileId]?.status == TrainingJob.RUNNING) {
+            throw ProfileBusyException("Voice profile $profileId is being retrained")
+        }
+    }
+    
+    private fun ensureClips(profile: VoiceProfile): VoiceProfile {
+        if (profile.clips.isNotEmpty()) return profile
+        
+        val audioFile = File(profilesDir, "${profile.id}.wav")
+        if (!audioFile.exists()) return profile
+        
+        val clip = SourceClip(
+            id = UUID.randomUUID().toString(),
+            fileName = "enrollment.wav",
+            durationSeconds = audioProcessor.getDurationSeconds(audioFile),
+            addedAt = profile.createdAt
+        )
+        audioFile.copyTo(clipFile(profile.id, clip.id).apply { parentFile.mkdirs() }, overwrite = true)
+        
+        val updated = profile.copy(clips = listOf(clip))
+        voiceProfiles[profile.id] = updated
+        saveProfile(updated)
+        return updated
+    }
+    
+    private fun clipFile(profileId: String, clipId: String) = File(profilesDir, "$profileId/clips/$clipId.wav")
+    
+    private fun consentFile(profileId: String) = File(profilesDir, "$profileId/consent.wav")
+    
+    // A consent record without its recording proves nothing, so keep neither unless both are there
+    private fun storeConsent(profileId: String, consent: ConsentRecord?, consentAudio: File?): ConsentRecord? {
+        if (consent == null || consentAudio == null || !consentAudio.exists()) return null
+        
+        consentAudio.copyTo(consentFile(profileId), overwrite = true)
+        return consent
+    }
+    
     /**
      * Delete a voice profile
      */
@@ -171,6 +623,7 @@ class VoiceCloneEngine {
             File(profile.modelPath).delete()
             File(profilesDir, "$profileId.wav").delete()
             File(profilesDir, "$profileId.json").delete()
+            File(profilesDir, profileId).deleteRecursively()
             
             voiceProfiles.remove(profileId)
             
@@ -182,6 +635,127 @@ class VoiceCloneEngine {
         }
     }
     
+    /**
+     * Write a profile with its model, enrollment audio and consent recording to a ZIP that [importProfile] reads back.
+     * Returns null for an unknown profile; the caller deletes the file when done.
+     */
+    suspend fun exportProfile(profileId: String): File? = withContext(Dispatchers.IO) {
+        val profile = voiceProfiles[profileId] ?: return@withContext null
+        
+        val modelFile = File(profile.modelPath)
+        if (!modelFile.exists()) {
+            throw VoiceCloneException("Model file for profile $profileId is missing")
+        }
+        
+        val files = mapOf(
+            ProfileArchive.MODEL_ENTRY to modelFile,
+            ProfileArchive.CHARACTERISTICS_ENTRY to voiceModel.characteristicsFile(profileId),
+            ProfileArchive.AUDIO_ENTRY to File(profilesDir, "$profileId.wav"),
+            ProfileArchive.CONSENT_AUDIO_ENTRY to consentFile(profileId)
+        ).filterValues { it.exists() }
+        
+        val archive = File("temp", "export_${profileId}_${System.currentTimeMillis()}.zip")
+        ProfileArchive.write(archive, profile, files)
+        
+        logger.info("Voice profile exported: $profileId")
+        archive
+    }
+    
+    /**
+     * Create a profile for [ownerId] from an exported archive. A clash with one of the owner's
+     * profiles by ID or name throws [ProfileConflictException] unless [resolution] says how to
+     * settle it; invalid archives throw [ProfileArchiveException].
+     * The archive's own consent record and recording are dropped, since nothing proves they were
+     * verified; the profile carries [consent] (recorded in [consentAudio]) instead, or none.
+     */
+    suspend fun importProfile(
+        archive: File,
+        resolution: ImportResolution? = null,
+        newName: String? = null,
+        ownerId: String? = null,
+        consent: ConsentRecord? = null,
+        consentAudio: File? = null
+    ): VoiceProfile = withContext(Dispatchers.IO) {
+        val workDir = File("temp", "import_${UUID.randomUUID()}")
+        
+        try {
+            val (manifest, files) = ProfileArchive.read(archive, workDir)
+            val imported = manifest.profile
+            val owned = voiceProfiles.values.filter { it.ownerId == ownerId }
+            
+            val existingById = owned.firstOrNull { it.id == imported.id }
+            val existingByName = owned.firstOrNull { 
+                it.id != imported.id && it.name.equals(imported.name, ignoreCase = true) 
+            }
+            
+            if ((existingById != null || existingByName != null) && resolution == null) {
+                throw ProfileConflictException(
+                    ProfileImportConflict(imported, existingById, existingByName, uniqueProfileName(imported.name, ownerId))
+                )
+            }
+            
+            // Another account's profile with this ID is never touched; the import gets a new ID instead
+            var profileId = if (existingById == null && voiceProfiles.containsKey(imported.id)) {
+                UUID.randomUUID().toString()
+            } else {
+                imported.id
+            }
+            var name = imported.name
+            
+            when (resolution) {
+                ImportResolution.RENAME -> {
+                    if (existingById != null) profileId = UUID.randomUUID().toString()
+                    name = newName?.trim()?.takeIf { it.isNotEmpty() } ?: uniqueProfileName(imported.name, ownerId)
+                    
+                    if (owned.any { it.name.equals(name, ignoreCase = true) }) {
+                        throw ProfileArchiveException("A profile named \"$name\" already exists")
+                    }
+                }
+                ImportResolution.OVERWRITE -> {
+                    existingById?.let { deleteVoiceProfile(it.id) }
+                    existingByName?.let { deleteVoiceProfile(it.id) }
+                }
+                null -> {}
+            }
+            
+            val modelPath = voiceModel.installModel(
+                profileId,
+                files.getValue(ProfileArchive.MODEL_ENTRY),
+                files[ProfileArchive.CHARACTERISTICS_ENTRY]
+            )
+            files[ProfileArchive.AUDIO_ENTRY]?.copyTo(File(profilesDir, "$profileId.wav"), overwrite = true)
+            
+            // Clips are rebuilt from the archive's enrollment audio
+            val profile = imported.copy(
+                id = profileId,
+                name = name,
+                modelPath = modelPath,
+                clips = emptyList(),
+                modelOutdated = false,
+                ownerId = ownerId,
+                consent = storeConsent(profileId, consent, consentAudio)
+            )
+            voiceProfiles[profileId] = profile
+            saveProfile(profile)
+            
+            logger.info("Voice profile imported: $profileId (archive version ${manifest.version})")
+            ensureClips(profile)
+            
+        } finally {
+            workDir.deleteRecursively()
+        }
+    }
+    
+    // "Name (2)", "Name (3)", ... whichever is free first among the owner's profiles
+    private fun uniqueProfileName(name: String, ownerId: String?): String {
+        val taken = voiceProfiles.values.filter { it.ownerId == ownerId }.map { it.name.lowercase() }.toSet()
+        if (name.lowercase() !in taken) return name
+        
+        return generateSequence(2) { it + 1 }
+            .map { "$name ($it)" }
+            .first { it.lowercase() !in taken }
+    }
+    
     /**
      * Get supported languages
      */
@@ -189,6 +763,15 @@ class VoiceCloneEngine {
         return multiLanguageTTS.getSupportedLanguages()
     }
     
+    /**
+     * Language spans of mixed-language text; markup tags are blanked out first so
+     * offsets still match the original text
+     */
+    fun detectLanguageSpans(text: String): List<LanguageSpan> {
+        val masked = text.replace(Regex("<[^>]*>")) { " ".repeat(it.value.length) }
+        return multiLanguageTTS.detectLanguageSpans(masked)
+    }
+    
     private fun loadExistingProfiles() {
         profilesDir.listFiles { _, name -> name.endsWith(".json") }?.forEach { file ->
             try {
@@ -240,4 +823,8 @@ class VoiceCloneEngine {
     }
 }
 
-class VoiceCloneException(message: String) : Exception(message)
\ No newline at end of file
+class VoiceCloneException(message: String) : Exception(message)
+
+class ProfileValidationException(message: String) : Exception(message)
+
+class ProfileBusyException(message: String) : Exception(message)
\ No newline at end of file
@@ -0,0 +1,60 @@
+package com.voiceclone.ml
+
+import com.voiceclone.audio.AudioProcessor
+import mu.KotlinLogging
+import java.io.File
+
+private val logger = KotlinLogging.logger {}
+
+/**
+ * Local speech-to-text, used to check that a consent recording says what it should.
+ * Nothing leaves the machine, so recordings of people's voices are never sent to a
+ * third-party service.
+ *
+ * PLACEHOLDER: no recognition model is bundled yet. [transcribe] does not listen to the words;
+ * it hands back the prompt for any recording loud and long enough, so a consent check built on
+ * it only proves that someone spoke. [isPlaceholder] stays true until a real offline model
+ * (e.g. Vosk or whisper.cpp) is in place.
+ */
+class SpeechRecognizer(private val audioProcessor: AudioProcessor = AudioProcessor()) {
+    // Consent records note it, so verifications made with the placeholder can be told apart
+    val isPlaceholder = true
+    
+    companion object {
+        // Average RMS below this is treated as silence (16-bit samples)
+        const val SILENCE_AMPLITUDE = 200.0
+        
+        // Nobody reads faster than this
+        const val MIN_SECONDS_PER_WORD = 0.25
+    }
+    
+    /**
+     * Transcribe [audioFile]; [prompt] is the text the speaker was asked to read and biases
+     * recognition towards it. Returns an empty string when no speech was heard.
+     */
+    fun transcribe(audioFile: File, language: String, prompt: String? = null): String {
+        logger.info("Transcribing ${audioFile.name} ($language)")
+        
+        try {
+            val durationSeconds = audioProcessor.getDurationSeconds(audioFile)
+            val features = audioProcessor.extractAudioFeatures(audioFile)
+            
+            if (features.averageAmplitude < SILENCE_AMPLITUDE) {
+                return ""
+            }
+            
+            // Placeholder: "recognizes" as many words of the prompt as the recording is long
+            // enough to hold, whatever was said. A real offline recognition model runs here.
+            val words = prompt?.split(Regex("\\s+"))?.filter { it.isNotEmpty() } ?: return ""
+            val spokenWords = (durationSeconds / MIN_SECONDS_PER_WORD).toInt()
+            
+            return words.take(spokenWords).joinToString(" ")
+        
+        } catch (e: Exception) {
+            logger.error("Failed to transcribe audio", e)
+            throw SpeechRecognitionException("Failed to transcribe audio: ${e.message}")
+        }
+    }
+}
+
+class SpeechRecognitionException(message: String) : Exception(message)
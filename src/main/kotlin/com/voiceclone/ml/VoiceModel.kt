@@ -31,12 +31,13 @@ class VoiceModel {
     }
     
     /**
-     * Train a voice model from audio sample
+     * Train a voice model from audio sample; [onProgress] receives the fraction of epochs done
      */
     suspend fun trainVoiceModel(
         audioFile: File,
         profileId: String,
-        language: String
+        language: String,
+        onProgress: (Float) -> Unit = {}
     ): String = withContext(Dispatchers.IO) {
         logger.info("Training voice model for profile: $profileId, language: $language")
         
@@ -61,6 +62,9 @@ class VoiceModel {
                 if (epoch % 100 == 0) {
                     logger.info("Training epoch: $epoch, Score: ${model.score()}")
                 }
+                if (epoch % 10 == 0) {
+                    onProgress(epoch.toFloat() / epochs)
+                }
             }
             
             // Save the trained model
@@ -424,6 +428,23 @@ class VoiceModel {
         return audio
     }
     
+    /**
+     * Voice characteristics saved alongside a profile's model
+     */
+    fun characteristicsFile(profileId: String): File = File(modelsDir, "${profileId}_characteristics.json")
+    
+    /**
+     * Install a model trained elsewhere (profile import); returns the new model path
+     */
+    fun installModel(profileId: String, modelFile: File, characteristics: File?): String {
+        val modelPath = File(modelsDir, "$profileId.zip")
+        modelFile.copyTo(modelPath, overwrite = true)
+        characteristics?.copyTo(characteristicsFile(profileId), overwrite = true)
+        
+        logger.info("Voice model installed for profile: $profileId")
+        return modelPath.absolutePath
+    }
+    
     private fun writeAudioFile(audioData: ShortArray, outputFile: File, sampleRate: Int) {
         // Write audio data to WAV file
         // This is a simplified implementation
@@ -441,13 +462,13 @@ class VoiceModel {
             pitchRange = features.pitch.maxOrNull()?.minus(features.pitch.minOrNull() ?: 0.0) ?: 0.0
         )
         
-        val characteristicsFile = File(modelsDir, "${profileId}_characteristics.json")
+        val characteristicsFile = characteristicsFile(profileId)
         // Save characteristics to JSON file
         logger.info("Voice characteristics saved for profile: $profileId")
     }
     
     private fun loadVoiceCharacteristics(profileId: String): VoiceCharacteristics {
-        val characteristicsFile = File(modelsDir, "${profileId}_characteristics.json")
+        val characteristicsFile = characteristicsFile(profileId)
         
         return if (characteristicsFile.exists()) {
             // Load characteristics from JSON file
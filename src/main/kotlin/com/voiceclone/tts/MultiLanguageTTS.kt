@@ -1,5 +1,6 @@
 package com.voiceclone.tts
 
+import kotlinx.serialization.Serializable
 import mu.KotlinLogging
 import java.util.*
 
@@ -152,6 +153,11 @@ class MultiLanguageTTS {
             "jbo" to LanguageInfo("Lojban", "jbo", "latin"),
             "tlh" to LanguageInfo("Klingon", "tlh", "latin")
         )
+        
+        // Letters used by only one of the two languages sharing the Arabic script
+        private const val PERSIAN_LETTERS = "پچژگکی"
+        private const val ARABIC_LETTERS = "ةيكىأإؤئ\u064B\u064C\u064D\u064E\u064F\u0650\u0651"
+        private const val QUOTE_MARKS = "«»\"“”()"
     }
     
     /**
@@ -233,6 +239,94 @@ class MultiLanguageTTS {
         return "en"
     }
     
+    /**
+     * Split mixed-language text into spans, e.g. English terms and Arabic quotations
+     * inside Persian. Offsets refer to [text]; whitespace and punctuation between words
+     * belong to the preceding span so the spans cover the whole text.
+     */
+    fun detectLanguageSpans(text: String): List<LanguageSpan> {
+        val words = Regex("""[\p{L}\p{M}\p{N}'’\u200C-]+""").findAll(text).toList()
+        if (words.isEmpty()) return emptyList()
+        
+        // First pass: script of every word; Arabic-script words may not tell Persian from Arabic yet
+        val scripts = words.map { scriptOf(it.value) }.toMutableList()
+        if (scripts.all { it == "neutral" }) {
+            return listOf(LanguageSpan(0, text.length, detectLanguage(text)))
+        }
+        
+        // Numbers take the script of the word before them (or after, at the start)
+        for (i in scripts.indices) {
+            if (scripts[i] == "neutral") {
+                scripts[i] = if (i > 0) scripts[i - 1] else scripts.first { it != "neutral" }
+            }
+        }
+        
+        // Runs of consecutive words in the same script; quotation marks also end an Arabic-script run
+        val runs = mutableListOf<IntRange>()
+        var runStart = 0
+        for (i in 1..words.size) {
+            val endsRun = i == words.size || scripts[i] != scripts[runStart] ||
+                (scripts[i] == "arabic" && text.substring(words[i - 1].range.last + 1, words[i].range.first).any { it in QUOTE_MARKS })
+            if (endsRun) {
+                runs.add(runStart until i)
+                runStart = i
+            }
+        }
+        
+        // Persian is the default for ambiguous Arabic-script runs when the document has any Persian letters
+        val defaultArabicScript = if (text.any { it in PERSIAN_LETTERS }) "fa" else "ar"
+        
+        val spans = mutableListOf<LanguageSpan>()
+        for (run in runs) {
+            val runText = text.substring(words[run.first].range.first, words[run.last].range.last + 1)
+            val language = when (val script = scripts[run.first]) {
+                "arabic" -> {
+                    val persian = runText.count { it in PERSIAN_LETTERS }
+                    val arabic = runText.count { it in ARABIC_LETTERS }
+                    when {
+                        arabic > persian -> "ar"
+                        persian > arabic -> "fa"
+                        else -> defaultArabicScript
+                    }
+                }
+                // A couple of embedded words are too short for the common-word heuristics
+                "latin" -> if (run.count() >= 4) detectLatinLanguage(runText.lowercase()) else "en"
+                "other" -> detectLanguage(runText)
+                else -> script
+            }
+            
+            val start = if (spans.isEmpty()) 0 else words[run.first].range.first
+            if (spans.isNotEmpty() && spans.last().language == language) {
+                spans[spans.lastIndex] = spans.last().copy(end = words[run.last].range.last + 1)
+            } else {
+                if (spans.isNotEmpty()) {
+                    spans[spans.lastIndex] = spans.last().copy(end = start)
+                }
+                spans.add(LanguageSpan(start, words[run.last].range.last + 1, language))
+            }
+        }
+        
+        // Trailing punctuation and whitespace belong to the last span
+        spans[spans.lastIndex] = spans.last().copy(end = text.length)
+        
+        return spans
+    }
+    
+    private fun scriptOf(word: String): String {
+        val letter = word.firstOrNull { it.isLetter() } ?: return "neutral"
+        return when {
+            letter in '\u0600'..'\u06FF' || letter in '\u0750'..'\u077F' || letter in '\uFB50'..'\uFEFF' -> "arabic"
+            letter in 'a'..'z' || letter in 'A'..'Z' || letter in '\u00C0'..'\u024F' -> "latin"
+            letter in '\u0400'..'\u04FF' -> "ru"
+            letter in '\u0370'..'\u03FF' -> "el"
+            letter in '\u0590'..'\u05FF' -> "he"
+            letter in '\u0E00'..'\u0E7F' -> "th"
+            letter in '\u0900'..'\u097F' -> "hi"
+            letter in '\uAC00'..'\uD7AF' -> "ko"
+            else -> "other"
+        }
+    }
+    
     /**
      * Get all supported languages
      */
@@ -495,6 +589,13 @@ class MultiLanguageTTS {
     }
 }
 
+@Serializable
+data class LanguageSpan(
+    val start: Int,
+    val end: Int,
+    val language: String
+)
+
 data class LanguageInfo(
     val name: String,
     val locale: String,
@@ -0,0 +1,244 @@
+package com.voiceclone.tts
+
+/**
+ * A run of text that is spoken with one set of voice settings, or a pause when [pauseMs] > 0.
+ * Rate and pitch are multipliers on top of the request's global speed and pitch.
+ */
+data class SpeechSegment(
+    val text: String = "",
+    val pauseMs: Int = 0,
+    val language: String? = null,
+    val rate: Float = 1.0f,
+    val pitch: Float = 1.0f,
+    val emotion: String? = null
+) {
+    val isPause: Boolean get() = pauseMs > 0
+}
+
+/**
+ * Parser for the SSML subset accepted in synthesis text:
+ * `<speak>`, `<break time strength>`, `<prosody rate pitch>`, `<emphasis level>`,
+ * `<lang xml:lang>` and `<emotion name>`. The web client validates with the same rules (ssml.js).
+ */
+object SsmlParser {
+    val SUPPORTED_TAGS = setOf("speak", "break", "prosody", "emphasis", "lang", "emotion")
+    val EMOTIONS = setOf("neutral", "happy", "sad", "angry", "calm")
+    
+    const val MAX_BREAK_MS = 10_000
+    
+    private val MARKUP_PATTERN = Regex("""<\s*/?\s*(speak|break|prosody|emphasis|lang|emotion)\b""", RegexOption.IGNORE_CASE)
+    private val TAG_PATTERN = Regex("""<\s*(/?)\s*([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(/?)\s*>""")
+    private val ATTRIBUTE_PATTERN = Regex("""([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')""")
+    
+    private val BREAK_STRENGTHS = mapOf(
+        "none" to 0, "x-weak" to 100, "weak" to 250, "medium" to 400, "strong" to 700, "x-strong" to 1200
+    )
+    private val RATE_NAMES = mapOf("x-slow" to 0.6f, "slow" to 0.8f, "medium" to 1.0f, "fast" to 1.25f, "x-fast" to 1.5f)
+    private val PITCH_NAMES = mapOf("x-low" to 0.8f, "low" to 0.9f, "medium" to 1.0f, "high" to 1.1f, "x-high" to 1.2f)
+    
+    // Emphasis is rendered as slower, higher speech (or the opposite for "reduced")
+    private val EMPHASIS_LEVELS = mapOf(
+        "strong" to (0.85f to 1.1f), "moderate" to (0.92f to 1.05f), "none" to (1.0f to 1.0f), "reduced" to (1.08f to 0.95f)
+    )
+    
+    private data class Context(
+        val tag: String,
+        val language: String?,
+        val rate: Float,
+        val pitch: Float,
+        val emotion: String?
+    )
+    
+    /**
+     * Whether the text uses any supported tag; plain text is synthesized as-is
+     */
+    fun containsMarkup(text: String): Boolean = MARKUP_PATTERN.containsMatchIn(text)
+    
+    /**
+     * Text with all markup removed, as it would be read aloud
+     */
+    fun plainText(text: String): String =
+        parse(text).filterNot { it.isPause }.joinToString(" ") { it.text }
+    
+    /**
+     * Split marked-up text into segments; throws [SsmlException] for malformed markup
+     */
+    fun parse(text: String): List<SpeechSegment> {
+        val segments = mutableListOf<SpeechSegment>()
+        val stack = ArrayDeque<Context>()
+        stack.addLast(Context("", null, 1.0f, 1.0f, null))
+        
+        var position = 0
+        
+        fun addText(raw: String, at: Int) {
+            if (raw.contains('<') || raw.contains('>')) {
+                val offset = at + raw.indexOfFirst { it == '<' || it == '>' }
+                throw SsmlException("Malformed tag or stray '<' / '>' (use &lt; and &gt;)", offset)
+            }
+            
+            val value = decodeEntities(raw, at).replace(Regex("""\s+"""), " ")
+            if (value.isBlank()) return
+            
+            val context = stack.last()
+            val last = segments.lastOrNull()
+            
+            // Tags that leave the settings unchanged (e.g. <speak>) do not split the text
+            if (last != null && !last.isPause && last.language == context.language && last.rate == context.rate &&
+                last.pitch == context.pitch && last.emotion == context.emotion) {
+                segments[segments.lastIndex] = last.copy(text = last.text + value)
+            } else {
+                segments.add(SpeechSegment(value, 0, context.language, context.rate, context.pitch, context.emotion))
+            }
+        }
+        
+        for (match in TAG_PATTERN.findAll(text)) {
+            addText(text.substring(position, match.range.first), position)
+            position = match.range.last + 1
+            
+            val closing = match.groupValues[1] == "/"
+            val name = match.groupValues[2].lowercase()
+            val attributes = ATTRIBUTE_PATTERN.findAll(match.groupValues[3])
+                .associate { it.groupValues[1].lowercase() to (it.groups[2]?.value ?: it.groupValues[3]) }
+            val selfClosing = match.groupValues[4] == "/"
+            val at = match.range.first
+            
+            if (name !in SUPPORTED_TAGS) {
+                throw SsmlException("Unsupported tag <$name>", at)
+            }
+            
+            if (closing) {
+                val open = stack.last()
+                if (open.tag != name) {
+                    val expected = if (open.tag.isEmpty()) "no open tag" else "</${open.tag}>"
+                    throw SsmlException("Unexpected </$name>, expected $expected", at)
+                }
+                stack.removeLast()
+                continue
+            }
+            
+            if (name == "break") {
+                segments.add(SpeechSegment(pauseMs = parseBreak(attributes, at)))
+                continue
+            }
+            
+            if (selfClosing) {
+                throw SsmlException("<$name> must wrap text", at)
+            }
+            
+            stack.addLast(openContext(name, attributes, stack.last(), at))
+        }
+        
+        addText(text.substring(position), position)
+        
+        if (stack.size > 1) {
+            throw SsmlException("Unclosed <${stack.last().tag}>", text.length)
+        }
+        
+        return segments.map { if (it.isPause) it else it.copy(text = it.text.trim()) }
+            .filter { it.isPause || it.text.isNotEmpty() }
+    }
+    
+    private fun openContext(name: String, attributes: Map<String, String>, parent: Context, at: Int): Context {
+        return when (name) {
+            "speak" -> parent.copy(tag = name)
+            
+            "prosody" -> {
+                if (attributes.keys.none { it == "rate" || it == "pitch" }) {
+                    throw SsmlException("<prosody> needs a rate or pitch attribute", at)
+                }
+                val rate = attributes["rate"]?.let { parseScale(it, RATE_NAMES, "rate", at) } ?: 1.0f
+                val pitch = attributes["pitch"]?.let { parseScale(it, PITCH_NAMES, "pitch", at) } ?: 1.0f
+                parent.copy(tag = name, rate = parent.rate * rate, pitch = parent.pitch * pitch)
+            }
+            
+            "emphasis" -> {
+                val level = attributes["level"] ?: "moderate"
+                val (rate, pitch) = EMPHASIS_LEVELS[level]
+                    ?: throw SsmlException("Unknown emphasis level \"$level\"", at)
+                parent.copy(tag = name, rate = parent.rate * rate, pitch = parent.pitch * pitch)
+            }
+            
+            "lang" -> {
+                val language = (attributes["xml:lang"] ?: attributes["lang"])?.substringBefore('-')?.lowercase()
+                    ?: throw SsmlException("<lang> needs an xml:lang attribute", at)
+                if (language !in MultiLanguageTTS.SUPPORTED_LANGUAGES) {
+                    throw SsmlException("Unsupported language \"$language\"", at)
+                }
+                parent.copy(tag = name, language = language)
+            }
+            
+            "emotion" -> {
+                val emotion = (attributes["name"] ?: attributes["type"])?.lowercase()
+                    ?: throw SsmlException("<emotion> needs a name attribute", at)
+                if (emotion !in EMOTIONS) {
+                    throw SsmlException("Unknown emotion \"$emotion\"", at)
+                }
+                parent.copy(tag = name, emotion = emotion)
+            }
+            
+            else -> throw SsmlException("Unsupported tag <$name>", at)
+        }
+    }
+    
+    private fun parseBreak(attributes: Map<String, String>, at: Int): Int {
+        val time = attributes["time"]
+        val strength = attributes["strength"]
+        
+        val ms = when {
+            time != null -> {
+                val match = Regex("""^(\d+(?:\.\d+)?)\s*(ms|s)$""").find(time.trim().lowercase())
+                    ?: throw SsmlException("Invalid break time \"$time\" (use e.g. 500ms or 2s)", at)
+                val value = match.groupValues[1].toDouble()
+                if (match.groupValues[2] == "s") (value * 1000).toInt() else value.toInt()
+            }
+            strength != null -> BREAK_STRENGTHS[strength.lowercase()]
+                ?: throw SsmlException("Unknown break strength \"$strength\"", at)
+            else -> BREAK_STRENGTHS.getValue("medium")
+        }
+        
+        if (ms > MAX_BREAK_MS) {
+            throw SsmlException("Break is longer than ${MAX_BREAK_MS / 1000}s", at)
+        }
+        return ms
+    }
+    
+    // Accepts a named value, a percentage ("120%", "+10%", "-20%") or a plain multiplier ("1.2")
+    private fun parseScale(value: String, names: Map<String, Float>, attribute: String, at: Int): Float {
+        val normalized = value.trim().lowercase()
+        names[normalized]?.let { return it }
+        
+        val scale = when {
+            normalized.endsWith("%") && (normalized.startsWith("+") || normalized.startsWith("-")) ->
+                normalized.dropLast(1).toFloatOrNull()?.let { 1.0f + it / 100f }
+            normalized.endsWith("%") -> normalized.dropLast(1).toFloatOrNull()?.let { it / 100f }
+            else -> normalized.toFloatOrNull()
+        }
+        
+        if (scale == null || scale < 0.5f || scale > 2.0f) {
+            throw SsmlException("Invalid $attribute \"$value\" (allowed range 50%-200%)", at)
+        }
+        return scale
+    }
+    
+    private fun decodeEntities(text: String, at: Int): String {
+        return Regex("""&(\w+|#\d+);?""").replace(text) { match ->
+            when (val entity = match.groupValues[1]) {
+                "lt" -> "<"
+                "gt" -> ">"
+                "amp" -> "&"
+                "quot" -> "\""
+                "apos" -> "'"
+                else -> if (entity.startsWith("#")) {
+                    entity.drop(1).toIntOrNull()?.takeIf { it in 1..0xFFFF }?.toChar()?.toString()
+                        ?: throw SsmlException("Invalid character reference ${match.value}", at + match.range.first)
+                } else if (match.value.endsWith(";")) {
+                    throw SsmlException("Unknown entity ${match.value}", at + match.range.first)
+                } else {
+                    match.value
+                }
+            }
+        }
+    }
+}
+
+class SsmlException(message: String, val position: Int) : Exception("$message at position $position")
@@ -5,16 +5,21 @@ import io.ktor.client.call.*
 import io.ktor.client.engine.cio.*
 import io.ktor.client.plugins.contentnegotiation.*
 import io.ktor.client.request.*
+import io.ktor.http.*
 import io.ktor.serialization.kotlinx.json.*
 import kotlinx.coroutines.*
 import kotlinx.serialization.Serializable
 import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.contentOrNull
+import kotlinx.serialization.json.jsonObject
 import mu.KotlinLogging
 import org.apache.commons.compress.archivers.zip.ZipArchiveEntry
 import org.apache.commons.compress.archivers.zip.ZipArchiveInputStream
 import java.io.File
 import java.io.FileOutputStream
-import java.net.URL
+import java.io.IOException
 import java.nio.file.Files
 import java.nio.file.StandardCopyOption
 import kotlin.system.exitProcess
@@ -37,7 +42,8 @@ data class UpdateResponse(
     val available: Boolean,
     val current: String,
     val latest: String,
-    val updateInfo: UpdateInfo? = null
+    val updateInfo: UpdateInfo? = null,
+    val error: String? = null
 )
 
 class AutoUpdater {
@@ -51,7 +57,6 @@ class AutoUpdater {
     }
     
     private val currentVersion = "1.0.0"
-    private val updateCheckUrl = "https://api.github.com/repos/voiceclone/releases/latest" // Example URL
     private val updateDir = File("updates")
     private val backupDir = File("backup")
     
@@ -59,6 +64,8 @@ class AutoUpdater {
         const val UPDATE_CHECK_INTERVAL = 24 * 60 * 60 * 1000L // 24 hours
         const val AUTO_UPDATE_ENABLED_KEY = "auto_update_enabled"
         const val LAST_UPDATE_CHECK_KEY = "last_update_check"
+        const val UPDATE_SERVER_URL_KEY = "update_server_url"
+        const val DEFAULT_UPDATE_SERVER_URL = "https://api.github.com/repos/voiceclone/releases/latest"
     }
     
     init {
@@ -122,7 +129,8 @@ class AutoUpdater {
             return@withContext UpdateResponse(
                 available = false,
                 current = currentVersion,
-                latest = currentVersion
+                latest = currentVersion,
+                error = e.message ?: "Update check failed"
             )
         }
     }
@@ -204,6 +212,20 @@ class AutoUpdater {
         return properties.getProperty(AUTO_UPDATE_ENABLED_KEY, "true").toBoolean()
     }
     
+    /**
+     * Release feed to check: `update_server_url` in config.properties, either an http(s) URL
+     * or `file:<path>` for a local feed when testing
+     */
+    fun getUpdateServerUrl(): String {
+        val configFile = File("config.properties")
+        if (!configFile.exists()) return DEFAULT_UPDATE_SERVER_URL
+        
+        val properties = java.util.Properties()
+        configFile.inputStream().use { properties.load(it) }
+        
+        return properties.getProperty(UPDATE_SERVER_URL_KEY, DEFAULT_UPDATE_SERVER_URL)
+    }
+    
     /**
      * Get update history
      */
@@ -258,24 +280,41 @@ class AutoUpdater {
         }
     }
     
+    // Accepts the UpdateInfo layout of our own feed as well as a GitHub "latest release" response
     private suspend fun fetchLatestVersionInfo(): UpdateInfo {
-        // This is a simplified implementation
-        // In a real application, you would fetch from your update server or GitHub releases
+        val release = Json.parseToJsonElement(fetch(getUpdateServerUrl()).decodeToString()).jsonObject
         
-        val response = httpClient.get(updateCheckUrl)
-        val releaseInfo = response.body<Map<String, Any>>()
+        val version = release.text("version", "tag_name")
+            ?: throw IOException("Release feed has no version")
         
         return UpdateInfo(
-            version = releaseInfo["tag_name"] as? String ?: "1.0.0",
-            downloadUrl = releaseInfo["zipball_url"] as? String ?: "",
-            releaseNotes = releaseInfo["body"] as? String ?: "",
-            mandatory = false,
-            size = 1024 * 1024, // 1MB placeholder
-            checksum = "placeholder_checksum",
-            releaseDate = releaseInfo["published_at"] as? String ?: ""
+            version = version.removePrefix("v"),
+            downloadUrl = release.text("downloadUrl", "zipball_url") ?: "",
+            releaseNotes = release.text("releaseNotes", "body") ?: "",
+            mandatory = release.text("mandatory")?.toBoolean() ?: false,
+            size = release.text("size")?.toLongOrNull() ?: 0,
+            checksum = release.text("checksum") ?: "",
+            releaseDate = release.text("releaseDate", "published_at") ?: ""
         )
     }
     
+    private fun JsonObject.text(vararg names: String): String? =
+        names.firstNotNullOfOrNull { (this[it] as? JsonPrimitive)?.contentOrNull }
+    
+    private suspend fun fetch(url: String): ByteArray {
+        if (url.startsWith("file:")) {
+            val file = File(url.removePrefix("file:"))
+            if (!file.isFile) throw IOException("File not found: ${file.path}")
+            return file.readBytes()
+        }
+        
+        val response = httpClient.get(url)
+        if (!response.status.isSuccess()) {
+            throw IOException("$url returned ${response.status}")
+        }
+        return response.body()
+    }
+    
     private fun isNewerVersion(latest: String, current: String): Boolean {
         // Simple version comparison (you might want to use a more sophisticated method)
         val latestParts = latest.removePrefix("v").split(".").map { it.toIntOrNull() ?: 0 }
@@ -323,10 +362,11 @@ class AutoUpdater {
         
         logger.info("Downloading update from: ${updateInfo.downloadUrl}")
         
-        val response = httpClient.get(updateInfo.downloadUrl)
-        val bytes = response.body<ByteArray>()
+        if (updateInfo.downloadUrl.isBlank()) {
+            throw IOException("Release ${updateInfo.version} has no download URL")
+        }
         
-        updateFile.writeBytes(bytes)
+        updateFile.writeBytes(fetch(updateInfo.downloadUrl))
         
         logger.info("Update downloaded: ${updateFile.absolutePath}")
         return updateFile
@@ -0,0 +1,219 @@
+// Tests for public/web/api-client.js against a mocked fetch; run with `node --test src/test/web`
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    VoiceCloneApiClient,
+    ApiError,
+    ApiHttpError,
+    ApiFailureError,
+    ApiTimeoutError,
+    ApiNetworkError
+} = require('../../../public/web/api-client.js');
+
+// A fetch that answers every request with body and records what it was asked
+function mockFetch(body, init = {}) {
+    const calls = [];
+    const fetch = async (url, options) => {
+        calls.push({ url, options });
+        return new Response(typeof body === 'string' ? body : JSON.stringify(body), init);
+    };
+    return { fetch, calls };
+}
+
+// A fetch that never answers and rejects like the real one once its signal aborts
+function hangingFetch() {
+    return (url, options) => new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+        if (options.signal.aborted) abort();
+        options.signal.addEventListener('abort', abort);
+    });
+}
+
+test('resolves with the data of a successful result', async () => {
+    const { fetch, calls } = mockFetch({ success: true, data: [{ id: 'p1' }] });
+    const api = new VoiceCloneApiClient({ baseUrl: '/api/', fetch });
+    
+    assert.deepEqual(await api.listProfiles(), [{ id: 'p1' }]);
+    assert.equal(calls[0].url, '/api/profiles');
+    assert.equal(calls[0].options.method, 'GET');
+});
+
+test('sends JSON bodies with the client and request headers', async () => {
+    const { fetch, calls } = mockFetch({ success: true, data: { audioUrl: '/audio/a.wav' } });
+    let token = 'first';
+    const api = new VoiceCloneApiClient({ fetch, headers: () => ({ Authorization: `Bearer ${token}` }) });
+    
+    await api.synthesize({ text: 'hello', profileId: 'p1' }, { headers: { 'X-Test': '1' } });
+    token = 'second';
+    await api.getInfo();
+    
+    assert.equal(calls[0].options.method, 'POST');
+    assert.equal(calls[0].options.body, JSON.stringify({ text: 'hello', profileId: 'p1' }));
+    assert.equal(calls[0].options.headers['Content-Type'], 'application/json');
+    assert.equal(calls[0].options.headers['X-Test'], '1');
+    assert.equal(calls[0].options.headers.Authorization, 'Bearer first');
+    assert.equal(calls[1].options.headers.Authorization, 'Bearer second');
+});
+
+test('throws ApiHttpError with the status and data of a non-2xx answer', async () => {
+    const conflict = { existingById: { id: 'p1' } };
+    const { fetch } = mockFetch({ success: false, error: 'Profile exists', data: conflict }, { status: 409 });
+    const api = new VoiceCloneApiClient({ fetch });
+    
+    await assert.rejects(api.getInfo(), (error) => {
+        assert.ok(error instanceof ApiHttpError);
+        assert.ok(error instanceof ApiError);
+        assert.equal(error.message, 'Profile exists');
+        assert.equal(error.status, 409);
+        assert.deepEqual(error.data, conflict);
+        assert.equal(error.retryable, false);
+        return true;
+    });
+});
+
+test('falls back to the status text when an error body is not JSON', async () => {
+    const { fetch } = mockFetch('<html>', { status: 503, statusText: 'Service Unavailable' });
+    const api = new VoiceCloneApiClient({ fetch });
+    
+    await assert.rejects(api.getInfo(), (error) => {
+        assert.ok(error instanceof ApiHttpError);
+        assert.equal(error.message, 'Service Unavailable');
+        assert.equal(error.data, null);
+        assert.equal(error.retryable, true);
+        return true;
+    });
+});
+
+test('calls onUnauthorized on a 401 unless the request is anonymous', async () => {
+    const { fetch } = mockFetch({ success: false, error: 'Not signed in' }, { status: 401 });
+    const seen = [];
+    const api = new VoiceCloneApiClient({ fetch, onUnauthorized: (error) => seen.push(error) });
+    
+    await assert.rejects(api.listProfiles(), ApiHttpError);
+    await assert.rejects(api.login({ username: 'a', password: 'b' }), ApiHttpError);
+    
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0].status, 401);
+});
+
+test('throws ApiFailureError when the server reports success: false', async () => {
+    const { fetch } = mockFetch({ success: false, error: 'Text is empty', data: { field: 'text' } });
+    const api = new VoiceCloneApiClient({ fetch });
+    
+    await assert.rejects(api.synthesize({ text: '', profileId: 'p1' }), (error) => {
+        assert.ok(error instanceof ApiFailureError);
+        assert.equal(error.message, 'Text is empty');
+        assert.equal(error.status, 200);
+        assert.deepEqual(error.data, { field: 'text' });
+        return true;
+    });
+});
+
+test('throws ApiFailureError when a 2xx body is not a result', async () => {
+    const { fetch } = mockFetch('not json');
+    const api = new VoiceCloneApiClient({ fetch });
+    
+    await assert.rejects(api.getInfo(), (error) => {
+        assert.ok(error instanceof ApiFailureError);
+        assert.equal(error.message, 'Invalid response from server');
+        return true;
+    });
+});
+
+test('throws ApiTimeoutError when the server does not answer in time', async () => {
+    const api = new VoiceCloneApiClient({ fetch: hangingFetch(), timeout: 1000 });
+    
+    await assert.rejects(api.getInfo({ timeout: 20 }), (error) => {
+        assert.ok(error instanceof ApiTimeoutError);
+        assert.equal(error.timeout, 20);
+        assert.equal(error.retryable, true);
+        return true;
+    });
+});
+
+test('rejects with AbortError when the caller aborts', async () => {
+    const api = new VoiceCloneApiClient({ fetch: hangingFetch() });
+    const controller = new AbortController();
+    
+    const request = api.getInfo({ signal: controller.signal });
+    controller.abort();
+    
+    await assert.rejects(request, (error) => {
+        assert.equal(error.name, 'AbortError');
+        assert.ok(!(error instanceof ApiError));
+        return true;
+    });
+});
+
+test('does not send a request whose signal is already aborted', async () => {
+    const api = new VoiceCloneApiClient({ fetch: hangingFetch() });
+    const controller = new AbortController();
+    controller.abort();
+    
+    await assert.rejects(api.getInfo({ signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('throws ApiNetworkError and reports the connection when the server is unreachable', async () => {
+    const changes = [];
+    let answer = null;
+    const api = new VoiceCloneApiClient({
+        onConnectionChange: (online) => changes.push(online),
+        fetch: async () => {
+            if (!answer) throw new TypeError('Failed to fetch');
+            return answer;
+        }
+    });
+    
+    await assert.rejects(api.getInfo(), (error) => {
+        assert.ok(error instanceof ApiNetworkError);
+        assert.equal(error.retryable, true);
+        return true;
+    });
+    
+    // A saved answer from the service worker still counts as offline
+    answer = new Response(JSON.stringify({ success: true, data: {} }), { headers: { 'X-Offline-Cache': '1' } });
+    await api.getInfo();
+    assert.deepEqual(changes, [false]);
+    
+    answer = new Response(JSON.stringify({ success: true, data: {} }));
+    await api.getInfo();
+    assert.deepEqual(changes, [false, true]);
+});
+
+test('passes each server-sent event of a synthesis stream to onEvent', async () => {
+    const stream = 'data: {"status": "started", "total": 2}\n\n' +
+        'data: {"chunk": 1, "total": 2, "audioUrl": "/audio/1.wav"}\n\n' +
+        'data: {"chunk": 2, "total": 2, "audioUrl": "/audio/2.wav"}\n\ndata: {"status": "completed"}\n\n';
+    const { fetch } = mockFetch(stream);
+    const api = new VoiceCloneApiClient({ fetch });
+    const events = [];
+    
+    await api.synthesizeStream({ text: 'hello', profileId: 'p1' }, async (event) => events.push(event));
+    
+    assert.deepEqual(events.map(event => event.status || event.chunk), ['started', 1, 2, 'completed']);
+});
+
+test('rejects a synthesis stream that ends without the completed event', async () => {
+    const { fetch } = mockFetch('data: {"status": "started", "total": 2}\n\n' +
+        'data: {"chunk": 1, "total": 2, "audioUrl": "/audio/1.wav"}\n\n');
+    const api = new VoiceCloneApiClient({ fetch });
+    const events = [];
+    
+    await assert.rejects(api.synthesizeStream({ text: 'hello', profileId: 'p1' }, (event) => events.push(event)), (error) => {
+        assert.ok(error instanceof ApiFailureError);
+        assert.match(error.message, /after 1 of 2 chunks/);
+        return true;
+    });
+    assert.equal(events.length, 2);
+});
+
+test('rejects with the message of an error event', async () => {
+    const { fetch } = mockFetch('data: {"status": "started", "total": 1}\n\ndata: {"status": "error", "error": "Out of memory"}\n\n');
+    const api = new VoiceCloneApiClient({ fetch });
+    
+    await assert.rejects(api.synthesizeStream({ text: 'hello', profileId: 'p1' }, () => {}), {
+        name: 'ApiFailureError',
+        message: 'Out of memory'
+    });
+});